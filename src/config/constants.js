@@ -40,6 +40,8 @@ export const PORT_RIGHT = 'right';
 export const PORT_BOTTOM_TRIGGER = 'bottomTrigger';
 export const PORT_RIGHT_TRIGGER = 'rightTrigger';
 export const PORT_TOP_TRIGGER = 'topTrigger';
+export const PORT_KIND_TRIGGER = 'trigger'; // Discrete fire events
+export const PORT_KIND_SIGNAL = 'signal'; // Continuous value stream (diamond ports)
 
 // Interaction Thresholds
 export const CABLE_HIT_THRESH = 6;
@@ -71,14 +73,22 @@ export const KEY_SHIFT = 16;
 export const KEY_ESCAPE = 27;
 export const KEY_ENTER = 13;
 export const KEY_SPACE = 32;
+export const KEY_G = 71;
+export const KEY_Y = 89;
+export const KEY_Z = 90;
 
 // Colors (as arrays for p5.js)
 export const COLOR_GUIDE = ["#ff6600"];
 export const COLOR_CABLE = [255, 255, 255]; // White cables
 export const COLOR_PLAYHEAD = [255, 0, 0];
+export const COLOR_GROUP_PLAYHEAD = [80, 160, 255, 230]; // One playhead across a docked group
+export const COLOR_GROUP_OUTLINE = [80, 160, 255, 90];
 export const COLOR_PORT_STROKE = [255, 255, 255];
 export const COLOR_NODE_STROKE = [255, 255, 255];
 export const COLOR_BACKGROUND = [80, 80, 80];
+export const COLOR_NOTE_ACTIVE = [255, 255, 255]; // Sounding notes in a note lane
+export const COLOR_NOTE_IDLE = [255, 255, 255, 170]; // Other notes, dimmed
+export const COLOR_NODE_LABEL_DIM = [255, 160]; // Secondary header text (pass length, play mode)
 
 // Trigger Visual Colors (separated for clarity)
 export const COLOR_TRIGGER_LINE = [255, 255, 255]; // White trigger lines
@@ -86,6 +96,10 @@ export const COLOR_TRIGGER_DOT = [255, 0, 0]; // White intersection dots
 export const COLOR_TRIGGER_PORT = [255, 255, 255]; // White trigger ports (normal state)
 export const COLOR_TRIGGER_CONNECTOR = [255, 255, 255]; // White connector curves
 
+// Node Groups
+export const GROUP_PLAYHEAD_WEIGHT = 2;
+export const GROUP_OUTLINE_PAD = 4; // Outline distance from the members' edges
+
 // Delete Overlay Constants
 export const DELETE_OVERLAY_COLOR = [0, 0, 0, 128]; // Node deletion overlay color
 
@@ -93,11 +107,152 @@ export const DELETE_OVERLAY_COLOR = [0, 0, 0, 128]; // Node deletion overlay col
 export const CABLE_HIT_THRESHOLD = 6; // Hit detection threshold for cables
 export const CABLE_DRAG_PREVIEW_COLOR = [255, 255, 0, 180]; // Yellow preview
 export const CABLE_DASH_PATTERN = [5, 5]; // Dash pattern: [dash length, gap length]
+export const COLOR_SIGNAL_CABLE = [80, 160, 255]; // Blue signal cables
+export const SIGNAL_PORT_SIZE = 10; // Diamond port width/height
+export const SIGNAL_PORT_CROSS_RATIO = 0.6; // Hover cross arm length as a fraction of the port radius
+export const SIGNAL_PORT_CROSS_WEIGHT = 1.5;
+export const SIGNAL_CABLE_PREVIEW_ALPHA = 180; // Cable being dragged from a signal port
 
 // MIDI Constants
 export const MIDI_CHANNELS = 16;
 export const CC_MAX_VALUE = 127;
 export const CC_MIN_VALUE = 0;
+export const CC14_MAX_VALUE = 16383; // 14-bit CC pair (MSB on CC n, LSB on CC n+32)
+export const CC14_LSB_OFFSET = 32;
+export const CC14_MSB_MAX_CC = 31; // Only CC 0-31 have an LSB partner
+export const PITCH_BEND_MAX_VALUE = 16383;
+export const PITCH_BEND_CENTER = 8192;
+export const PARAMETER_MAX_NUMBER = 16383; // NRPN/RPN parameter numbers are 14-bit
+export const PARAMETER_MAX_VALUE = 16383; // Data entry MSB (CC 6) + LSB (CC 38)
+export const CC_NRPN_MSB = 99;
+export const CC_NRPN_LSB = 98;
+export const CC_RPN_MSB = 101;
+export const CC_RPN_LSB = 100;
+export const CC_DATA_ENTRY_MSB = 6;
+export const CC_DATA_ENTRY_LSB = 38;
+export const RPN_NULL = 127; // RPN 127/127 deselects the current parameter
+export const NOTE_DEFAULT_VELOCITY = 100;
+export const NOTE_ROLL_MIN_RANGE = 12; // Minimum pitch span (semitones) shown by a note lane
+
+// Node Output Modes (what a WaveformNode sends while playing)
+export const OUTPUT_MODE_CC = 'cc';
+export const OUTPUT_MODE_CC14 = 'cc14';
+export const OUTPUT_MODE_PITCH_BEND = 'pitchbend';
+export const OUTPUT_MODE_NRPN = 'nrpn';
+export const OUTPUT_MODE_RPN = 'rpn';
+export const OUTPUT_MODE_LABELS = {
+  [OUTPUT_MODE_CC]: 'CC (7-bit)',
+  [OUTPUT_MODE_CC14]: 'CC (14-bit)',
+  [OUTPUT_MODE_PITCH_BEND]: 'Pitch Bend',
+  [OUTPUT_MODE_NRPN]: 'NRPN',
+  [OUTPUT_MODE_RPN]: 'RPN'
+};
+
+// Node Play Modes (how a WaveformNode runs through its waveform)
+export const PLAY_MODE_ONESHOT = 'oneshot';
+export const PLAY_MODE_LOOP = 'loop';
+export const PLAY_MODE_PINGPONG = 'pingpong';
+export const PLAY_MODE_REVERSE = 'reverse';
+export const PLAY_MODE_LABELS = {
+  [PLAY_MODE_ONESHOT]: 'One-shot',
+  [PLAY_MODE_LOOP]: 'Loop',
+  [PLAY_MODE_PINGPONG]: 'Ping-pong',
+  [PLAY_MODE_REVERSE]: 'Reverse'
+};
+export const PLAY_MODE_MAX_REPEATS = 999; // Loop passes / ping-pong cycles (0 = forever)
+
+// Node Length / Speed (how long one pass takes; independent of the drawn width except in width mode)
+export const NODE_LENGTH_WIDTH = 'width'; // Drawn width at PIXELS_PER_SECOND (whole beats of PIXELS_PER_BEAT while synced)
+export const NODE_LENGTH_TIME = 'time'; // Fixed duration
+export const NODE_LENGTH_BEATS = 'beats'; // Musical length at the current tempo
+export const NODE_LENGTH_LABELS = {
+  [NODE_LENGTH_WIDTH]: 'Width',
+  [NODE_LENGTH_TIME]: 'Seconds',
+  [NODE_LENGTH_BEATS]: 'Beats'
+};
+export const NODE_MIN_LENGTH_MS = 10;
+export const NODE_MAX_LENGTH_MS = 3600000; // One hour
+export const NODE_MIN_LENGTH_BEATS = 0.25; // A 16th note
+export const NODE_MAX_LENGTH_BEATS = 1024;
+export const NODE_MIN_SPEED = 0.125; // Per-node speed multiplier
+export const NODE_MAX_SPEED = 8;
+export const PLAYBACK_MIN_RATE = 0.25; // Global playback rate (multiplies every node's speed)
+export const PLAYBACK_MAX_RATE = 4;
+
+// MIDI Clock / Tempo Sync
+export const MIDI_CLOCK_PPQN = 24; // Clock messages (0xF8) per quarter note
+export const MIDI_CLOCK_STATUS = 0xF8;
+export const MIDI_START_STATUS = 0xFA;
+export const MIDI_CONTINUE_STATUS = 0xFB;
+export const MIDI_STOP_STATUS = 0xFC;
+export const MIDI_SONG_POSITION_STATUS = 0xF2; // Position in MIDI beats (16th notes)
+export const CLOCK_TEMPO_WINDOW = 24; // Clock intervals averaged for the tempo estimate
+export const CLOCK_MIN_BPM = 20; // Slower clocks are treated as a dropout
+export const CLOCK_MAX_BPM = 300;
+export const CLOCK_TEMPO_EPSILON = 0.5; // BPM change needed before node durations are rescaled (ignores clock jitter)
+export const PIXELS_PER_BEAT = 50; // Node width per beat while synced to a clock (= PIXELS_PER_SECOND at 120 BPM)
+export const CLOCK_OUT_DEFAULT_BPM = 120; // Internal transport tempo
+export const CLOCK_OUT_LOOKAHEAD_MS = 40; // Clock messages are scheduled this far ahead (timestamped sends)
+export const CLOCK_OUT_MAX_CATCHUP_MS = 250; // Longer stalls (hidden tab) skip missed clocks instead of bursting
+export const BEATS_PER_BAR = 4;
+
+// Playback Scheduler (output runs on a timer/worker clock, not on draw())
+export const SCHEDULER_TICK_MS = 10; // Scheduler clock period
+export const SCHEDULER_LOOKAHEAD_MS = 30; // Output is computed and timestamped this far ahead (covers late ticks)
+export const SCHEDULER_DEFAULT_RATE_HZ = 200; // Output values computed per second per node
+export const SCHEDULER_MIN_RATE_HZ = 10;
+export const SCHEDULER_MAX_RATE_HZ = 500;
+
+// HTrigger Hysteresis / Debounce
+export const HTRIGGER_MAX_HYSTERESIS = 0.5; // Widest dead band, as a fraction of the value range
+export const HTRIGGER_MAX_REFIRE_MS = 5000; // Longest minimum re-fire interval
+export const HTRIGGER_LINE_WEIGHT_SELECTED = 2;
+export const COLOR_HTRIGGER_BAND = [255, 255, 255, 28]; // Faint dead band around the trigger level
+
+// Oscilloscope (live trace of an incoming controller or signal)
+export const OSC_DEFAULT_W = 220;
+export const OSC_DEFAULT_H = 80;
+export const OSC_GRAPH_PAD_X = 8; // Trace inset left/right (the right margin creates HTriggers)
+export const OSC_GRAPH_PAD_Y = 6;
+export const OSC_MIN_SAMPLES = 120; // Shortest trace history
+export const OSC_SAMPLE_INTERVAL_MS = 16; // Trace scroll step (one sample per interval)
+export const OSC_SMOOTHING = 0.35; // Fraction of the way each sample moves towards the input
+export const OSC_MAX_CATCHUP_MS = 250; // Longer stalls (hidden tab) skip missed samples
+export const OSC_SOURCE_ANY = 'any'; // Latest CC from any device
+export const OSC_SOURCE_CC = 'cc'; // One device/channel/CC
+export const OSC_SOURCE_SIGNAL = 'signal'; // Signal input
+
+// Mapper (signal processor reshaping a value through a transfer curve)
+export const MAPPER_DEFAULT_W = 270; // Thirds: input, curve, output scope
+export const MAPPER_DEFAULT_H = 90;
+export const MAPPER_GRAPH_PAD_X = 8; // Inset of each third's graph left/right (range marks sit in it)
+export const MAPPER_GRAPH_PAD_Y = 6;
+export const MAPPER_SAMPLE_INTERVAL_MS = 16; // Output scope scroll step (one sample per interval)
+export const MAPPER_MAX_CATCHUP_MS = 250; // Longer stalls (hidden tab) skip missed samples
+export const MAPPER_CURVE_QUAD = 'quad'; // Two quadratics shaped by their midpoints
+export const MAPPER_CURVE_POINTS = 'points'; // Editable points joined by straight lines
+export const MAPPER_CURVE_LABELS = {
+  [MAPPER_CURVE_QUAD]: 'Dual quadratic',
+  [MAPPER_CURVE_POINTS]: 'Points'
+};
+export const MAPPER_SEED_POINTS = 5; // Points taken from the quadratic curve when switching to points
+export const MAPPER_MAX_POINTS = 16;
+export const MAPPER_HANDLE_H = 14; // Midpoint handle (oblong) height
+export const MAPPER_HANDLE_W_RATIO = 0.55; // Midpoint handle width as a fraction of the curve region
+export const MAPPER_HANDLE_RADIUS = 6; // Midpoint handle corner radius
+export const MAPPER_HANDLE_TEXT_SIZE = 11; // Midpoint value (0-127) on the handle
+export const MAPPER_POINT_SIZE = 7; // Curve point square size
+export const MAPPER_POINT_HIT_PX = 6;
+export const MAPPER_CURVE_STEPS = 40; // Line segments used to draw a quadratic
+export const MAPPER_CURVE_WEIGHT = 1.5; // Transfer curve stroke weight
+export const MAPPER_AXIS_INSET = 4; // Gap between the center axis and the top/bottom edge
+export const MAPPER_RANGE_MARK_INSET = 2; // Gap between a range mark and its side of the graph pad
+export const COLOR_MAPPER_CURVE_DIM = [255, 255, 255, 90]; // Helper curves behind the transfer curve
+export const COLOR_MAPPER_AXIS = [255, 180]; // Center axis of the curve third
+
+// MIDI Learn / Trigger Mapping
+export const MIDI_TRIGGER_CC_THRESHOLD = 64; // Default level a mapped CC has to rise through to fire (button press)
+export const COLOR_LEARN_ARMED = [255, 200, 0]; // Port waiting for MIDI Learn
 
 // Recording Constants
 export const RECORDING_INDICATOR_SIZE = 60;
@@ -106,3 +261,28 @@ export const RECORDING_MARGIN = 20;
 // Node Creation
 export const NODE_STACK_GAP = 12;
 export const DEFAULT_NODE_SAMPLES = 200;
+
+// Node Palette (searchable menu for adding nodes on empty canvas)
+export const NODE_PALETTE_WIDTH = 220;
+export const NODE_PALETTE_LIST_MAX_HEIGHT = 260; // The entry list scrolls beyond this
+export const NODE_PALETTE_EDGE_PAD = 4; // Menu and new nodes keep this distance from the window edge
+
+// Undo / Redo
+export const HISTORY_LIMIT = 200; // Maximum undo steps kept
+export const HISTORY_COALESCE_MS = 400; // Repeated drags of the same target within this window merge into one step
+
+// Patch Files
+export const PATCH_FORMAT_ID = 'midi-viz-patch'; // Identifies saved patch documents
+export const PATCH_FORMAT_VERSION = 1; // Bump when the document layout changes
+export const PATCH_FILE_EXTENSION = '.json';
+
+// Standard MIDI File Export
+export const SMF_DEFAULT_PPQ = 480; // Ticks per quarter note
+export const SMF_DEFAULT_BPM = 120;
+export const SMF_PPQ_OPTIONS = [96, 192, 480, 960];
+export const SMF_SAMPLE_INTERVAL_MS = 5; // Automation sampling resolution
+export const SMF_DEFAULT_THINNING = 1; // Minimum CC value change before a new event is written
+export const SMF_FILE_EXTENSION = '.mid';
+
+// Stored Settings (localStorage)
+export const DEVICE_SELECTION_STORAGE_KEY = 'midi-viz.device-selection'; // Input/output device selection
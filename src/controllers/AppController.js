@@ -6,31 +6,87 @@
 
 import MidiManager from '../models/MidiManager.js';
 import WaveformNode from '../models/WaveformNode.js';
+import NoteNode from '../models/NoteNode.js';
+import OscilloscopeNode from '../models/OscilloscopeNode.js';
+import MapperNode from '../models/MapperNode.js';
 import CanvasManager from '../views/CanvasManager.js';
 import NodeRenderer from '../views/NodeRenderer.js';
+import OscilloscopeRenderer from '../views/OscilloscopeRenderer.js';
+import MapperRenderer from '../views/MapperRenderer.js';
 import SidebarRenderer from '../views/SidebarRenderer.js';
+import NodePaletteRenderer from '../views/NodePaletteRenderer.js';
 import InteractionController from './InteractionController.js';
+import CommandHistory from './CommandHistory.js';
+import { AddNodeCommand, CompoundCommand, GroupChangeCommand, MapperCurveCommand } from './Commands.js';
 import RecordingManager from '../models/RecordingManager.js';
+import ClockFollower from '../models/ClockFollower.js';
+import ClockTransport from '../models/ClockTransport.js';
+import PlaybackScheduler from '../models/PlaybackScheduler.js';
+import MidiLearn from '../models/MidiLearn.js';
+import MidiTriggerMap from '../models/MidiTriggerMap.js';
+import GroupManager from '../models/GroupManager.js';
 import RecordingRenderer from '../views/RecordingRenderer.js';
 import ConnectionRenderer from '../views/ConnectionRenderer.js';
-import { generateSine, generateSawtooth, generateRandomSmooth } from '../models/WaveformGenerator.js';
+import Connection from '../models/Connection.js';
+import { createNodeFromJSON, getNodeType, getNodeTypes } from '../models/NodeTypes.js';
+import { exportNodesToMidiFile } from '../models/MidiFileExporter.js';
+import { importMidiFileAsNodeData } from '../models/MidiFileImporter.js';
+import { generateSine, generateSawtooth, generateRandomSmooth, WAVEFORM_PRESETS } from '../models/WaveformGenerator.js';
+import { downloadFile, pickFile, readFileAsText, readFileAsArrayBuffer } from '../utils/fileIO.js';
+import { loadSetting, saveSetting } from '../utils/settingsStore.js';
+import { clamp, pointRectDistance } from '../utils/geometry.js';
 import {
   DELETE_OVERLAY_COLOR,
   DELETE_ICON_R,
   KEY_ESCAPE,
   KEY_ENTER,
-  KEY_SPACE
+  KEY_SPACE,
+  KEY_G,
+  KEY_Y,
+  KEY_Z,
+  PATCH_FORMAT_ID,
+  PATCH_FORMAT_VERSION,
+  PATCH_FILE_EXTENSION,
+  SMF_FILE_EXTENSION,
+  DEVICE_SELECTION_STORAGE_KEY,
+  OUTPUT_MODE_CC,
+  OUTPUT_MODE_CC14,
+  NODE_LENGTH_TIME,
+  NODE_LENGTH_BEATS,
+  PORT_KIND_TRIGGER,
+  PORT_VIS_PX,
+  PLAYBACK_MIN_RATE,
+  PLAYBACK_MAX_RATE,
+  DEFAULT_NODE_SAMPLES,
+  NODE_PALETTE_EDGE_PAD
 } from '../config/constants.js';
 
 export default class AppController {
-  constructor() {
+  /**
+   * @param {object} options - App options
+   * @param {object} options.midiBackend - MIDI backend (defaults to Web MIDI; use VirtualMidiBackend headless)
+   */
+  constructor(options = {}) {
     // Core systems
-    this.midi = new MidiManager();
+    this.midi = new MidiManager({ backend: options.midiBackend });
     this.canvas = new CanvasManager();
     this.nodeRenderer = new NodeRenderer(this.canvas);
+    this.nodeRenderers = new Map([ // Node types with their own renderer (others use nodeRenderer)
+      [OscilloscopeNode, new OscilloscopeRenderer(this.canvas)],
+      [MapperNode, new MapperRenderer(this.canvas)]
+    ]);
     this.sidebar = new SidebarRenderer();
+    this.nodePalette = new NodePaletteRenderer();
     this.interaction = new InteractionController(this);
+    this.history = new CommandHistory();
     this.recording = new RecordingManager();
+    this.clock = new ClockFollower();
+    this.transport = new ClockTransport();
+    this.scheduler = new PlaybackScheduler();
+    this.learn = new MidiLearn();
+    this.triggerMap = new MidiTriggerMap();
+    this.groups = new GroupManager(); // Docked nodes that move and play together
+    this.selectedTrigger = null; // HTrigger shown in the trigger inspector
     this.recordingRenderer = new RecordingRenderer(this.canvas);
     this.connectionRenderer = new ConnectionRenderer(this.canvas);
     
@@ -39,11 +95,40 @@ export default class AppController {
     this.connections = [];
     this.deltaTime = 0;
     this.lastFrameTime = 0;
+    this.clockFollow = false; // Node timing and transport follow incoming MIDI clock
+    this.transportStartsWithNodes = false; // Starting a node sends Start when the internal transport is stopped
+    this.playbackPaused = false; // Nodes are held by pauseAllPlayback()
+    this.playbackRate = 1; // Global speed multiplier for every node
+    this._transportPaused = false; // The internal transport was running when paused
+    this._seenControllerCount = 0; // Controllers listed in the oscilloscope inspector
     
     // Bind methods for P5.js
     this._onMidiReady = this._onMidiReady.bind(this);
     this._onMidiError = this._onMidiError.bind(this);
     this._onMidiCC = this._onMidiCC.bind(this);
+    this._onMidiNote = this._onMidiNote.bind(this);
+    this._onMidiProgram = this._onMidiProgram.bind(this);
+    this._onMidiCC14 = this._onMidiCC14.bind(this);
+    this._onMidiPitchBend = this._onMidiPitchBend.bind(this);
+    this._onMidiParameter = this._onMidiParameter.bind(this);
+    this._onMidiSelectionChanged = this._onMidiSelectionChanged.bind(this);
+    this._onMidiClock = this._onMidiClock.bind(this);
+    this._onMidiTransport = this._onMidiTransport.bind(this);
+    this._onMidiSongPosition = this._onMidiSongPosition.bind(this);
+    
+    // Bind clock event handlers
+    this._onClockTempoChanged = this._onClockTempoChanged.bind(this);
+    this._onClockTransport = this._onClockTransport.bind(this);
+    this._onTransportClock = this._onTransportClock.bind(this);
+    this._onTransportEvent = this._onTransportEvent.bind(this);
+    this._onTransportTempoChanged = this._onTransportTempoChanged.bind(this);
+    
+    // Bind playback scheduler handler
+    this._onSchedulerTick = this._onSchedulerTick.bind(this);
+    
+    // Bind MIDI Learn event handlers
+    this._onLearnArmedChanged = this._onLearnArmedChanged.bind(this);
+    this._onMidiLearned = this._onMidiLearned.bind(this);
     
     // Bind recording event handlers
     this._onRecordingCommitted = this._onRecordingCommitted.bind(this);
@@ -53,6 +138,35 @@ export default class AppController {
     this._onSidebarInputModeChange = this._onSidebarInputModeChange.bind(this);
     this._onSidebarOutputSelectionChange = this._onSidebarOutputSelectionChange.bind(this);
     this._onSidebarChannelChange = this._onSidebarChannelChange.bind(this);
+    this._onSidebarPatchSave = this._onSidebarPatchSave.bind(this);
+    this._onSidebarPatchOpen = this._onSidebarPatchOpen.bind(this);
+    this._onSidebarMidiExport = this._onSidebarMidiExport.bind(this);
+    this._onSidebarNodeOutputChange = this._onSidebarNodeOutputChange.bind(this);
+    this._onSidebarNodePlayChange = this._onSidebarNodePlayChange.bind(this);
+    this._onSidebarNodeTimingChange = this._onSidebarNodeTimingChange.bind(this);
+    this._onSidebarClockFollowChange = this._onSidebarClockFollowChange.bind(this);
+    this._onSidebarClockSendChange = this._onSidebarClockSendChange.bind(this);
+    this._onSidebarClockBpmChange = this._onSidebarClockBpmChange.bind(this);
+    this._onSidebarClockStartOnPlayChange = this._onSidebarClockStartOnPlayChange.bind(this);
+    this._onSidebarTransportCommand = this._onSidebarTransportCommand.bind(this);
+    this._onSidebarPlaybackCommand = this._onSidebarPlaybackCommand.bind(this);
+    this._onSidebarPlaybackRateChange = this._onSidebarPlaybackRateChange.bind(this);
+    this._onSidebarNodeLearn = this._onSidebarNodeLearn.bind(this);
+    this._onSidebarOutputRateChange = this._onSidebarOutputRateChange.bind(this);
+    this._onSidebarTriggerMappingChange = this._onSidebarTriggerMappingChange.bind(this);
+    this._onSidebarTriggerMappingRemove = this._onSidebarTriggerMappingRemove.bind(this);
+    this._onSidebarHTriggerChange = this._onSidebarHTriggerChange.bind(this);
+    this._onSidebarScopeSourceChange = this._onSidebarScopeSourceChange.bind(this);
+    this._onSidebarMapperChange = this._onSidebarMapperChange.bind(this);
+    this._onNodePaletteCreate = this._onNodePaletteCreate.bind(this);
+    
+    // Bind node event handlers
+    this._onNodeSelectionChanged = this._onNodeSelectionChanged.bind(this);
+    this._onHTriggerRemoved = this._onHTriggerRemoved.bind(this);
+    
+    // Bind canvas file drop handlers
+    this._onCanvasDragOver = this._onCanvasDragOver.bind(this);
+    this._onCanvasDrop = this._onCanvasDrop.bind(this);
   }
 
   /**
@@ -63,18 +177,34 @@ export default class AppController {
     
     // Initialize canvas
     this.canvas.init();
+    this._setupFileDropListeners();
     
     // Initialize MIDI system
     this.midi.on('ready', this._onMidiReady);
     this.midi.on('error', this._onMidiError);
     this.midi.on('cc-received', this._onMidiCC);
+    this.midi.on('note-received', this._onMidiNote);
+    this.midi.on('program-received', this._onMidiProgram);
+    this.midi.on('cc14-received', this._onMidiCC14);
+    this.midi.on('pitchbend-received', this._onMidiPitchBend);
+    this.midi.on('parameter-received', this._onMidiParameter);
+    this.midi.on('clock-received', this._onMidiClock);
+    this.midi.on('transport-received', this._onMidiTransport);
+    this.midi.on('song-position-received', this._onMidiSongPosition);
     this.midi.on('devices-changed', this._onMidiDevicesChanged.bind(this));
+    this._restoreDeviceSelection();
+    this.midi.on('input-mode-changed', this._onMidiSelectionChanged);
+    this.midi.on('output-selection-changed', this._onMidiSelectionChanged);
     this.midi.init();
     
     // Initialize sidebar
     this.sidebar.init();
     this._setupSidebarEventListeners();
     
+    // Initialize node palette (menu for adding nodes)
+    this.nodePalette.init();
+    document.addEventListener('node-palette-create', this._onNodePaletteCreate);
+    
     // Initialize interaction controller
     this.interaction.init();
     
@@ -82,9 +212,26 @@ export default class AppController {
     this.recording.on('recording-committed', this._onRecordingCommitted);
     this.recording.on('recording-cancelled', this._onRecordingCancelled);
     
+    // Initialize clock follower
+    this.clock.on('tempo-changed', this._onClockTempoChanged);
+    this.clock.on('transport', this._onClockTransport);
+    
+    // Initialize internal transport (clock output)
+    this.transport.on('clock', this._onTransportClock);
+    this.transport.on('transport', this._onTransportEvent);
+    this.transport.on('tempo-changed', this._onTransportTempoChanged);
+    
+    // Initialize MIDI Learn
+    this.learn.on('armed-changed', this._onLearnArmedChanged);
+    this.learn.on('learned', this._onMidiLearned);
+    
     // Create initial example nodes
     this._createExampleNodes();
     
+    // Start the playback clock (drives nodes and output independently of draw())
+    this.scheduler.on('tick', this._onSchedulerTick);
+    this.scheduler.start();
+    
     this.lastFrameTime = performance.now();
     
     console.log('AppController: Setup complete');
@@ -102,8 +249,10 @@ export default class AppController {
     // Clear canvas
     this.canvas.clear();
     
-    // Update all nodes
-    this._updateNodes();
+    // Update recording system if active (CRITICAL for width growth)
+    if (this.recording.isRecording) {
+      this.recording.update(this.deltaTime);
+    }
     
     // Update interaction states (triggers, cursors, etc.)
     this._updateInteractionStates();
@@ -130,8 +279,19 @@ export default class AppController {
    */
   mousePressed(button = 'left', shiftKey = false, altKey = false) {
     console.log(`AppController.mousePressed: button=${button}, shiftKey=${shiftKey}, altKey=${altKey}`);
+    
+    // A press outside the open node palette only closes it
+    if (this.nodePalette.isOpen()) {
+      this.nodePalette.hide();
+      return;
+    }
+    
     this.interaction.handleMousePressed(button, shiftKey, altKey);
   }
+  
+  doubleClicked() {
+    this.interaction.handleDoubleClicked();
+  }
 
   mouseDragged() {
     this.interaction.handleMouseDragged();
@@ -143,12 +303,39 @@ export default class AppController {
 
   /**
    * Keyboard event handlers
+   * @param {KeyboardEvent} event - Raw DOM event (optional)
+   * @returns {boolean|undefined} false to prevent the browser default
    */
-  keyPressed() {
-    // Handle SPACEBAR for stopping all playback
+  keyPressed(event = null) {
+    // Handle Ctrl/Cmd+Z (undo), Shift+Ctrl/Cmd+Z and Ctrl+Y (redo)
+    if (event && (event.ctrlKey || event.metaKey) && !this._isTextInputEvent(event)) {
+      if (keyCode === KEY_Z) {
+        if (event.shiftKey) {
+          this.redo();
+        } else {
+          this.undo();
+        }
+        return false;
+      }
+      if (keyCode === KEY_Y) {
+        this.redo();
+        return false;
+      }
+      if (keyCode === KEY_G && event.shiftKey) {
+        this.ungroupSelection();
+        return false;
+      }
+    }
+
+    // Handle SPACEBAR for pause/resume, SHIFT+SPACEBAR for stopping all playback (and the internal transport)
     if (keyCode === KEY_SPACE) {
-      console.log('SPACEBAR pressed - stopping all playback');
-      this.stopAllPlayback();
+      if (event && event.shiftKey) {
+        console.log('SHIFT+SPACEBAR pressed - stopping all playback');
+        this.stopTransport();
+      } else {
+        console.log('SPACEBAR pressed - toggling pause');
+        this.togglePause();
+      }
       return;
     }
 
@@ -163,6 +350,10 @@ export default class AppController {
     if (keyCode === KEY_ESCAPE) {
       console.log('ESC pressed - cancelling recording and clearing states');
 
+      // Stop listening for MIDI Learn
+      this.learn.cancel();
+      this.nodePalette.hide();
+
       // Cancel any active recording
       if (this.recording.isRecording) {
         this.cancelRecording();
@@ -183,18 +374,89 @@ export default class AppController {
       if (this.recordingRenderer) {
         this.recordingRenderer.clearBuffers();
       }
+
+      this.clearSelection();
+    }
+  }
+
+  /**
+   * Undo the last canvas edit
+   */
+  undo() {
+    if (this.interaction.isBusy()) return;
+    if (this.history.undo()) {
+      this.interaction.reset();
+    }
+  }
+
+  /**
+   * Redo the last undone canvas edit
+   */
+  redo() {
+    if (this.interaction.isBusy()) return;
+    if (this.history.redo()) {
+      this.interaction.reset();
+    }
+  }
+
+  /**
+   * Check whether a key event targets a text field (let the browser handle it)
+   * @private
+   */
+  _isTextInputEvent(event) {
+    const target = event.target;
+    return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+  }
+
+  /**
+   * Get currently selected nodes
+   * @returns {Array} Selected nodes
+   */
+  getSelectedNodes() {
+    return this.nodes.filter(node => node.selected);
+  }
+
+  /**
+   * Take the selected nodes out of their groups (one undo step)
+   */
+  ungroupSelection() {
+    const grouped = this.getSelectedNodes().filter(node => node.group);
+    if (grouped.length === 0) return;
+    
+    const before = this.groups.snapshot();
+    for (const node of grouped) {
+      this.groups.detach(node);
+    }
+    this.history.record(new GroupChangeCommand(this, 'Ungroup', before, this.groups.snapshot()));
+    
+    console.log(`Ungrouped ${grouped.length} node(s)`);
+  }
+
+  /**
+   * Deselect all nodes
+   */
+  clearSelection() {
+    for (const node of this.nodes) {
+      node.setSelected(false);
     }
   }
 
   /**
    * Add node to the scene
+   * @param {object} node - Node to add
+   * @param {number} index - Render-order position (defaults to front-most)
    */
-  addNode(node) {
-    this.nodes.push(node);
+  addNode(node, index = this.nodes.length) {
+    this.nodes.splice(Math.max(0, Math.min(index, this.nodes.length)), 0, node);
     
     // Set up node event listeners
     node.on('playback-started', (data) => {
       console.log(`Node ${data.node.label} started playing`);
+      
+      // Click or VTrigger start can start external sequencers too
+      if (this.transportStartsWithNodes && this.transport.enabled && !this.transport.running) {
+        this.transport.start();
+      }
     });
     
     node.on('playback-complete', (data) => {
@@ -205,6 +467,26 @@ export default class AppController {
       console.log(`Node ${data.node.label} sent CC${data.cc}: ${data.value}`);
     });
     
+    node.on('curve-changed', (data) => {
+      // Undo/redo can switch the curve type shown in the mapper inspector
+      if (data.node === this._getInspectedMapper()) {
+        this._updateMapperInspector();
+      }
+    });
+    
+    node.on('selection-changed', this._onNodeSelectionChanged);
+    node.on('htrigger-removed', this._onHTriggerRemoved);
+    if (node.selected) {
+      this._onNodeSelectionChanged();
+    }
+    
+    if (typeof node.setTempo === 'function') {
+      node.setTempo(this._getSyncTempo());
+      node.setReferenceTempo(this.transport.bpm);
+      node.setPlaybackRate(this.playbackRate);
+    }
+    this._refreshTriggerMappings();
+    
     console.log(`Added node: ${node.label} at (${node.x}, ${node.y})`);
   }
 
@@ -215,8 +497,23 @@ export default class AppController {
     const index = this.nodes.indexOf(node);
     if (index >= 0) {
       this.nodes.splice(index, 1);
+      this.groups.removeNode(node);
       node.destroy();
       console.log(`Removed node: ${node.label}`);
+      
+      // Stop MIDI Learn aimed at the removed node or one of its ports
+      const learnTarget = this.learn.target;
+      if (learnTarget && (learnTarget.node || learnTarget.port.node) === node) {
+        this.learn.cancel();
+      }
+      this._refreshTriggerMappings();
+      
+      if (this.selectedTrigger && this.selectedTrigger.node === node) {
+        this.selectTrigger(null);
+      }
+      if (node.selected) {
+        this._onNodeSelectionChanged();
+      }
     }
   }
 
@@ -235,22 +532,61 @@ export default class AppController {
   }
 
   /**
-   * Update all nodes
+   * Advance playback on the scheduler clock: send output timestamped up to
+   * `until`, then move playheads, fire triggers and end finished runs
+   * Rendering only reads the resulting node state
+   * @param {object} tick - { now, until, intervalMs, deltaTime } from PlaybackScheduler
    * @private
    */
-  _updateNodes() {
+  _onSchedulerTick({ now, until, intervalMs, deltaTime }) {
+    // Schedule internal clock output ahead of the nodes
+    this.transport.update(now);
+    
+    // Start grouped nodes as their group playhead reaches them
+    this.groups.update(now, until);
+    
     for (const node of this.nodes) {
-      node.update(this.deltaTime);
+      // Trace live inputs (oscilloscopes), firing their HTriggers
+      if (node.sampleInput) {
+        node.sampleInput(this.midi, now);
+      }
       
-      // Send MIDI CC if node is playing
-      if (node.playing && node.sendCurrentCC) {
-        node.sendCurrentCC(this.midi);
+      // Send MIDI output (CC values while playing, note messages)
+      if (node.scheduleOutput) {
+        node.scheduleOutput(this.midi, now, until, intervalMs);
       }
+      node.update(deltaTime);
     }
     
-    // Update recording system if active (CRITICAL for width growth)
-    if (this.recording.isRecording) {
-      this.recording.update(this.deltaTime);
+    this._propagateSignals(now);
+  }
+
+  /**
+   * Pass each signal output's current value along its cables
+   * An input fed by several cables follows a playing source (the first one when none plays)
+   * @param {number} now - Current time in ms (performance.now() clock)
+   * @private
+   */
+  _propagateSignals(now) {
+    const sources = new Map(); // Target port -> chosen source port
+    for (const connection of this.connections) {
+      if (!connection.isSignal) continue;
+      
+      const source = connection.getSourcePort();
+      const target = connection.getTargetPort();
+      const chosen = sources.get(target);
+      if (!chosen || (source.node.playing && !chosen.node.playing)) {
+        sources.set(target, source);
+      }
+    }
+    
+    for (const [target, source] of sources) {
+      const value = source.node.getSignalValue(now);
+      source.value = value;
+      if (value === null) continue;
+      
+      target.value = value;
+      target.node.receiveSignal(value, now);
     }
   }
 
@@ -277,11 +613,46 @@ export default class AppController {
    */
   _renderNodes() {
     const interactionState = this.interaction.getNodeRenderingState();
+    const now = performance.now();
+    
+    for (const group of this.groups.groups) {
+      this.nodeRenderer.drawGroupOutline(this.groups.getBounds(group));
+    }
+    
+    // Signal ports show near the mouse, or while cabled
+    const cabledPorts = new Set();
+    for (const connection of this.connections) {
+      cabledPorts.add(connection.portA);
+      cabledPorts.add(connection.portB);
+    }
+    const mousePos = this.canvas.getMousePos();
     
     for (const node of this.nodes) {
-      const nodeState = interactionState[node.id] || {};
-      this.nodeRenderer.draw(node, nodeState);
+      const nearMouse = pointRectDistance(mousePos.x, mousePos.y, node.x, node.y, node.w, node.h) <= PORT_VIS_PX;
+      const nodeState = {
+        ...interactionState[node.id],
+        signalPorts: node.getSignalPorts().filter(port => nearMouse || cabledPorts.has(port))
+      };
+      this._getNodeRenderer(node).draw(node, nodeState);
     }
+    
+    // One playhead per playing group, across all its members
+    for (const group of this.groups.groups) {
+      const playheadX = this.groups.getPlayheadX(group, now);
+      if (playheadX !== null) {
+        this.nodeRenderer.drawGroupPlayhead(playheadX, this.groups.getBounds(group));
+      }
+    }
+  }
+
+  /**
+   * Get the renderer for a node's type
+   * @param {Node} node - Node to draw
+   * @returns {NodeRenderer} Renderer
+   * @private
+   */
+  _getNodeRenderer(node) {
+    return this.nodeRenderers.get(node.constructor) || this.nodeRenderer;
   }
 
   /**
@@ -394,8 +765,20 @@ export default class AppController {
   _onMidiCC(data) {
     console.log(`MIDI CC received: CH${data.channel} CC${data.cc} = ${data.value}`);
     
+    // MIDI Learn and mapped trigger ports (skip NRPN/RPN protocol CCs)
+    if (!data.parameterData && this._routeMidiTrigger({
+      type: 'cc',
+      channel: data.channel,
+      number: data.cc,
+      value: data.value,
+      source: data.source
+    })) {
+      return;
+    }
+    
     // Forward CC data to recording system if recording
-    if (this.recording.isRecording) {
+    // (NRPN/RPN select and data entry CCs arrive as parameter values instead)
+    if (this.recording.isRecording && !data.parameterData) {
       this.recording.recordCC(
         data.channel,
         data.cc,
@@ -404,176 +787,811 @@ export default class AppController {
         data.source
       );
     }
+    
+    // A controller seen for the first time becomes an oscilloscope source
+    if (this.midi.lastSeen.size !== this._seenControllerCount) {
+      this._updateScopeInspector();
+    }
   }
 
-  /**
-   * Recording event handlers
-   * @private
-   */
-  _onRecordingCommitted(data) {
-    console.log(`Recording committed: ${data.tracksCommitted} tracks`);
+  _onMidiNote(data) {
+    console.log(`MIDI Note ${data.on ? 'On' : 'Off'} received: CH${data.channel} N${data.note} V${data.velocity}`);
     
-    // Create nodes from recording data
-    for (const nodeData of data.nodeDataList) {
-      const node = new WaveformNode(
-        nodeData.x,
-        nodeData.y,
-        nodeData.label,
-        nodeData.samples,
-        nodeData.width
-      );
-      
-      node.setCC(nodeData.cc);
-      node.setSourceDeviceName(nodeData.sourceDeviceName);
-      
-      this.addNode(node);
+    // MIDI Learn and mapped trigger ports
+    if (this._routeMidiTrigger({
+      type: 'note',
+      channel: data.channel,
+      number: data.note,
+      value: data.on ? data.velocity : 0,
+      source: data.source
+    })) {
+      return;
     }
     
-    // Clear recording renderer buffers
-    this.recordingRenderer.clearBuffers();
+    // Forward notes to recording system if recording
+    if (this.recording.isRecording) {
+      this.recording.recordNote(
+        data.channel,
+        data.note,
+        data.velocity,
+        data.on,
+        data.timestamp,
+        data.source
+      );
+    }
   }
 
-  _onRecordingCancelled(data) {
-    console.log('Recording cancelled');
+  _onMidiProgram(data) {
+    console.log(`MIDI Program Change received: CH${data.channel} P${data.program}`);
     
-    // Clear recording renderer buffers
-    this.recordingRenderer.clearBuffers();
+    this._routeMidiTrigger({
+      type: 'program',
+      channel: data.channel,
+      number: data.program,
+      value: null,
+      source: data.source
+    });
   }
 
   /**
-   * Public methods for interaction controller
-   */
-
-  /**
-   * Start recording at position
-   * @param {number} x - X position
-   * @param {number} y - Y position
+   * Offer an incoming note/CC/program change to MIDI Learn, then fire the ports mapped to it
+   * @param {object} message - { type: 'cc'|'note'|'program', channel (1-16), number, value, source }
+   * @returns {boolean} True if MIDI Learn consumed the message
+   * @private
    */
-  startRecording(x, y) {
-    if (this.recording.isRecording) {
-      this.recording.stopRecording();
+  _routeMidiTrigger(message) {
+    const portIds = this.triggerMap.match(message); // Always runs so CC press detection sees every value
+    if (this.learn.capture(message)) return true;
+    
+    for (const portId of portIds) {
+      const port = this._findInputPort(portId);
+      if (port) {
+        port.fire();
+      }
     }
-    this.recording.startRecording(x, y);
-    console.log(`Started recording at (${x}, ${y})`);
+    return false;
   }
 
   /**
-   * Commit current recording
+   * Find an input port in the scene by ID
+   * @param {string} portId - Port ID
+   * @returns {Port|null} Port or null if its trigger is gone
+   * @private
    */
-  commitRecording() {
-    if (this.recording.isRecording) {
-      this.recording.commitRecording();
+  _findInputPort(portId) {
+    for (const node of this.nodes) {
+      if (typeof node.getAllPorts !== 'function') continue;
+      
+      const port = node.getAllPorts().find(p => p.id === portId && p.role === 'in' && p.kind === PORT_KIND_TRIGGER);
+      if (port) return port;
     }
+    return null;
   }
 
   /**
-   * Cancel current recording
+   * Show the trigger mappings whose ports are in the scene
+   * (mappings of deleted triggers are kept so undo brings them back)
+   * @private
    */
-  cancelRecording() {
-    if (this.recording.isRecording) {
-      this.recording.cancelRecording();
+  _refreshTriggerMappings() {
+    const rows = [];
+    for (const mapping of this.triggerMap.mappings) {
+      const port = this._findInputPort(mapping.portId);
+      if (!port) continue;
+      
+      const position = typeof port.trigger.u === 'number' ? ` @ ${Math.round(port.trigger.u * 100)}%` : '';
+      rows.push({
+        portId: mapping.portId,
+        target: `${port.node.label}${position}`,
+        message: MidiTriggerMap.describe(mapping),
+        threshold: mapping.type === 'cc' ? mapping.threshold : null
+      });
     }
+    this.sidebar.updateTriggerMappings(rows);
   }
 
   /**
-   * Stop playback on all nodes
+   * Show an HTrigger's hysteresis and re-fire interval in the trigger inspector
+   * @param {HTrigger|null} trigger - Trigger to edit, null to clear
    */
-  stopAllPlayback() {
-    let stoppedCount = 0;
+  selectTrigger(trigger) {
+    if (this.selectedTrigger === trigger) return;
     
-    for (const node of this.nodes) {
-      if (node.playing) {
-        node.stopPlayback();
-        stoppedCount++;
-      }
+    if (this.selectedTrigger) {
+      this.selectedTrigger.selected = false;
     }
-    
-    console.log(`Stopped ${stoppedCount} playing node(s)`);
+    this.selectedTrigger = trigger;
+    if (trigger) {
+      trigger.selected = true;
+    }
+    this.sidebar.updateTriggerInspector(trigger ? trigger.getSettings() : null);
   }
 
   /**
-   * Check if recording overlay blocks interaction
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
-   * @returns {boolean} True if blocked
+   * Clear the trigger inspector when its trigger is deleted
+   * @private
    */
-  isRecordingBlocking(x, y) {
-    const session = this.recording.getSessionForRendering();
-    if (!session) return false;
-    
-    return this.recordingRenderer.hitTest(session, x, y);
+  _onHTriggerRemoved(data) {
+    if (data.trigger === this.selectedTrigger) {
+      this.selectTrigger(null);
+    }
   }
 
   /**
-   * Get recording hit test
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
-   * @returns {object|null} Recording track or null
+   * Arm MIDI Learn for a node or a trigger input port (again to disarm)
+   * @param {object} target - { kind: 'node', node } or { kind: 'port', port }
    */
-  getRecordingHit(x, y) {
-    return this.recording.hitTest(x, y);
+  armMidiLearn(target) {
+    this.learn.arm(target);
+  }
+
+  _onLearnArmedChanged(data) {
+    const inspected = this._getInspectedNode();
+    this.sidebar.updateNodeLearn(!!inspected && this.learn.isArmed(inspected));
   }
 
   /**
-   * Render connections
+   * Apply a learned message: a node takes the CC, channel and source device;
+   * a port is mapped so the message fires it from now on
    * @private
    */
-  _renderConnections() {
-    // Get connection states from interaction controller
-    const connectionStates = {};
-    for (const connection of this.connections) {
-      connectionStates[connection.id] = {
-        isHovered: connection.isHovered
-      };
+  _onMidiLearned({ target, message }) {
+    if (target.kind === 'port') {
+      const mapping = this.triggerMap.set(target.port.id, message);
+      console.log(`MIDI Learn: ${MidiTriggerMap.describe(mapping)} fires trigger input`);
+      this._refreshTriggerMappings();
+      return;
     }
     
-    // Render all connections
-    this.connectionRenderer.drawConnections(this.connections, connectionStates);
-    
-    // Render cable drag preview if active
-    if (this.interaction.cableDrag.active && this.interaction.cableDrag.startPort) {
-      const mousePos = this.canvas.getMousePos();
-      this.connectionRenderer.drawDragPreview(
-        this.interaction.cableDrag.startPort,
-        mousePos.x,
-        mousePos.y,
-        this.interaction.cableDrag.portType // Pass the port type for correct positioning
-      );
+    const node = target.node;
+    if (!node.notes) {
+      node.setCC(message.number);
+      if (node.outputMode !== OUTPUT_MODE_CC && node.outputMode !== OUTPUT_MODE_CC14) {
+        node.setOutputMode(OUTPUT_MODE_CC);
+      }
     }
-
-    // Draw hover delete icon on hovered connection (no right-click overlay)
-    if (this.interaction.hoveredConnection && this.interaction.hoveredConnection.getMidpoint) {
-      const mid = this.interaction.hoveredConnection.getMidpoint();
-      this.canvas.drawDeleteIcon(mid.x, mid.y, DELETE_ICON_R);
+    node.setSourceDeviceName(message.source ? message.source.name : '');
+    this._applyCapturedRouting(node, message);
+    console.log(`MIDI Learn: ${node.label} on CH${message.channel}`);
+    
+    if (this._getInspectedNode() === node) {
+      this.sidebar.updateNodeInspector(node.getOutputSettings());
     }
   }
 
-  /**
-   * Add connection between two ports
-   * @param {object} connection - Connection to add
-   */
-  addConnection(connection) {
-    this.connections.push(connection);
-    console.log(`Added connection: ${connection.id}`);
+  _onMidiCC14(data) {
+    // Forward 14-bit pairs to recording system if recording
+    if (this.recording.isRecording) {
+      this.recording.recordCC14(
+        data.channel,
+        data.cc,
+        data.value,
+        data.timestamp,
+        data.source
+      );
+    }
   }
 
-  /**
-   * Remove connection
-   * @param {object} connection - Connection to remove
-   */
-  removeConnection(connection) {
-    const index = this.connections.indexOf(connection);
-    if (index >= 0) {
-      this.connections.splice(index, 1);
-      console.log(`Removed connection: ${connection.id}`);
+  _onMidiPitchBend(data) {
+    // Forward pitch bend to recording system if recording
+    if (this.recording.isRecording) {
+      this.recording.recordPitchBend(
+        data.channel,
+        data.value,
+        data.timestamp,
+        data.source
+      );
     }
   }
 
-  /**
-   * Split a node into two nodes with connection remapping
-   * @param {object} originalNode - Original node to replace
-   * @param {object} leftNode - New left node
-   * @param {object} rightNode - New right node
+  _onMidiParameter(data) {
+    console.log(`MIDI ${data.type.toUpperCase()} received: CH${data.channel} #${data.parameter} = ${data.value}`);
+    
+    // Forward NRPN/RPN values to recording system if recording
+    if (this.recording.isRecording) {
+      this.recording.recordParameter(
+        data.channel,
+        data.type,
+        data.parameter,
+        data.value,
+        data.timestamp,
+        data.source
+      );
+    }
+  }
+
+  _onMidiClock(data) {
+    this.clock.clock(data.timestamp);
+  }
+
+  _onMidiTransport(data) {
+    console.log(`MIDI transport received: ${data.type}`);
+    
+    switch (data.type) {
+      case 'start':
+        this.clock.start();
+        break;
+      case 'continue':
+        this.clock.continue();
+        break;
+      case 'stop':
+        this.clock.stop();
+        break;
+    }
+  }
+
+  _onMidiSongPosition(data) {
+    this.clock.setSongPosition(data.position);
+  }
+
+  /**
+   * Clock follower event handlers
+   * @private
+   */
+  _onClockTempoChanged(data) {
+    if (this.clockFollow) {
+      this._applyClockTempo();
+    }
+    this._updateClockStatus();
+  }
+
+  _onClockTransport(data) {
+    this._updateClockStatus();
+    if (!this.clockFollow) return;
+    
+    if (data.type === 'stop') {
+      this.stopAllPlayback();
+    } else {
+      this.startPatch(data.beat);
+    }
+  }
+
+  /**
+   * Internal transport event handlers - forward to the MIDI outputs
+   * @private
+   */
+  _onTransportClock(data) {
+    this.midi.sendClock(data.timestamp);
+  }
+
+  _onTransportEvent(data) {
+    switch (data.type) {
+      case 'start':
+        this.midi.sendStart(data.timestamp);
+        break;
+      case 'continue':
+        this.midi.sendSongPosition(data.beat * 4, data.timestamp); // MIDI beats are 16th notes
+        this.midi.sendContinue(data.timestamp);
+        break;
+      case 'stop':
+        this.midi.sendStop(data.timestamp);
+        break;
+    }
+    this._updateClockStatus();
+  }
+
+  _onTransportTempoChanged() {
+    this._applyClockTempo();
+    this._updateClockStatus();
+  }
+
+  /**
+   * Get the tempo nodes are locked to: the followed clock, the internal
+   * transport while it sends clock, or null (free-running)
+   * @returns {number|null} BPM
+   * @private
+   */
+  _getSyncTempo() {
+    if (this.clockFollow) return this.clock.bpm;
+    if (this.transport.enabled) return this.transport.bpm;
+    return null;
+  }
+
+  /**
+   * Show the active clock (internal transport or incoming) in the sidebar
+   * @private
+   */
+  _updateClockStatus() {
+    if (this.transport.enabled) {
+      this.sidebar.updateClockStatus({ bpm: this.transport.bpm, running: this.transport.running, sending: true });
+    } else {
+      this.sidebar.updateClockStatus({ bpm: this.clock.bpm, running: this.clock.running, sending: false });
+    }
+  }
+
+  /**
+   * Set every node to the sync tempo (or back to free-running)
+   * @private
+   */
+  _applyClockTempo() {
+    const bpm = this._getSyncTempo();
+    for (const node of this.nodes) {
+      if (typeof node.setTempo === 'function') {
+        node.setTempo(bpm);
+        node.setReferenceTempo(this.transport.bpm); // Beat lengths while free-running
+      }
+    }
+    this.groups.setTempo(bpm);
+  }
+
+  /**
+   * Recording event handlers
+   * @private
+   */
+  _onRecordingCommitted(data) {
+    console.log(`Recording committed: ${data.tracksCommitted} tracks`);
+    
+    // Create nodes from recording data (one undo step for the whole take)
+    const nodes = data.nodeDataList.map(nodeData => this._createNodeFromData(nodeData));
+    if (nodes.length) {
+      this.history.record(new CompoundCommand('Record', nodes.map(node => new AddNodeCommand(this, node))));
+    }
+    
+    // Clear recording renderer buffers
+    this.recordingRenderer.clearBuffers();
+  }
+
+  /**
+   * Create a node from recording/import node data
+   * @param {object} nodeData - Node data ({ x, y, label, samples, width, cc, channel, source, sourceDeviceName },
+   *   or { type: 'notes', x, y, label, notes, width, channel, source, sourceDeviceName } for note lanes)
+   * @returns {WaveformNode} Created node
+   * @private
+   */
+  _createNodeFromData(nodeData) {
+    if (nodeData.type === 'notes') {
+      const noteNode = new NoteNode(nodeData.x, nodeData.y, nodeData.label, nodeData.notes, nodeData.width);
+      noteNode.setSourceDeviceName(nodeData.sourceDeviceName);
+      this._applyCapturedRouting(noteNode, nodeData);
+      if (nodeData.durationMs > 0) {
+        noteNode.setLengthMs(nodeData.durationMs);
+      }
+      
+      this.addNode(noteNode);
+      return noteNode;
+    }
+    
+    const node = new WaveformNode(
+      nodeData.x,
+      nodeData.y,
+      nodeData.label,
+      nodeData.samples,
+      nodeData.width
+    );
+    
+    if (nodeData.cc != null) {
+      node.setCC(nodeData.cc);
+    }
+    if (nodeData.parameter != null) {
+      node.setParameter(nodeData.parameter);
+    }
+    if (nodeData.outputMode) {
+      node.setOutputMode(nodeData.outputMode);
+    }
+    node.setSourceDeviceName(nodeData.sourceDeviceName);
+    this._applyCapturedRouting(node, nodeData);
+    if (nodeData.durationMs > 0) {
+      node.setLengthMs(nodeData.durationMs); // Recordings keep their real timing
+    }
+    
+    this.addNode(node);
+    return node;
+  }
+
+  /**
+   * Route a recorded node back to where it was captured from:
+   * the recorded channel, and the output port of the source device when there is one
+   * @param {WaveformNode} node - New node
+   * @param {object} nodeData - Node data with channel (1-16) and source input info
+   * @private
+   */
+  _applyCapturedRouting(node, nodeData) {
+    if (typeof nodeData.channel === 'number') {
+      node.setOutputChannel(nodeData.channel - 1);
+    }
+    
+    const output = this.midi.findOutputForSource(nodeData.source);
+    if (output) {
+      node.setOutputDevices([output.id]);
+    }
+  }
+
+  _onRecordingCancelled(data) {
+    console.log('Recording cancelled');
+    
+    // Clear recording renderer buffers
+    this.recordingRenderer.clearBuffers();
+  }
+
+  /**
+   * Public methods for interaction controller
+   */
+
+  /**
+   * Start recording at position
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   */
+  startRecording(x, y) {
+    if (this.recording.isRecording) {
+      this.recording.stopRecording();
+    }
+    this.recording.startRecording(x, y);
+    console.log(`Started recording at (${x}, ${y})`);
+  }
+
+  /**
+   * Open the node palette on empty canvas
+   * @param {number} x - X position (the new node's top-left corner)
+   * @param {number} y - Y position
+   */
+  openNodePalette(x, y) {
+    // The clicks of a double-click start a recording; drop it while nothing was recorded
+    const session = this.recording.getSessionForRendering();
+    if (session && session.trackList.length === 0) {
+      this.cancelRecording();
+    }
+    
+    this.nodePalette.show(x, y, this.getNodePaletteEntries());
+    console.log(`Opened node palette at (${x}, ${y})`);
+  }
+
+  /**
+   * List what the node palette offers: every registered node type, then the generator presets
+   * @returns {Array} [{ id, label, group, keywords }]
+   */
+  getNodePaletteEntries() {
+    const entries = getNodeTypes().map(({ typeName, label }) => ({
+      id: `type:${typeName}`,
+      label,
+      group: 'Node',
+      keywords: typeName
+    }));
+    
+    for (const [name, preset] of Object.entries(WAVEFORM_PRESETS)) {
+      entries.push({
+        id: `preset:${name}`,
+        label: preset.label,
+        group: 'Generator',
+        keywords: `${name} waveform`
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Create a node from a node palette entry, kept inside the canvas (one undo step)
+   * @param {string} id - Entry ID from getNodePaletteEntries()
+   * @param {number} x - X position (top-left corner)
+   * @param {number} y - Y position
+   * @returns {object|null} Created node or null if the entry is unknown
+   */
+  createNodeFromPalette(id, x, y) {
+    const [kind, name] = id.split(':');
+    let node = null;
+    
+    if (kind === 'preset' && WAVEFORM_PRESETS[name]) {
+      node = new WaveformNode(x, y, undefined, WAVEFORM_PRESETS[name].generate(DEFAULT_NODE_SAMPLES));
+    } else if (kind === 'type') {
+      const NodeClass = getNodeType(name);
+      node = NodeClass ? new NodeClass(x, y) : null;
+    }
+    
+    if (!node) {
+      console.warn(`Cannot create node - unknown palette entry "${id}"`);
+      return null;
+    }
+    
+    const { width, height } = this.canvas.getDimensions();
+    node.setPosition(
+      Math.max(0, Math.min(x, width - node.w - NODE_PALETTE_EDGE_PAD)),
+      Math.max(0, Math.min(y, height - node.h - NODE_PALETTE_EDGE_PAD))
+    );
+    
+    this.history.execute(new AddNodeCommand(this, node));
+    console.log(`Created ${node.constructor.name} "${node.label}" from the node palette`);
+    return node;
+  }
+
+  /**
+   * Commit current recording
+   */
+  commitRecording() {
+    if (this.recording.isRecording) {
+      this.recording.commitRecording();
+    }
+  }
+
+  /**
+   * Cancel current recording
+   */
+  cancelRecording() {
+    if (this.recording.isRecording) {
+      this.recording.cancelRecording();
+    }
+  }
+
+  /**
+   * Launch the patch: restart every node that is not triggered by a cable
+   * @param {number} beat - Song position in beats; tempo-locked nodes start at
+   *   the matching point of their loop (0 = from the top)
+   */
+  startPatch(beat = 0) {
+    this.playbackPaused = false;
+    this._transportPaused = false;
+    
+    const triggeredPorts = new Set();
+    for (const connection of this.connections) {
+      triggeredPorts.add(connection.portA);
+      triggeredPorts.add(connection.portB);
+    }
+    
+    let startedCount = 0;
+    const startedGroups = new Set();
+    for (const node of this.nodes) {
+      if (typeof node.startPlaybackFromU !== 'function') continue;
+      
+      const ports = node.getAllPorts();
+      if (ports.some(port => port.role === 'in' && port.kind === PORT_KIND_TRIGGER && triggeredPorts.has(port))) continue;
+      
+      // A group plays once, from where its playhead is at the song position
+      if (node.group) {
+        if (!startedGroups.has(node.group)) {
+          startedGroups.add(node.group);
+          const bounds = this.groups.getBounds(node.group);
+          let x = bounds.x;
+          if (beat > 0 && this.groups.tempoBpm) {
+            const travel = beat * 60000 / this.groups.tempoBpm * this.groups.getPace(); // Playhead pixels since beat 0
+            x += travel % bounds.w;
+          }
+          this.groups.playFrom(node.group, x);
+          startedCount++;
+        }
+        continue;
+      }
+      
+      node.stopPlayback();
+      if (beat > 0 && node.tempoBpm) {
+        const beats = node.durationMs * node.tempoBpm / 60000; // One pass, at the node's speed
+        node.startPlaybackFromU((beat % beats) / beats);
+      } else {
+        node.startPlayback();
+      }
+      startedCount++;
+    }
+    
+    console.log(`Started ${startedCount} node(s) at beat ${beat}`);
+  }
+
+  /**
+   * Start the internal transport (sends Start) and launch the patch
+   */
+  startTransport() {
+    if (!this.transport.enabled) return;
+    
+    this.transport.start();
+    this.startPatch(0);
+  }
+
+  /**
+   * Continue the internal transport from its song position
+   */
+  continueTransport() {
+    if (!this.transport.enabled || this.transport.running) return;
+    
+    this.transport.continue();
+    this.startPatch(this.transport.getBeat());
+  }
+
+  /**
+   * Stop the internal transport (sends Stop) and all playback
+   */
+  stopTransport() {
+    this.transport.stop();
+    this.stopAllPlayback();
+  }
+
+  /**
+   * Stop playback on all nodes (paused ones included)
+   */
+  stopAllPlayback() {
+    let stoppedCount = 0;
+    
+    for (const node of this.nodes) {
+      if (node.playing || node.paused) {
+        node.stopPlayback();
+        stoppedCount++;
+      }
+    }
+    this.groups.stopRuns();
+    
+    this.playbackPaused = false;
+    this._transportPaused = false;
+    console.log(`Stopped ${stoppedCount} playing node(s)`);
+  }
+
+  /**
+   * Play: resume a paused patch, otherwise launch it from the top
+   * (through the internal transport while it sends clock)
+   */
+  play() {
+    if (this.playbackPaused) {
+      this.resumeAllPlayback();
+    } else if (this.transport.enabled) {
+      this.startTransport();
+    } else {
+      this.startPatch(0);
+    }
+  }
+
+  /**
+   * Set the global playback rate (multiplies every node's speed)
+   * Playing nodes continue from where they are
+   * @param {number} rate - Multiplier (1 = normal speed)
+   */
+  setPlaybackRate(rate) {
+    this.playbackRate = clamp(Number(rate) || 1, PLAYBACK_MIN_RATE, PLAYBACK_MAX_RATE);
+    
+    for (const node of this.nodes) {
+      if (typeof node.setPlaybackRate === 'function') {
+        node.setPlaybackRate(this.playbackRate);
+      }
+    }
+    this.groups.setPlaybackRate(this.playbackRate);
+    
+    console.log(`Playback rate set to ×${this.playbackRate}`);
+  }
+
+  /**
+   * Hold every playing node where it is
+   * A running internal transport sends Stop and keeps its song position for the resume
+   */
+  pauseAllPlayback() {
+    if (this.playbackPaused) return;
+    
+    const now = performance.now();
+    let pausedCount = 0;
+    
+    for (const node of this.nodes) {
+      if (node.playing && typeof node.pausePlayback === 'function') {
+        node.pausePlayback(now);
+        pausedCount++;
+      }
+    }
+    
+    const groupsRunning = this.groups.hasRuns();
+    this.groups.pauseRuns(now);
+    
+    this._transportPaused = this.transport.running;
+    this.transport.stop(now);
+    this.playbackPaused = pausedCount > 0 || groupsRunning || this._transportPaused;
+    
+    console.log(`Paused ${pausedCount} playing node(s)`);
+  }
+
+  /**
+   * Continue every paused node from exactly where it was held
+   * The internal transport sends Continue (from its 16th-note song position)
+   */
+  resumeAllPlayback() {
+    if (!this.playbackPaused) return;
+    
+    const now = performance.now();
+    let resumedCount = 0;
+    
+    if (this._transportPaused) {
+      this.transport.continue(now);
+    }
+    for (const node of this.nodes) {
+      if (node.paused) {
+        node.resumePlayback(now);
+        resumedCount++;
+      }
+    }
+    this.groups.resumeRuns(now);
+    
+    this.playbackPaused = false;
+    this._transportPaused = false;
+    console.log(`Resumed ${resumedCount} paused node(s)`);
+  }
+
+  /**
+   * Pause while anything plays, resume while paused, otherwise play
+   */
+  togglePause() {
+    if (this.playbackPaused) {
+      this.resumeAllPlayback();
+    } else if (this.transport.running || this.groups.hasRuns() || this.nodes.some(node => node.playing)) {
+      this.pauseAllPlayback();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Check if recording overlay blocks interaction
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {boolean} True if blocked
+   */
+  isRecordingBlocking(x, y) {
+    const session = this.recording.getSessionForRendering();
+    if (!session) return false;
+    
+    return this.recordingRenderer.hitTest(session, x, y);
+  }
+
+  /**
+   * Get recording hit test
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {object|null} Recording track or null
+   */
+  getRecordingHit(x, y) {
+    return this.recording.hitTest(x, y);
+  }
+
+  /**
+   * Render connections
+   * @private
+   */
+  _renderConnections() {
+    // Get connection states from interaction controller
+    const connectionStates = {};
+    for (const connection of this.connections) {
+      connectionStates[connection.id] = {
+        isHovered: connection.isHovered
+      };
+    }
+    
+    // Render all connections
+    this.connectionRenderer.drawConnections(this.connections, connectionStates);
+    
+    // Render cable drag preview if active
+    if (this.interaction.cableDrag.active && this.interaction.cableDrag.startPort) {
+      const mousePos = this.canvas.getMousePos();
+      this.connectionRenderer.drawDragPreview(
+        this.interaction.cableDrag.startPort,
+        mousePos.x,
+        mousePos.y,
+        this.interaction.cableDrag.portType // Pass the port type for correct positioning
+      );
+    }
+
+    // Draw hover delete icon on hovered connection (no right-click overlay)
+    if (this.interaction.hoveredConnection && this.interaction.hoveredConnection.getMidpoint) {
+      const mid = this.interaction.hoveredConnection.getMidpoint();
+      this.canvas.drawDeleteIcon(mid.x, mid.y, DELETE_ICON_R);
+    }
+  }
+
+  /**
+   * Add connection between two ports
+   * @param {object} connection - Connection to add
+   * @param {number} index - Position in the connection list (defaults to the end)
+   */
+  addConnection(connection, index = this.connections.length) {
+    this.connections.splice(Math.max(0, Math.min(index, this.connections.length)), 0, connection);
+    console.log(`Added connection: ${connection.id}`);
+  }
+
+  /**
+   * Remove connection
+   * @param {object} connection - Connection to remove
+   */
+  removeConnection(connection) {
+    const index = this.connections.indexOf(connection);
+    if (index >= 0) {
+      this.connections.splice(index, 1);
+      console.log(`Removed connection: ${connection.id}`);
+    }
+  }
+
+  /**
+   * Split a node into two nodes with connection remapping
+   * @param {object} originalNode - Original node to replace
+   * @param {object} leftNode - New left node
+   * @param {object} rightNode - New right node
    * @param {Map} portMap - Map of old ports to new ports
    */
   splitNode(originalNode, leftNode, rightNode, portMap) {
@@ -599,40 +1617,201 @@ export default class AppController {
         newConnections.push(connection);
         continue;
       }
-      
-      // Get new port(s) for each end
-      const newPortA = aIsOldPort ? portMap.get(portA) : portA;
-      const newPortB = bIsOldPort ? portMap.get(portB) : portB;
-      
-      // Handle cases where a port maps to multiple new ports (array)
-      const portsA = Array.isArray(newPortA) ? newPortA : [newPortA];
-      const portsB = Array.isArray(newPortB) ? newPortB : [newPortB];
-      
-      // Create connections for all combinations (for HTriggers and split-point VTriggers)
-      for (const pA of portsA) {
-        for (const pB of portsB) {
-          // Import Connection class dynamically
-          import('../models/Connection.js').then(({ default: Connection }) => {
-            const newConnection = new Connection(pA, pB);
-            newConnections.push(newConnection);
-            console.log(`Remapped connection: old ports → new ports`);
-          }).catch(error => {
-            console.error('Failed to create remapped connection:', error);
-          });
-        }
+      
+      // Get new port(s) for each end
+      const newPortA = aIsOldPort ? portMap.get(portA) : portA;
+      const newPortB = bIsOldPort ? portMap.get(portB) : portB;
+      
+      // Handle cases where a port maps to multiple new ports (array)
+      const portsA = Array.isArray(newPortA) ? newPortA : [newPortA];
+      const portsB = Array.isArray(newPortB) ? newPortB : [newPortB];
+      
+      // Create connections for all combinations (for HTriggers and split-point VTriggers)
+      for (const pA of portsA) {
+        for (const pB of portsB) {
+          newConnections.push(new Connection(pA, pB));
+          console.log(`Remapped connection: old ports → new ports`);
+        }
+      }
+    }
+    
+    this.connections = newConnections;
+    console.log(`Remapped ${this.connections.length} connections after split`);
+    
+    // Carry MIDI trigger mappings over to the new input ports
+    // (the old mappings stay so undoing the split restores them)
+    for (const mapping of [...this.triggerMap.mappings]) {
+      const oldPort = [...portMap.keys()].find(port => port.id === mapping.portId);
+      if (!oldPort) continue;
+      
+      const newPorts = portMap.get(oldPort);
+      for (const newPort of Array.isArray(newPorts) ? newPorts : [newPorts]) {
+        if (newPort && newPort.role === 'in') {
+          this.triggerMap.set(newPort.id, mapping);
+        }
+      }
+    }
+    
+    // The halves take the original's place in its group
+    this.groups.replaceNode(originalNode, [leftNode, rightNode]);
+    
+    // Remove original node (after connections are remapped)
+    this.removeNode(originalNode);
+    
+    console.log(`Split complete: "${originalNode.label}" → 2 nodes with ${this.connections.length} connections`);
+  }
+
+  /**
+   * Serialize the whole scene (nodes, triggers, ports, connections)
+   * into a versioned patch document
+   * @returns {object} Patch document
+   */
+  serializeScene() {
+    return {
+      format: PATCH_FORMAT_ID,
+      version: PATCH_FORMAT_VERSION,
+      savedAt: new Date().toISOString(),
+      nodes: this.nodes.map(node => node.toJSON()),
+      connections: this.connections.map(connection => connection.toJSON()),
+      triggerMappings: this.triggerMap.toJSON().filter(mapping => this._findInputPort(mapping.portId)),
+      groups: this.groups.toJSON()
+    };
+  }
+
+  /**
+   * Replace the current scene with a patch document
+   * Node, trigger and port IDs are preserved so connections resolve exactly
+   * @param {object} patch - Patch document from serializeScene()
+   */
+  loadScene(patch) {
+    if (!patch || patch.format !== PATCH_FORMAT_ID) {
+      throw new Error('Not a MIDI Viz patch file');
+    }
+    if (typeof patch.version !== 'number' || patch.version > PATCH_FORMAT_VERSION) {
+      throw new Error(`Unsupported patch version: ${patch.version}`);
+    }
+    
+    // Tear down the current scene
+    this.stopAllPlayback();
+    if (this.recording.isRecording) {
+      this.cancelRecording();
+    }
+    this.groups.clear();
+    for (const node of this.nodes) {
+      node.destroy();
+    }
+    this.nodes = [];
+    this.connections = [];
+    this.interaction.reset();
+    this.history.clear(); // Old history refers to the discarded scene
+    this.learn.cancel();
+    this.selectTrigger(null);
+    this.triggerMap = MidiTriggerMap.fromJSON(patch.triggerMappings);
+    
+    // Restore nodes (with their triggers and ports)
+    for (const nodeData of patch.nodes || []) {
+      const node = createNodeFromJSON(nodeData);
+      if (node) {
+        this.addNode(node);
+      }
+    }
+    
+    // Restore connections by port ID
+    const portsById = new Map();
+    for (const node of this.nodes) {
+      for (const port of node.getAllPorts()) {
+        portsById.set(port.id, port);
+      }
+    }
+    for (const connectionData of patch.connections || []) {
+      const connection = Connection.fromJSON(connectionData, id => portsById.get(id));
+      if (connection) {
+        this.addConnection(connection);
       }
     }
     
-    // Wait a tick for async imports to complete, then update connections
-    setTimeout(() => {
-      this.connections = newConnections;
-      console.log(`Remapped ${this.connections.length} connections after split`);
+    this.groups.load(patch.groups, this.nodes);
+    this._refreshTriggerMappings();
+    
+    console.log(`Loaded patch: ${this.nodes.length} nodes, ${this.connections.length} connections`);
+  }
+
+  /**
+   * Download the current scene as a patch file
+   */
+  savePatch() {
+    const patch = this.serializeScene();
+    const stamp = patch.savedAt.replace(/[:.]/g, '-');
+    downloadFile(
+      `midi-viz-patch-${stamp}${PATCH_FILE_EXTENSION}`,
+      JSON.stringify(patch, null, 2),
+      'application/json'
+    );
+    console.log(`Saved patch: ${patch.nodes.length} nodes, ${patch.connections.length} connections`);
+  }
+
+  /**
+   * Ask the user for a patch file and load it
+   */
+  async openPatch() {
+    const file = await pickFile(`${PATCH_FILE_EXTENSION},application/json`);
+    if (!file) return;
+    
+    try {
+      const text = await readFileAsText(file);
+      this.loadScene(JSON.parse(text));
+    } catch (error) {
+      console.error(`Failed to open patch "${file.name}":`, error);
+    }
+  }
+
+  /**
+   * Export node automation as a Standard MIDI File
+   * Exports the selected nodes, or every waveform node when nothing is selected
+   * @param {object} options - Export options (ppq, bpm, thinning)
+   */
+  exportMidiFile(options = {}) {
+    const selected = this.getSelectedNodes();
+    const nodes = (selected.length ? selected : this.nodes)
+      .filter(node => node instanceof WaveformNode);
+
+    if (!nodes.length) {
+      console.warn('MIDI export: no waveform nodes to export');
+      return;
+    }
+
+    const bytes = exportNodesToMidiFile(nodes, {
+      ...options,
+      channel: this.midi.channel
+    });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadFile(`midi-viz-${stamp}${SMF_FILE_EXTENSION}`, bytes, 'audio/midi');
+    console.log(`Exported ${nodes.length} node(s) to MIDI file (${bytes.length} bytes)`);
+  }
+
+  /**
+   * Import a Standard MIDI File as one waveform node per CC lane
+   * @param {File} file - Dropped .mid file
+   * @param {number} x - Canvas X of the drop
+   * @param {number} y - Canvas Y of the drop
+   */
+  async importMidiFile(file, x, y) {
+    try {
+      const buffer = await readFileAsArrayBuffer(file);
+      const baseName = file.name.replace(/\.(mid|midi|smf)$/i, '');
+      const nodeDataList = importMidiFileAsNodeData(buffer, x, y, baseName);
       
-      // Remove original node (after connections are remapped)
-      this.removeNode(originalNode);
+      if (!nodeDataList.length) {
+        console.warn(`MIDI import: "${file.name}" contains no CC automation`);
+        return;
+      }
       
-      console.log(`Split complete: "${originalNode.label}" → 2 nodes with ${this.connections.length} connections`);
-    }, 0);
+      const nodes = nodeDataList.map(nodeData => this._createNodeFromData(nodeData));
+      this.history.record(new CompoundCommand(`Import ${file.name}`, nodes.map(node => new AddNodeCommand(this, node))));
+      console.log(`Imported ${nodeDataList.length} CC lane(s) from "${file.name}"`);
+    } catch (error) {
+      console.error(`Failed to import MIDI file "${file.name}":`, error);
+    }
   }
 
   /**
@@ -644,6 +1823,8 @@ export default class AppController {
       connections: this.connections.length,
       midi: this.midi.getState(),
       interaction: this.interaction.getState(),
+      history: this.history.getState(),
+      scheduler: { rateHz: this.scheduler.rateHz, clockSource: this.scheduler.clockSource },
       deltaTime: this.deltaTime.toFixed(2)
     };
   }
@@ -656,6 +1837,68 @@ export default class AppController {
     document.addEventListener('sidebar-input-mode-change', this._onSidebarInputModeChange);
     document.addEventListener('sidebar-output-selection-change', this._onSidebarOutputSelectionChange);
     document.addEventListener('sidebar-channel-change', this._onSidebarChannelChange);
+    document.addEventListener('sidebar-patch-save', this._onSidebarPatchSave);
+    document.addEventListener('sidebar-patch-open', this._onSidebarPatchOpen);
+    document.addEventListener('sidebar-midi-export', this._onSidebarMidiExport);
+    document.addEventListener('sidebar-node-output-change', this._onSidebarNodeOutputChange);
+    document.addEventListener('sidebar-node-play-change', this._onSidebarNodePlayChange);
+    document.addEventListener('sidebar-node-timing-change', this._onSidebarNodeTimingChange);
+    document.addEventListener('sidebar-clock-follow-change', this._onSidebarClockFollowChange);
+    document.addEventListener('sidebar-clock-send-change', this._onSidebarClockSendChange);
+    document.addEventListener('sidebar-clock-bpm-change', this._onSidebarClockBpmChange);
+    document.addEventListener('sidebar-clock-start-on-play-change', this._onSidebarClockStartOnPlayChange);
+    document.addEventListener('sidebar-transport-command', this._onSidebarTransportCommand);
+    document.addEventListener('sidebar-playback-command', this._onSidebarPlaybackCommand);
+    document.addEventListener('sidebar-playback-rate-change', this._onSidebarPlaybackRateChange);
+    document.addEventListener('sidebar-node-learn', this._onSidebarNodeLearn);
+    document.addEventListener('sidebar-output-rate-change', this._onSidebarOutputRateChange);
+    document.addEventListener('sidebar-trigger-mapping-change', this._onSidebarTriggerMappingChange);
+    document.addEventListener('sidebar-trigger-mapping-remove', this._onSidebarTriggerMappingRemove);
+    document.addEventListener('sidebar-htrigger-change', this._onSidebarHTriggerChange);
+    document.addEventListener('sidebar-scope-source-change', this._onSidebarScopeSourceChange);
+    document.addEventListener('sidebar-mapper-change', this._onSidebarMapperChange);
+  }
+
+  /**
+   * Setup drag-and-drop of files onto the canvas
+   * @private
+   */
+  _setupFileDropListeners() {
+    const element = this.canvas.getElement();
+    if (!element) return;
+    
+    element.addEventListener('dragover', this._onCanvasDragOver);
+    element.addEventListener('drop', this._onCanvasDrop);
+  }
+
+  /**
+   * Allow files to be dropped onto the canvas
+   * @private
+   */
+  _onCanvasDragOver(event) {
+    event.preventDefault();
+    if (event.dataTransfer) {
+      event.dataTransfer.dropEffect = 'copy';
+    }
+  }
+
+  /**
+   * Handle files dropped onto the canvas
+   * @private
+   */
+  _onCanvasDrop(event) {
+    event.preventDefault();
+    
+    const files = event.dataTransfer ? Array.from(event.dataTransfer.files) : [];
+    const position = this.canvas.clientToCanvas(event.clientX, event.clientY);
+    
+    for (const file of files) {
+      if (/\.(mid|midi|smf)$/i.test(file.name) || file.type === 'audio/midi') {
+        this.importMidiFile(file, position.x, position.y);
+      } else {
+        console.warn(`Ignoring dropped file "${file.name}" - not a MIDI file`);
+      }
+    }
   }
 
   /**
@@ -667,10 +1910,50 @@ export default class AppController {
     this.sidebar.updateInputDevices(data.inputs, this.midi.inputMode);
     this.sidebar.updateOutputDevices(data.outputs, this.midi.outputSelection);
     this.sidebar.updateChannel(this.midi.channel);
+    this._onNodeSelectionChanged(); // Inspector lists the outputs too
+    this._saveDeviceSelection(); // Devices found by name may have a new ID
     
     console.log(`MIDI devices updated: ${data.inputs.length} inputs, ${data.outputs.length} outputs`);
   }
 
+  /**
+   * Handle input/output selection changes: store them and refresh the device lists
+   * @private
+   */
+  _onMidiSelectionChanged() {
+    this._saveDeviceSelection();
+    
+    this.sidebar.updateInputDevices(this.midi.inputs, this.midi.inputMode);
+    this.sidebar.updateOutputDevices(this.midi.outputs, this.midi.outputSelection);
+  }
+
+  /**
+   * Store the device selection for the next session
+   * @private
+   */
+  _saveDeviceSelection() {
+    saveSetting(DEVICE_SELECTION_STORAGE_KEY, {
+      inputs: this.midi.inputMode,
+      outputs: this.midi.outputSelection
+    });
+  }
+
+  /**
+   * Apply the device selection stored by a previous session
+   * @private
+   */
+  _restoreDeviceSelection() {
+    const stored = loadSetting(DEVICE_SELECTION_STORAGE_KEY);
+    if (!stored) return;
+    
+    if (stored.inputs) {
+      this.midi.setInputMode(stored.inputs);
+    }
+    if (stored.outputs) {
+      this.midi.setOutputSelection(stored.outputs);
+    }
+  }
+
   /**
    * Handle sidebar input mode change
    * @private
@@ -701,6 +1984,363 @@ export default class AppController {
     console.log('Sidebar: Channel changed to', channel + 1);
   }
 
+  /**
+   * Handle sidebar clock follow toggle
+   * @private
+   */
+  _onSidebarClockFollowChange(event) {
+    this.clockFollow = !!event.detail;
+    
+    // Following and sending clock at the same time would echo the clock back
+    if (this.clockFollow) {
+      this.transport.setEnabled(false);
+    }
+    this._onSyncModeChanged();
+    console.log(`Sidebar: Clock follow ${this.clockFollow ? 'on' : 'off'}`);
+  }
+
+  /**
+   * Handle sidebar clock output toggle
+   * @private
+   */
+  _onSidebarClockSendChange(event) {
+    const enabled = !!event.detail;
+    if (enabled) {
+      this.clockFollow = false;
+    }
+    this.transport.setEnabled(enabled);
+    this._onSyncModeChanged();
+    console.log(`Sidebar: Clock output ${enabled ? 'on' : 'off'}`);
+  }
+
+  /**
+   * Apply a sync mode change to nodes and sidebar
+   * @private
+   */
+  _onSyncModeChanged() {
+    this._applyClockTempo();
+    this.sidebar.updateSyncModes({ follow: this.clockFollow, send: this.transport.enabled });
+    this._updateClockStatus();
+  }
+
+  /**
+   * Handle sidebar transport tempo change
+   * @private
+   */
+  _onSidebarClockBpmChange(event) {
+    this.transport.setBpm(event.detail);
+    this.sidebar.updateTransportBpm(this.transport.bpm); // Show the clamped value
+  }
+
+  /**
+   * Handle sidebar "node start sends Start" toggle
+   * @private
+   */
+  _onSidebarClockStartOnPlayChange(event) {
+    this.transportStartsWithNodes = !!event.detail;
+  }
+
+  /**
+   * Handle sidebar transport buttons
+   * @private
+   */
+  _onSidebarTransportCommand(event) {
+    switch (event.detail) {
+      case 'start':
+        this.startTransport();
+        break;
+      case 'continue':
+        this.continueTransport();
+        break;
+      case 'stop':
+        this.stopTransport();
+        break;
+    }
+  }
+
+  /**
+   * Handle sidebar playback buttons (Pause toggles resume)
+   * @private
+   */
+  _onSidebarPlaybackCommand(event) {
+    switch (event.detail) {
+      case 'play':
+        this.play();
+        break;
+      case 'pause':
+        if (this.playbackPaused) {
+          this.resumeAllPlayback();
+        } else {
+          this.pauseAllPlayback();
+        }
+        break;
+      case 'stop':
+        this.stopTransport();
+        break;
+    }
+  }
+
+  /**
+   * Handle sidebar playback rate change
+   * @private
+   */
+  _onSidebarPlaybackRateChange(event) {
+    this.setPlaybackRate(event.detail);
+    this.sidebar.updatePlaybackRate(this.playbackRate); // Show the clamped value
+  }
+
+  /**
+   * Handle sidebar patch save request
+   * @private
+   */
+  _onSidebarPatchSave() {
+    this.savePatch();
+  }
+
+  /**
+   * Handle sidebar patch open request
+   * @private
+   */
+  _onSidebarPatchOpen() {
+    this.openPatch();
+  }
+
+  /**
+   * Handle sidebar MIDI file export request
+   * @private
+   */
+  _onSidebarMidiExport(event) {
+    this.exportMidiFile(event.detail || {});
+  }
+
+  /**
+   * Handle node inspector output change (mode / CC / channel / devices of the selected node)
+   * @private
+   */
+  _onSidebarNodeOutputChange(event) {
+    const node = this._getInspectedNode();
+    if (!node) return;
+    
+    const { outputMode, cc, parameter, channel, deviceIds } = event.detail;
+    node.setCC(cc);
+    node.setParameter(parameter);
+    node.setOutputMode(outputMode);
+    node.setOutputChannel(channel);
+    node.setOutputDevices(deviceIds);
+    
+    // Mode may have been adjusted (e.g. 14-bit on a CC without LSB partner)
+    this.sidebar.updateNodeInspector(node.getOutputSettings());
+  }
+
+  /**
+   * Handle node inspector play mode / repeat change
+   * @private
+   */
+  _onSidebarNodePlayChange(event) {
+    const node = this._getInspectedNode();
+    if (!node || typeof node.setPlayMode !== 'function') return;
+    
+    const { playMode, loopCount } = event.detail;
+    if (typeof loopCount === 'number') {
+      node.setLoopCount(loopCount);
+    }
+    node.setPlayMode(playMode);
+    
+    this.sidebar.updateNodeInspector(node.getOutputSettings());
+  }
+
+  /**
+   * Handle inspector length / speed changes
+   * A new length mode keeps the current length; otherwise the value is in the mode's unit
+   * @private
+   */
+  _onSidebarNodeTimingChange(event) {
+    const node = this._getInspectedNode();
+    if (!node || typeof node.setTiming !== 'function') return;
+    
+    const { lengthMode, length, speed } = event.detail;
+    node.setTiming({ speed });
+    if (lengthMode !== node.lengthMode) {
+      node.setLengthMode(lengthMode);
+    } else if (lengthMode === NODE_LENGTH_TIME) {
+      node.setTiming({ lengthMs: length * 1000 });
+    } else if (lengthMode === NODE_LENGTH_BEATS) {
+      node.setTiming({ lengthBeats: length });
+    }
+    
+    this.sidebar.updateNodeInspector(node.getOutputSettings());
+  }
+
+  /**
+   * Handle the inspector Learn button (arm/disarm MIDI Learn for the selected node)
+   * @private
+   */
+  _onSidebarNodeLearn() {
+    const node = this._getInspectedNode();
+    if (node) {
+      this.armMidiLearn({ kind: 'node', node });
+    }
+  }
+
+  /**
+   * Handle output rate change (values computed per second per playing node)
+   * @private
+   */
+  _onSidebarOutputRateChange(event) {
+    this.scheduler.setRate(event.detail);
+    this.sidebar.updateOutputRate(this.scheduler.rateHz);
+  }
+
+  /**
+   * Handle a CC threshold edit in the trigger mapping list
+   * @private
+   */
+  _onSidebarTriggerMappingChange(event) {
+    const { portId, threshold } = event.detail;
+    if (this.triggerMap.setThreshold(portId, threshold)) {
+      this._refreshTriggerMappings();
+    }
+  }
+
+  /**
+   * Handle the remove button in the trigger mapping list
+   * @private
+   */
+  _onSidebarTriggerMappingRemove(event) {
+    if (this.triggerMap.remove(event.detail)) {
+      this._refreshTriggerMappings();
+    }
+  }
+
+  /**
+   * Handle hysteresis / re-fire interval edits of the selected HTrigger
+   * @private
+   */
+  _onSidebarHTriggerChange(event) {
+    const trigger = this.selectedTrigger;
+    if (!trigger) return;
+    
+    const { hysteresis, minIntervalMs } = event.detail;
+    trigger.setHysteresis(hysteresis);
+    trigger.setMinInterval(minIntervalMs);
+    
+    // Values may have been clamped
+    this.sidebar.updateTriggerInspector(trigger.getSettings());
+  }
+
+  /**
+   * Handle the input selection of the selected oscilloscope
+   * @private
+   */
+  _onSidebarScopeSourceChange(event) {
+    const node = this._getInspectedScope();
+    if (!node) return;
+    
+    node.setSource(event.detail);
+    console.log(`${node.label} now traces ${node.getSourceLabel()}`);
+    this._updateScopeInspector();
+  }
+
+  /**
+   * Get the oscilloscope shown in the oscilloscope inspector (exactly one selected)
+   * @returns {object|null} Node or null
+   * @private
+   */
+  _getInspectedScope() {
+    const selected = this.getSelectedNodes();
+    if (selected.length !== 1 || typeof selected[0].getSourceSettings !== 'function') {
+      return null;
+    }
+    return selected[0];
+  }
+
+  /**
+   * Refresh the oscilloscope inspector (selection and seen controllers)
+   * @private
+   */
+  _updateScopeInspector() {
+    const node = this._getInspectedScope();
+    this._seenControllerCount = this.midi.lastSeen.size;
+    this.sidebar.updateScopeInspector(node ? node.getSourceSettings() : null, this.midi.getSeenControllers());
+  }
+
+  /**
+   * Handle a node palette pick
+   * @private
+   */
+  _onNodePaletteCreate(event) {
+    const { id, x, y } = event.detail;
+    this.createNodeFromPalette(id, x, y);
+  }
+
+  /**
+   * Handle curve type, range, invert and CC output edits of the selected mapper
+   * @private
+   */
+  _onSidebarMapperChange(event) {
+    const node = this._getInspectedMapper();
+    if (!node) return;
+    
+    const before = node.getCurve();
+    node.setMapperSettings(event.detail);
+    console.log(`${node.label} settings:`, node.getMapperSettings());
+    
+    // A curve mode switch can be undone like a curve edit
+    if (before.curveMode !== node.curveMode) {
+      this.history.record(new MapperCurveCommand(node, 'Change curve mode', before, node.getCurve()));
+    }
+    
+    // Values may have been clamped
+    this._updateMapperInspector();
+  }
+
+  /**
+   * Get the mapper shown in the mapper inspector (exactly one selected)
+   * @returns {object|null} Node or null
+   * @private
+   */
+  _getInspectedMapper() {
+    const selected = this.getSelectedNodes();
+    if (selected.length !== 1 || typeof selected[0].getMapperSettings !== 'function') {
+      return null;
+    }
+    return selected[0];
+  }
+
+  /**
+   * Refresh the mapper inspector
+   * @private
+   */
+  _updateMapperInspector() {
+    const node = this._getInspectedMapper();
+    this.sidebar.updateMapperInspector(node ? node.getMapperSettings() : null);
+  }
+
+  /**
+   * Get the node shown in the inspector (exactly one selected node)
+   * @returns {object|null} Node or null
+   * @private
+   */
+  _getInspectedNode() {
+    const selected = this.getSelectedNodes();
+    if (selected.length !== 1 || typeof selected[0].getOutputSettings !== 'function') {
+      return null;
+    }
+    return selected[0];
+  }
+
+  /**
+   * Refresh the inspector when the selection changes
+   * @private
+   */
+  _onNodeSelectionChanged() {
+    const node = this._getInspectedNode();
+    this.sidebar.updateNodeInspector(node ? node.getOutputSettings() : null);
+    this.sidebar.updateNodeLearn(!!node && this.learn.isArmed(node));
+    this._updateScopeInspector();
+    this._updateMapperInspector();
+  }
+
   /**
    * Clean up resources
    */
@@ -709,16 +2349,48 @@ export default class AppController {
     document.removeEventListener('sidebar-input-mode-change', this._onSidebarInputModeChange);
     document.removeEventListener('sidebar-output-selection-change', this._onSidebarOutputSelectionChange);
     document.removeEventListener('sidebar-channel-change', this._onSidebarChannelChange);
+    document.removeEventListener('sidebar-patch-save', this._onSidebarPatchSave);
+    document.removeEventListener('sidebar-patch-open', this._onSidebarPatchOpen);
+    document.removeEventListener('sidebar-midi-export', this._onSidebarMidiExport);
+    document.removeEventListener('sidebar-node-output-change', this._onSidebarNodeOutputChange);
+    document.removeEventListener('sidebar-node-play-change', this._onSidebarNodePlayChange);
+    document.removeEventListener('sidebar-node-timing-change', this._onSidebarNodeTimingChange);
+    document.removeEventListener('sidebar-clock-follow-change', this._onSidebarClockFollowChange);
+    document.removeEventListener('sidebar-clock-send-change', this._onSidebarClockSendChange);
+    document.removeEventListener('sidebar-clock-bpm-change', this._onSidebarClockBpmChange);
+    document.removeEventListener('sidebar-clock-start-on-play-change', this._onSidebarClockStartOnPlayChange);
+    document.removeEventListener('sidebar-transport-command', this._onSidebarTransportCommand);
+    document.removeEventListener('sidebar-playback-command', this._onSidebarPlaybackCommand);
+    document.removeEventListener('sidebar-playback-rate-change', this._onSidebarPlaybackRateChange);
+    document.removeEventListener('sidebar-node-learn', this._onSidebarNodeLearn);
+    document.removeEventListener('sidebar-output-rate-change', this._onSidebarOutputRateChange);
+    document.removeEventListener('sidebar-trigger-mapping-change', this._onSidebarTriggerMappingChange);
+    document.removeEventListener('sidebar-trigger-mapping-remove', this._onSidebarTriggerMappingRemove);
+    document.removeEventListener('sidebar-htrigger-change', this._onSidebarHTriggerChange);
+    document.removeEventListener('sidebar-scope-source-change', this._onSidebarScopeSourceChange);
+    document.removeEventListener('sidebar-mapper-change', this._onSidebarMapperChange);
+    
+    // Clean up canvas drop listeners
+    const canvasElement = this.canvas.getElement();
+    if (canvasElement) {
+      canvasElement.removeEventListener('dragover', this._onCanvasDragOver);
+      canvasElement.removeEventListener('drop', this._onCanvasDrop);
+    }
     
     // Clean up nodes
+    this.groups.clear();
     for (const node of this.nodes) {
       node.destroy();
     }
     this.nodes = [];
     
-    // Clean up systems
+    // Clean up systems (stop external gear first)
+    this.transport.setEnabled(false);
+    this.scheduler.stop();
     this.midi.destroy();
     this.sidebar.destroy();
+    document.removeEventListener('node-palette-create', this._onNodePaletteCreate);
+    this.nodePalette.destroy();
     this.interaction.destroy();
     
     console.log('AppController: Destroyed');
@@ -0,0 +1,108 @@
+/**
+ * Command History - Undo/redo stack for canvas edits
+ * Stores reversible commands (see Commands.js) and coalesces rapid,
+ * repeated edits of the same target into a single undo step
+ */
+
+import EventEmitter from '../utils/EventEmitter.js';
+import { HISTORY_LIMIT } from '../config/constants.js';
+
+export default class CommandHistory extends EventEmitter {
+  constructor(limit = HISTORY_LIMIT) {
+    super();
+
+    this.undoStack = [];
+    this.redoStack = [];
+    this.limit = limit;
+  }
+
+  /**
+   * Apply a command and record it
+   * @param {object} command - Command to run
+   */
+  execute(command) {
+    command.do();
+    this.record(command);
+  }
+
+  /**
+   * Record a command whose change has already been applied
+   * (e.g. a drag that moved the node while the mouse was down)
+   * @param {object} command - Command to record
+   */
+  record(command) {
+    const top = this.undoStack[this.undoStack.length - 1];
+
+    if (top && top.canMerge(command)) {
+      top.merge(command);
+    } else {
+      this.undoStack.push(command);
+      if (this.undoStack.length > this.limit) {
+        this.undoStack.shift();
+      }
+    }
+
+    // A new edit invalidates the redo branch
+    this.redoStack = [];
+    this.emit('changed', this.getState());
+  }
+
+  /**
+   * Undo the most recent command
+   * @returns {boolean} True if something was undone
+   */
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return false;
+
+    command.undo();
+    this.redoStack.push(command);
+    console.log(`Undo: ${command.label}`);
+    this.emit('changed', this.getState());
+    return true;
+  }
+
+  /**
+   * Redo the most recently undone command
+   * @returns {boolean} True if something was redone
+   */
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return false;
+
+    command.do();
+    this.undoStack.push(command);
+    console.log(`Redo: ${command.label}`);
+    this.emit('changed', this.getState());
+    return true;
+  }
+
+  /**
+   * Drop all history (e.g. after loading a patch)
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.emit('changed', this.getState());
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Get history state for UI/debugging
+   */
+  getState() {
+    return {
+      undo: this.undoStack.length,
+      redo: this.redoStack.length,
+      nextUndo: this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null,
+      nextRedo: this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null
+    };
+  }
+}
@@ -0,0 +1,506 @@
+/**
+ * Commands - Reversible canvas edits for the undo/redo history
+ * Each command applies its change in do() and reverts it in undo().
+ * Commands keep references to the original scene objects, so undo restores
+ * the same nodes, triggers, ports and cables (IDs stay stable).
+ */
+
+import { HISTORY_COALESCE_MS } from '../config/constants.js';
+
+/**
+ * Base command
+ */
+class Command {
+  constructor(label) {
+    this.label = label;
+    this.timestamp = performance.now();
+  }
+
+  do() {}
+
+  undo() {}
+
+  /**
+   * Check whether a following command can be folded into this one
+   * @param {Command} next - Command recorded after this one
+   * @returns {boolean} True if mergeable
+   */
+  canMerge(next) {
+    return false;
+  }
+
+  /**
+   * Fold a following command into this one
+   * @param {Command} next - Command recorded after this one
+   */
+  merge(next) {
+    this.timestamp = next.timestamp;
+  }
+}
+
+/**
+ * Remove every connection attached to the given ports
+ * @param {object} app - App controller
+ * @param {Array} ports - Ports whose cables should be detached
+ * @returns {Array<{connection: object, index: number}>} Removed connections with their list positions
+ * @private
+ */
+function detachConnections(app, ports) {
+  const portSet = new Set(ports);
+  const removed = [];
+
+  app.connections.forEach((connection, index) => {
+    if (portSet.has(connection.portA) || portSet.has(connection.portB)) {
+      removed.push({ connection, index });
+    }
+  });
+
+  for (const { connection } of removed) {
+    app.removeConnection(connection);
+  }
+  return removed;
+}
+
+/**
+ * Put previously detached connections back at their original positions
+ * @param {object} app - App controller
+ * @param {Array<{connection: object, index: number}>} removed - Result of detachConnections()
+ * @private
+ */
+function restoreConnections(app, removed) {
+  for (const { connection, index } of removed) {
+    app.addConnection(connection, index);
+  }
+}
+
+/**
+ * Get the ports owned by a node (empty for nodes without triggers)
+ * @private
+ */
+function getNodePorts(node) {
+  return typeof node.getAllPorts === 'function' ? node.getAllPorts() : [];
+}
+
+/**
+ * Move a node
+ */
+export class MoveNodeCommand extends Command {
+  /**
+   * @param {object} node - Moved node
+   * @param {{x: number, y: number}} from - Position before the move
+   * @param {{x: number, y: number}} to - Position after the move
+   */
+  constructor(node, from, to) {
+    super(`Move ${node.label}`);
+    this.node = node;
+    this.from = { ...from };
+    this.to = { ...to };
+  }
+
+  do() {
+    this.node.setPosition(this.to.x, this.to.y);
+  }
+
+  undo() {
+    this.node.setPosition(this.from.x, this.from.y);
+  }
+
+  // Consecutive drags of the same node in quick succession become one step
+  canMerge(next) {
+    return next instanceof MoveNodeCommand &&
+      next.node === this.node &&
+      next.timestamp - this.timestamp <= HISTORY_COALESCE_MS;
+  }
+
+  merge(next) {
+    super.merge(next);
+    this.to = { ...next.to };
+  }
+}
+
+/**
+ * Add a node to the scene (Alt-duplicate, recording commit, file import, node palette)
+ */
+export class AddNodeCommand extends Command {
+  /**
+   * @param {object} app - App controller
+   * @param {object} node - Node that was (or will be) added
+   */
+  constructor(app, node) {
+    super(`Add ${node.label}`);
+    this.app = app;
+    this.node = node;
+    this.removedConnections = [];
+    this.groupsBefore = null;
+  }
+
+  do() {
+    if (this.app.nodes.includes(this.node)) return;
+
+    this.app.addNode(this.node);
+    restoreConnections(this.app, this.removedConnections);
+    if (this.groupsBefore) {
+      this.app.groups.restore(this.groupsBefore);
+    }
+  }
+
+  undo() {
+    this.removedConnections = detachConnections(this.app, getNodePorts(this.node));
+    this.groupsBefore = this.app.groups.snapshot();
+    this.app.removeNode(this.node);
+  }
+}
+
+/**
+ * Delete a node together with its cables
+ */
+export class RemoveNodeCommand extends Command {
+  /**
+   * @param {object} app - App controller
+   * @param {object} node - Node to delete
+   */
+  constructor(app, node) {
+    super(`Delete ${node.label}`);
+    this.app = app;
+    this.node = node;
+    this.index = -1;
+    this.removedConnections = [];
+    this.groupsBefore = [];
+  }
+
+  do() {
+    this.index = this.app.nodes.indexOf(this.node);
+    this.removedConnections = detachConnections(this.app, getNodePorts(this.node));
+    this.groupsBefore = this.app.groups.snapshot();
+    this.app.removeNode(this.node);
+  }
+
+  undo() {
+    this.app.addNode(this.node, this.index);
+    restoreConnections(this.app, this.removedConnections);
+    this.app.groups.restore(this.groupsBefore);
+  }
+}
+
+/**
+ * Add a trigger to a node
+ */
+export class AddTriggerCommand extends Command {
+  /**
+   * @param {object} app - App controller
+   * @param {object} node - Owning node
+   * @param {object} trigger - Trigger that was (or will be) added
+   * @param {string} kind - 'v' or 'h'
+   */
+  constructor(app, node, trigger, kind) {
+    super(`Add ${kind === 'v' ? 'VTrigger' : 'HTrigger'}`);
+    this.app = app;
+    this.node = node;
+    this.trigger = trigger;
+    this.kind = kind;
+    this.removedConnections = [];
+  }
+
+  get triggers() {
+    return this.kind === 'v' ? this.node.vTriggers : this.node.hTriggers;
+  }
+
+  do() {
+    if (this.triggers.includes(this.trigger)) return;
+
+    if (this.kind === 'v') {
+      this.node.insertVTrigger(this.trigger);
+    } else {
+      this.node.insertHTrigger(this.trigger);
+    }
+    restoreConnections(this.app, this.removedConnections);
+  }
+
+  undo() {
+    const index = this.triggers.indexOf(this.trigger);
+    if (index < 0) return;
+
+    this.removedConnections = detachConnections(this.app, this.trigger.getPorts());
+    if (this.kind === 'v') {
+      this.node.removeVTrigger(index);
+    } else {
+      this.node.removeHTrigger(index);
+    }
+  }
+}
+
+/**
+ * Delete a trigger together with its cables
+ */
+export class RemoveTriggerCommand extends Command {
+  /**
+   * @param {object} app - App controller
+   * @param {object} node - Owning node
+   * @param {object} trigger - Trigger to delete
+   * @param {string} kind - 'v' or 'h'
+   */
+  constructor(app, node, trigger, kind) {
+    super(`Delete ${kind === 'v' ? 'VTrigger' : 'HTrigger'}`);
+    this.app = app;
+    this.node = node;
+    this.trigger = trigger;
+    this.kind = kind;
+    this.index = -1;
+    this.removedConnections = [];
+  }
+
+  do() {
+    const triggers = this.kind === 'v' ? this.node.vTriggers : this.node.hTriggers;
+    this.index = triggers.indexOf(this.trigger);
+    if (this.index < 0) return;
+
+    this.removedConnections = detachConnections(this.app, this.trigger.getPorts());
+    if (this.kind === 'v') {
+      this.node.removeVTrigger(this.index);
+    } else {
+      this.node.removeHTrigger(this.index);
+    }
+  }
+
+  undo() {
+    if (this.index < 0) return;
+
+    if (this.kind === 'v') {
+      this.node.insertVTrigger(this.trigger, this.index);
+    } else {
+      this.node.insertHTrigger(this.trigger, this.index);
+    }
+    restoreConnections(this.app, this.removedConnections);
+  }
+}
+
+/**
+ * Move a trigger along its axis (u for VTriggers, v for HTriggers)
+ */
+export class MoveTriggerCommand extends Command {
+  /**
+   * @param {object} trigger - Moved trigger
+   * @param {string} kind - 'v' or 'h'
+   * @param {number} from - Normalized position before the move
+   * @param {number} to - Normalized position after the move
+   */
+  constructor(trigger, kind, from, to) {
+    super(`Move ${kind === 'v' ? 'VTrigger' : 'HTrigger'}`);
+    this.trigger = trigger;
+    this.kind = kind;
+    this.from = from;
+    this.to = to;
+  }
+
+  _apply(value) {
+    if (this.kind === 'v') {
+      this.trigger.u = value;
+    } else {
+      this.trigger.v = value;
+      if (typeof this.trigger.resetCrossingState === 'function') {
+        this.trigger.resetCrossingState();
+      }
+    }
+  }
+
+  do() {
+    this._apply(this.to);
+  }
+
+  undo() {
+    this._apply(this.from);
+  }
+
+  canMerge(next) {
+    return next instanceof MoveTriggerCommand &&
+      next.trigger === this.trigger &&
+      next.timestamp - this.timestamp <= HISTORY_COALESCE_MS;
+  }
+
+  merge(next) {
+    super.merge(next);
+    this.to = next.to;
+  }
+}
+
+/**
+ * Add a cable
+ */
+export class AddConnectionCommand extends Command {
+  /**
+   * @param {object} app - App controller
+   * @param {object} connection - Connection to add
+   */
+  constructor(app, connection) {
+    super('Connect');
+    this.app = app;
+    this.connection = connection;
+  }
+
+  do() {
+    this.app.addConnection(this.connection);
+  }
+
+  undo() {
+    this.app.removeConnection(this.connection);
+  }
+}
+
+/**
+ * Delete a cable
+ */
+export class RemoveConnectionCommand extends Command {
+  /**
+   * @param {object} app - App controller
+   * @param {object} connection - Connection to delete
+   */
+  constructor(app, connection) {
+    super('Disconnect');
+    this.app = app;
+    this.connection = connection;
+    this.index = -1;
+  }
+
+  do() {
+    this.index = this.app.connections.indexOf(this.connection);
+    this.app.removeConnection(this.connection);
+  }
+
+  undo() {
+    if (this.index >= 0) {
+      this.app.addConnection(this.connection, this.index);
+    }
+  }
+}
+
+/**
+ * Split a node in two, remapping its cables
+ */
+export class SplitNodeCommand extends Command {
+  /**
+   * @param {object} app - App controller
+   * @param {object} originalNode - Node being split
+   * @param {object} leftNode - New left node
+   * @param {object} rightNode - New right node
+   * @param {Map} portMap - Map of old ports to new ports
+   */
+  constructor(app, originalNode, leftNode, rightNode, portMap) {
+    super(`Split ${originalNode.label}`);
+    this.app = app;
+    this.originalNode = originalNode;
+    this.leftNode = leftNode;
+    this.rightNode = rightNode;
+    this.portMap = portMap;
+    this.index = -1;
+    this.connectionsBefore = null;
+    this.connectionsAfter = null;
+    this.groupsBefore = null;
+    this.groupsAfter = null;
+  }
+
+  do() {
+    this.index = this.app.nodes.indexOf(this.originalNode);
+
+    if (!this.connectionsAfter) {
+      // First run - let the app remap cables and groups, then remember the result
+      this.connectionsBefore = [...this.app.connections];
+      this.groupsBefore = this.app.groups.snapshot();
+      this.app.splitNode(this.originalNode, this.leftNode, this.rightNode, this.portMap);
+      this.connectionsAfter = [...this.app.connections];
+      this.groupsAfter = this.app.groups.snapshot();
+      return;
+    }
+
+    this.app.addNode(this.leftNode);
+    this.app.addNode(this.rightNode);
+    this.app.removeNode(this.originalNode);
+    this.app.connections = [...this.connectionsAfter];
+    this.app.groups.restore(this.groupsAfter);
+  }
+
+  undo() {
+    this.app.removeNode(this.leftNode);
+    this.app.removeNode(this.rightNode);
+    this.app.addNode(this.originalNode, this.index);
+    this.app.connections = [...this.connectionsBefore];
+    this.app.groups.restore(this.groupsBefore);
+  }
+}
+
+/**
+ * Change which nodes are docked together
+ */
+export class GroupChangeCommand extends Command {
+  /**
+   * @param {object} app - App controller
+   * @param {string} label - Description of the edit
+   * @param {Array<Node[]>} before - Grouping before the edit (GroupManager snapshot)
+   * @param {Array<Node[]>} after - Grouping after the edit
+   */
+  constructor(app, label, before, after) {
+    super(label);
+    this.app = app;
+    this.before = before;
+    this.after = after;
+  }
+
+  do() {
+    this.app.groups.restore(this.after);
+  }
+
+  undo() {
+    this.app.groups.restore(this.before);
+  }
+}
+
+/**
+ * Edit a mapper's transfer curve (handle or point drag, point add/remove)
+ */
+export class MapperCurveCommand extends Command {
+  /**
+   * @param {MapperNode} node - Edited mapper
+   * @param {string} label - Description of the edit
+   * @param {object} before - Curve before the edit (MapperNode.getCurve())
+   * @param {object} after - Curve after the edit
+   */
+  constructor(node, label, before, after) {
+    super(label);
+    this.node = node;
+    this.before = before;
+    this.after = after;
+  }
+
+  do() {
+    this.node.setCurve(this.after);
+  }
+
+  undo() {
+    this.node.setCurve(this.before);
+  }
+}
+
+/**
+ * Group several commands into a single undo step
+ */
+export class CompoundCommand extends Command {
+  /**
+   * @param {string} label - Description of the combined edit
+   * @param {Command[]} commands - Commands in execution order
+   */
+  constructor(label, commands) {
+    super(label);
+    this.commands = commands;
+  }
+
+  do() {
+    for (const command of this.commands) {
+      command.do();
+    }
+  }
+
+  undo() {
+    for (let i = this.commands.length - 1; i >= 0; i--) {
+      this.commands[i].undo();
+    }
+  }
+}
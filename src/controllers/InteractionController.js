@@ -5,7 +5,22 @@
  */
 
 import { pointInRect, computeDockSnap, dist2 } from '../utils/geometry.js';
-import { CLICK_DRAG_THRESHOLD, SNAP_PX, SNAP_NEAR_PX, DELETE_ICON_R } from '../config/constants.js';
+import { CLICK_DRAG_THRESHOLD, SNAP_PX, SNAP_NEAR_PX, DELETE_ICON_R, PORT_KIND_SIGNAL, MAPPER_CURVE_POINTS } from '../config/constants.js';
+import Connection from '../models/Connection.js';
+import {
+  MoveNodeCommand,
+  AddNodeCommand,
+  RemoveNodeCommand,
+  AddTriggerCommand,
+  RemoveTriggerCommand,
+  MoveTriggerCommand,
+  AddConnectionCommand,
+  RemoveConnectionCommand,
+  SplitNodeCommand,
+  GroupChangeCommand,
+  MapperCurveCommand,
+  CompoundCommand
+} from './Commands.js';
 
 export default class InteractionController {
   constructor(app) {
@@ -18,7 +33,12 @@ export default class InteractionController {
       startX: 0,
       startY: 0,
       offsetX: 0,
-      offsetY: 0
+      offsetY: 0,
+      originX: 0,
+      originY: 0,
+      isDuplicate: false,
+      members: [], // [{ node, originX, originY }] moving together (the node's group)
+      snapTarget: null // Node the dragged node docked to
     };
     
     // Visual feedback state
@@ -31,7 +51,7 @@ export default class InteractionController {
     // Universal deletion system
     this.deletionState = {
       target: null,      // The element to delete
-      type: null,        // 'node', 'vtrigger', 'htrigger', 'connection'
+      type: null,        // 'node', 'vtrigger', 'htrigger', 'connection', 'curvepoint'
       iconPosition: null // Where to show delete icon {x, y}
     };
     
@@ -52,6 +72,14 @@ export default class InteractionController {
       startY: 0
     };
     
+    // Mapper curve editing state (midpoint handle or curve point)
+    this.curveDrag = {
+      active: false,
+      node: null,
+      handle: null, // Handle from MapperNode.getCurveHandles()
+      origin: null // Curve before the drag (for undo)
+    };
+    
     // Cable dragging state
     this.cableDrag = {
       active: false,
@@ -111,6 +139,8 @@ export default class InteractionController {
       this._handleCableDrag(mousePos.x, mousePos.y);
     } else if (this.triggerDrag.active) {
       this._handleTriggerDrag(mousePos.x, mousePos.y);
+    } else if (this.curveDrag.active) {
+      this._handleCurveDrag(mousePos.x, mousePos.y);
     } else if (this.dragState.active && this.dragState.node) {
       this._handleNodeDrag(mousePos.x, mousePos.y);
     }
@@ -153,6 +183,12 @@ export default class InteractionController {
       return;
     }
 
+    // Handle mapper curve drag release
+    if (this.curveDrag.active) {
+      this._endCurveDrag();
+      return;
+    }
+
     // Handle node drag release
     if (this.dragState.active) {
       this._handleDragRelease(mousePos.x, mousePos.y);
@@ -206,7 +242,13 @@ export default class InteractionController {
     console.log('Checking for port hits...');
     const portHit = this._findPortAt(mouseX, mouseY, 8);
     if (portHit) {
-      console.log(`Port hit found - ${portHit.type} port on ${portHit.trigger.type}Trigger`);
+      // Shift+click on an input port arms MIDI Learn (next note, CC press or program change fires it)
+      if (this.shiftPressed && portHit.trigger.role === 'in' && portHit.trigger.kind !== PORT_KIND_SIGNAL) {
+        console.log('Shift+input port hit found - toggling MIDI Learn');
+        this.app.armMidiLearn({ kind: 'port', port: portHit.trigger });
+        return;
+      }
+      console.log(`Port hit found - ${portHit.type} port on ${portHit.triggerType === 'signal' ? portHit.node.label : `${portHit.trigger.type}Trigger`}`);
       this._handlePortClick(portHit);
       return;
     }
@@ -214,6 +256,10 @@ export default class InteractionController {
     // Check for trigger hits (after port hits)
     console.log('Checking for trigger hits...');
     const triggerHit = this._findTriggerAt(mouseX, mouseY, 8);
+    
+    // Pressing an HTrigger selects it for editing; pressing anything else clears it
+    this.app.selectTrigger(triggerHit && triggerHit.type === 'h' ? triggerHit.trigger : null);
+    
     if (triggerHit) {
       console.log(`Trigger hit found - starting trigger drag: ${triggerHit.type}Trigger on ${triggerHit.node.label}`);
       this._startTriggerDrag(triggerHit, mouseX, mouseY);
@@ -229,6 +275,18 @@ export default class InteractionController {
       return;
     }
 
+    // Check for mapper curve edits (handles and points; in points mode a click adds a point)
+    const curveHit = this._findCurveHandleAt(mouseX, mouseY);
+    if (curveHit) {
+      console.log(`Curve hit found - starting curve drag on ${curveHit.node.label}`);
+      this._startCurveDrag(curveHit.node, curveHit.handle, mouseX, mouseY);
+      return;
+    }
+    const curveNode = this._findCurveAreaAt(mouseX, mouseY);
+    if (curveNode && curveNode.curveMode === MAPPER_CURVE_POINTS && this._addCurvePointAt(curveNode, mouseX, mouseY)) {
+      return;
+    }
+
     // Check for node hit
     console.log('Checking for node hit...');
     const node = this.app.getNodeAt(mouseX, mouseY);
@@ -237,6 +295,10 @@ export default class InteractionController {
       if (this.altPressed) {
         console.log('Alt+node hit found - duplicating and dragging');
         this._duplicateAndDragNode(node, mouseX, mouseY);
+      } else if (this.shiftPressed) {
+        // Shift+click toggles the node in the multi-selection
+        console.log('Shift+node hit found - toggling selection');
+        node.setSelected(!node.selected);
       } else {
         console.log('Node hit found - starting node drag');
         this._startNodeDrag(node, mouseX, mouseY);
@@ -279,6 +341,20 @@ export default class InteractionController {
       return;
     }
 
+    // Check for mapper curve points
+    const curveHit = this._findCurveHandleAt(mouseX, mouseY);
+    if (curveHit && curveHit.handle.kind === 'point') {
+      this.deletionState = {
+        target: curveHit.handle,
+        type: 'curvepoint',
+        iconPosition: { x: curveHit.handle.x, y: curveHit.handle.y },
+        node: curveHit.node,
+        index: curveHit.handle.index
+      };
+      console.log(`Right-clicked curve point ${curveHit.handle.index} on ${curveHit.node.label} - showing deletion`);
+      return;
+    }
+
     // Check for connections (no persistent overlay for connections in hover-delete model)
     // Intentionally do not set deletionState for connections; handled via hover + left click.
 
@@ -293,24 +369,54 @@ export default class InteractionController {
       };
       this._updateNodeStates();
       console.log(`Right-clicked node: ${node.label} - showing deletion at center`);
+    } else if (this.shiftPressed) {
+      // Shift+right-click on empty canvas opens the node palette
+      this._cancelDeletion();
+      this.app.openNodePalette(mouseX, mouseY);
     } else {
       // Clear deletion state if not over any element
       this._clearInteractionStates();
     }
   }
 
+  /**
+   * Handle double click - empty canvas opens the node palette
+   */
+  handleDoubleClicked() {
+    const mousePos = this.app.canvas.getMousePos();
+    
+    if (this.app.getNodeAt(mousePos.x, mousePos.y) ||
+        this._findPortAt(mousePos.x, mousePos.y, 8) ||
+        this._findTriggerAt(mousePos.x, mousePos.y, 8) ||
+        this.app.isRecordingBlocking(mousePos.x, mousePos.y)) {
+      return;
+    }
+    
+    console.log(`Double-click on empty canvas at (${mousePos.x}, ${mousePos.y}) - opening node palette`);
+    this.app.openNodePalette(mousePos.x, mousePos.y);
+  }
+
   /**
    * Start node dragging
    * @private
    */
-  _startNodeDrag(node, mouseX, mouseY) {
+  _startNodeDrag(node, mouseX, mouseY, isDuplicate = false) {
     this.dragState = {
       active: true,
       node: node,
       startX: mouseX,
       startY: mouseY,
       offsetX: mouseX - node.x,
-      offsetY: mouseY - node.y
+      offsetY: mouseY - node.y,
+      originX: node.x, // Position before the drag (for undo)
+      originY: node.y,
+      isDuplicate: isDuplicate, // Node was created by Alt-duplicate on this press
+      members: this.app.groups.getMembers(node).map(member => ({
+        node: member,
+        originX: member.x,
+        originY: member.y
+      })),
+      snapTarget: null
     };
     
     // Bring node to front
@@ -333,19 +439,25 @@ export default class InteractionController {
 
     const proposedX = mouseX - this.dragState.offsetX;
     const proposedY = mouseY - this.dragState.offsetY;
+    const members = this.dragState.members;
 
-    // Compute snapping
+    // Compute snapping (against nodes outside the dragged group)
     const snapResult = computeDockSnap(
       node,
       proposedX,
       proposedY,
-      this.app.nodes,
+      this.app.nodes.filter(other => !members.some(member => member.node === other)),
       SNAP_PX,
       SNAP_NEAR_PX
     );
 
-    // Update node position
-    node.setPosition(snapResult.x, snapResult.y);
+    // Update node position, moving the rest of its group along
+    const dx = snapResult.x - this.dragState.originX;
+    const dy = snapResult.y - this.dragState.originY;
+    for (const member of members) {
+      member.node.setPosition(member.originX + dx, member.originY + dy);
+    }
+    this.dragState.snapTarget = snapResult.snappedTo;
 
     // Update visual guides
     this.guideV = snapResult.guideV;
@@ -371,13 +483,53 @@ export default class InteractionController {
     ) > CLICK_DRAG_THRESHOLD;
 
     if (!moved) {
-      // This was a click, not a drag - start playback
-      node.startPlayback();
-      console.log(`Started playback: ${node.label}`);
+      // This was a click, not a drag - start playback (a click on an endless loop stops it)
+      if (node.group) {
+        // A grouped node plays its whole group from the click point
+        this.app.groups.playFromNode(node, (mouseX - node.x) / node.w);
+        console.log(`Started group playback from: ${node.label}`);
+      } else if (node.playing && typeof node.getPassCount === 'function' && node.getPassCount() === Infinity) {
+        node.stopPlayback();
+        console.log(`Stopped looping playback: ${node.label}`);
+      } else {
+        node.startPlayback();
+        console.log(`Started playback: ${node.label}`);
+      }
     } else {
       console.log(`Finished dragging node: ${node.label} to (${Math.round(node.x)}, ${Math.round(node.y)})`);
     }
 
+    // Record the whole gesture as one undo step
+    const commands = [];
+    if (this.dragState.isDuplicate) {
+      commands.push(new AddNodeCommand(this.app, node));
+    } else {
+      for (const member of this.dragState.members) {
+        if (member.node.x !== member.originX || member.node.y !== member.originY) {
+          commands.push(new MoveNodeCommand(
+            member.node,
+            { x: member.originX, y: member.originY },
+            { x: member.node.x, y: member.node.y }
+          ));
+        }
+      }
+    }
+
+    // Docking to another node groups them
+    if (moved && this.dragState.snapTarget) {
+      const before = this.app.groups.snapshot();
+      if (this.app.groups.join(node, this.dragState.snapTarget)) {
+        commands.push(new GroupChangeCommand(this.app, 'Group', before, this.app.groups.snapshot()));
+        console.log(`Grouped ${node.label} with ${this.dragState.snapTarget.label}`);
+      }
+    }
+
+    if (commands.length === 1) {
+      this.app.history.record(commands[0]);
+    } else if (commands.length > 1) {
+      this.app.history.record(new CompoundCommand(`Move ${node.label}`, commands));
+    }
+
     // End drag state
     node.setDragging(false);
     this.dragState = {
@@ -386,7 +538,12 @@ export default class InteractionController {
       startX: 0,
       startY: 0,
       offsetX: 0,
-      offsetY: 0
+      offsetY: 0,
+      originX: 0,
+      originY: 0,
+      isDuplicate: false,
+      members: [], // [{ node, originX, originY }] moving together (the node's group)
+      snapTarget: null // Node the dragged node docked to
     };
 
     // Clear guides
@@ -450,29 +607,36 @@ export default class InteractionController {
     switch (type) {
       case 'node':
         console.log(`Deleting node: ${target.label}`);
-        this.app.removeNode(target);
+        this.app.history.execute(new RemoveNodeCommand(this.app, target));
         break;
 
       case 'vtrigger':
         console.log(`Deleting VTrigger at index ${index} from node: ${node.label}`);
         if (node && typeof node.removeVTrigger === 'function') {
-          node.removeVTrigger(index);
+          this.app.history.execute(new RemoveTriggerCommand(this.app, node, target, 'v'));
         }
         break;
 
       case 'htrigger':
         console.log(`Deleting HTrigger at index ${index} from node: ${node.label}`);
         if (node && typeof node.removeHTrigger === 'function') {
-          node.removeHTrigger(index);
+          this.app.history.execute(new RemoveTriggerCommand(this.app, node, target, 'h'));
         }
         break;
 
       case 'connection':
         console.log(`Deleting connection: ${target.id}`);
-        if (this.app.removeConnection) {
-          this.app.removeConnection(target);
+        this.app.history.execute(new RemoveConnectionCommand(this.app, target));
+        break;
+
+      case 'curvepoint': {
+        console.log(`Deleting curve point ${index} from node: ${node.label}`);
+        const before = node.getCurve();
+        if (node.removeCurvePoint(index)) {
+          this.app.history.record(new MapperCurveCommand(node, 'Remove curve point', before, node.getCurve()));
         }
         break;
+      }
 
       default:
         console.warn(`Unknown deletion type: ${type}`);
@@ -503,7 +667,7 @@ export default class InteractionController {
     for (const node of this.app.nodes) {
       const state = {
         isHovered: node.bodyHits(mousePos.x, mousePos.y),
-        isSelected: false, // Will be expanded in Phase 3+
+        isSelected: node.selected,
         isDragging: node.isDragging,
         showCreateAreas: node.bodyHits(mousePos.x, mousePos.y) && !this.dragState.active
       };
@@ -559,6 +723,12 @@ export default class InteractionController {
       // Update icon position for connection
       const midpoint = target.getMidpoint();
       this.deletionState.iconPosition = { x: midpoint.x, y: midpoint.y };
+    } else if (type === 'curvepoint') {
+      // Update icon position for a mapper curve point (follows the node)
+      const handle = this.deletionState.node.getCurveHandles()[this.deletionState.index];
+      if (handle) {
+        this.deletionState.iconPosition = { x: handle.x, y: handle.y };
+      }
     }
   }
 
@@ -573,6 +743,45 @@ export default class InteractionController {
     this._updateNodeStates();
   }
 
+  /**
+   * Check whether a drag gesture is in progress
+   * @returns {boolean} True while a node, trigger, curve handle or cable is being dragged
+   */
+  isBusy() {
+    return this.dragState.active || this.triggerDrag.active || this.curveDrag.active || this.cableDrag.active;
+  }
+
+  /**
+   * Reset all transient interaction state (drags, hovers, deletion overlay)
+   * Used when the scene is replaced wholesale, e.g. after opening a patch
+   */
+  reset() {
+    this.dragState = {
+      active: false,
+      node: null,
+      startX: 0,
+      startY: 0,
+      offsetX: 0,
+      offsetY: 0,
+      originX: 0,
+      originY: 0,
+      isDuplicate: false,
+      members: [], // [{ node, originX, originY }] moving together (the node's group)
+      snapTarget: null // Node the dragged node docked to
+    };
+    this.triggerHover = { active: false, node: null, trigger: null, type: null };
+    this.triggerDrag = { active: false, node: null, trigger: null, type: null, startX: 0, startY: 0 };
+    this.curveDrag = { active: false, node: null, handle: null, origin: null };
+    this.cableDrag = { active: false, startPort: null, startX: 0, startY: 0 };
+    this.hoveredConnection = null;
+    this.deletionState = {
+      target: null,
+      type: null,
+      iconPosition: null
+    };
+    this._clearInteractionStates();
+  }
+
   /**
    * Get node rendering states for views
    */
@@ -680,6 +889,7 @@ export default class InteractionController {
       // Create vertical trigger (normal behavior)
       if (typeof node.addVTriggerAtMouse === 'function') {
         const trigger = node.addVTriggerAtMouse(mouseX);
+        this.app.history.record(new AddTriggerCommand(this.app, node, trigger, 'v'));
         console.log(`Created VTrigger on ${node.label} at u=${trigger.u.toFixed(3)}`);
         
         // Bring node to front for better visibility
@@ -690,6 +900,7 @@ export default class InteractionController {
       // Create horizontal trigger
       if (typeof node.addHTriggerAtMouse === 'function') {
         const trigger = node.addHTriggerAtMouse(mouseY);
+        this.app.history.record(new AddTriggerCommand(this.app, node, trigger, 'h'));
         console.log(`Created HTrigger on ${node.label} at v=${trigger.v.toFixed(3)}`);
         
         // Bring node to front for better visibility
@@ -798,7 +1009,8 @@ export default class InteractionController {
       trigger: triggerHit.trigger,
       type: triggerHit.type,
       startX: mouseX,
-      startY: mouseY
+      startY: mouseY,
+      origin: triggerHit.type === 'v' ? triggerHit.trigger.u : triggerHit.trigger.v // Position before the drag (for undo)
     };
     
     // Bring node to front for better visibility
@@ -842,6 +1054,12 @@ export default class InteractionController {
   _endTriggerDrag() {
     if (this.triggerDrag.active) {
       console.log(`Ended dragging ${this.triggerDrag.type}Trigger on ${this.triggerDrag.node.label}`);
+
+      const { trigger, type, origin } = this.triggerDrag;
+      const current = type === 'v' ? trigger.u : trigger.v;
+      if (current !== origin) {
+        this.app.history.record(new MoveTriggerCommand(trigger, type, origin, current));
+      }
     }
     
     this.triggerDrag = {
@@ -859,6 +1077,114 @@ export default class InteractionController {
     }
   }
 
+  /**
+   * Find the mapper whose curve region is at a position (front-most node only,
+   * so a node lying over a mapper is not mistaken for its curve)
+   * @param {number} mouseX - Mouse X coordinate
+   * @param {number} mouseY - Mouse Y coordinate
+   * @returns {object|null} Mapper node or null
+   * @private
+   */
+  _findCurveAreaAt(mouseX, mouseY) {
+    const node = this.app.getNodeAt(mouseX, mouseY);
+    if (!node || typeof node.curveAreaHits !== 'function' || !node.curveAreaHits(mouseX, mouseY)) {
+      return null;
+    }
+    return node;
+  }
+
+  /**
+   * Find a mapper curve handle (midpoint oblong or curve point) at a position
+   * @param {number} mouseX - Mouse X coordinate
+   * @param {number} mouseY - Mouse Y coordinate
+   * @returns {object|null} { node, handle } or null
+   * @private
+   */
+  _findCurveHandleAt(mouseX, mouseY) {
+    const node = this._findCurveAreaAt(mouseX, mouseY);
+    const handle = node ? node.hitCurveHandle(mouseX, mouseY) : null;
+    return handle ? { node, handle } : null;
+  }
+
+  /**
+   * Add a curve point under the mouse and drag it straight away
+   * (the add and the drag are recorded as one undo step)
+   * @param {object} node - Mapper node in points mode
+   * @returns {boolean} True if a point was added (false when the curve is full)
+   * @private
+   */
+  _addCurvePointAt(node, mouseX, mouseY) {
+    const before = node.getCurve();
+    const { x, y } = node.curvePositionAt(mouseX, mouseY);
+    const index = node.addCurvePoint(x, y);
+    if (index < 0) return false;
+
+    console.log(`Added curve point ${index} on ${node.label} - starting curve drag`);
+    this._startCurveDrag(node, node.getCurveHandles()[index], mouseX, mouseY, before);
+    return true;
+  }
+
+  /**
+   * Start dragging a mapper curve handle
+   * @param {object} node - Mapper node
+   * @param {object} handle - Handle from getCurveHandles()
+   * @param {object} origin - Curve before the gesture (defaults to the current curve)
+   * @private
+   */
+  _startCurveDrag(node, handle, mouseX, mouseY, origin = node.getCurve()) {
+    this.curveDrag = {
+      active: true,
+      node,
+      handle,
+      origin
+    };
+
+    this._bringNodeToFront(node);
+    if (typeof window.cursor === 'function') {
+      window.cursor(handle.kind === 'mid' ? 'ns-resize' : 'move');
+    }
+
+    console.log(`Started dragging curve ${handle.kind === 'mid' ? `${handle.which} handle` : `point ${handle.index}`} on ${node.label}`);
+  }
+
+  /**
+   * Handle mapper curve drag movement
+   * @private
+   */
+  _handleCurveDrag(mouseX, mouseY) {
+    const { node, handle } = this.curveDrag;
+    if (!node || !handle) return;
+
+    const { x, y } = node.curvePositionAt(mouseX, mouseY);
+    if (handle.kind === 'mid') {
+      node.setMid(handle.which, y);
+    } else {
+      node.moveCurvePoint(handle.index, x, y);
+    }
+  }
+
+  /**
+   * End mapper curve dragging, recording the whole gesture as one undo step
+   * @private
+   */
+  _endCurveDrag() {
+    const { node, handle, origin } = this.curveDrag;
+    if (node && origin) {
+      const current = node.getCurve();
+      if (JSON.stringify(current) !== JSON.stringify(origin)) {
+        const label = origin.points.length < current.points.length ? 'Add curve point' : 'Edit curve';
+        this.app.history.record(new MapperCurveCommand(node, label, origin, current));
+      }
+      console.log(`Ended dragging curve ${handle.kind === 'mid' ? `${handle.which} handle` : `point ${handle.index}`} on ${node.label}`);
+    }
+
+    this.curveDrag = { active: false, node: null, handle: null, origin: null };
+
+    if (typeof window.cursor === 'function') {
+      window.cursor('default');
+    }
+  }
+
   /**
    * Find port under mouse position
    * @param {number} mouseX - Mouse X coordinate
@@ -929,6 +1255,21 @@ export default class InteractionController {
           }
         }
       }
+      
+      // Check signal ports (diamonds on the node's left/right edge)
+      if (typeof node.getSignalPorts === 'function') {
+        for (const port of node.getSignalPorts()) {
+          if (port.hits(mouseX, mouseY, threshold)) {
+            return {
+              node: node,
+              trigger: port, // SignalPort - owned by the node, not a trigger
+              triggerType: 'signal',
+              type: port.type,
+              index: -1
+            };
+          }
+        }
+      }
     }
     
     return null;
@@ -1039,9 +1380,16 @@ export default class InteractionController {
     
     if (!validConnection) {
       console.log(`Connection blocked: ${roleA} port cannot connect to ${roleB} port`);
+      return false;
     }
     
-    return validConnection;
+    // Signal ports only connect to signal ports
+    if (!Connection.kindsMatch(portA, portB)) {
+      console.log('Connection blocked: signal ports cannot connect to trigger ports');
+      return false;
+    }
+    
+    return true;
   }
 
   /**
@@ -1090,20 +1438,11 @@ export default class InteractionController {
       console.log(`Setting portB._connectedPortType = ${targetPortHit.type}`);
     }
     
-    // Import Connection class dynamically to avoid circular imports
-    import('../models/Connection.js').then(({ default: Connection }) => {
-      const connection = new Connection(portA, portB);
-      
-      // Add connection to app's connection manager
-      if (this.app.addConnection) {
-        this.app.addConnection(connection);
-        console.log(`Created connection between ${portA._connectedPortType || 'unknown'} port and ${portB._connectedPortType || 'unknown'} port`);
-      } else {
-        console.warn('App does not have addConnection method');
-      }
-    }).catch(error => {
-      console.error('Failed to create connection:', error);
-    });
+    const connection = new Connection(portA, portB);
+    
+    // Add connection to app's connection manager
+    this.app.history.execute(new AddConnectionCommand(this.app, connection));
+    console.log(`Created connection between ${portA._connectedPortType || 'unknown'} port and ${portB._connectedPortType || 'unknown'} port`);
   }
 
   /**
@@ -1162,12 +1501,8 @@ export default class InteractionController {
    * @private
    */
   _deleteConnection(connection) {
-    if (this.app.removeConnection) {
-      this.app.removeConnection(connection);
-      console.log('Connection deleted');
-    } else {
-      console.warn('App does not have removeConnection method');
-    }
+    this.app.history.execute(new RemoveConnectionCommand(this.app, connection));
+    console.log('Connection deleted');
     
     this.hoveredConnection = null;
   }
@@ -1202,6 +1537,13 @@ export default class InteractionController {
           }
         }
       }
+      
+      // Reset signal port hover states
+      if (typeof node.getSignalPorts === 'function') {
+        for (const port of node.getSignalPorts()) {
+          port.setHovered(false);
+        }
+      }
     }
     
     // Set hover state for hit port
@@ -1218,6 +1560,8 @@ export default class InteractionController {
         } else if (type === 'down' && trigger.setDownPortHovered) {
           trigger.setDownPortHovered(true);
         }
+      } else if (triggerType === 'signal') {
+        trigger.setHovered(true);
       }
     }
   }
@@ -1280,12 +1624,8 @@ export default class InteractionController {
     const { leftNode, rightNode, portMap } = splitResult;
 
     // Request AppController to perform the node replacement and connection remapping
-    if (typeof this.app.splitNode === 'function') {
-      this.app.splitNode(node, leftNode, rightNode, portMap);
-      console.log(`Split completed: "${node.label}" → 2 nodes`);
-    } else {
-      console.error('AppController does not have splitNode method');
-    }
+    this.app.history.execute(new SplitNodeCommand(this.app, node, leftNode, rightNode, portMap));
+    console.log(`Split completed: "${node.label}" → 2 nodes`);
   }
 
   /**
@@ -1307,8 +1647,8 @@ export default class InteractionController {
       this.app.canvas.setCursor('copy');
     }
     
-    // Start dragging the duplicate (not the original)
-    this._startNodeDrag(duplicate, mouseX, mouseY);
+    // Start dragging the duplicate (not the original); recorded for undo on release
+    this._startNodeDrag(duplicate, mouseX, mouseY, true);
     
     console.log(`Created duplicate of "${originalNode.label}" and started dragging`);
   }
@@ -1320,42 +1660,20 @@ export default class InteractionController {
    * @private
    */
   _createNodeDuplicate(node) {
-    // Import WaveformNode, VTrigger, HTrigger dynamically
-    const WaveformNode = node.constructor;
-    
-    // Clone waveform samples
-    const clonedSamples = [...node.samples];
-    
-    // Create new node at offset position (+12, +12 like monolithic script)
-    const duplicate = new WaveformNode(
-      node.x + 12,
-      node.y + 12,
-      node.label,
-      clonedSamples,
-      node.w
-    );
-    
-    // Copy metadata
-    duplicate.cc = node.cc;
-    duplicate.sourceDeviceName = node.sourceDeviceName;
+    // Clone data and metadata (samples, notes, CC, source name)
+    const duplicate = node.clone();
     
-    // Copy all VTriggers (import dynamically to avoid circular deps)
-    import('../models/VTrigger.js').then(({ default: VTrigger }) => {
-      for (const vTrigger of node.vTriggers) {
-        duplicate.vTriggers.push(new VTrigger(duplicate, vTrigger.u));
-      }
-    }).catch(error => {
-      console.error('Failed to import VTrigger:', error);
-    });
+    // Place at offset position (+12, +12 like monolithic script)
+    duplicate.x = node.x + 12;
+    duplicate.y = node.y + 12;
     
-    // Copy all HTriggers (import dynamically to avoid circular deps)
-    import('../models/HTrigger.js').then(({ default: HTrigger }) => {
-      for (const hTrigger of node.hTriggers) {
-        duplicate.hTriggers.push(new HTrigger(duplicate, hTrigger.v));
-      }
-    }).catch(error => {
-      console.error('Failed to import HTrigger:', error);
-    });
+    // Copy all triggers (fresh IDs and ports)
+    for (const vTrigger of node.vTriggers) {
+      duplicate.vTriggers.push(vTrigger.clone(duplicate));
+    }
+    for (const hTrigger of node.hTriggers) {
+      duplicate.hTriggers.push(hTrigger.clone(duplicate));
+    }
     
     // NOTE: Cables are intentionally NOT copied (matches monolithic behavior)
     
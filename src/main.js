@@ -69,6 +69,10 @@ window.mousePressed = (event) => {
   }
 };
 
+window.doubleClicked = () => {
+  app.doubleClicked();
+};
+
 window.mouseDragged = () => {
   app.mouseDragged();
 };
@@ -106,8 +110,9 @@ window.mouseReleased = (event) => {
 };
 
 // Keyboard event handlers
-window.keyPressed = () => {
-  app.keyPressed();
+// Pass the raw event so modifier keys (Ctrl/Cmd for undo/redo) are available
+window.keyPressed = (event) => {
+  return app.keyPressed(event);
 };
 
 // Prevent context menu globally
@@ -126,7 +131,7 @@ if (typeof window !== 'undefined') {
 // Log system startup
 console.log('MIDI Viz - Clean MVC Architecture Loaded');
 console.log('Phase 1: Foundation with basic nodes, MIDI, and interaction');
-console.log('Mouse: Left-click=Drag/Play, Right-click=Delete');
+console.log('Mouse: Left-click=Drag/Play, Right-click=Delete, Double-click/Shift+Right-click=Add node');
 console.log('🟢 NEW MOUSE SYSTEM ACTIVE - main.js loaded with debug handlers');
 
 // Test P5.js global mode
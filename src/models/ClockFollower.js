@@ -0,0 +1,149 @@
+/**
+ * ClockFollower - Tempo and transport state derived from incoming MIDI clock
+ * Averages the spacing of 24-PPQN clock messages into a BPM estimate and
+ * tracks Start/Stop/Continue and Song Position Pointer
+ * Pure model - fed by MidiManager events, no MIDI I/O
+ */
+
+import EventEmitter from '../utils/EventEmitter.js';
+import {
+  MIDI_CLOCK_PPQN,
+  CLOCK_TEMPO_WINDOW,
+  CLOCK_MIN_BPM,
+  CLOCK_MAX_BPM,
+  CLOCK_TEMPO_EPSILON
+} from '../config/constants.js';
+import { clamp } from '../utils/geometry.js';
+
+const CLOCKS_PER_MIDI_BEAT = MIDI_CLOCK_PPQN / 4; // Song Position counts 16th notes
+const MIN_TEMPO_INTERVALS = CLOCKS_PER_MIDI_BEAT; // Intervals needed for a first estimate
+
+export default class ClockFollower extends EventEmitter {
+  constructor() {
+    super();
+
+    // Tempo estimate
+    this.bpm = null; // null until enough clock has arrived
+    this._intervals = []; // Recent clock spacings in ms
+    this._lastClockTime = null;
+
+    // Transport state
+    this.running = false;
+    this.position = 0; // Clock ticks since song start (24 per quarter note)
+    this._awaitingFirstClock = false; // The first clock after Start/Continue plays the current position
+  }
+
+  /**
+   * Register a clock message (0xF8)
+   * @param {number} timestamp - Arrival time in ms
+   */
+  clock(timestamp) {
+    if (this._lastClockTime !== null) {
+      const interval = timestamp - this._lastClockTime;
+      const maxInterval = 60000 / (CLOCK_MIN_BPM * MIDI_CLOCK_PPQN);
+
+      if (interval > maxInterval) {
+        // Clock dropped out - start a fresh estimate
+        this._intervals = [];
+      } else if (interval > 0) {
+        this._intervals.push(interval);
+        if (this._intervals.length > CLOCK_TEMPO_WINDOW) {
+          this._intervals.shift();
+        }
+        this._updateTempo();
+      }
+    }
+    this._lastClockTime = timestamp;
+
+    if (this.running) {
+      if (this._awaitingFirstClock) {
+        this._awaitingFirstClock = false;
+      } else {
+        this.position++;
+      }
+    }
+  }
+
+  /**
+   * Handle Start (0xFA) - play from the top
+   */
+  start() {
+    this.position = 0;
+    this._setRunning('start');
+  }
+
+  /**
+   * Handle Continue (0xFB) - play from the current song position
+   */
+  continue() {
+    this._setRunning('continue');
+  }
+
+  /**
+   * Handle Stop (0xFC) - the song position is kept for a later Continue
+   */
+  stop() {
+    this.running = false;
+    this._awaitingFirstClock = false;
+    this.emit('transport', { type: 'stop', beat: this.getBeat() });
+  }
+
+  /**
+   * Handle Song Position Pointer (0xF2)
+   * @param {number} midiBeats - Position in MIDI beats (16th notes)
+   */
+  setSongPosition(midiBeats) {
+    this.position = Math.max(0, midiBeats) * CLOCKS_PER_MIDI_BEAT;
+    this.emit('position-changed', { beat: this.getBeat() });
+  }
+
+  /**
+   * Get the song position in quarter-note beats
+   * @returns {number} Beats since song start
+   */
+  getBeat() {
+    return this.position / MIDI_CLOCK_PPQN;
+  }
+
+  /**
+   * Forget tempo and transport state (e.g. when the clock source changes)
+   */
+  reset() {
+    this._intervals = [];
+    this._lastClockTime = null;
+    this.running = false;
+    this.position = 0;
+    this._awaitingFirstClock = false;
+
+    if (this.bpm !== null) {
+      this.bpm = null;
+      this.emit('tempo-changed', { bpm: null });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _setRunning(type) {
+    this.running = true;
+    this._awaitingFirstClock = true;
+    this.emit('transport', { type, beat: this.getBeat() });
+  }
+
+  /**
+   * Recompute the tempo; only changes beyond CLOCK_TEMPO_EPSILON are reported
+   * @private
+   */
+  _updateTempo() {
+    if (this._intervals.length < MIN_TEMPO_INTERVALS) return;
+
+    const average = this._intervals.reduce((sum, interval) => sum + interval, 0) / this._intervals.length;
+    const bpm = clamp(60000 / (average * MIDI_CLOCK_PPQN), CLOCK_MIN_BPM, CLOCK_MAX_BPM);
+    const rounded = Math.round(bpm * 10) / 10;
+
+    if (this.bpm === null || Math.abs(rounded - this.bpm) >= CLOCK_TEMPO_EPSILON) {
+      this.bpm = rounded;
+      this.emit('tempo-changed', { bpm: this.bpm });
+    }
+  }
+}
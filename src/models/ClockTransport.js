@@ -0,0 +1,144 @@
+/**
+ * ClockTransport - Internal transport that generates MIDI clock
+ * The opposite of ClockFollower: runs at a set BPM and emits 24-PPQN clock
+ * ticks (scheduled slightly ahead with exact timestamps) plus Start/Stop/Continue
+ * Pure model - AppController forwards its events to MidiManager
+ */
+
+import EventEmitter from '../utils/EventEmitter.js';
+import {
+  MIDI_CLOCK_PPQN,
+  CLOCK_MIN_BPM,
+  CLOCK_MAX_BPM,
+  CLOCK_OUT_DEFAULT_BPM,
+  CLOCK_OUT_LOOKAHEAD_MS,
+  CLOCK_OUT_MAX_CATCHUP_MS
+} from '../config/constants.js';
+import { clamp } from '../utils/geometry.js';
+
+export default class ClockTransport extends EventEmitter {
+  /**
+   * @param {number} bpm - Initial tempo
+   */
+  constructor(bpm = CLOCK_OUT_DEFAULT_BPM) {
+    super();
+
+    this.bpm = clamp(bpm, CLOCK_MIN_BPM, CLOCK_MAX_BPM);
+    this.enabled = false; // Clock is sent continuously while enabled
+    this.running = false;
+    this.position = 0; // Clock ticks since song start (24 per quarter note)
+
+    this._nextClockTime = null; // Timestamp of the next clock to schedule
+    this._awaitingFirstClock = false; // The first clock after Start/Continue plays the current position
+  }
+
+  /**
+   * Turn clock output on or off (turning it off also stops the transport)
+   * @param {boolean} enabled - Send clock
+   * @param {number} now - Current time in ms
+   */
+  setEnabled(enabled, now = performance.now()) {
+    if (this.enabled === enabled) return;
+
+    if (!enabled) {
+      this.stop(now);
+    }
+    this.enabled = enabled;
+    this._nextClockTime = null;
+    this.emit('enabled-changed', { enabled });
+  }
+
+  /**
+   * Set the tempo; takes effect from the next scheduled clock
+   * @param {number} bpm - Tempo in BPM
+   */
+  setBpm(bpm) {
+    const newBpm = clamp(Number(bpm) || CLOCK_OUT_DEFAULT_BPM, CLOCK_MIN_BPM, CLOCK_MAX_BPM);
+    if (this.bpm === newBpm) return;
+
+    this.bpm = newBpm;
+    this.emit('tempo-changed', { bpm: this.bpm });
+  }
+
+  /**
+   * Start from the top
+   * Start is timed on the clock grid so devices see an even clock
+   * @param {number} now - Current time in ms
+   */
+  start(now = performance.now()) {
+    if (!this.enabled) return;
+
+    this.position = 0;
+    this._setRunning('start', now);
+  }
+
+  /**
+   * Continue from the current song position
+   * @param {number} now - Current time in ms
+   */
+  continue(now = performance.now()) {
+    if (!this.enabled || this.running) return;
+
+    // Song Position Pointer counts 16th notes - resume on that grid
+    const clocksPerMidiBeat = MIDI_CLOCK_PPQN / 4;
+    this.position = Math.floor(this.position / clocksPerMidiBeat) * clocksPerMidiBeat;
+    this._setRunning('continue', now);
+  }
+
+  /**
+   * Stop; the song position is kept for Continue
+   * @param {number} now - Current time in ms
+   */
+  stop(now = performance.now()) {
+    if (!this.running) return;
+
+    this.running = false;
+    this._awaitingFirstClock = false;
+    this.emit('transport', { type: 'stop', beat: this.getBeat(), timestamp: now });
+  }
+
+  /**
+   * Schedule the clocks due up to now + CLOCK_OUT_LOOKAHEAD_MS (call on every scheduler tick)
+   * @param {number} now - Current time in ms
+   */
+  update(now = performance.now()) {
+    if (!this.enabled) return;
+
+    if (this._nextClockTime === null || now - this._nextClockTime > CLOCK_OUT_MAX_CATCHUP_MS) {
+      this._nextClockTime = now;
+    }
+
+    const interval = 60000 / (this.bpm * MIDI_CLOCK_PPQN);
+    while (this._nextClockTime <= now + CLOCK_OUT_LOOKAHEAD_MS) {
+      this.emit('clock', { timestamp: this._nextClockTime });
+
+      if (this.running) {
+        if (this._awaitingFirstClock) {
+          this._awaitingFirstClock = false;
+        } else {
+          this.position++;
+        }
+      }
+      this._nextClockTime += interval;
+    }
+  }
+
+  /**
+   * Get the song position in quarter-note beats
+   * @returns {number} Beats since song start
+   */
+  getBeat() {
+    return this.position / MIDI_CLOCK_PPQN;
+  }
+
+  /**
+   * @private
+   */
+  _setRunning(type, now) {
+    this.running = true;
+    this._awaitingFirstClock = true;
+
+    const timestamp = Math.max(now, this._nextClockTime !== null ? this._nextClockTime : now);
+    this.emit('transport', { type, beat: this.getBeat(), timestamp });
+  }
+}
@@ -1,8 +1,11 @@
 /**
- * Connection - Represents a cable connection between two trigger ports
+ * Connection - Represents a cable connection between two trigger ports,
+ * or between two signal ports (a value stream, see SignalPort)
  * Pure model - handles connection logic but no rendering
  */
 
+import { PORT_KIND_TRIGGER, PORT_KIND_SIGNAL } from '../config/constants.js';
+
 export default class Connection {
   constructor(portA, portB) {
     this.portA = portA; // Starting port
@@ -43,9 +46,51 @@ export default class Connection {
     
     if (!validConnection) {
       console.log(`Connection validation failed: ${roleA} port cannot connect to ${roleB} port`);
+      return false;
+    }
+    
+    // Signal ports only connect to signal ports
+    if (!Connection.kindsMatch(this.portA, this.portB)) {
+      console.log('Connection validation failed: signal ports cannot connect to trigger ports');
+      return false;
     }
     
-    return validConnection;
+    return true;
+  }
+
+  /**
+   * Check if two ports are the same kind (trigger ↔ trigger, signal ↔ signal)
+   * @param {object} portA - Port
+   * @param {object} portB - Port
+   * @returns {boolean} True if they may be wired together
+   * @static
+   */
+  static kindsMatch(portA, portB) {
+    return (portA.kind || PORT_KIND_TRIGGER) === (portB.kind || PORT_KIND_TRIGGER);
+  }
+
+  /**
+   * Check if this cable carries a value stream
+   * @returns {boolean} True for signal cables
+   */
+  get isSignal() {
+    return this.portA.kind === PORT_KIND_SIGNAL && this.portB.kind === PORT_KIND_SIGNAL;
+  }
+
+  /**
+   * Get the output end of the cable
+   * @returns {object} Port with role 'out'
+   */
+  getSourcePort() {
+    return this._getPortRole(this.portA) === 'out' ? this.portA : this.portB;
+  }
+
+  /**
+   * Get the input end of the cable
+   * @returns {object} Port with role 'in'
+   */
+  getTargetPort() {
+    return this.getOtherPort(this.getSourcePort());
   }
 
   /**
@@ -338,8 +383,9 @@ export default class Connection {
    * Fire a trigger event through this connection
    * @param {object} sourcePort - The port that fired the trigger
    * @param {string} sourcePortType - Type of port that fired ('input', 'output', 'up', 'down')
+   * @param {number} time - When the source fired (performance.now() clock)
    */
-  propagateFireEvent(sourcePort, sourcePortType = null) {
+  propagateFireEvent(sourcePort, sourcePortType = null, time = performance.now()) {
     // NEW: Directional propagation - only output ports can initiate propagation
     const sourceRole = this._getPortRole(sourcePort);
     if (sourceRole !== 'out') {
@@ -367,7 +413,7 @@ export default class Connection {
     if (targetPort.constructor.name === 'Port') {
       // Port objects handle firing through their fire() method
       console.log(`Firing target Port object (${targetPort.type} port)`);
-      targetPort.fire();
+      targetPort.fire(time);
       return;
     }
     
@@ -0,0 +1,419 @@
+/**
+ * GroupManager - Groups of docked nodes that move and play together
+ * A group forms when a node is docked to another; dragging a member moves the
+ * whole group, and playing a member plays the group with one playhead sweeping
+ * left to right across all members at a shared speed. Members start exactly
+ * when the playhead reaches their left edge.
+ * Pure model - AppController feeds it scheduler ticks, the renderer draws it
+ */
+
+import EventEmitter from '../utils/EventEmitter.js';
+import { PIXELS_PER_SECOND, PIXELS_PER_BEAT } from '../config/constants.js';
+import { clamp } from '../utils/geometry.js';
+
+export default class GroupManager extends EventEmitter {
+  constructor() {
+    super();
+
+    this.groups = []; // [{ members: Set<Node>, run: null | { startX, endX, startTime, pace, pending: Set<Node>, pausedAt } }]
+    this.tempoBpm = null; // Followed clock tempo, null = PIXELS_PER_SECOND
+    this.playbackRate = 1; // Global playback rate
+
+    this._onPlayRequest = this._onPlayRequest.bind(this);
+  }
+
+  /**
+   * Find the group a node belongs to
+   * @param {Node} node - Node
+   * @returns {object|null} Group or null
+   */
+  findGroup(node) {
+    return this.groups.find(group => group.members.has(node)) || null;
+  }
+
+  /**
+   * Get the other nodes that move with a node
+   * @param {Node} node - Node
+   * @returns {Node[]} Members including the node itself ([node] when solo)
+   */
+  getMembers(node) {
+    const group = this.findGroup(node);
+    return group ? [...group.members] : [node];
+  }
+
+  /**
+   * Dock two nodes into one group, merging their groups if needed
+   * @param {Node} a - Docked node
+   * @param {Node} b - Node it docked to
+   * @returns {object|null} The group, or null if nothing changed
+   */
+  join(a, b) {
+    if (!a || !b || a === b) return null;
+    if (typeof a.playInGroup !== 'function' || typeof b.playInGroup !== 'function') return null; // Live nodes have no run
+
+    const groupA = this.findGroup(a);
+    const groupB = this.findGroup(b);
+    if (groupA && groupA === groupB) return null;
+
+    let group = groupA || groupB;
+    if (!group) {
+      group = { members: new Set(), run: null };
+      this.groups.push(group);
+    }
+
+    for (const node of [a, b, ...(groupA && groupB ? groupB.members : [])]) {
+      this._addMember(group, node);
+    }
+    if (groupA && groupB) {
+      groupB.run = null;
+      this.groups = this.groups.filter(g => g !== groupB);
+    }
+
+    this.emit('groups-changed', { groups: this.groups });
+    return group;
+  }
+
+  /**
+   * Take a node out of its group (a group left with one member dissolves)
+   * @param {Node} node - Node
+   * @returns {boolean} True if the node was grouped
+   */
+  detach(node) {
+    const group = this.findGroup(node);
+    if (!group) return false;
+
+    this._removeMember(group, node);
+    if (group.members.size < 2) {
+      for (const member of [...group.members]) {
+        this._removeMember(group, member);
+      }
+      this.groups = this.groups.filter(g => g !== group);
+    }
+
+    this.emit('groups-changed', { groups: this.groups });
+    return true;
+  }
+
+  /**
+   * Forget a deleted node
+   * @param {Node} node - Removed node
+   */
+  removeNode(node) {
+    this.detach(node);
+  }
+
+  /**
+   * Put replacement nodes in the place of a grouped node (after a split)
+   * @param {Node} node - Replaced node
+   * @param {Node[]} replacements - Nodes taking its place
+   */
+  replaceNode(node, replacements) {
+    const group = this.findGroup(node);
+    if (!group) return;
+
+    for (const replacement of replacements) {
+      this._addMember(group, replacement);
+    }
+    this.detach(node);
+  }
+
+  /**
+   * Drop every group (scene teardown)
+   */
+  clear() {
+    this.restore([]);
+  }
+
+  /**
+   * Get the area a group covers
+   * @param {object} group - Group
+   * @returns {{x: number, y: number, w: number, h: number}} Bounding box
+   */
+  getBounds(group) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const node of group.members) {
+      minX = Math.min(minX, node.x);
+      minY = Math.min(minY, node.y);
+      maxX = Math.max(maxX, node.x + node.w);
+      maxY = Math.max(maxY, node.y + node.h);
+    }
+    return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+  }
+
+  /**
+   * Get the group playhead speed
+   * @returns {number} Pixels per ms
+   */
+  getPace() {
+    const pixelsPerMs = this.tempoBpm
+      ? PIXELS_PER_BEAT * this.tempoBpm / 60000
+      : PIXELS_PER_SECOND / 1000;
+    return pixelsPerMs * this.playbackRate;
+  }
+
+  /**
+   * Follow a clock tempo, or return to free-running speed
+   * @param {number|null} bpm - Tempo in BPM, or null
+   */
+  setTempo(bpm) {
+    this.tempoBpm = (bpm > 0) ? bpm : null;
+    this._updatePace();
+  }
+
+  /**
+   * Set the global playback rate
+   * @param {number} rate - Rate multiplier
+   */
+  setPlaybackRate(rate) {
+    this.playbackRate = rate;
+    this._updatePace();
+  }
+
+  /**
+   * Play a group from an x position; members left of it stay silent
+   * @param {object} group - Group
+   * @param {number} x - Where the playhead starts
+   * @param {number} time - When it starts (performance.now() clock)
+   */
+  playFrom(group, x, time = performance.now()) {
+    const bounds = this.getBounds(group);
+    const startX = clamp(x, bounds.x, bounds.x + bounds.w);
+
+    for (const node of group.members) {
+      node.stopPlayback();
+    }
+
+    group.run = {
+      startX,
+      endX: bounds.x + bounds.w,
+      startTime: time,
+      pace: this.getPace(),
+      pending: new Set([...group.members].filter(node => node.x + node.w > startX)),
+      pausedAt: null
+    };
+
+    console.log(`GroupManager: playing group of ${group.members.size} from x=${startX.toFixed(1)}`);
+    this.emit('group-run-started', { group, x: startX, time });
+
+    // Members under the playhead start right away
+    this.update(time, time);
+  }
+
+  /**
+   * Play a group from its left edge
+   * @param {object} group - Group
+   * @param {number} time - When it starts (performance.now() clock)
+   */
+  playFromStart(group, time = performance.now()) {
+    this.playFrom(group, this.getBounds(group).x, time);
+  }
+
+  /**
+   * Play a node's group from a position inside the node
+   * @param {Node} node - Grouped node
+   * @param {number} u - Position in the node (0-1)
+   * @param {number} time - When it starts (performance.now() clock)
+   * @returns {boolean} True if the node is grouped
+   */
+  playFromNode(node, u, time = performance.now()) {
+    const group = this.findGroup(node);
+    if (!group) return false;
+
+    this.playFrom(group, node.x + node.w * clamp(u, 0, 1), time);
+    return true;
+  }
+
+  /**
+   * Start members the playhead reaches by `until`, at the exact time it
+   * reaches them, and end runs the playhead has finished
+   * @param {number} now - Current time in ms (performance.now() clock)
+   * @param {number} until - Start members up to this time
+   */
+  update(now, until) {
+    for (const group of this.groups) {
+      const run = group.run;
+      if (!run || run.pausedAt !== null) continue;
+
+      for (const node of [...run.pending]) {
+        const enterX = Math.max(node.x, run.startX);
+        const enterTime = run.startTime + (enterX - run.startX) / run.pace;
+        if (enterTime > until) continue;
+
+        run.pending.delete(node);
+        node.playInGroup((enterX - node.x) / node.w, enterTime, run.pace);
+      }
+
+      if (run.pending.size === 0 && this.getPlayheadX(group, now) >= run.endX) {
+        group.run = null;
+        this.emit('group-run-complete', { group });
+      }
+    }
+  }
+
+  /**
+   * Get where a group's playhead is
+   * @param {object} group - Group
+   * @param {number} time - Time in ms (performance.now() clock)
+   * @returns {number|null} X position, or null when the group is not playing
+   */
+  getPlayheadX(group, time = performance.now()) {
+    const run = group.run;
+    if (!run) return null;
+
+    const at = run.pausedAt !== null ? run.pausedAt : time;
+    const x = run.startX + Math.max(0, at - run.startTime) * run.pace;
+    return Math.min(x, run.endX);
+  }
+
+  /**
+   * Check if any group playhead is moving or held
+   * @returns {boolean} True if a group run is active
+   */
+  hasRuns() {
+    return this.groups.some(group => !!group.run);
+  }
+
+  /**
+   * Hold every group playhead (members pause themselves)
+   * @param {number} time - When to hold (performance.now() clock)
+   */
+  pauseRuns(time = performance.now()) {
+    for (const group of this.groups) {
+      if (group.run && group.run.pausedAt === null) {
+        group.run.pausedAt = time;
+      }
+    }
+  }
+
+  /**
+   * Continue held group playheads from where they stopped
+   * @param {number} time - When playback continues (performance.now() clock)
+   */
+  resumeRuns(time = performance.now()) {
+    for (const group of this.groups) {
+      const run = group.run;
+      if (run && run.pausedAt !== null) {
+        run.startTime += time - run.pausedAt;
+        run.pausedAt = null;
+      }
+    }
+  }
+
+  /**
+   * End every group run (members stop themselves)
+   */
+  stopRuns() {
+    for (const group of this.groups) {
+      group.run = null;
+    }
+  }
+
+  /**
+   * Capture the current grouping (for undo)
+   * @returns {Array<Node[]>} Member lists
+   */
+  snapshot() {
+    return this.groups.map(group => [...group.members]);
+  }
+
+  /**
+   * Replace the grouping with a captured one
+   * @param {Array<Node[]>} snapshot - Member lists from snapshot()
+   */
+  restore(snapshot) {
+    for (const group of this.groups) {
+      for (const node of [...group.members]) {
+        this._removeMember(group, node);
+      }
+    }
+    this.groups = [];
+
+    for (const members of snapshot) {
+      if (members.length < 2) continue;
+
+      const group = { members: new Set(), run: null };
+      for (const node of members) {
+        this._addMember(group, node);
+      }
+      this.groups.push(group);
+    }
+
+    this.emit('groups-changed', { groups: this.groups });
+  }
+
+  /**
+   * Serialize groups for the patch file
+   * @returns {Array<string[]>} Member node IDs per group
+   */
+  toJSON() {
+    return this.groups.map(group => [...group.members].map(node => node.id));
+  }
+
+  /**
+   * Restore groups from patch data (unknown node IDs are skipped)
+   * @param {Array<string[]>} data - Member node IDs per group
+   * @param {Node[]} nodes - Nodes of the loaded scene
+   */
+  load(data, nodes) {
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    this.restore((Array.isArray(data) ? data : [])
+      .filter(ids => Array.isArray(ids))
+      .map(ids => ids.map(id => byId.get(id)).filter(Boolean)));
+  }
+
+  /**
+   * Rebase running playheads at the new speed
+   * @private
+   */
+  _updatePace() {
+    const pace = this.getPace();
+    const now = performance.now();
+
+    for (const group of this.groups) {
+      const run = group.run;
+      if (!run || run.pace === pace) continue;
+
+      const at = run.pausedAt !== null ? run.pausedAt : now;
+      run.startX = this.getPlayheadX(group, at);
+      run.startTime = Math.max(at, run.startTime);
+      run.pace = pace;
+
+      for (const node of group.members) {
+        node.setGroupPace(pace);
+      }
+    }
+  }
+
+  /**
+   * Add a node to a group
+   * @private
+   */
+  _addMember(group, node) {
+    const previous = this.findGroup(node);
+    if (previous === group) return;
+    if (previous) this._removeMember(previous, node);
+
+    group.members.add(node);
+    node.group = group;
+    node.on('group-play-request', this._onPlayRequest);
+  }
+
+  /**
+   * Remove a node from a group, ending its part in a group run
+   * @private
+   */
+  _removeMember(group, node) {
+    group.members.delete(node);
+    if (group.run) group.run.pending.delete(node);
+    node.group = null;
+    node.off('group-play-request', this._onPlayRequest);
+  }
+
+  /**
+   * A VTrigger input fired on a grouped node
+   * @private
+   */
+  _onPlayRequest({ node, u, time }) {
+    this.playFromNode(node, u, time);
+  }
+}
@@ -6,6 +6,7 @@
 
 import { clamp } from '../utils/geometry.js';
 import Port from './Port.js';
+import { HTRIGGER_MAX_HYSTERESIS, HTRIGGER_MAX_REFIRE_MS } from '../config/constants.js';
 
 export default class HTrigger {
   constructor(node, vNorm = 0.5) {
@@ -15,6 +16,11 @@ export default class HTrigger {
     // Visual state
     this.isDragging = false;
     this.isHovered = false;
+    this.selected = false;
+    
+    // Chatter suppression
+    this.hysteresis = 0; // Dead band width around the level (fraction of the value range)
+    this.minIntervalMs = 0; // Minimum time between two fires of the same port
     
     // Trigger identification
     this.id = this._generateId();
@@ -22,6 +28,9 @@ export default class HTrigger {
     
     // Crossing detection state
     this.lastValue = null; // Last waveform value at this level
+    this._liveState = null; // Side of the dead band a live value was last seen on ('high' | 'low')
+    this._crossingCache = null; // Scanned crossings, kept while samples and band levels stay the same
+    this._lastFireTimes = { up: -Infinity, down: -Infinity }; // For the minimum re-fire interval
     
     // Create separate Port objects (matching monolithic script architecture)
     this.portUp = new Port(this, 'up', 'out');
@@ -39,50 +48,55 @@ export default class HTrigger {
   /**
    * Fire the up port (called when waveform crosses above threshold)
    * @param {number} flashDurationMs - Flash duration in milliseconds
+   * @param {number} time - Exact time the waveform crossed the level (performance.now() clock)
    */
-  fireUpPort(flashDurationMs = 220) {
+  fireUpPort(flashDurationMs = 220, time = performance.now()) {
     this.upPortTriggered = true;
-    this.upFlashEndTime = performance.now() + flashDurationMs;
+    this.upFlashEndTime = time + flashDurationMs;
     console.log(`HTrigger up crossing fired at threshold=${this.v.toFixed(3)}`);
     
     // Emit event if node has event system
     if (this.node && typeof this.node.emit === 'function') {
       this.node.emit('htrigger-up-fired', {
         trigger: this,
-        threshold: this.v
+        threshold: this.v,
+        time
       });
     }
     
     // Propagate trigger through connections
-    this._propagateUpTrigger();
+    this._propagateUpTrigger(time);
   }
 
   /**
    * Fire the down port (called when waveform crosses below threshold)
    * @param {number} flashDurationMs - Flash duration in milliseconds
+   * @param {number} time - Exact time the waveform crossed the level (performance.now() clock)
    */
-  fireDownPort(flashDurationMs = 220) {
+  fireDownPort(flashDurationMs = 220, time = performance.now()) {
     this.downPortTriggered = true;
-    this.downFlashEndTime = performance.now() + flashDurationMs;
+    this.downFlashEndTime = time + flashDurationMs;
     console.log(`HTrigger down crossing fired at threshold=${this.v.toFixed(3)}`);
     
     // Emit event if node has event system
     if (this.node && typeof this.node.emit === 'function') {
       this.node.emit('htrigger-down-fired', {
         trigger: this,
-        threshold: this.v
+        threshold: this.v,
+        time
       });
     }
     
     // Propagate trigger through connections
-    this._propagateDownTrigger();
+    this._propagateDownTrigger(time);
   }
 
   /**
    * Propagate up port trigger event through connected cables
+   * @param {number} time - Fire time passed on to the connected ports
    * @private
    */
-  _propagateUpTrigger() {
+  _propagateUpTrigger(time) {
     // Get the app instance to access connections
     const app = this._getAppInstance();
     if (!app || !app.connections) return;
@@ -92,20 +106,21 @@ export default class HTrigger {
       if (connection.portA === this.portUp) {
         // This up port is connected as source - propagate to the target port
         console.log(`HTrigger up port propagating fire event through connection`);
-        connection.propagateFireEvent(this.portUp, 'up');
+        connection.propagateFireEvent(this.portUp, 'up', time);
       } else if (connection.portB === this.portUp) {
         // This up port is connected as target - propagate to the other port  
         console.log(`HTrigger up port propagating fire event through connection`);
-        connection.propagateFireEvent(this.portUp, 'up');
+        connection.propagateFireEvent(this.portUp, 'up', time);
       }
     }
   }
 
   /**
    * Propagate down port trigger event through connected cables
+   * @param {number} time - Fire time passed on to the connected ports
    * @private
    */
-  _propagateDownTrigger() {
+  _propagateDownTrigger(time) {
     // Get the app instance to access connections
     const app = this._getAppInstance();
     if (!app || !app.connections) return;
@@ -115,11 +130,11 @@ export default class HTrigger {
       if (connection.portA === this.portDown) {
         // This down port is connected as source - propagate to the target port
         console.log(`HTrigger down port propagating fire event through connection`);
-        connection.propagateFireEvent(this.portDown, 'down');
+        connection.propagateFireEvent(this.portDown, 'down', time);
       } else if (connection.portB === this.portDown) {
         // This down port is connected as target - propagate to the other port
         console.log(`HTrigger down port propagating fire event through connection`);
-        connection.propagateFireEvent(this.portDown, 'down');
+        connection.propagateFireEvent(this.portDown, 'down', time);
       }
     }
   }
@@ -238,8 +253,73 @@ export default class HTrigger {
     return 1 - this.v; // Invert because v=0 is top, but waveform 1.0 is top
   }
 
+  /**
+   * Get the levels an up/down crossing has to reach (the edges of the dead band)
+   * @returns {{upper: number, lower: number}} Levels (0-1)
+   */
+  getBandLevels() {
+    const level = this.getThresholdLevel();
+    return {
+      upper: level + this.hysteresis / 2,
+      lower: level - this.hysteresis / 2
+    };
+  }
+
+  /**
+   * Set the dead band width
+   * @param {number} hysteresis - Fraction of the value range (0 = plain level)
+   */
+  setHysteresis(hysteresis) {
+    this.hysteresis = clamp(Number(hysteresis) || 0, 0, HTRIGGER_MAX_HYSTERESIS);
+  }
+
+  /**
+   * Set the minimum time between two fires of the same port
+   * @param {number} ms - Interval in milliseconds (0 = no limit)
+   */
+  setMinInterval(ms) {
+    this.minIntervalMs = clamp(Math.round(Number(ms) || 0), 0, HTRIGGER_MAX_REFIRE_MS);
+  }
+
+  /**
+   * Get the editable settings for the trigger inspector
+   * @returns {object} { header, hysteresis, minIntervalMs }
+   */
+  getSettings() {
+    return {
+      header: `HTrigger on ${this.node ? this.node.label : ''}`,
+      hysteresis: this.hysteresis,
+      minIntervalMs: this.minIntervalMs
+    };
+  }
+
+  /**
+   * Check the minimum re-fire interval and remember accepted fires
+   * @param {string} type - 'up' or 'down'
+   * @param {number} time - Fire time (performance.now() clock)
+   * @returns {boolean} True if the port may fire
+   */
+  acceptFire(type, time) {
+    if (time - this._lastFireTimes[type] < this.minIntervalMs) {
+      return false;
+    }
+    this._lastFireTimes[type] = time;
+    return true;
+  }
+
+  /**
+   * Move the remembered fire times later (after a pause, so the held time
+   * does not count towards the minimum interval)
+   * @param {number} ms - Pause length
+   */
+  shiftFireTimes(ms) {
+    this._lastFireTimes.up += ms;
+    this._lastFireTimes.down += ms;
+  }
+
   /**
    * Compute crossing points where waveform intersects this trigger level
+   * With hysteresis these are the points where the waveform leaves the dead band
    * @param {string} direction - 'up' or 'down' for crossing direction
    * @returns {array} Array of crossing points {x, y}
    */
@@ -248,34 +328,113 @@ export default class HTrigger {
       return [];
     }
 
+    const { gx, gy, gw, gh } = this.graphRect;
+    const { upper, lower } = this.getBandLevels();
+    const levelVal = direction === 'up' ? upper : lower;
+
+    return this._getCrossings(false)
+      .filter(crossing => crossing.type === direction)
+      .map(crossing => ({
+        x: clamp(gx + crossing.u * gw, gx, gx + gw),
+        y: clamp(gy + (1 - levelVal) * gh, gy, gy + gh)
+      }));
+  }
+
+  /**
+   * Find every crossing playback passes when moving from one position to another
+   * Uses the same interpolated samples as computeCrossings, so fast waveforms
+   * crossing several times between two updates report every crossing.
+   * Moving right to left (reverse playback) reports the crossings as heard:
+   * a rising edge of the drawing is a down crossing
+   * @param {number} fromU - Position already checked (exclusive)
+   * @param {number} toU - Position reached (inclusive)
+   * @returns {array} Crossings {u, type: 'up'|'down'} in playback order
+   */
+  crossingsBetween(fromU, toU) {
+    if (!this.node || !this.node.samples || toU === fromU) {
+      return [];
+    }
+
+    if (toU > fromU) {
+      return this._getCrossings(false)
+        .filter(crossing => crossing.u > fromU && crossing.u <= toU);
+    }
+    return this._getCrossings(true)
+      .filter(crossing => crossing.u < fromU && crossing.u >= toU);
+  }
+
+  /**
+   * Get the crossings along the whole waveform, scanning only when the samples
+   * or the band levels changed since the last scan (playback asks on every
+   * scheduler tick, rendering on every frame)
+   * Nodes that change their samples in place bump node.samplesVersion
+   * @param {boolean} reverse - Right to left (reverse playback)
+   * @returns {array} Crossings {u, type} in scan order (shared, do not modify)
+   * @private
+   */
+  _getCrossings(reverse = false) {
+    const { upper, lower } = this.getBandLevels();
+    const samples = this.node.samples;
+    const version = this.node.samplesVersion;
+
+    const cache = this._crossingCache;
+    if (!cache || cache.samples !== samples || cache.version !== version ||
+        cache.upper !== upper || cache.lower !== lower) {
+      this._crossingCache = { samples, version, upper, lower, forward: null, reverse: null };
+    }
+
+    const key = reverse ? 'reverse' : 'forward';
+    if (!this._crossingCache[key]) {
+      this._crossingCache[key] = this._scanCrossings(reverse);
+    }
+    return this._crossingCache[key];
+  }
+
+  /**
+   * Interpolate the crossings along the whole waveform
+   * An up crossing needs the waveform to reach the top of the dead band and a
+   * down crossing the bottom, each only after the other one (Schmitt trigger);
+   * without hysteresis both edges are the level itself
+   * @param {boolean} reverse - Scan right to left (reverse playback)
+   * @returns {array} Crossings {u, type} in scan order
+   * @private
+   */
+  _scanCrossings(reverse = false) {
     const crossings = [];
-    const { gx, gw } = this.graphRect;
-    const levelVal = this.getThresholdLevel();
+    const { upper, lower } = this.getBandLevels();
     const samples = this.node.samples;
     const n = samples.length;
+    if (n < 2) return crossings;
+
+    // Sample i of the scan
+    const sampleAt = (i) => samples[reverse ? n - 1 - i : i];
+
+    // Position of a point between sample i and i+1 of the scan
+    const positionAt = (i, t) => {
+      const u = (i + t) / (n - 1);
+      return reverse ? 1 - u : u;
+    };
+
+    // Side of the band the waveform was last seen on
+    const first = sampleAt(0);
+    let state = first > upper ? 'high' : (first < lower ? 'low' : null);
 
     for (let i = 0; i < n - 1; i++) {
-      const v0 = samples[i];
-      const v1 = samples[i + 1];
-
-      let crossed = false;
-      if (direction === 'up' && v0 < levelVal && v1 >= levelVal && v1 !== v0) {
-        crossed = true;
-      } else if (direction === 'down' && v0 > levelVal && v1 <= levelVal && v1 !== v0) {
-        crossed = true;
+      const v0 = sampleAt(i);
+      const v1 = sampleAt(i + 1);
+
+      if (state !== 'high' && v0 < upper && v1 >= upper) {
+        crossings.push({ u: positionAt(i, (upper - v0) / (v1 - v0)), type: 'up' });
+        state = 'high';
+      } else if (state !== 'low' && v0 > lower && v1 <= lower) {
+        crossings.push({ u: positionAt(i, (lower - v0) / (v1 - v0)), type: 'down' });
+        state = 'low';
       }
 
-      if (crossed) {
-        // Calculate exact crossing point using linear interpolation
-        const t = (levelVal - v0) / (v1 - v0);
-        const x0 = gx + (i / (n - 1)) * gw;
-        const x1 = gx + ((i + 1) / (n - 1)) * gw;
-        const crossingX = x0 + t * (x1 - x0);
-
-        crossings.push({
-          x: clamp(crossingX, gx, gx + gw),
-          y: this.y
-        });
+      if (v1 > upper) {
+        state = 'high';
+      } else if (v1 < lower) {
+        state = 'low';
       }
     }
 
@@ -283,33 +442,41 @@ export default class HTrigger {
   }
 
   /**
-   * Check for crossing at current playback position
-   * @param {number} currentValue - Current waveform value (0-1)
+   * Check a live value (e.g. an oscilloscope input) for a crossing since the last call
+   * Follows the same dead band rules as _scanCrossings(); playback uses crossingsBetween()
+   * @param {number} currentValue - Current value (0-1)
    * @returns {object|null} Crossing info or null
    */
   checkCrossing(currentValue) {
-    if (this.lastValue === null) {
-      this.lastValue = currentValue;
-      return null;
-    }
-
-    const threshold = this.getThresholdLevel();
+    const { upper, lower } = this.getBandLevels();
     const prev = this.lastValue;
     const curr = currentValue;
+    this.lastValue = currentValue;
+
+    if (prev === null) {
+      this._liveState = curr > upper ? 'high' : (curr < lower ? 'low' : null);
+      return null;
+    }
 
     let crossingType = null;
-    if (prev < threshold && curr >= threshold) {
+    if (this._liveState !== 'high' && prev < upper && curr >= upper) {
       crossingType = 'up';
-    } else if (prev > threshold && curr <= threshold) {
+      this._liveState = 'high';
+    } else if (this._liveState !== 'low' && prev > lower && curr <= lower) {
       crossingType = 'down';
+      this._liveState = 'low';
     }
 
-    this.lastValue = currentValue;
+    if (curr > upper) {
+      this._liveState = 'high';
+    } else if (curr < lower) {
+      this._liveState = 'low';
+    }
 
     if (crossingType) {
       return {
         type: crossingType,
-        threshold,
+        threshold: this.getThresholdLevel(),
         fromValue: prev,
         toValue: curr
       };
@@ -323,6 +490,7 @@ export default class HTrigger {
    */
   resetCrossingState() {
     this.lastValue = null;
+    this._liveState = null;
   }
 
   /**
@@ -448,6 +616,12 @@ export default class HTrigger {
     // Trigger line should stop at node edge, not extend to ports
     const lineEndX = this.node.x + this.node.w;
 
+    // Dead band (hysteresis), clipped to the graph
+    const { gy, gh } = this.graphRect;
+    const { upper, lower } = this.getBandLevels();
+    const bandTop = clamp(gy + (1 - upper) * gh, gy, gy + gh);
+    const bandBottom = clamp(gy + (1 - lower) * gh, gy, gy + gh);
+
     return {
       // Main trigger line (stops at node edge)
       line: {
@@ -485,23 +659,43 @@ export default class HTrigger {
         radius: 3
       })),
       
+      // Dead band, null without hysteresis
+      band: this.hysteresis > 0 ? {
+        x: this.node.x,
+        y: bandTop,
+        w: this.node.w,
+        h: bandBottom - bandTop
+      } : null,
+      
       // Port positions
       upPort,
       downPort,
       
       // State
       isHovered: this.isHovered,
-      isDragging: this.isDragging
+      isDragging: this.isDragging,
+      isSelected: this.selected
     };
   }
 
+  /**
+   * Get this trigger's ports
+   * @returns {Port[]} Up and down ports
+   */
+  getPorts() {
+    return [this.portUp, this.portDown];
+  }
+
   /**
    * Clone this trigger for another node
    * @param {object} targetNode - Target node
    * @returns {HTrigger} Cloned trigger
    */
   clone(targetNode) {
-    return new HTrigger(targetNode, this.v);
+    const cloned = new HTrigger(targetNode, this.v);
+    cloned.hysteresis = this.hysteresis;
+    cloned.minIntervalMs = this.minIntervalMs;
+    return cloned;
   }
 
   /**
@@ -511,7 +705,13 @@ export default class HTrigger {
     return {
       id: this.id,
       type: this.type,
-      v: this.v
+      v: this.v,
+      hysteresis: this.hysteresis,
+      minIntervalMs: this.minIntervalMs,
+      ports: {
+        up: this.portUp.id,
+        down: this.portDown.id
+      }
     };
   }
 
@@ -524,6 +724,15 @@ export default class HTrigger {
   static fromJSON(data, node) {
     const trigger = new HTrigger(node, data.v);
     trigger.id = data.id;
+    trigger.setHysteresis(data.hysteresis);
+    trigger.setMinInterval(data.minIntervalMs);
+    
+    // Restore port IDs so saved connections can resolve their endpoints
+    if (data.ports) {
+      trigger.portUp.id = data.ports.up || trigger.portUp.id;
+      trigger.portDown.id = data.ports.down || trigger.portDown.id;
+    }
+    
     return trigger;
   }
 }
@@ -0,0 +1,642 @@
+/**
+ * MapperNode - Reshapes a signal through an editable transfer curve
+ * Sits between a signal source and a CC output: the value at the signal input
+ * is clamped to the input range, passed through the curve, optionally
+ * inverted and scaled to the output range, then sent on at the signal output
+ * and (when a CC is set) as MIDI CC.
+ * The node shows three thirds: input reflection, the curve, and a scope of the output.
+ * Curves: two quadratics shaped by their midpoint handles (midTop/midBottom,
+ * from the monolith), or editable points joined by straight lines.
+ * Pure model - AppController feeds it scheduler ticks, MapperRenderer draws it
+ */
+
+import Node from './Node.js';
+import SignalPort from './SignalPort.js';
+import {
+  MAPPER_DEFAULT_W,
+  MAPPER_DEFAULT_H,
+  MAPPER_CURVE_QUAD,
+  MAPPER_CURVE_POINTS,
+  MAPPER_CURVE_LABELS,
+  MAPPER_SEED_POINTS,
+  MAPPER_MAX_POINTS,
+  MAPPER_HANDLE_H,
+  MAPPER_HANDLE_W_RATIO,
+  MAPPER_POINT_HIT_PX,
+  MAPPER_GRAPH_PAD_X,
+  MAPPER_GRAPH_PAD_Y,
+  MAPPER_SAMPLE_INTERVAL_MS,
+  MAPPER_MAX_CATCHUP_MS
+} from '../config/constants.js';
+import { clamp, pointInRect } from '../utils/geometry.js';
+
+/**
+ * Normalize a point list: values clamped to 0-1, sorted by x, ends pinned to x=0 and x=1
+ * @param {Array} points - [{ x, y }]
+ * @returns {Array} Clean copy (at least the two end points)
+ * @private
+ */
+function normalizePoints(points) {
+  const clean = (points || [])
+    .map(p => ({ x: clamp(Number(p.x) || 0, 0, 1), y: clamp(Number(p.y) || 0, 0, 1) }))
+    .sort((a, b) => a.x - b.x)
+    .slice(0, MAPPER_MAX_POINTS);
+
+  if (clean.length < 2) {
+    return [{ x: 0, y: 0 }, { x: 1, y: 1 }];
+  }
+  clean[0].x = 0;
+  clean[clean.length - 1].x = 1;
+  return clean;
+}
+
+export default class MapperNode extends Node {
+  /**
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {string} label - Node label
+   * @param {number} width - Node width (optional)
+   * @param {number} height - Node height (optional)
+   */
+  constructor(x = 0, y = 0, label = 'Mapper', width = null, height = null) {
+    super(x, y, label);
+
+    this.w = width || MAPPER_DEFAULT_W;
+    this.h = height || MAPPER_DEFAULT_H;
+
+    // Transfer curve
+    this.curveMode = MAPPER_CURVE_QUAD; // 'quad' | 'points'
+    this.midTop = 0.5; // Rising curve value at the middle input
+    this.midBottom = 0.5; // Falling curve value at the middle input
+    this.points = normalizePoints(null); // Points curve [{ x, y }], ends at x=0 and x=1
+
+    // Ranges (0-1) and invert
+    this.inMin = 0;
+    this.inMax = 1;
+    this.outMin = 0;
+    this.outMax = 1;
+    this.invert = false;
+
+    // MIDI output: null = signal output only
+    this.cc = null;
+    this.outputChannel = null; // 0-15, null = global channel
+    this.lastCCSent = -1;
+
+    // Live state
+    this.inputValue = null; // Last value at the signal input
+    this.outBuf = new Array(this._getScopeSampleCount()).fill(0.5); // Output scope, oldest first
+    this._nextSampleTime = 0;
+
+    // No triggers (kept for code that walks every node's triggers)
+    this.vTriggers = [];
+    this.hTriggers = [];
+
+    this.signalIn = new SignalPort(this, 'in');
+    this.signalOut = new SignalPort(this, 'out');
+  }
+
+  /**
+   * Get the three regions: input reflection, curve, output scope
+   * @returns {{inRect: object, mapRect: object, outRect: object}} Rectangles {x, y, w, h}
+   */
+  getRects() {
+    const third = this.w / 3;
+    return {
+      inRect: { x: this.x, y: this.y, w: third, h: this.h },
+      mapRect: { x: this.x + third, y: this.y, w: third, h: this.h },
+      outRect: { x: this.x + third * 2, y: this.y, w: third, h: this.h }
+    };
+  }
+
+  /**
+   * Inset a region to its drawing area
+   * @private
+   */
+  _inset(rect) {
+    return {
+      x: rect.x + MAPPER_GRAPH_PAD_X,
+      y: rect.y + MAPPER_GRAPH_PAD_Y,
+      w: rect.w - MAPPER_GRAPH_PAD_X * 2,
+      h: rect.h - MAPPER_GRAPH_PAD_Y * 2
+    };
+  }
+
+  /**
+   * Get the area the curve is drawn and edited in
+   * @returns {{x: number, y: number, w: number, h: number}} Rectangle
+   */
+  getCurveRect() {
+    return this._inset(this.getRects().mapRect);
+  }
+
+  /**
+   * Get the output scope area
+   */
+  getGraphRect() {
+    const { x, y, w, h } = this._inset(this.getRects().outRect);
+    return { gx: x, gy: y, gw: w, gh: h };
+  }
+
+  /**
+   * Number of output scope samples (about one per pixel)
+   * @private
+   */
+  _getScopeSampleCount() {
+    return Math.max(2, Math.floor(this.w / 3 - MAPPER_GRAPH_PAD_X * 2));
+  }
+
+  // ----- Transfer curve -----
+
+  /**
+   * Rising quadratic through (0, 0), (0.5, midTop), (1, 1)
+   * @returns {function} u => value
+   */
+  getTopQuad() {
+    return this._quadThrough(0, 0, 0.5, this.midTop, 1, 1);
+  }
+
+  /**
+   * Falling quadratic through (0, 1), (0.5, midBottom), (1, 0)
+   * @returns {function} u => value
+   */
+  getBottomQuad() {
+    return this._quadThrough(0, 1, 0.5, this.midBottom, 1, 0);
+  }
+
+  /**
+   * Quadratic through three points
+   * @returns {function} x => y
+   * @private
+   */
+  _quadThrough(x1, y1, x2, y2, x3, y3) {
+    const denom = (x1 - x2) * (x1 - x3) * (x2 - x3);
+    const a = (x3 * (y2 - y1) + x2 * (y1 - y3) + x1 * (y3 - y2)) / denom;
+    const b = (x3 * x3 * (y1 - y2) + x2 * x2 * (y3 - y1) + x1 * x1 * (y2 - y3)) / denom;
+    const c = (x2 * x3 * (x2 - x3) * y1 + x3 * x1 * (x3 - x1) * y2 + x1 * x2 * (x1 - x2) * y3) / denom;
+    return (x) => a * x * x + b * x + c;
+  }
+
+  /**
+   * Dual quadratic mapping: the rising curve averaged with the mirrored falling
+   * curve, so raising the top handle or lowering the bottom one lifts the response
+   * @param {number} u - Input (0-1)
+   * @returns {number} Value (0-1)
+   * @private
+   */
+  _remap(u) {
+    const top = this.getTopQuad();
+    const bottom = this.getBottomQuad();
+    return clamp((top(u) + 1 - bottom(u)) * 0.5, 0, 1);
+  }
+
+  /**
+   * Evaluate the transfer curve (before ranges and invert)
+   * @param {number} u - Input (0-1)
+   * @returns {number} Value (0-1)
+   */
+  curveAt(u) {
+    const x = clamp(u, 0, 1);
+    if (this.curveMode !== MAPPER_CURVE_POINTS) {
+      return this._remap(x);
+    }
+
+    const points = this.points;
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      if (x <= b.x) {
+        const span = b.x - a.x;
+        return span > 0 ? a.y + (b.y - a.y) * (x - a.x) / span : b.y;
+      }
+    }
+    return points[points.length - 1].y;
+  }
+
+  /**
+   * Place an input value on the curve through the input range
+   * In min above In max reverses the range; equal ends make a step at In min
+   * @param {number} value - Input (0-1)
+   * @returns {number} Curve input (0-1)
+   */
+  getCurveInput(value = this.inputValue) {
+    const inSpan = this.inMax - this.inMin;
+    return inSpan !== 0
+      ? clamp((value - this.inMin) / inSpan, 0, 1)
+      : (value >= this.inMin ? 1 : 0);
+  }
+
+  /**
+   * Map an input value: input range, curve, invert, output range
+   * @param {number} value - Input (0-1)
+   * @returns {number} Output (0-1)
+   */
+  mapValue(value) {
+    let y = clamp(this.curveAt(this.getCurveInput(value)), 0, 1);
+    if (this.invert) {
+      y = 1 - y;
+    }
+    return this.outMin + y * (this.outMax - this.outMin);
+  }
+
+  /**
+   * Switch between the dual quadratic and the points curve
+   * The first switch to points seeds them from the quadratic curve, so the response
+   * keeps its shape; points edited earlier are kept
+   * @param {string} mode - 'quad' | 'points'
+   */
+  setCurveMode(mode) {
+    const newMode = mode === MAPPER_CURVE_POINTS ? MAPPER_CURVE_POINTS : MAPPER_CURVE_QUAD;
+    if (newMode === this.curveMode) return;
+
+    if (newMode === MAPPER_CURVE_POINTS && this._hasDefaultPoints()) {
+      const points = [];
+      for (let i = 0; i < MAPPER_SEED_POINTS; i++) {
+        const x = i / (MAPPER_SEED_POINTS - 1);
+        points.push({ x, y: this._remap(x) });
+      }
+      this.points = normalizePoints(points);
+    }
+    this.curveMode = newMode;
+    this._emitCurveChanged();
+  }
+
+  /**
+   * Set a midpoint of the dual quadratic
+   * @param {string} which - 'top' | 'bottom'
+   * @param {number} value - Curve value at the middle input (0-1)
+   */
+  setMid(which, value) {
+    if (which === 'top') {
+      this.midTop = clamp(value, 0, 1);
+    } else {
+      this.midBottom = clamp(value, 0, 1);
+    }
+    this._emitCurveChanged();
+  }
+
+  /**
+   * Add a point to the points curve
+   * @param {number} x - Input (0-1)
+   * @param {number} y - Output (0-1)
+   * @returns {number} Index of the new point, -1 if the curve is full
+   */
+  addCurvePoint(x, y) {
+    if (this.points.length >= MAPPER_MAX_POINTS) return -1;
+
+    const px = clamp(x, 0, 1);
+    let index = this.points.findIndex(p => p.x > px);
+    if (index <= 0) index = this.points.length - 1; // Always between the end points
+    this.points.splice(index, 0, { x: px, y: clamp(y, 0, 1) });
+
+    this._emitCurveChanged();
+    return index;
+  }
+
+  /**
+   * Move a point of the points curve
+   * End points only move vertically; other points stay between their neighbours
+   * @param {number} index - Point index
+   * @param {number} x - Input (0-1)
+   * @param {number} y - Output (0-1)
+   */
+  moveCurvePoint(index, x, y) {
+    const point = this.points[index];
+    if (!point) return;
+
+    if (index > 0 && index < this.points.length - 1) {
+      point.x = clamp(x, this.points[index - 1].x, this.points[index + 1].x);
+    }
+    point.y = clamp(y, 0, 1);
+    this._emitCurveChanged();
+  }
+
+  /**
+   * Remove a point of the points curve (end points stay)
+   * @param {number} index - Point index
+   * @returns {boolean} True if removed
+   */
+  removeCurvePoint(index) {
+    if (index <= 0 || index >= this.points.length - 1) return false;
+
+    this.points.splice(index, 1);
+    this._emitCurveChanged();
+    return true;
+  }
+
+  /**
+   * Capture the curve (for undo)
+   * @returns {object} { curveMode, midTop, midBottom, points }
+   */
+  getCurve() {
+    return {
+      curveMode: this.curveMode,
+      midTop: this.midTop,
+      midBottom: this.midBottom,
+      points: this.points.map(p => ({ ...p }))
+    };
+  }
+
+  /**
+   * Replace the curve with a captured one
+   * @param {object} curve - From getCurve()
+   */
+  setCurve(curve = {}) {
+    this.curveMode = curve.curveMode === MAPPER_CURVE_POINTS ? MAPPER_CURVE_POINTS : MAPPER_CURVE_QUAD;
+    this.midTop = clamp(curve.midTop != null ? curve.midTop : 0.5, 0, 1);
+    this.midBottom = clamp(curve.midBottom != null ? curve.midBottom : 0.5, 0, 1);
+    this.points = normalizePoints(curve.points);
+    this._emitCurveChanged();
+  }
+
+  /**
+   * Check if the points curve is still the untouched straight line
+   * @returns {boolean} True for the two default end points
+   * @private
+   */
+  _hasDefaultPoints() {
+    const [first, last] = this.points;
+    return this.points.length === 2 && first.y === 0 && last.y === 1;
+  }
+
+  /**
+   * @private
+   */
+  _emitCurveChanged() {
+    this.emit('curve-changed', { node: this });
+  }
+
+  // ----- Curve editing geometry -----
+
+  /**
+   * Convert a curve value to a Y position in the curve area
+   * @param {number} value - Value (0-1)
+   * @returns {number} Y coordinate
+   */
+  curveValueToY(value) {
+    const rect = this.getCurveRect();
+    return rect.y + (1 - value) * rect.h;
+  }
+
+  /**
+   * Convert a position to curve coordinates
+   * @param {number} px - X coordinate
+   * @param {number} py - Y coordinate
+   * @returns {{x: number, y: number}} Input and output (0-1, clamped)
+   */
+  curvePositionAt(px, py) {
+    const rect = this.getCurveRect();
+    return {
+      x: clamp((px - rect.x) / rect.w, 0, 1),
+      y: clamp((rect.y + rect.h - py) / rect.h, 0, 1)
+    };
+  }
+
+  /**
+   * Get the editable handles of the curve
+   * @returns {Array} Quad: [{ kind: 'mid', which, x, y, w, h }]; points: [{ kind: 'point', index, x, y }]
+   */
+  getCurveHandles() {
+    const rect = this.getCurveRect();
+
+    if (this.curveMode === MAPPER_CURVE_POINTS) {
+      return this.points.map((p, index) => ({
+        kind: 'point',
+        index,
+        x: rect.x + p.x * rect.w,
+        y: this.curveValueToY(p.y)
+      }));
+    }
+
+    const cx = rect.x + rect.w / 2;
+    const w = this.getRects().mapRect.w * MAPPER_HANDLE_W_RATIO;
+    return [
+      { kind: 'mid', which: 'top', x: cx, y: this.curveValueToY(this.midTop), w, h: MAPPER_HANDLE_H },
+      { kind: 'mid', which: 'bottom', x: cx, y: this.curveValueToY(this.midBottom), w, h: MAPPER_HANDLE_H }
+    ];
+  }
+
+  /**
+   * Find the curve handle at a position
+   * @param {number} px - X coordinate
+   * @param {number} py - Y coordinate
+   * @returns {object|null} Handle from getCurveHandles() or null
+   */
+  hitCurveHandle(px, py) {
+    let closest = null;
+    let minDistance = MAPPER_POINT_HIT_PX;
+
+    for (const handle of this.getCurveHandles()) {
+      if (handle.kind === 'mid') {
+        if (pointInRect(px, py, handle.x - handle.w / 2, handle.y - handle.h / 2, handle.w, handle.h)) {
+          return handle;
+        }
+        continue;
+      }
+
+      const distance = Math.hypot(px - handle.x, py - handle.y);
+      if (distance <= minDistance) {
+        minDistance = distance;
+        closest = handle;
+      }
+    }
+    return closest;
+  }
+
+  /**
+   * Check if a position is inside the curve region (where curve edits happen)
+   * @param {number} px - X coordinate
+   * @param {number} py - Y coordinate
+   * @returns {boolean} True if inside
+   */
+  curveAreaHits(px, py) {
+    const { mapRect } = this.getRects();
+    return pointInRect(px, py, mapRect.x, mapRect.y, mapRect.w, mapRect.h);
+  }
+
+  // ----- Settings -----
+
+  /**
+   * Get the settings for the sidebar
+   * @returns {object} { header, curveMode, inMin, inMax, outMin, outMax, invert, cc, channel }
+   */
+  getMapperSettings() {
+    return {
+      header: this.getDisplayHeader(),
+      curveMode: this.curveMode,
+      inMin: this.inMin,
+      inMax: this.inMax,
+      outMin: this.outMin,
+      outMax: this.outMax,
+      invert: this.invert,
+      cc: this.cc,
+      channel: this.outputChannel
+    };
+  }
+
+  /**
+   * Change ranges, invert and MIDI output (omitted fields stay)
+   * @param {object} settings - { curveMode, inMin, inMax, outMin, outMax, invert, cc, channel }
+   */
+  setMapperSettings(settings = {}) {
+    const level = (value, fallback) => (value != null && !isNaN(value)) ? clamp(Number(value), 0, 1) : fallback;
+
+    this.inMin = level(settings.inMin, this.inMin);
+    this.inMax = level(settings.inMax, this.inMax);
+    this.outMin = level(settings.outMin, this.outMin);
+    this.outMax = level(settings.outMax, this.outMax);
+    if (settings.invert !== undefined) {
+      this.invert = !!settings.invert;
+    }
+    if (settings.cc !== undefined) {
+      this.cc = (settings.cc === null || isNaN(settings.cc)) ? null : clamp(Math.round(settings.cc), 0, 127);
+    }
+    if (settings.channel !== undefined) {
+      this.outputChannel = (settings.channel === null || isNaN(settings.channel)) ? null : clamp(Math.round(settings.channel), 0, 15);
+    }
+    if (settings.curveMode !== undefined) {
+      this.setCurveMode(settings.curveMode);
+    }
+    this.lastCCSent = -1; // Send the value under the new settings
+
+    this.emit('settings-changed', { node: this });
+  }
+
+  /**
+   * Get display header for this node
+   */
+  getDisplayHeader() {
+    const output = this.cc !== null ? ` ▸ CC${this.cc}` : '';
+    return `${this.label}${output}`;
+  }
+
+  /**
+   * Get the curve mode label (bottom right corner)
+   */
+  getPlayModeLabel() {
+    return `${MAPPER_CURVE_LABELS[this.curveMode]}${this.invert ? ' · inv' : ''}`;
+  }
+
+  // ----- Live values -----
+
+  /**
+   * Take a value arriving at the signal input
+   */
+  receiveSignal(value, time = performance.now()) {
+    this.inputValue = clamp(value, 0, 1);
+  }
+
+  /**
+   * Get the value the signal output carries: the mapped input
+   * @returns {number|null} Value (0-1), null until an input arrives
+   */
+  getSignalValue(time = performance.now()) {
+    return this.inputValue === null ? null : this.mapValue(this.inputValue);
+  }
+
+  /**
+   * Get the newest output scope value
+   * @returns {number} Value between 0 and 1
+   */
+  getCurrentValue() {
+    return this.outBuf[this.outBuf.length - 1];
+  }
+
+  /**
+   * Add output scope samples up to `now` (one per MAPPER_SAMPLE_INTERVAL_MS)
+   * The scope holds while no input has arrived
+   * @param {object} midiManager - MIDI manager instance
+   * @param {number} now - Current time in ms (performance.now() clock)
+   */
+  sampleInput(midiManager, now = performance.now()) {
+    if (now - this._nextSampleTime > MAPPER_MAX_CATCHUP_MS) {
+      this._nextSampleTime = now;
+    }
+
+    const output = this.getSignalValue(now);
+    while (this._nextSampleTime <= now) {
+      this.outBuf.push(output === null ? this.getCurrentValue() : output);
+      this.outBuf.shift();
+      this._nextSampleTime += MAPPER_SAMPLE_INTERVAL_MS;
+    }
+  }
+
+  /**
+   * Send the mapped value as CC when it changed (no CC set = nothing to send)
+   * @param {object} midiManager - MIDI manager instance
+   * @param {number} from - Current time in ms (performance.now() clock)
+   */
+  scheduleOutput(midiManager, from, until, intervalMs) {
+    if (this.cc === null || this.inputValue === null || !midiManager || !midiManager.ready) return;
+
+    const normalizedValue = this.mapValue(this.inputValue);
+    const value = clamp(Math.round(normalizedValue * 127), 0, 127);
+    if (value === this.lastCCSent) return;
+
+    midiManager.sendCC(this.cc, value, this.outputChannel, null, null);
+    this.lastCCSent = value;
+
+    this.emit('cc-sent', {
+      node: this,
+      cc: this.cc,
+      value,
+      normalizedValue,
+      timestamp: null
+    });
+  }
+
+  /**
+   * The mapper is always live; there is no run to start
+   */
+  startPlayback(startTime = performance.now()) {}
+
+  /**
+   * Keep about one scope sample per pixel (newest samples are kept)
+   */
+  setSize(width, height) {
+    super.setSize(width, height);
+
+    const count = this._getScopeSampleCount();
+    const samples = this.outBuf.slice(-count);
+    while (samples.length < count) {
+      samples.unshift(samples[0]);
+    }
+    this.outBuf = samples;
+  }
+
+  clone() {
+    const cloned = new MapperNode(this.x + 20, this.y + 20, this.label, this.w, this.h);
+    cloned.setCurve(this.getCurve());
+    cloned.setMapperSettings(this.getMapperSettings());
+    return cloned;
+  }
+
+  toJSON() {
+    const { header, channel, ...settings } = this.getMapperSettings();
+    return {
+      ...super.toJSON(),
+      ...this.getCurve(),
+      ...settings,
+      outputChannel: channel
+    };
+  }
+
+  static fromJSON(data) {
+    const node = new MapperNode(data.x, data.y, data.label, data.w, data.h);
+
+    node.id = data.id;
+    node.setCurve(data);
+    node.setMapperSettings({
+      inMin: data.inMin,
+      inMax: data.inMax,
+      outMin: data.outMin,
+      outMax: data.outMax,
+      invert: data.invert,
+      cc: typeof data.cc === 'number' ? data.cc : null,
+      channel: typeof data.outputChannel === 'number' ? data.outputChannel : null
+    });
+    node.createdAt = data.createdAt || Date.now();
+    node._restoreSignalPorts(data.signalPorts);
+
+    return node;
+  }
+}
@@ -0,0 +1,320 @@
+/**
+ * MidiFile - Standard MIDI File (SMF) encoding and parsing primitives
+ * Byte-level helpers for building and reading MThd/MTrk chunks
+ * Pure model - no DOM, no MIDI I/O
+ */
+
+// Meta event types
+export const META_TRACK_NAME = 0x03;
+export const META_END_OF_TRACK = 0x2F;
+export const META_TEMPO = 0x51;
+export const META_TIME_SIGNATURE = 0x58;
+
+/**
+ * Encode a number as a MIDI variable-length quantity
+ * @param {number} value - Non-negative integer (max 0x0FFFFFFF)
+ * @returns {number[]} Encoded bytes
+ */
+export function encodeVarLen(value) {
+  let v = Math.max(0, Math.floor(value));
+  const bytes = [v & 0x7F];
+  v >>= 7;
+  while (v > 0) {
+    bytes.unshift((v & 0x7F) | 0x80);
+    v >>= 7;
+  }
+  return bytes;
+}
+
+/**
+ * Encode a string as bytes (UTF-8)
+ * @param {string} text - Text to encode
+ * @returns {number[]} Encoded bytes
+ */
+export function encodeText(text) {
+  return Array.from(new TextEncoder().encode(String(text || '')));
+}
+
+/**
+ * Build the MThd header chunk
+ * @param {number} format - SMF format (0, 1 or 2)
+ * @param {number} trackCount - Number of MTrk chunks
+ * @param {number} ppq - Ticks per quarter note
+ * @returns {number[]} Chunk bytes
+ */
+export function buildHeaderChunk(format, trackCount, ppq) {
+  return [
+    0x4D, 0x54, 0x68, 0x64, // "MThd"
+    0x00, 0x00, 0x00, 0x06,
+    (format >> 8) & 0xFF, format & 0xFF,
+    (trackCount >> 8) & 0xFF, trackCount & 0xFF,
+    (ppq >> 8) & 0x7F, ppq & 0xFF
+  ];
+}
+
+/**
+ * Build an MTrk chunk from absolute-time events
+ * Events are sorted by tick (stable) and delta-encoded; an End of Track
+ * meta event is appended at `endTick` (or the last event tick)
+ * @param {Array<{tick: number, bytes: number[]}>} events - Events with absolute ticks
+ * @param {number} endTick - Tick for the End of Track event (optional)
+ * @returns {number[]} Chunk bytes
+ */
+export function buildTrackChunk(events, endTick = 0) {
+  const sorted = events
+    .map((event, order) => ({ ...event, order }))
+    .sort((a, b) => (a.tick - b.tick) || (a.order - b.order));
+
+  const body = [];
+  let lastTick = 0;
+
+  for (const event of sorted) {
+    const tick = Math.max(lastTick, Math.round(event.tick));
+    body.push(...encodeVarLen(tick - lastTick), ...event.bytes);
+    lastTick = tick;
+  }
+
+  // End of Track
+  const finalTick = Math.max(lastTick, Math.round(endTick));
+  body.push(...encodeVarLen(finalTick - lastTick), 0xFF, META_END_OF_TRACK, 0x00);
+
+  const length = body.length;
+  return [
+    0x4D, 0x54, 0x72, 0x6B, // "MTrk"
+    (length >>> 24) & 0xFF, (length >>> 16) & 0xFF, (length >>> 8) & 0xFF, length & 0xFF,
+    ...body
+  ];
+}
+
+/**
+ * Build a meta event
+ * @param {number} type - Meta event type
+ * @param {number[]} data - Meta event payload
+ * @returns {number[]} Event bytes (without delta time)
+ */
+export function metaEvent(type, data) {
+  return [0xFF, type, ...encodeVarLen(data.length), ...data];
+}
+
+/**
+ * Build a tempo meta event
+ * @param {number} bpm - Tempo in beats per minute
+ * @returns {number[]} Event bytes
+ */
+export function tempoEvent(bpm) {
+  const usPerQuarter = Math.round(60000000 / Math.max(1, bpm));
+  return metaEvent(META_TEMPO, [
+    (usPerQuarter >> 16) & 0xFF,
+    (usPerQuarter >> 8) & 0xFF,
+    usPerQuarter & 0xFF
+  ]);
+}
+
+/**
+ * Build a time signature meta event
+ * @param {number} numerator - Beats per bar
+ * @param {number} denominator - Beat unit (power of two)
+ * @returns {number[]} Event bytes
+ */
+export function timeSignatureEvent(numerator = 4, denominator = 4) {
+  const denominatorPower = Math.round(Math.log2(denominator));
+  return metaEvent(META_TIME_SIGNATURE, [numerator, denominatorPower, 24, 8]);
+}
+
+/**
+ * Build a track name meta event
+ * @param {string} name - Track name
+ * @returns {number[]} Event bytes
+ */
+export function trackNameEvent(name) {
+  return metaEvent(META_TRACK_NAME, encodeText(name));
+}
+
+/**
+ * Convert milliseconds to ticks at a fixed tempo
+ * @param {number} ms - Time in milliseconds
+ * @param {number} ppq - Ticks per quarter note
+ * @param {number} bpm - Tempo in beats per minute
+ * @returns {number} Ticks (fractional)
+ */
+export function msToTicks(ms, ppq, bpm) {
+  return (ms * ppq * bpm) / 60000;
+}
+
+/**
+ * Parse a Standard MIDI File
+ * Channel events are returned as { tick, status, channel, data1, data2 };
+ * meta events as { tick, meta, data }. SysEx is skipped.
+ * @param {ArrayBuffer|Uint8Array} buffer - File contents
+ * @returns {object} { format, ppq, smpte, tracks: [{ name, events, endTick }] }
+ * @throws {Error} If the data is not a valid SMF
+ */
+export function parseMidiFile(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes.length < 14 || readChunkId(bytes, 0) !== 'MThd') {
+    throw new Error('Not a Standard MIDI File (missing MThd header)');
+  }
+
+  const headerLength = view.getUint32(4);
+  const format = view.getUint16(8);
+  const trackCount = view.getUint16(10);
+  const division = view.getUint16(12);
+
+  // Division: ticks per quarter note, or SMPTE frames/ticks-per-frame
+  const smpte = (division & 0x8000) !== 0
+    ? { fps: 256 - (division >> 8), ticksPerFrame: division & 0xFF }
+    : null;
+  const ppq = smpte ? 0 : division;
+
+  const tracks = [];
+  let offset = 8 + headerLength;
+
+  while (offset + 8 <= bytes.length && tracks.length < trackCount) {
+    const id = readChunkId(bytes, offset);
+    const length = view.getUint32(offset + 4);
+    const start = offset + 8;
+    const end = Math.min(bytes.length, start + length);
+
+    // Unknown chunk types must be skipped
+    if (id === 'MTrk') {
+      tracks.push(parseTrack(bytes, start, end));
+    }
+    offset = start + length;
+  }
+
+  return { format, ppq, smpte, tracks };
+}
+
+/**
+ * Read a 4-character chunk ID
+ * @private
+ */
+function readChunkId(bytes, offset) {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+/**
+ * Read a variable-length quantity
+ * @returns {{value: number, next: number}} Value and offset after it
+ * @private
+ */
+function readVarLen(bytes, offset, end) {
+  let value = 0;
+  let pos = offset;
+  for (let i = 0; i < 4 && pos < end; i++) {
+    const byte = bytes[pos++];
+    value = (value << 7) | (byte & 0x7F);
+    if ((byte & 0x80) === 0) break;
+  }
+  return { value, next: pos };
+}
+
+/**
+ * Parse the events of a single MTrk chunk
+ * @private
+ */
+function parseTrack(bytes, start, end) {
+  const events = [];
+  let name = '';
+  let tick = 0;
+  let runningStatus = 0;
+  let pos = start;
+
+  while (pos < end) {
+    const delta = readVarLen(bytes, pos, end);
+    tick += delta.value;
+    pos = delta.next;
+    if (pos >= end) break;
+
+    let status = bytes[pos];
+
+    if (status === 0xFF) {
+      // Meta event
+      const meta = bytes[pos + 1];
+      const length = readVarLen(bytes, pos + 2, end);
+      const data = bytes.subarray(length.next, Math.min(end, length.next + length.value));
+      pos = length.next + length.value;
+
+      if (meta === META_END_OF_TRACK) break;
+      if (meta === META_TRACK_NAME && !name) {
+        name = new TextDecoder().decode(data);
+      }
+      events.push({ tick, meta, data });
+      continue;
+    }
+
+    if (status === 0xF0 || status === 0xF7) {
+      // SysEx - skip payload
+      const length = readVarLen(bytes, pos + 1, end);
+      pos = length.next + length.value;
+      continue;
+    }
+
+    if (status & 0x80) {
+      runningStatus = status;
+      pos++;
+    } else if (runningStatus) {
+      status = runningStatus;
+    } else {
+      throw new Error(`Invalid MIDI track data at byte ${pos}`);
+    }
+
+    const type = status & 0xF0;
+    const hasTwoDataBytes = type !== 0xC0 && type !== 0xD0;
+    const data1 = bytes[pos++] & 0x7F;
+    const data2 = hasTwoDataBytes ? bytes[pos++] & 0x7F : 0;
+
+    events.push({ tick, status: type, channel: status & 0x0F, data1, data2 });
+  }
+
+  return { name, events, endTick: tick };
+}
+
+/**
+ * Build a tick-to-milliseconds converter honouring tempo changes
+ * Tempo events are collected from every track (Type-1 files keep them in
+ * the conductor track); SMPTE files use absolute frame timing
+ * @param {object} midiFile - Result of parseMidiFile()
+ * @returns {function(number): number} Converts absolute ticks to ms
+ */
+export function createTickToMs(midiFile) {
+  if (midiFile.smpte) {
+    const ticksPerSecond = midiFile.smpte.fps * midiFile.smpte.ticksPerFrame;
+    return (tick) => (tick / ticksPerSecond) * 1000;
+  }
+
+  const ppq = midiFile.ppq || 480;
+  const tempos = [];
+  for (const track of midiFile.tracks) {
+    for (const event of track.events) {
+      if (event.meta === META_TEMPO && event.data.length >= 3) {
+        const usPerQuarter = (event.data[0] << 16) | (event.data[1] << 8) | event.data[2];
+        tempos.push({ tick: event.tick, usPerQuarter });
+      }
+    }
+  }
+  tempos.sort((a, b) => a.tick - b.tick);
+
+  // Precompute ms at each tempo change (default 120 BPM until the first one)
+  const segments = [{ tick: 0, ms: 0, usPerQuarter: 500000 }];
+  for (const tempo of tempos) {
+    const last = segments[segments.length - 1];
+    const ms = last.ms + ((tempo.tick - last.tick) * last.usPerQuarter) / (ppq * 1000);
+    if (tempo.tick === last.tick) {
+      last.usPerQuarter = tempo.usPerQuarter;
+    } else {
+      segments.push({ tick: tempo.tick, ms, usPerQuarter: tempo.usPerQuarter });
+    }
+  }
+
+  return (tick) => {
+    let segment = segments[0];
+    for (const candidate of segments) {
+      if (candidate.tick > tick) break;
+      segment = candidate;
+    }
+    return segment.ms + ((tick - segment.tick) * segment.usPerQuarter) / (ppq * 1000);
+  };
+}
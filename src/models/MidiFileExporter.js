@@ -0,0 +1,179 @@
+/**
+ * MidiFileExporter - Render WaveformNode automation to a Standard MIDI File
+ * Produces a Type-1 SMF: a conductor track (tempo / time signature) plus
+ * one track per node in its output mode (CC, 14-bit CC pair, pitch bend,
+ * NRPN/RPN; note lanes write Note On/Off). Horizontal node offsets become time offsets.
+ * Pure model - no DOM, no MIDI I/O
+ */
+
+import {
+  CC_MAX_VALUE,
+  CC14_LSB_OFFSET,
+  CC_NRPN_MSB,
+  CC_NRPN_LSB,
+  CC_RPN_MSB,
+  CC_RPN_LSB,
+  CC_DATA_ENTRY_MSB,
+  CC_DATA_ENTRY_LSB,
+  OUTPUT_MODE_CC14,
+  OUTPUT_MODE_PITCH_BEND,
+  OUTPUT_MODE_NRPN,
+  OUTPUT_MODE_RPN,
+  PIXELS_PER_SECOND,
+  SMF_DEFAULT_PPQ,
+  SMF_DEFAULT_BPM,
+  SMF_SAMPLE_INTERVAL_MS,
+  SMF_DEFAULT_THINNING
+} from '../config/constants.js';
+import {
+  buildHeaderChunk,
+  buildTrackChunk,
+  tempoEvent,
+  timeSignatureEvent,
+  trackNameEvent,
+  msToTicks
+} from './MidiFile.js';
+import { isParameterMode } from './OutputTarget.js';
+
+/**
+ * Sample a node's waveform into output values (in the node's output resolution)
+ * A new event is written whenever the value moves by at least `thinning`
+ * steps; the final value is always written so the lane ends where the node ends
+ * @param {object} node - WaveformNode
+ * @param {number} thinning - Minimum value change between events
+ * @param {number} intervalMs - Sampling interval in milliseconds
+ * @returns {Array<{timeMs: number, value: number}>} Events relative to node start
+ */
+export function sampleNodeEvents(node, thinning = SMF_DEFAULT_THINNING, intervalMs = SMF_SAMPLE_INTERVAL_MS) {
+  const durationMs = Math.max(1, node.durationMs);
+  const maxValue = typeof node.getOutputMaxValue === 'function' ? node.getOutputMaxValue() : CC_MAX_VALUE;
+  const minDelta = Math.max(1, Math.round(thinning));
+  const step = Math.max(1, intervalMs);
+  const events = [];
+
+  let lastValue = null;
+
+  for (let timeMs = 0; timeMs <= durationMs; timeMs += step) {
+    const value = Math.round(node.valueAt(timeMs / durationMs) * maxValue);
+
+    if (lastValue === null || Math.abs(value - lastValue) >= minDelta) {
+      events.push({ timeMs, value });
+      lastValue = value;
+    }
+  }
+
+  // Always land on the node's final value
+  const endValue = Math.round(node.valueAt(1) * maxValue);
+  if (endValue !== lastValue) {
+    events.push({ timeMs: durationMs, value: endValue });
+  }
+
+  return events;
+}
+
+/**
+ * Build the channel messages for one output value
+ * @param {object} node - WaveformNode (uses outputMode and cc)
+ * @param {number} value - Value in the node's output resolution
+ * @param {number} channel - MIDI channel (0-15)
+ * @returns {number[][]} Messages (two for a 14-bit CC pair)
+ * @private
+ */
+function outputValueMessages(node, value, channel) {
+  switch (node.outputMode) {
+    case OUTPUT_MODE_CC14:
+      return [
+        [0xB0 | channel, node.cc & 0x7F, (value >> 7) & 0x7F],
+        [0xB0 | channel, (node.cc + CC14_LSB_OFFSET) & 0x7F, value & 0x7F]
+      ];
+    case OUTPUT_MODE_PITCH_BEND:
+      return [[0xE0 | channel, value & 0x7F, (value >> 7) & 0x7F]];
+    case OUTPUT_MODE_NRPN:
+    case OUTPUT_MODE_RPN:
+      // Parameter is selected once at the start of the track
+      return [
+        [0xB0 | channel, CC_DATA_ENTRY_MSB, (value >> 7) & 0x7F],
+        [0xB0 | channel, CC_DATA_ENTRY_LSB, value & 0x7F]
+      ];
+    default:
+      return [[0xB0 | channel, node.cc & 0x7F, value & 0x7F]];
+  }
+}
+
+/**
+ * Export nodes as a Type-1 Standard MIDI File
+ * @param {Array} nodes - WaveformNodes to export (one track each)
+ * @param {object} options - Export options
+ * @param {number} options.ppq - Ticks per quarter note
+ * @param {number} options.bpm - Tempo in beats per minute
+ * @param {number} options.thinning - Minimum value change between events (in each node's output resolution)
+ * @param {number} options.channel - MIDI channel (0-15) for nodes without their own output channel
+ * @param {string} options.name - Sequence name for the conductor track
+ * @returns {Uint8Array} SMF bytes
+ */
+export function exportNodesToMidiFile(nodes, options = {}) {
+  const ppq = Math.max(1, Math.min(0x7FFF, Math.round(options.ppq || SMF_DEFAULT_PPQ)));
+  const bpm = options.bpm > 0 ? options.bpm : SMF_DEFAULT_BPM;
+  const thinning = options.thinning != null ? options.thinning : SMF_DEFAULT_THINNING;
+  const defaultChannel = (options.channel || 0) & 0x0F;
+
+  const exportNodes = (nodes || []).filter(node => node && typeof node.valueAt === 'function');
+  const originX = exportNodes.length ? Math.min(...exportNodes.map(node => node.x)) : 0;
+
+  const tracks = [];
+  let songEndTick = 0;
+
+  for (const node of exportNodes) {
+    const channel = (node.outputChannel != null) ? node.outputChannel & 0x0F : defaultChannel;
+    const offsetMs = ((node.x - originX) / PIXELS_PER_SECOND) * 1000;
+    const events = [{ tick: 0, bytes: trackNameEvent(node.getDisplayHeader ? node.getDisplayHeader() : node.label) }];
+
+    if (Array.isArray(node.notes)) {
+      // Note lanes export their notes rather than the gate envelope
+      for (const n of node.notes) {
+        events.push({
+          tick: msToTicks(offsetMs + n.start * node.durationMs, ppq, bpm),
+          bytes: [0x90 | channel, n.note & 0x7F, n.velocity & 0x7F]
+        });
+        events.push({
+          tick: msToTicks(offsetMs + n.end * node.durationMs, ppq, bpm),
+          bytes: [0x80 | channel, n.note & 0x7F, 0]
+        });
+      }
+    } else {
+      if (isParameterMode(node.outputMode)) {
+        const isRPN = node.outputMode === OUTPUT_MODE_RPN;
+        const tick = msToTicks(offsetMs, ppq, bpm);
+        events.push({ tick, bytes: [0xB0 | channel, isRPN ? CC_RPN_MSB : CC_NRPN_MSB, (node.parameter >> 7) & 0x7F] });
+        events.push({ tick, bytes: [0xB0 | channel, isRPN ? CC_RPN_LSB : CC_NRPN_LSB, node.parameter & 0x7F] });
+      }
+
+      for (const event of sampleNodeEvents(node, thinning)) {
+        const tick = msToTicks(offsetMs + event.timeMs, ppq, bpm);
+        for (const bytes of outputValueMessages(node, event.value, channel)) {
+          events.push({ tick, bytes });
+        }
+      }
+    }
+
+    const endTick = Math.round(msToTicks(offsetMs + node.durationMs, ppq, bpm));
+    songEndTick = Math.max(songEndTick, endTick);
+    tracks.push(buildTrackChunk(events, endTick));
+  }
+
+  const conductor = buildTrackChunk([
+    { tick: 0, bytes: trackNameEvent(options.name || 'MIDI Viz') },
+    { tick: 0, bytes: tempoEvent(bpm) },
+    { tick: 0, bytes: timeSignatureEvent(4, 4) }
+  ], songEndTick);
+
+  const chunks = [buildHeaderChunk(1, tracks.length + 1, ppq), conductor, ...tracks];
+  const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+
+  return output;
+}
@@ -0,0 +1,122 @@
+/**
+ * MidiFileImporter - Turn Standard MIDI File CC automation into node data
+ * One lane per (track, channel, CC); lanes are resampled with the same
+ * interpolation as live recordings and stacked like simultaneous tracks
+ * Pure model - no DOM, no MIDI I/O
+ */
+
+import { parseMidiFile, createTickToMs } from './MidiFile.js';
+import { resampleToWaveform } from './RecordingManager.js';
+import { BOX_H, PIXELS_PER_SECOND } from '../config/constants.js';
+
+const MIN_LANE_WIDTH = 120; // Matches the minimum recording track width
+const MAX_LANE_SAMPLES = 2000; // Matches the recording resample cap
+
+/**
+ * Extract CC lanes from a Standard MIDI File
+ * @param {ArrayBuffer|Uint8Array} buffer - File contents
+ * @returns {object} { lanes: [{ trackIndex, trackName, channel, cc, timestamps, values }], durationMs }
+ * @throws {Error} If the data is not a valid SMF
+ */
+export function extractCCLanes(buffer) {
+  const midiFile = parseMidiFile(buffer);
+  const tickToMs = createTickToMs(midiFile);
+
+  const lanes = new Map(); // key: `${trackIndex}:${channel}:${cc}` -> lane
+  let durationMs = 0;
+
+  midiFile.tracks.forEach((track, trackIndex) => {
+    durationMs = Math.max(durationMs, tickToMs(track.endTick));
+
+    for (const event of track.events) {
+      if (event.status !== 0xB0) continue;
+
+      const key = `${trackIndex}:${event.channel}:${event.data1}`;
+      let lane = lanes.get(key);
+      if (!lane) {
+        lane = {
+          trackIndex,
+          trackName: track.name,
+          channel: event.channel,
+          cc: event.data1,
+          timestamps: [],
+          values: []
+        };
+        lanes.set(key, lane);
+      }
+
+      const timeMs = tickToMs(event.tick);
+      const last = lane.values.length - 1;
+
+      // Same-time events: the later one wins
+      if (last >= 0 && lane.timestamps[last] === timeMs) {
+        lane.values[last] = event.data2;
+      } else {
+        lane.timestamps.push(timeMs);
+        lane.values.push(event.data2);
+      }
+    }
+  });
+
+  return { lanes: Array.from(lanes.values()), durationMs };
+}
+
+/**
+ * Build node creation data for imported lanes
+ * Every lane spans the whole file so lanes stay time-aligned; the first value
+ * is held before its first event and the last value is held to the file end
+ * @param {Array} lanes - Lanes from extractCCLanes()
+ * @param {number} durationMs - File duration in ms
+ * @param {number} x - Drop X position
+ * @param {number} y - Drop Y position
+ * @param {string} fallbackName - Display name for unnamed tracks (e.g. file name)
+ * @returns {Array} Node data (same shape as recording node data)
+ */
+export function buildLaneNodeData(lanes, durationMs, x, y, fallbackName = 'MIDI File') {
+  const pixelsPerMs = PIXELS_PER_SECOND / 1000;
+  const totalDuration = Math.max(durationMs, MIN_LANE_WIDTH / pixelsPerMs);
+  const width = Math.round(totalDuration * pixelsPerMs);
+
+  return lanes.map((lane, index) => {
+    const timestamps = [...lane.timestamps];
+    const values = [...lane.values];
+
+    if (timestamps[0] > 0) {
+      timestamps.unshift(0);
+      values.unshift(values[0]);
+    }
+    if (timestamps[timestamps.length - 1] < totalDuration) {
+      timestamps.push(totalDuration);
+      values.push(values[values.length - 1]);
+    }
+
+    const targetSamples = Math.min(width, MAX_LANE_SAMPLES);
+
+    return {
+      x: Math.floor(x),
+      y: Math.floor(y) + index * BOX_H, // Stacked like simultaneous recording tracks
+      width,
+      height: BOX_H,
+      durationMs: totalDuration,
+      label: `CC ${lane.cc}`,
+      samples: resampleToWaveform(targetSamples, totalDuration, timestamps, values),
+      cc: lane.cc,
+      sourceDeviceName: `${lane.trackName || fallbackName} Ch${lane.channel + 1}`,
+      trackIndex: index
+    };
+  });
+}
+
+/**
+ * Import a Standard MIDI File as node data
+ * @param {ArrayBuffer|Uint8Array} buffer - File contents
+ * @param {number} x - Drop X position
+ * @param {number} y - Drop Y position
+ * @param {string} fallbackName - Display name for unnamed tracks
+ * @returns {Array} Node data, one entry per CC lane
+ * @throws {Error} If the data is not a valid SMF
+ */
+export function importMidiFileAsNodeData(buffer, x, y, fallbackName) {
+  const { lanes, durationMs } = extractCCLanes(buffer);
+  return buildLaneNodeData(lanes, durationMs, x, y, fallbackName);
+}
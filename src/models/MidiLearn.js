@@ -0,0 +1,96 @@
+/**
+ * MidiLearn - Assigns the next incoming MIDI message to an armed target
+ * Targets are a node ({ kind: 'node', node }) whose next CC sets its CC,
+ * channel and source device, or a trigger input port ({ kind: 'port', port })
+ * whose next note, CC press or program change becomes its trigger
+ * Pure model - fed by AppController, which applies what was learned
+ */
+
+import EventEmitter from '../utils/EventEmitter.js';
+
+export default class MidiLearn extends EventEmitter {
+  constructor() {
+    super();
+    this.target = null; // Armed target, null when idle
+  }
+
+  /**
+   * Arm a target; arming the armed target again disarms it
+   * @param {object} target - { kind: 'node', node } or { kind: 'port', port }
+   */
+  arm(target) {
+    if (this.isArmed(target.node || target.port)) {
+      this.cancel();
+      return;
+    }
+
+    this._setTarget(target);
+  }
+
+  /**
+   * Stop listening without learning anything
+   */
+  cancel() {
+    if (this.target) {
+      this._setTarget(null);
+    }
+  }
+
+  /**
+   * Check if a node or port is waiting for a message
+   * @param {object} object - Node or Port
+   * @returns {boolean} True if armed
+   */
+  isArmed(object) {
+    return !!this.target && (this.target.node || this.target.port) === object;
+  }
+
+  /**
+   * Offer an incoming message to the armed target
+   * Nodes learn from CCs (note lanes from Note On); ports from Note On,
+   * a CC press or a Program Change
+   * @param {object} message - { type: 'cc'|'note'|'program', channel (1-16), number, value, source }
+   * @returns {boolean} True if the message was consumed
+   */
+  capture(message) {
+    if (!this.target || !this._accepts(this.target, message)) return false;
+
+    const target = this.target;
+    this._setTarget(null);
+    this.emit('learned', { target, message });
+    return true;
+  }
+
+  /**
+   * Check if a target can learn from a message
+   * @private
+   */
+  _accepts(target, message) {
+    if (message.type === 'program') {
+      return target.kind === 'port';
+    }
+    if (message.value <= 0) return false; // Note Off / control released
+
+    if (target.kind === 'node') {
+      return target.node.notes ? message.type === 'note' : message.type === 'cc';
+    }
+    return true;
+  }
+
+  /**
+   * Swap the armed target and flag armed ports for rendering
+   * @private
+   */
+  _setTarget(target) {
+    if (this.target && this.target.port) {
+      this.target.port.learnArmed = false;
+    }
+
+    this.target = target;
+    if (target && target.port) {
+      target.port.learnArmed = true;
+    }
+
+    this.emit('armed-changed', { target: this.target });
+  }
+}
@@ -1,17 +1,49 @@
 /**
  * MIDI Manager - Pure MIDI business logic
- * Handles Web MIDI API interaction, device management, message routing
+ * Handles device management and message routing on top of a pluggable
+ * backend (Web MIDI by default, or VirtualMidiBackend for headless runs)
  * NO UI CODE - only emits events for state changes
  */
 
 import EventEmitter from '../utils/EventEmitter.js';
-import { MIDI_CHANNELS, CC_MAX_VALUE, CC_MIN_VALUE } from '../config/constants.js';
+import WebMidiBackend from './WebMidiBackend.js';
+import {
+  MIDI_CHANNELS,
+  CC_MAX_VALUE,
+  CC_MIN_VALUE,
+  CC14_MAX_VALUE,
+  CC14_LSB_OFFSET,
+  CC14_MSB_MAX_CC,
+  PITCH_BEND_MAX_VALUE,
+  PARAMETER_MAX_NUMBER,
+  PARAMETER_MAX_VALUE,
+  CC_NRPN_MSB,
+  CC_NRPN_LSB,
+  CC_RPN_MSB,
+  CC_RPN_LSB,
+  CC_DATA_ENTRY_MSB,
+  CC_DATA_ENTRY_LSB,
+  RPN_NULL,
+  OUTPUT_MODE_NRPN,
+  OUTPUT_MODE_RPN,
+  NOTE_DEFAULT_VELOCITY,
+  MIDI_CLOCK_STATUS,
+  MIDI_START_STATUS,
+  MIDI_CONTINUE_STATUS,
+  MIDI_STOP_STATUS,
+  MIDI_SONG_POSITION_STATUS
+} from '../config/constants.js';
 
 export default class MidiManager extends EventEmitter {
-  constructor() {
+  /**
+   * @param {object} options - Manager options
+   * @param {object} options.backend - MIDI backend providing requestAccess() (defaults to Web MIDI)
+   */
+  constructor(options = {}) {
     super();
     
     // MIDI API state
+    this.backend = options.backend || new WebMidiBackend();
     this.access = null;
     this.ready = false;
     this.initRequested = false;
@@ -21,14 +53,19 @@ export default class MidiManager extends EventEmitter {
     this.outputs = [];
     
     // Selection state
-    this.inputMode = 'all'; // 'none' | 'all' | number[]
-    this.outputSelection = 'all'; // 'all' | number[]
+    // Explicit selections are device entries ({ id, name, manufacturer }) so they
+    // survive hot-plugging; entries of unplugged devices stay selected until removed
+    this.inputMode = 'all'; // 'none' | 'all' | object[]
+    this.outputSelection = 'all'; // 'all' | object[]
     this.channel = 0; // 0-15 (MIDI channel 1-16)
     
     // Last received data
     this.lastGlobalValue = 0;
     this.lastGlobalCC = 1;
     this.lastSeen = new Map(); // Track last CC values by source
+    this.lastMSB = new Map(); // Last MSB of CC 0-31 by source/channel, for 14-bit pairing
+    this.parameterInState = new Map(); // Incoming NRPN/RPN selection by source/channel
+    this.parameterOutState = new Map(); // NRPN/RPN selection by output/channel (0-15): { selection, pendingUntil }
     
     // Bind methods for event handlers
     this._onMIDIMessage = this._onMIDIMessage.bind(this);
@@ -43,11 +80,7 @@ export default class MidiManager extends EventEmitter {
     this.initRequested = true;
 
     try {
-      if (!('requestMIDIAccess' in navigator)) {
-        throw new Error('Web MIDI API not supported');
-      }
-
-      this.access = await navigator.requestMIDIAccess({ sysex: false });
+      this.access = await this.backend.requestAccess({ sysex: false });
       this.access.onstatechange = this._onStateChange;
       
       this.refreshAll();
@@ -65,6 +98,9 @@ export default class MidiManager extends EventEmitter {
    * Refresh all device listings and reconnect listeners
    */
   refreshAll() {
+    // Devices may have changed - reselect NRPN/RPN parameters on next send
+    this._forgetParameterSelections();
+    
     this.refreshOutputs();
     this.refreshInputs();
     this.attachInputListeners();
@@ -86,18 +122,11 @@ export default class MidiManager extends EventEmitter {
       this.outputs.push(output);
     }
 
-    // Validate current selection
-    if (this.outputSelection !== 'all') {
-      if (!Array.isArray(this.outputSelection)) {
-        this.outputSelection = [];
-      }
-      this.outputSelection = this.outputSelection.filter(
-        index => index >= 0 && index < this.outputs.length
-      );
-      
-      if (this.outputs.length && this.outputSelection.length === this.outputs.length) {
-        this.outputSelection = 'all';
-      }
+    // Validate current selection - reconnected devices are picked up again
+    if (Array.isArray(this.outputSelection)) {
+      this._resolveSelection(this.outputSelection, this.outputs);
+    } else if (this.outputSelection !== 'all') {
+      this.outputSelection = [];
     }
   }
 
@@ -112,19 +141,9 @@ export default class MidiManager extends EventEmitter {
       this.inputs.push(input);
     }
 
-    // Validate current selection
-    if (this.inputs.length === 0) {
-      this.inputMode = 'none';
-    } else if (Array.isArray(this.inputMode)) {
-      this.inputMode = this.inputMode.filter(
-        index => index >= 0 && index < this.inputs.length
-      );
-      
-      if (this.inputMode.length === 0) {
-        this.inputMode = 'none';
-      } else if (this.inputMode.length === this.inputs.length) {
-        this.inputMode = 'all';
-      }
+    // Validate current selection - reconnected devices are picked up again
+    if (Array.isArray(this.inputMode)) {
+      this._resolveSelection(this.inputMode, this.inputs);
     } else if (this.inputMode !== 'all' && this.inputMode !== 'none') {
       this.inputMode = 'all';
     }
@@ -148,13 +167,73 @@ export default class MidiManager extends EventEmitter {
         input.onmidimessage = this._onMIDIMessage;
       }
     } else if (Array.isArray(this.inputMode)) {
-      for (const index of this.inputMode) {
-        const input = this.inputs[index];
-        if (input) {
-          input.onmidimessage = this._onMIDIMessage;
+      for (const input of this._resolveSelection(this.inputMode, this.inputs)) {
+        input.onmidimessage = this._onMIDIMessage;
+      }
+    }
+  }
+
+  /**
+   * Build selection entries from port IDs, ports or stored entries
+   * IDs of devices that are not connected keep the entry they already had
+   * @param {string|array} selection - Mode string, or array of IDs / ports / entries
+   * @param {array} ports - Connected ports
+   * @param {string|array} previous - Current selection
+   * @returns {string|object[]} Mode string or array of { id, name, manufacturer }
+   * @private
+   */
+  _normalizeSelection(selection, ports, previous) {
+    if (!Array.isArray(selection)) return selection;
+
+    const previousEntries = Array.isArray(previous) ? previous : [];
+    const entries = [];
+
+    for (const item of selection) {
+      const id = (typeof item === 'string') ? item : item?.id;
+      if (!id || entries.some(entry => entry.id === id)) continue;
+
+      const source = ports.find(port => port.id === id) ||
+        previousEntries.find(entry => entry.id === id) ||
+        (typeof item === 'object' ? item : { id });
+
+      entries.push({
+        id,
+        name: source.name || '',
+        manufacturer: source.manufacturer || ''
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Find the connected ports of a selection
+   * Matches by port ID, falling back to name + manufacturer (IDs may change
+   * between sessions); entries matched by name take over the new ID
+   * @param {object[]} entries - Selection entries
+   * @param {array} ports - Connected ports
+   * @returns {array} Selected ports
+   * @private
+   */
+  _resolveSelection(entries, ports) {
+    const selected = [];
+
+    for (const entry of entries) {
+      let port = ports.find(p => p.id === entry.id);
+      if (!port && entry.name) {
+        port = ports.find(p =>
+          p.name === entry.name &&
+          (p.manufacturer || '') === entry.manufacturer &&
+          !entries.some(other => other.id === p.id)
+        );
+        if (port) {
+          entry.id = port.id;
         }
       }
+      if (port && !selected.includes(port)) {
+        selected.push(port);
+      }
     }
+    return selected;
   }
 
   /**
@@ -163,7 +242,7 @@ export default class MidiManager extends EventEmitter {
    */
   _onMIDIMessage(event) {
     const data = event.data;
-    if (!data || data.length < 3) return;
+    if (!data || data.length === 0) return;
 
     const status = data[0];
     const type = status & 0xF0;
@@ -176,11 +255,49 @@ export default class MidiManager extends EventEmitter {
       manufacturer: source?.manufacturer || ''
     };
 
+    // Clock and transport are one byte long (Song Position Pointer three)
+    if (this._handleSyncMessage(status, data, event.timeStamp, sourceInfo)) return;
+
+    // Handle Program Change (two bytes)
+    if (type === 0xC0 && data.length >= 2) {
+      this.emit('program-received', {
+        channel,
+        program: data[1] & 0x7F,
+        timestamp: performance.now(),
+        source: sourceInfo
+      });
+      return;
+    }
+    if (data.length < 3) return;
+
     // Handle CC messages
     if (type === 0xB0) {
       const cc = data[1] & 0x7F;
       const value = data[2] & 0x7F;
       
+      // NRPN/RPN protocol CCs (parameter select, data entry) are flagged so
+      // listeners can skip them; complete values arrive as 'parameter-received'
+      const parameterData = this._decodeParameterCC(sourceInfo, channel, cc, value);
+      
+      // 14-bit CC pairs: remember MSBs (CC 0-31), combine when the LSB (CC 32-63) arrives.
+      // Emitted before 'cc-received' so listeners can fold the LSB into the pair.
+      // Data entry (CC 6/38) of a selected parameter is not a CC pair.
+      if (!parameterData && cc <= CC14_MSB_MAX_CC) {
+        this.lastMSB.set(`${sourceInfo.id}::${channel}:${cc}`, value);
+      } else if (!parameterData && cc < CC14_LSB_OFFSET * 2) {
+        const msbCC = cc - CC14_LSB_OFFSET;
+        const msb = this.lastMSB.get(`${sourceInfo.id}::${channel}:${msbCC}`);
+        if (msb !== undefined) {
+          this.emit('cc14-received', {
+            channel,
+            cc: msbCC,
+            value: (msb << 7) | value,
+            timestamp: performance.now(),
+            source: sourceInfo
+          });
+        }
+      }
+      
       this.lastGlobalValue = value;
       this.lastGlobalCC = cc;
       
@@ -198,6 +315,33 @@ export default class MidiManager extends EventEmitter {
         channel,
         cc,
         value,
+        parameterData,
+        timestamp: performance.now(),
+        source: sourceInfo
+      });
+    }
+
+    // Handle pitch bend (LSB first, 0-16383, center 8192)
+    if (type === 0xE0) {
+      this.emit('pitchbend-received', {
+        channel,
+        value: ((data[2] & 0x7F) << 7) | (data[1] & 0x7F),
+        timestamp: performance.now(),
+        source: sourceInfo
+      });
+    }
+
+    // Handle Note On/Off (Note On with velocity 0 is a Note Off)
+    if (type === 0x90 || type === 0x80) {
+      const note = data[1] & 0x7F;
+      const velocity = data[2] & 0x7F;
+      const on = type === 0x90 && velocity > 0;
+
+      this.emit('note-received', {
+        channel,
+        note,
+        velocity,
+        on,
         timestamp: performance.now(),
         source: sourceInfo
       });
@@ -213,6 +357,117 @@ export default class MidiManager extends EventEmitter {
     });
   }
 
+  /**
+   * Handle clock, Start/Continue/Stop and Song Position Pointer
+   * Uses the event timestamp when there is one - clock jitter matters for tempo
+   * @returns {boolean} True if the message was a sync message
+   * @private
+   */
+  _handleSyncMessage(status, data, eventTimestamp, sourceInfo) {
+    const timestamp = (typeof eventTimestamp === 'number') ? eventTimestamp : performance.now();
+
+    switch (status) {
+      case MIDI_CLOCK_STATUS:
+        this.emit('clock-received', { timestamp, source: sourceInfo });
+        return true;
+      case MIDI_START_STATUS:
+      case MIDI_CONTINUE_STATUS:
+      case MIDI_STOP_STATUS: {
+        const transport = (status === MIDI_START_STATUS) ? 'start'
+          : (status === MIDI_CONTINUE_STATUS) ? 'continue'
+          : 'stop';
+        this.emit('transport-received', { type: transport, timestamp, source: sourceInfo });
+        return true;
+      }
+      case MIDI_SONG_POSITION_STATUS:
+        if (data.length >= 3) {
+          this.emit('song-position-received', {
+            position: (data[1] & 0x7F) | ((data[2] & 0x7F) << 7), // MIDI beats (16th notes)
+            timestamp,
+            source: sourceInfo
+          });
+        }
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Track incoming NRPN/RPN streams (CC 99/98 or 101/100, then data entry 6/38)
+   * Emits 'parameter-received' for each complete value. Parameters that have
+   * sent a data entry LSB are reported on the LSB only, so every value is 14-bit;
+   * this is remembered per parameter, so reselecting before each value adds no coarse step.
+   * @returns {boolean} True if the CC is part of the parameter protocol
+   * @private
+   */
+  _decodeParameterCC(sourceInfo, channel, cc, value) {
+    const key = `${sourceInfo.id}::${channel}`;
+    const state = this.parameterInState.get(key);
+    const fineParameters = state ? state.fineParameters : new Set(); // 'type:parameter' sending LSBs
+
+    switch (cc) {
+      case CC_NRPN_MSB:
+      case CC_RPN_MSB: {
+        const type = (cc === CC_NRPN_MSB) ? OUTPUT_MODE_NRPN : OUTPUT_MODE_RPN;
+        const lsb = (state && state.type === type) ? state.lsb : null;
+        this.parameterInState.set(key, { type, msb: value, lsb, dataMSB: null, fineParameters });
+        return true;
+      }
+
+      case CC_NRPN_LSB:
+      case CC_RPN_LSB: {
+        const type = (cc === CC_NRPN_LSB) ? OUTPUT_MODE_NRPN : OUTPUT_MODE_RPN;
+        const msb = (state && state.type === type) ? state.msb : 0;
+
+        if (type === OUTPUT_MODE_RPN && msb === RPN_NULL && value === RPN_NULL) {
+          this.parameterInState.set(key, { type: null, msb: 0, lsb: null, dataMSB: null, fineParameters });
+        } else {
+          this.parameterInState.set(key, { type, msb, lsb: value, dataMSB: null, fineParameters });
+        }
+        return true;
+      }
+
+      case CC_DATA_ENTRY_MSB:
+        if (!state || state.lsb === null) return false;
+        state.dataMSB = value;
+        if (!fineParameters.has(this._parameterKey(state))) {
+          this._emitParameter(state, channel, value << 7, sourceInfo);
+        }
+        return true;
+
+      case CC_DATA_ENTRY_LSB:
+        if (!state || state.lsb === null || state.dataMSB === null) return false;
+        fineParameters.add(this._parameterKey(state));
+        this._emitParameter(state, channel, (state.dataMSB << 7) | value, sourceInfo);
+        return true;
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _parameterKey(state) {
+    return `${state.type}:${(state.msb << 7) | state.lsb}`;
+  }
+
+  /**
+   * @private
+   */
+  _emitParameter(state, channel, value, sourceInfo) {
+    this.emit('parameter-received', {
+      channel,
+      type: state.type,
+      parameter: (state.msb << 7) | state.lsb,
+      value,
+      timestamp: performance.now(),
+      source: sourceInfo
+    });
+  }
+
   /**
    * Handle MIDI state changes (devices connected/disconnected)
    * @private
@@ -227,8 +482,10 @@ export default class MidiManager extends EventEmitter {
    * @param {number} cc - Control change number (0-127)
    * @param {number} value - CC value (0-127)
    * @param {number} channel - MIDI channel (0-15, optional)
+   * @param {string[]} deviceIds - Output IDs to send to (optional, defaults to the output selection)
+   * @param {number} timestamp - Scheduled send time (performance.now() clock, optional)
    */
-  sendCC(cc, value, channel = null) {
+  sendCC(cc, value, channel = null, deviceIds = null, timestamp = null) {
     const targetChannel = (channel !== null) ? channel : this.channel;
     const clampedChannel = Math.max(0, Math.min(15, targetChannel));
     const clampedCC = Math.max(0, Math.min(127, cc));
@@ -240,24 +497,256 @@ export default class MidiManager extends EventEmitter {
       clampedValue
     ];
 
-    this._sendMessage(message);
+    // A raw parameter select invalidates the NRPN/RPN cache for this channel
+    if (clampedCC >= CC_NRPN_LSB && clampedCC <= CC_RPN_MSB) {
+      for (const output of this._getTargetOutputs(deviceIds)) {
+        this._setParameterSelection(output, clampedChannel, null, timestamp);
+      }
+    }
+
+    this._sendMessage(message, deviceIds, timestamp);
+  }
+
+  /**
+   * Send 14-bit CC pair (MSB on cc, LSB on cc + 32)
+   * @param {number} cc - MSB controller number (0-31)
+   * @param {number} value - 14-bit value (0-16383)
+   * @param {number} channel - MIDI channel (0-15, optional)
+   * @param {string[]} deviceIds - Output IDs to send to (optional)
+   * @param {number} timestamp - Scheduled send time (performance.now() clock, optional)
+   */
+  sendCC14(cc, value, channel = null, deviceIds = null, timestamp = null) {
+    const targetChannel = (channel !== null) ? channel : this.channel;
+    const clampedChannel = Math.max(0, Math.min(15, targetChannel));
+    const clampedCC = Math.max(0, Math.min(CC14_MSB_MAX_CC, cc));
+    const clampedValue = Math.max(0, Math.min(CC14_MAX_VALUE, Math.round(value)));
+
+    this._sendMessage([0xB0 | clampedChannel, clampedCC, clampedValue >> 7], deviceIds, timestamp);
+    this._sendMessage([0xB0 | clampedChannel, clampedCC + CC14_LSB_OFFSET, clampedValue & 0x7F], deviceIds, timestamp);
+  }
+
+  /**
+   * Send pitch bend message
+   * @param {number} value - 14-bit value (0-16383, 8192 = center)
+   * @param {number} channel - MIDI channel (0-15, optional)
+   * @param {string[]} deviceIds - Output IDs to send to (optional)
+   * @param {number} timestamp - Scheduled send time (performance.now() clock, optional)
+   */
+  sendPitchBend(value, channel = null, deviceIds = null, timestamp = null) {
+    const targetChannel = (channel !== null) ? channel : this.channel;
+    const clampedChannel = Math.max(0, Math.min(15, targetChannel));
+    const clampedValue = Math.max(0, Math.min(PITCH_BEND_MAX_VALUE, Math.round(value)));
+
+    this._sendMessage([0xE0 | clampedChannel, clampedValue & 0x7F, clampedValue >> 7], deviceIds, timestamp);
+  }
+
+  /**
+   * Send NRPN value (CC 99/98 parameter select + CC 6/38 data entry)
+   * @param {number} parameter - NRPN number (0-16383)
+   * @param {number} value - 14-bit value (0-16383)
+   * @param {number} channel - MIDI channel (0-15, optional)
+   * @param {string[]} deviceIds - Output IDs to send to (optional)
+   * @param {number} timestamp - Scheduled send time (performance.now() clock, optional)
+   */
+  sendNRPN(parameter, value, channel = null, deviceIds = null, timestamp = null) {
+    this._sendParameter(OUTPUT_MODE_NRPN, parameter, value, channel, deviceIds, timestamp);
+  }
+
+  /**
+   * Send RPN value (CC 101/100 parameter select + CC 6/38 data entry)
+   * @param {number} parameter - RPN number (0-16383, e.g. 0 = pitch bend range)
+   * @param {number} value - 14-bit value (0-16383)
+   * @param {number} channel - MIDI channel (0-15, optional)
+   * @param {string[]} deviceIds - Output IDs to send to (optional)
+   * @param {number} timestamp - Scheduled send time (performance.now() clock, optional)
+   */
+  sendRPN(parameter, value, channel = null, deviceIds = null, timestamp = null) {
+    this._sendParameter(OUTPUT_MODE_RPN, parameter, value, channel, deviceIds, timestamp);
+  }
+
+  /**
+   * Send a parameter value, selecting the parameter only on outputs whose
+   * last selection on that channel differs
+   * Scheduled sends always select: outputs play messages by timestamp, so a
+   * later data entry of one node can land after another node's select
+   * @private
+   */
+  _sendParameter(type, parameter, value, channel, deviceIds = null, timestamp = null) {
+    if (!this.ready || !this.outputs.length) {
+      return;
+    }
+
+    const targetChannel = (channel !== null) ? channel : this.channel;
+    const clampedChannel = Math.max(0, Math.min(15, targetChannel));
+    const clampedParameter = Math.max(0, Math.min(PARAMETER_MAX_NUMBER, Math.round(parameter)));
+    const clampedValue = Math.max(0, Math.min(PARAMETER_MAX_VALUE, Math.round(value)));
+    const status = 0xB0 | clampedChannel;
+
+    const targetOutputs = this._getTargetOutputs(deviceIds);
+    const selection = `${type}:${clampedParameter}`;
+    const staleOutputs = (timestamp !== null)
+      ? targetOutputs
+      : targetOutputs.filter(output => !this._isParameterSelected(output, clampedChannel, selection));
+
+    if (staleOutputs.length) {
+      const msbCC = (type === OUTPUT_MODE_RPN) ? CC_RPN_MSB : CC_NRPN_MSB;
+      const lsbCC = (type === OUTPUT_MODE_RPN) ? CC_RPN_LSB : CC_NRPN_LSB;
+      this._sendToOutputs([status, msbCC, clampedParameter >> 7], staleOutputs, timestamp);
+      this._sendToOutputs([status, lsbCC, clampedParameter & 0x7F], staleOutputs, timestamp);
+      for (const output of staleOutputs) {
+        this._setParameterSelection(output, clampedChannel, selection, timestamp);
+      }
+    }
+
+    this._sendToOutputs([status, CC_DATA_ENTRY_MSB, clampedValue >> 7], targetOutputs, timestamp);
+    this._sendToOutputs([status, CC_DATA_ENTRY_LSB, clampedValue & 0x7F], targetOutputs, timestamp);
+  }
+
+  /**
+   * Check if an output's current parameter selection can be reused for an immediate send
+   * @private
+   */
+  _isParameterSelected(output, channel, selection) {
+    const state = this.parameterOutState.get(`${output.id}:${channel}`);
+    return !!state && state.selection === selection && state.pendingUntil <= performance.now();
+  }
+
+  /**
+   * Record a parameter select sent to an output
+   * After a scheduled select the selection is unknown until the last scheduled
+   * one has played, so immediate sends select again until then
+   * @param {string|null} selection - 'type:parameter', or null when unknown
+   * @param {number|null} timestamp - Scheduled send time (null = immediate)
+   * @private
+   */
+  _setParameterSelection(output, channel, selection, timestamp) {
+    const key = `${output.id}:${channel}`;
+    const previous = this.parameterOutState.get(key);
+    const pendingUntil = Math.max(
+      previous ? previous.pendingUntil : -Infinity,
+      timestamp !== null ? timestamp : -Infinity
+    );
+    const known = timestamp === null && pendingUntil <= performance.now();
+
+    this.parameterOutState.set(key, { selection: known ? selection : null, pendingUntil });
+  }
+
+  /**
+   * Reselect NRPN/RPN parameters on the next send (scheduled selects still count as pending)
+   * @private
+   */
+  _forgetParameterSelections() {
+    for (const state of this.parameterOutState.values()) {
+      state.selection = null;
+    }
+  }
+
+  /**
+   * Send Note On message
+   * @param {number} note - Note number (0-127)
+   * @param {number} velocity - Velocity (1-127)
+   * @param {number} channel - MIDI channel (0-15, optional)
+   * @param {string[]} deviceIds - Output IDs to send to (optional)
+   * @param {number} timestamp - Scheduled send time (performance.now() clock, optional)
+   */
+  sendNoteOn(note, velocity = NOTE_DEFAULT_VELOCITY, channel = null, deviceIds = null, timestamp = null) {
+    const targetChannel = (channel !== null) ? channel : this.channel;
+    const clampedChannel = Math.max(0, Math.min(15, targetChannel));
+    const clampedNote = Math.max(0, Math.min(127, note));
+    const clampedVelocity = Math.max(1, Math.min(127, velocity));
+
+    this._sendMessage([0x90 | clampedChannel, clampedNote, clampedVelocity], deviceIds, timestamp);
+  }
+
+  /**
+   * Send Note Off message
+   * @param {number} note - Note number (0-127)
+   * @param {number} velocity - Release velocity (0-127)
+   * @param {number} channel - MIDI channel (0-15, optional)
+   * @param {string[]} deviceIds - Output IDs to send to (optional)
+   * @param {number} timestamp - Scheduled send time (performance.now() clock, optional)
+   */
+  sendNoteOff(note, velocity = 0, channel = null, deviceIds = null, timestamp = null) {
+    const targetChannel = (channel !== null) ? channel : this.channel;
+    const clampedChannel = Math.max(0, Math.min(15, targetChannel));
+    const clampedNote = Math.max(0, Math.min(127, note));
+    const clampedVelocity = Math.max(0, Math.min(127, velocity));
+
+    this._sendMessage([0x80 | clampedChannel, clampedNote, clampedVelocity], deviceIds, timestamp);
+  }
+
+  /**
+   * Send MIDI clock (0xF8)
+   * @param {number} timestamp - Scheduled send time (performance.now() clock, optional)
+   */
+  sendClock(timestamp = null) {
+    this._sendMessage([MIDI_CLOCK_STATUS], null, timestamp);
+  }
+
+  /**
+   * Send transport Start (0xFA)
+   * @param {number} timestamp - Scheduled send time (optional)
+   */
+  sendStart(timestamp = null) {
+    this._sendMessage([MIDI_START_STATUS], null, timestamp);
+  }
+
+  /**
+   * Send transport Continue (0xFB)
+   * @param {number} timestamp - Scheduled send time (optional)
+   */
+  sendContinue(timestamp = null) {
+    this._sendMessage([MIDI_CONTINUE_STATUS], null, timestamp);
+  }
+
+  /**
+   * Send transport Stop (0xFC)
+   * @param {number} timestamp - Scheduled send time (optional)
+   */
+  sendStop(timestamp = null) {
+    this._sendMessage([MIDI_STOP_STATUS], null, timestamp);
+  }
+
+  /**
+   * Send Song Position Pointer (0xF2)
+   * @param {number} midiBeats - Position in MIDI beats (16th notes, 0-16383)
+   * @param {number} timestamp - Scheduled send time (optional)
+   */
+  sendSongPosition(midiBeats, timestamp = null) {
+    const position = Math.max(0, Math.min(16383, Math.round(midiBeats)));
+    this._sendMessage([MIDI_SONG_POSITION_STATUS, position & 0x7F, position >> 7], null, timestamp);
   }
 
   /**
    * Send raw MIDI message to selected outputs
    * @param {number[]} message - MIDI message bytes
+   * @param {string[]} deviceIds - Output IDs to send to (optional, defaults to the output selection)
+   * @param {number} timestamp - Scheduled send time (optional, sends immediately)
    * @private
    */
-  _sendMessage(message) {
+  _sendMessage(message, deviceIds = null, timestamp = null) {
     if (!this.ready || !this.outputs.length) {
       return;
     }
 
-    const targetOutputs = this._getTargetOutputs();
-    
+    this._sendToOutputs(message, this._getTargetOutputs(deviceIds), timestamp);
+  }
+
+  /**
+   * Send raw MIDI message to the given output ports
+   * @param {number[]} message - MIDI message bytes
+   * @param {array} targetOutputs - Output devices
+   * @param {number} timestamp - Scheduled send time (optional, sends immediately)
+   * @private
+   */
+  _sendToOutputs(message, targetOutputs, timestamp = null) {
     for (const output of targetOutputs) {
       try {
-        output.send(message);
+        if (timestamp === null) {
+          output.send(message);
+        } else {
+          output.send(message, timestamp);
+        }
       } catch (error) {
         console.error('MIDI send error:', error);
         this.emit('send-error', { error: error.message, output });
@@ -268,41 +757,65 @@ export default class MidiManager extends EventEmitter {
   }
 
   /**
-   * Get currently selected output devices
+   * Get output devices to send to
+   * @param {string[]} deviceIds - Explicit output IDs (optional, defaults to the output selection)
    * @private
    * @returns {array} Array of output devices
    */
-  _getTargetOutputs() {
+  _getTargetOutputs(deviceIds = null) {
+    if (Array.isArray(deviceIds)) {
+      return this.outputs.filter(output => deviceIds.includes(output.id));
+    }
+
     if (this.outputSelection === 'all') {
       return this.outputs;
     }
     
     if (Array.isArray(this.outputSelection)) {
-      return this.outputSelection
-        .map(index => this.outputs[index])
-        .filter(output => output); // Remove undefined entries
+      return this._resolveSelection(this.outputSelection, this.outputs);
     }
     
     return [];
   }
 
+  /**
+   * Find the output port belonging to the same device as an input
+   * Ports of one device share their name, so match by ID first, then by cleaned name
+   * @param {object} source - Input info ({ id, name, manufacturer })
+   * @returns {object|null} Matching output device
+   */
+  findOutputForSource(source) {
+    if (!source) return null;
+
+    const byId = this.outputs.find(output => output.id === source.id);
+    if (byId) return byId;
+
+    const sourceName = MidiManager.cleanDeviceName(source.name, source.manufacturer);
+    if (!sourceName) return null;
+
+    return this.outputs.find(output =>
+      MidiManager.cleanDeviceName(output.name, output.manufacturer) === sourceName
+    ) || null;
+  }
+
   /**
    * Set input mode
-   * @param {string|number[]} mode - 'none', 'all', or array of indices
+   * @param {string|array} mode - 'none', 'all', or array of input IDs (or selection entries)
    */
   setInputMode(mode) {
-    this.inputMode = mode;
+    this.inputMode = this._normalizeSelection(mode, this.inputs, this.inputMode);
     this.attachInputListeners();
-    this.emit('input-mode-changed', { mode });
+    this.emit('input-mode-changed', { mode: this.inputMode });
   }
 
   /**
    * Set output selection
-   * @param {string|number[]} selection - 'all' or array of indices
+   * @param {string|array} selection - 'all' or array of output IDs (or selection entries)
    */
   setOutputSelection(selection) {
-    this.outputSelection = selection;
-    this.emit('output-selection-changed', { selection });
+    this.outputSelection = this._normalizeSelection(selection, this.outputs, this.outputSelection);
+    this._forgetParameterSelections();
+    this.emit('output-selection-changed', { selection: this.outputSelection });
   }
 
   /**
@@ -314,6 +827,37 @@ export default class MidiManager extends EventEmitter {
     this.emit('channel-changed', { channel: this.channel });
   }
 
+  /**
+   * List every controller seen so far (one entry per device/channel/CC)
+   * @returns {Array} [{ key, channel, cc, value, timestamp, source }] sorted by device, channel and CC
+   */
+  getSeenControllers() {
+    return [...this.lastSeen]
+      .map(([key, entry]) => ({ key, ...entry }))
+      .sort((a, b) => a.source.name.localeCompare(b.source.name) || a.channel - b.channel || a.cc - b.cc);
+  }
+
+  /**
+   * Get the last value of one controller
+   * Falls back to the device name when the ID is unknown (IDs differ between machines)
+   * @param {string} sourceId - Input port ID
+   * @param {number} channel - MIDI channel (1-16)
+   * @param {number} cc - Controller number
+   * @param {string} sourceName - Input port name (optional)
+   * @returns {object|null} lastSeen entry, or null if not seen yet
+   */
+  getLastSeenCC(sourceId, channel, cc, sourceName = '') {
+    const entry = this.lastSeen.get(`${sourceId}::${channel}:${cc}`);
+    if (entry || !sourceName) return entry || null;
+
+    for (const candidate of this.lastSeen.values()) {
+      if (candidate.source.name === sourceName && candidate.channel === channel && candidate.cc === cc) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
   /**
    * Get current state for debugging
    */
@@ -390,5 +934,8 @@ export default class MidiManager extends EventEmitter {
     this.inputs = [];
     this.outputs = [];
     this.lastSeen.clear();
+    this.lastMSB.clear();
+    this.parameterInState.clear();
+    this.parameterOutState.clear();
   }
 }
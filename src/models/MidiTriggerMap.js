@@ -0,0 +1,178 @@
+/**
+ * MidiTriggerMap - Incoming MIDI messages that fire trigger input ports
+ * Each mapping binds a Note On, a CC crossing a threshold or a Program Change
+ * on one channel (and optionally one source device) to a port ID.
+ * Saved with the patch.
+ * Pure model - AppController resolves the port IDs and fires them
+ */
+
+import { MIDI_TRIGGER_CC_THRESHOLD } from '../config/constants.js';
+import { clamp } from '../utils/geometry.js';
+
+const MAPPING_TYPES = ['note', 'cc', 'program'];
+
+export default class MidiTriggerMap {
+  constructor() {
+    this.mappings = []; // [{ portId, type: 'note'|'cc'|'program', channel (1-16), number, threshold, source: { id, name } | null }]
+    this._ccValues = new Map(); // Last value per mapped CC, for edge detection
+  }
+
+  /**
+   * Bind a port to a message, replacing the port's previous mapping
+   * @param {string} portId - Input port ID
+   * @param {object} message - { type, channel, number, threshold, source }
+   * @returns {object|null} Created mapping, or null for an unknown message type
+   */
+  set(portId, message) {
+    if (!MAPPING_TYPES.includes(message.type)) return null;
+
+    this.remove(portId);
+
+    const mapping = {
+      portId,
+      type: message.type,
+      channel: clamp(Math.round(message.channel), 1, 16),
+      number: clamp(Math.round(message.number), 0, 127),
+      threshold: MIDI_TRIGGER_CC_THRESHOLD,
+      source: message.source ? { id: message.source.id, name: message.source.name || '' } : null
+    };
+    if (typeof message.threshold === 'number') {
+      this._applyThreshold(mapping, message.threshold);
+    }
+    this.mappings.push(mapping);
+    return mapping;
+  }
+
+  /**
+   * Set the level a mapped CC has to rise through to fire
+   * @param {string} portId - Input port ID
+   * @param {number} threshold - CC value (1-127)
+   * @returns {boolean} True if the port has a mapping
+   */
+  setThreshold(portId, threshold) {
+    const mapping = this.get(portId);
+    if (!mapping) return false;
+
+    this._applyThreshold(mapping, threshold);
+    return true;
+  }
+
+  /**
+   * Remove the mapping of a port
+   * @param {string} portId - Input port ID
+   * @returns {boolean} True if a mapping was removed
+   */
+  remove(portId) {
+    const count = this.mappings.length;
+    this.mappings = this.mappings.filter(mapping => mapping.portId !== portId);
+    return this.mappings.length !== count;
+  }
+
+  /**
+   * Get the mapping of a port
+   * @param {string} portId - Input port ID
+   * @returns {object|null} Mapping or null
+   */
+  get(portId) {
+    return this.mappings.find(mapping => mapping.portId === portId) || null;
+  }
+
+  /**
+   * Find the ports an incoming message fires
+   * Notes fire on Note On, CCs when the value rises through the mapping's
+   * threshold, Program Changes always
+   * @param {object} message - { type: 'cc'|'note'|'program', channel, number, value, source }
+   * @returns {string[]} Port IDs to fire
+   */
+  match(message) {
+    let previous;
+    if (message.type === 'cc') {
+      const key = `${message.source ? message.source.id : ''}::${message.channel}:${message.number}`;
+      previous = this._ccValues.get(key);
+      this._ccValues.set(key, message.value);
+    } else if (message.type === 'note' && message.value <= 0) {
+      return []; // Note Off
+    }
+
+    return this.mappings
+      .filter(mapping =>
+        mapping.type === message.type &&
+        mapping.channel === message.channel &&
+        mapping.number === message.number &&
+        this._matchesSource(mapping.source, message.source) &&
+        (mapping.type !== 'cc' || this._crossesThreshold(mapping, previous, message.value)))
+      .map(mapping => mapping.portId);
+  }
+
+  /**
+   * Serialize mappings for the patch file
+   * @returns {Array} Mapping copies
+   */
+  toJSON() {
+    return this.mappings.map(mapping => ({
+      ...mapping,
+      source: mapping.source ? { ...mapping.source } : null
+    }));
+  }
+
+  /**
+   * Create from patch data (unknown entries are skipped)
+   * @param {Array} data - Serialized mappings
+   * @returns {MidiTriggerMap} Restored map
+   * @static
+   */
+  static fromJSON(data) {
+    const map = new MidiTriggerMap();
+    for (const entry of Array.isArray(data) ? data : []) {
+      if (entry && typeof entry.portId === 'string') {
+        map.set(entry.portId, entry);
+      }
+    }
+    return map;
+  }
+
+  /**
+   * Format a mapping for display ("Note 36 CH 10", "CC 64 ≥ 64 CH 1", "Program 5 CH 1")
+   * @param {object} mapping - Mapping
+   * @returns {string} Label text
+   */
+  static describe(mapping) {
+    switch (mapping.type) {
+      case 'note':
+        return `Note ${mapping.number} CH ${mapping.channel}`;
+      case 'program':
+        return `Program ${mapping.number} CH ${mapping.channel}`;
+      default:
+        return `CC ${mapping.number} ≥ ${mapping.threshold} CH ${mapping.channel}`;
+    }
+  }
+
+  /**
+   * Check if a CC moved from below the threshold to at or above it
+   * (the first value seen counts as coming from below)
+   * @private
+   */
+  _crossesThreshold(mapping, previous, value) {
+    return value >= mapping.threshold && (previous === undefined || previous < mapping.threshold);
+  }
+
+  /**
+   * Clamp and store a CC threshold
+   * @private
+   */
+  _applyThreshold(mapping, threshold) {
+    mapping.threshold = clamp(Math.round(threshold), 1, 127);
+  }
+
+  /**
+   * Match a mapping source by port ID, falling back to the device name
+   * (IDs can change when a device is reconnected)
+   * @private
+   */
+  _matchesSource(mappingSource, messageSource) {
+    if (!mappingSource) return true;
+    if (!messageSource) return false;
+    return mappingSource.id === messageSource.id ||
+      (!!mappingSource.name && mappingSource.name === messageSource.name);
+  }
+}
@@ -30,6 +30,10 @@ export default class Node extends EventEmitter {
     this.isDragging = false;
     this.isHovered = false;
     
+    // Signal ports (SignalPort), created by node types that stream values
+    this.signalIn = null;
+    this.signalOut = null;
+    
     // Creation tracking
     this.createdAt = Date.now();
   }
@@ -162,12 +166,13 @@ export default class Node extends EventEmitter {
 
   /**
    * Start playback (to be overridden by subclasses)
+   * @param {number} startTime - When the run starts (performance.now() clock)
    */
-  startPlayback() {
+  startPlayback(startTime = performance.now()) {
     if (this.playing) return;
     
     this.playing = true;
-    this.playStartTime = performance.now();
+    this.playStartTime = startTime;
     
     this.emit('playback-started', { node: this });
   }
@@ -199,7 +204,47 @@ export default class Node extends EventEmitter {
    * @returns {array} Array of port objects
    */
   getAllPorts() {
-    return [];
+    return this.getSignalPorts();
+  }
+
+  /**
+   * Get the node's signal ports
+   * @returns {SignalPort[]} Signal input and/or output
+   */
+  getSignalPorts() {
+    return [this.signalIn, this.signalOut].filter(Boolean);
+  }
+
+  /**
+   * Get the value the signal output carries right now
+   * Override in subclasses with a signal output
+   * @param {number} time - Current time in ms (performance.now() clock)
+   * @returns {number|null} Value (0-1), or null when there is nothing to send
+   */
+  getSignalValue(time = performance.now()) {
+    return null;
+  }
+
+  /**
+   * Take a value arriving at the signal input
+   * Override in subclasses with a signal input
+   * @param {number} value - Value (0-1)
+   * @param {number} time - Current time in ms (performance.now() clock)
+   */
+  receiveSignal(value, time = performance.now()) {
+    // Base implementation ignores signals
+  }
+
+  /**
+   * Restore signal port IDs saved by toJSON() (so cables resolve)
+   * @param {object} signalPorts - { in, out } port IDs
+   * @protected
+   */
+  _restoreSignalPorts(signalPorts) {
+    if (!signalPorts) return;
+    
+    if (this.signalIn && signalPorts.in) this.signalIn.id = signalPorts.in;
+    if (this.signalOut && signalPorts.out) this.signalOut.id = signalPorts.out;
   }
 
   /**
@@ -226,7 +271,11 @@ export default class Node extends EventEmitter {
       w: this.w,
       h: this.h,
       label: this.label,
-      createdAt: this.createdAt
+      createdAt: this.createdAt,
+      signalPorts: {
+        in: this.signalIn ? this.signalIn.id : null,
+        out: this.signalOut ? this.signalOut.id : null
+      }
     };
   }
 
@@ -242,6 +291,7 @@ export default class Node extends EventEmitter {
     node.w = data.w || BOX_W;
     node.h = data.h || BOX_H;
     node.createdAt = data.createdAt || Date.now();
+    node._restoreSignalPorts(data.signalPorts);
     return node;
   }
 
@@ -0,0 +1,60 @@
+/**
+ * NodeTypes - Registry of node classes that can be restored from JSON
+ * Maps the serialized `type` field (class name) to its model class
+ * Pure model - no rendering logic
+ */
+
+import WaveformNode from './WaveformNode.js';
+import NoteNode from './NoteNode.js';
+import OscilloscopeNode from './OscilloscopeNode.js';
+import MapperNode from './MapperNode.js';
+
+const NODE_TYPES = new Map();
+
+/**
+ * Register a node class for deserialization and the node palette
+ * @param {string} typeName - Serialized type name (usually the class name)
+ * @param {function} NodeClass - Node class providing a static fromJSON(); `new NodeClass(x, y)` creates a default node
+ * @param {object} options - { label } shown in the node palette (defaults to the type name)
+ */
+export function registerNodeType(typeName, NodeClass, options = {}) {
+  NODE_TYPES.set(typeName, { NodeClass, label: options.label || typeName });
+}
+
+/**
+ * Get a registered node class by type name
+ * @param {string} typeName - Serialized type name
+ * @returns {function|null} Node class or null if unknown
+ */
+export function getNodeType(typeName) {
+  const entry = NODE_TYPES.get(typeName);
+  return entry ? entry.NodeClass : null;
+}
+
+/**
+ * List the registered node types in registration order
+ * @returns {Array<{typeName: string, NodeClass: function, label: string}>} Registered types
+ */
+export function getNodeTypes() {
+  return Array.from(NODE_TYPES, ([typeName, entry]) => ({ typeName, ...entry }));
+}
+
+/**
+ * Restore a node from its JSON representation
+ * @param {object} data - Serialized node data
+ * @returns {object|null} Restored node or null if the type is unknown
+ */
+export function createNodeFromJSON(data) {
+  const NodeClass = getNodeType(data && data.type);
+  if (!NodeClass) {
+    console.warn(`Cannot restore node - unknown type "${data && data.type}"`);
+    return null;
+  }
+  return NodeClass.fromJSON(data);
+}
+
+// Built-in node types
+registerNodeType('WaveformNode', WaveformNode, { label: 'Waveform' });
+registerNodeType('NoteNode', NoteNode, { label: 'Note lane' });
+registerNodeType('OscilloscopeNode', OscilloscopeNode, { label: 'Oscilloscope' });
+registerNodeType('MapperNode', MapperNode, { label: 'Mapper' });
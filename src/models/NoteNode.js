@@ -0,0 +1,347 @@
+/**
+ * NoteNode - Note lane node (piano roll) with Note On/Off playback
+ * Extends WaveformNode: its samples are a gate envelope (1 while any note
+ * sounds) so triggers keep working, while playback emits the notes themselves
+ * Pure model - no rendering logic
+ */
+
+import WaveformNode from './WaveformNode.js';
+import VTrigger from './VTrigger.js';
+import HTrigger from './HTrigger.js';
+import { BOX_W, BOX_H, NOTE_DEFAULT_VELOCITY, NOTE_ROLL_MIN_RANGE } from '../config/constants.js';
+import { clamp } from '../utils/geometry.js';
+
+/**
+ * Normalize a note list: clamp ranges to 0-1, drop empty notes, sort by start
+ * @param {Array} notes - [{ note, velocity, start, end }] with start/end as 0-1 positions
+ * @returns {Array} Clean copy
+ * @private
+ */
+function normalizeNotes(notes) {
+  return (notes || [])
+    .map(n => ({
+      note: clamp(Math.round(n.note), 0, 127),
+      velocity: clamp(Math.round(n.velocity != null ? n.velocity : NOTE_DEFAULT_VELOCITY), 1, 127),
+      start: clamp(n.start, 0, 1),
+      end: clamp(n.end, 0, 1)
+    }))
+    .filter(n => n.end > n.start)
+    .sort((a, b) => a.start - b.start || a.note - b.note);
+}
+
+/**
+ * Build a gate envelope: 1 where at least one note sounds, 0 elsewhere
+ * @param {Array} notes - Normalized notes
+ * @param {number} count - Sample count
+ * @returns {number[]} Gate samples
+ * @private
+ */
+function buildGateSamples(notes, count) {
+  const n = Math.max(2, Math.min(Math.round(count), 2000));
+  const samples = new Array(n).fill(0);
+
+  for (const note of notes) {
+    const first = Math.ceil(note.start * (n - 1));
+    const last = Math.floor(note.end * (n - 1));
+    for (let i = first; i <= last && i < n; i++) {
+      samples[i] = 1;
+    }
+  }
+  return samples;
+}
+
+export default class NoteNode extends WaveformNode {
+  /**
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {string} label - Node label
+   * @param {Array} notes - [{ note, velocity, start, end }] with start/end as 0-1 positions
+   * @param {number} width - Node width (optional)
+   */
+  constructor(x = 0, y = 0, label = 'Notes', notes = [], width = null) {
+    const cleanNotes = normalizeNotes(notes);
+    super(x, y, label, buildGateSamples(cleanNotes, width || BOX_W), width);
+
+    this.notes = cleanNotes;
+
+    // Playback state
+    this._activeNotes = new Set(); // Notes currently sounding (Note On scheduled, Note Off not yet)
+    this._outbox = []; // Note messages waiting for scheduleOutput()
+    this._lastDistance = 0; // Run distance notes have been scheduled up to
+    this._lastNoteOnTime = 0; // Latest Note On timestamp handed out (releases must not precede it)
+  }
+
+  /**
+   * Replace the note list and rebuild the gate envelope
+   * @param {Array} notes - [{ note, velocity, start, end }]
+   */
+  setNotes(notes) {
+    this._releaseAll();
+    this.notes = normalizeNotes(notes);
+    this.setSamples(buildGateSamples(this.notes, this.w));
+  }
+
+  /**
+   * Get the pitch span to display (at least NOTE_ROLL_MIN_RANGE semitones)
+   * @returns {{low: number, high: number}} Lowest and highest displayed note
+   */
+  getPitchRange() {
+    if (this.notes.length === 0) {
+      return { low: 60, high: 60 + NOTE_ROLL_MIN_RANGE - 1 };
+    }
+
+    let low = 127;
+    let high = 0;
+    for (const n of this.notes) {
+      low = Math.min(low, n.note);
+      high = Math.max(high, n.note);
+    }
+
+    const missing = NOTE_ROLL_MIN_RANGE - (high - low + 1);
+    if (missing > 0) {
+      low = Math.max(0, low - Math.floor(missing / 2));
+      high = Math.min(127, low + NOTE_ROLL_MIN_RANGE - 1);
+    }
+    return { low, high };
+  }
+
+  /**
+   * Check if a note is sounding right now (for rendering)
+   * @param {object} note - Entry of this.notes
+   */
+  isNoteActive(note) {
+    return this._activeNotes.has(note);
+  }
+
+  /**
+   * Advance playback; release sounding notes once it stops
+   * @param {number} deltaTime - Time since last update in ms
+   */
+  update(deltaTime) {
+    super.update(deltaTime);
+
+    if (!this.playing) {
+      this._releaseAll();
+    }
+  }
+
+  /**
+   * Queue the note events up to `until` with their exact times, then send
+   * everything queued (also right after playback stops, to flush the final Note Offs)
+   * @param {object} midiManager - MIDI manager instance
+   * @param {number} from - Current time in ms (performance.now() clock)
+   * @param {number} until - Schedule up to this time
+   */
+  scheduleOutput(midiManager, from, until) {
+    if (this.playing) {
+      const to = this.distanceAt(until);
+      this._scheduleNotes(this._lastDistance, to, from);
+      this._lastDistance = to;
+    }
+
+    if (this._outbox.length === 0) return;
+
+    const messages = this._outbox;
+    this._outbox = [];
+    if (!midiManager || !midiManager.ready) return;
+
+    for (const message of messages) {
+      if (message.on) {
+        midiManager.sendNoteOn(message.note, message.velocity, this.outputChannel, this.outputDeviceIds, message.time);
+      } else {
+        midiManager.sendNoteOff(message.note, 0, this.outputChannel, this.outputDeviceIds, message.time);
+      }
+
+      this.emit('note-sent', {
+        node: this,
+        note: message.note,
+        velocity: message.velocity,
+        on: message.on,
+        timestamp: message.time
+      });
+    }
+  }
+
+  /**
+   * Queue Note On for notes starting in [fromDistance, toDistance) and Note Off
+   * for notes ending by toDistance, pass by pass
+   * In reverse a note starts at its end and ends at its start; every note is
+   * released by the end of its pass
+   * @param {number} fromDistance - Run distance scheduled so far
+   * @param {number} toDistance - Run distance to schedule up to
+   * @param {number} earliest - No message is stamped before this time
+   * @private
+   */
+  _scheduleNotes(fromDistance, toDistance, earliest) {
+    for (const piece of this._passPieces(fromDistance, toDistance)) {
+      for (const n of this.notes) {
+        const on = piece.forward ? n.start : 1 - n.end;
+        if (on >= piece.from && on < piece.to && !this._activeNotes.has(n)) {
+          const time = Math.max(earliest, this.timeAtDistance(piece.pass + on));
+          this._activeNotes.add(n);
+          this._outbox.push({ on: true, note: n.note, velocity: n.velocity, time });
+          this._lastNoteOnTime = Math.max(this._lastNoteOnTime, time);
+        }
+      }
+
+      for (const n of this._activeNotes) {
+        const off = piece.forward ? n.end : 1 - n.start;
+        if (off <= piece.to) {
+          this._activeNotes.delete(n);
+          this._outbox.push({
+            on: false,
+            note: n.note,
+            velocity: 0,
+            time: Math.max(earliest, this.timeAtDistance(piece.pass + off))
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Queue Note Off for every sounding note
+   * Sent now, or right after the latest Note On if that is still scheduled ahead
+   * @private
+   */
+  _releaseAll() {
+    const time = this._lastNoteOnTime > performance.now() ? this._lastNoteOnTime : null;
+    for (const n of this._activeNotes) {
+      this._outbox.push({ on: false, note: n.note, velocity: 0, time });
+    }
+    this._activeNotes.clear();
+  }
+
+  startPlayback(startTime = performance.now()) {
+    if (this.playing) return;
+
+    this._releaseAll();
+    super.startPlayback(startTime);
+    this._lastDistance = this._startDistance;
+  }
+
+  startPlaybackFromU(u, startTime = performance.now()) {
+    this._releaseAll();
+    super.startPlaybackFromU(u, startTime);
+    this._lastDistance = this._startDistance;
+  }
+
+  stopPlayback() {
+    super.stopPlayback();
+    this._releaseAll();
+  }
+
+  /**
+   * Hold playback and release the sounding notes
+   * Notes already queued past the pause point are scheduled again on resume
+   */
+  pausePlayback(time = performance.now()) {
+    if (!this.playing) return;
+
+    super.pausePlayback(time);
+    this._lastDistance = this._pausedDistance;
+    this._releaseAll();
+  }
+
+  /**
+   * Continue a paused run; notes that were sounding at the pause point sound again
+   */
+  resumePlayback(startTime = performance.now()) {
+    if (!this.paused) return;
+
+    super.resumePlayback(startTime);
+
+    const pass = Math.min(Math.floor(this._startDistance), this.getPassCount() - 1);
+    const at = this._startDistance - pass;
+    const forward = this.isPassForward(pass);
+    for (const n of this.notes) {
+      const on = forward ? n.start : 1 - n.end;
+      const off = forward ? n.end : 1 - n.start;
+      if (on < at && off > at) {
+        this._activeNotes.add(n);
+        this._outbox.push({ on: true, note: n.note, velocity: n.velocity, time: startTime });
+        this._lastNoteOnTime = Math.max(this._lastNoteOnTime, startTime);
+      }
+    }
+    this._lastDistance = this._startDistance;
+  }
+
+  /**
+   * Note lanes always send notes
+   */
+  setOutputMode(mode) {}
+
+  getOutputSettings() {
+    return {
+      header: this.getDisplayHeader(),
+      outputMode: 'notes',
+      cc: null,
+      channel: this.outputChannel,
+      deviceIds: this.outputDeviceIds,
+      playMode: this.playMode,
+      loopCount: this.loopCount,
+      ...this.getTiming()
+    };
+  }
+
+  /**
+   * Keep the gate resolution in step with the node width
+   */
+  setSize(width, height) {
+    super.setSize(width, height);
+    this.samples = buildGateSamples(this.notes, this.w);
+  }
+
+  /**
+   * Create a split half covering [u0, u1] of this node
+   * Notes crossing the split point are cut in two
+   * @protected
+   */
+  _createSplitNode(x, samples, width, u0, u1) {
+    const span = u1 - u0;
+    const notes = this.notes
+      .filter(n => n.end > u0 && n.start < u1)
+      .map(n => ({
+        ...n,
+        start: (Math.max(n.start, u0) - u0) / span,
+        end: (Math.min(n.end, u1) - u0) / span
+      }));
+
+    const node = new NoteNode(x, this.y, this.label, notes, width);
+    this._copySettingsTo(node, u1 - u0);
+    return node;
+  }
+
+  clone() {
+    const cloned = new NoteNode(this.x + 20, this.y + 20, this.label, this.notes, this.w);
+    this._copySettingsTo(cloned);
+    return cloned;
+  }
+
+  toJSON() {
+    const data = super.toJSON();
+    delete data.samples; // Derived from the notes
+    delete data.cc;
+    delete data.outputMode;
+    return { ...data, notes: this.notes };
+  }
+
+  static fromJSON(data) {
+    const node = new NoteNode(data.x, data.y, data.label, data.notes, data.w);
+
+    node.id = data.id;
+    node.h = data.h || BOX_H;
+    node._applySettings(data);
+    node.createdAt = data.createdAt || Date.now();
+    node._restoreSignalPorts(data.signalPorts);
+
+    for (const triggerData of data.vTriggers || []) {
+      node.vTriggers.push(VTrigger.fromJSON(triggerData, node));
+    }
+    for (const triggerData of data.hTriggers || []) {
+      node.hTriggers.push(HTrigger.fromJSON(triggerData, node));
+    }
+
+    return node;
+  }
+}
@@ -0,0 +1,419 @@
+/**
+ * OscilloscopeNode - Scrolling trace of a live input
+ * Samples one source - the latest CC from any device, one device/channel/CC
+ * from MidiManager.lastSeen, or its signal input - with smoothing, and fires
+ * its HTriggers when the live value crosses them, so a knob position can fire
+ * events through the normal connection system. The trace is passed on at the
+ * signal output.
+ * Pure model - AppController feeds it scheduler ticks, OscilloscopeRenderer draws it
+ */
+
+import Node from './Node.js';
+import HTrigger from './HTrigger.js';
+import SignalPort from './SignalPort.js';
+import {
+  OSC_DEFAULT_W,
+  OSC_DEFAULT_H,
+  OSC_GRAPH_PAD_X,
+  OSC_GRAPH_PAD_Y,
+  OSC_MIN_SAMPLES,
+  OSC_SAMPLE_INTERVAL_MS,
+  OSC_SMOOTHING,
+  OSC_MAX_CATCHUP_MS,
+  OSC_SOURCE_ANY,
+  OSC_SOURCE_CC,
+  OSC_SOURCE_SIGNAL
+} from '../config/constants.js';
+import { clamp } from '../utils/geometry.js';
+
+export default class OscilloscopeNode extends Node {
+  /**
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {string} label - Node label
+   * @param {number} width - Node width (optional)
+   * @param {number} height - Node height (optional)
+   */
+  constructor(x = 0, y = 0, label = 'Oscilloscope', width = null, height = null) {
+    super(x, y, label);
+
+    this.w = width || OSC_DEFAULT_W;
+    this.h = height || OSC_DEFAULT_H;
+
+    // Trace history, oldest first (0-1)
+    this.samples = new Array(this._getSampleCount()).fill(0.5);
+    this.samplesVersion = 0; // Bumped as the trace scrolls in place (HTrigger crossing caches)
+
+    // Input selection
+    this.source = {
+      mode: OSC_SOURCE_ANY, // 'any' | 'cc' | 'signal'
+      deviceId: null, // Input port ID (cc mode)
+      deviceName: '', // Input port name, to find the device again on another machine
+      channel: null, // 1-16 (cc mode)
+      cc: null // 0-127 (cc mode)
+    };
+
+    // Triggers on the live value (no VTriggers: there is no playback position)
+    this.vTriggers = [];
+    this.hTriggers = [];
+
+    this.signalIn = new SignalPort(this, 'in');
+    this.signalOut = new SignalPort(this, 'out');
+
+    this._signalValue = null; // Last value at the signal input
+    this._nextSampleTime = 0; // When the next trace sample is due
+  }
+
+  /**
+   * Number of trace samples for the current width (about one per pixel)
+   * @private
+   */
+  _getSampleCount() {
+    return Math.max(OSC_MIN_SAMPLES, Math.floor(this.w - OSC_GRAPH_PAD_X * 2));
+  }
+
+  /**
+   * Choose the input
+   * @param {object} source - { mode, deviceId, deviceName, channel, cc }
+   */
+  setSource(source = {}) {
+    const mode = [OSC_SOURCE_ANY, OSC_SOURCE_CC, OSC_SOURCE_SIGNAL].includes(source.mode)
+      ? source.mode
+      : OSC_SOURCE_ANY;
+    const isCC = mode === OSC_SOURCE_CC;
+
+    this.source = {
+      mode,
+      deviceId: isCC ? source.deviceId || null : null,
+      deviceName: isCC ? source.deviceName || '' : '',
+      channel: isCC ? clamp(Math.round(source.channel) || 1, 1, 16) : null,
+      cc: isCC ? clamp(Math.round(source.cc) || 0, 0, 127) : null
+    };
+
+    // The new input starts a new trace for crossing detection
+    for (const trigger of this.hTriggers) {
+      trigger.resetCrossingState();
+    }
+
+    this.emit('source-changed', { node: this, source: this.source });
+  }
+
+  /**
+   * Get the lastSeen key of the selected controller
+   * @returns {string|null} `${deviceId}::${channel}:${cc}`, null unless in cc mode
+   */
+  getSourceKey() {
+    if (this.source.mode !== OSC_SOURCE_CC) return null;
+    return `${this.source.deviceId}::${this.source.channel}:${this.source.cc}`;
+  }
+
+  /**
+   * Get a short description of the input
+   * @returns {string} Source label
+   */
+  getSourceLabel() {
+    const { mode, deviceName, channel, cc } = this.source;
+    if (mode === OSC_SOURCE_SIGNAL) return 'Signal in';
+    if (mode === OSC_SOURCE_CC) return `${deviceName ? deviceName + ' ' : ''}CH${channel} CC${cc}`;
+    return 'Any CC';
+  }
+
+  /**
+   * Get the input settings for the sidebar
+   * @returns {object} { header, source, key }
+   */
+  getSourceSettings() {
+    return {
+      header: this.getDisplayHeader(),
+      source: { ...this.source },
+      key: this.getSourceKey()
+    };
+  }
+
+  /**
+   * Get display header for this node
+   */
+  getDisplayHeader() {
+    return `${this.label} ▸ ${this.getSourceLabel()}`;
+  }
+
+  /**
+   * Read the current input value
+   * @param {object} midiManager - MIDI manager instance
+   * @returns {number|null} Value (0-1), or null while the source has sent nothing
+   */
+  readInput(midiManager) {
+    const { mode, deviceId, deviceName, channel, cc } = this.source;
+
+    if (mode === OSC_SOURCE_SIGNAL) {
+      return this._signalValue;
+    }
+    if (!midiManager) return null;
+
+    if (mode === OSC_SOURCE_CC) {
+      const entry = midiManager.getLastSeenCC(deviceId, channel, cc, deviceName);
+      return entry ? entry.value / 127 : null;
+    }
+    return midiManager.lastSeen.size > 0 ? midiManager.lastGlobalValue / 127 : null;
+  }
+
+  /**
+   * Add trace samples up to `now` (one per OSC_SAMPLE_INTERVAL_MS) and fire
+   * HTrigger crossings at the sample where they happen
+   * Called on every scheduler tick; the trace holds while the source is silent
+   * @param {object} midiManager - MIDI manager instance
+   * @param {number} now - Current time in ms (performance.now() clock)
+   */
+  sampleInput(midiManager, now = performance.now()) {
+    if (now - this._nextSampleTime > OSC_MAX_CATCHUP_MS) {
+      this._nextSampleTime = now;
+    }
+
+    const target = this.readInput(midiManager);
+    while (this._nextSampleTime <= now) {
+      this._pushSample(target, this._nextSampleTime);
+      this._nextSampleTime += OSC_SAMPLE_INTERVAL_MS;
+    }
+  }
+
+  /**
+   * Move the trace one sample towards the target
+   * @param {number|null} target - Input value (0-1), null holds the trace
+   * @param {number} time - Sample time (performance.now() clock)
+   * @private
+   */
+  _pushSample(target, time) {
+    const last = this.samples[this.samples.length - 1];
+    const value = target === null ? last : last + (clamp(target, 0, 1) - last) * OSC_SMOOTHING;
+
+    this.samples.push(value);
+    this.samples.shift();
+    this.samplesVersion++;
+
+    this._fireCrossings(value, time);
+  }
+
+  /**
+   * Fire the HTriggers the live value crossed
+   * @param {number} value - New sample (0-1)
+   * @param {number} time - Sample time (performance.now() clock)
+   * @private
+   */
+  _fireCrossings(value, time) {
+    // A fire can remove triggers through a connection; iterate a copy
+    for (const trigger of [...this.hTriggers]) {
+      const crossing = trigger.checkCrossing(value);
+      if (!crossing || !trigger.acceptFire(crossing.type, time)) continue;
+
+      if (crossing.type === 'up') {
+        trigger.fireUpPort(undefined, time);
+      } else {
+        trigger.fireDownPort(undefined, time);
+      }
+      console.log(`HTrigger ${crossing.type} crossing fired on live input of ${this.label} at ${value.toFixed(3)}`);
+    }
+  }
+
+  /**
+   * Get the newest trace value
+   * @returns {number} Value between 0 and 1
+   */
+  getCurrentValue() {
+    return this.samples[this.samples.length - 1];
+  }
+
+  /**
+   * Get the value the signal output carries: the smoothed input
+   * @returns {number} Value between 0 and 1
+   */
+  getSignalValue(time = performance.now()) {
+    return this.getCurrentValue();
+  }
+
+  /**
+   * Take a value arriving at the signal input (traced in signal mode)
+   */
+  receiveSignal(value, time = performance.now()) {
+    this._signalValue = clamp(value, 0, 1);
+  }
+
+  /**
+   * Get trace value at normalized position (oldest at 0)
+   * @param {number} t - Normalized position (0-1)
+   * @returns {number} Value between 0 and 1
+   */
+  valueAt(t) {
+    const normalizedT = clamp(t, 0, 1);
+    const n = this.samples.length;
+    const pos = normalizedT * (n - 1);
+    const i = Math.floor(pos);
+    const f = pos - i;
+
+    const a = this.samples[i];
+    const b = this.samples[Math.min(i + 1, n - 1)];
+
+    return a + (b - a) * f;
+  }
+
+  /**
+   * The oscilloscope is always live; there is no run to start
+   */
+  startPlayback(startTime = performance.now()) {}
+
+  /**
+   * Update trigger port flashes
+   * @param {number} deltaTime - Time since last update in ms
+   */
+  update(deltaTime) {
+    super.update(deltaTime);
+
+    for (const trigger of this.hTriggers) {
+      trigger.updatePortState();
+    }
+  }
+
+  /**
+   * Get graph area rectangle (inset so the right margin can create HTriggers)
+   */
+  getGraphRect() {
+    return {
+      gx: this.x + OSC_GRAPH_PAD_X,
+      gy: this.y + OSC_GRAPH_PAD_Y,
+      gw: this.w - OSC_GRAPH_PAD_X * 2,
+      gh: this.h - OSC_GRAPH_PAD_Y * 2
+    };
+  }
+
+  /**
+   * No top create area: VTriggers need a playback position
+   */
+  getTopCreateRect() {
+    return { x: this.x, y: this.y, w: 0, h: 0 };
+  }
+
+  /**
+   * Right margin next to the trace creates HTriggers
+   */
+  getRightCreateRect() {
+    const { gx, gw } = this.getGraphRect();
+    const margin = Math.max(0, this.x + this.w - (gx + gw));
+    return {
+      x: this.x + this.w - margin,
+      y: this.y,
+      w: margin,
+      h: this.h
+    };
+  }
+
+  /**
+   * Add a horizontal trigger at the specified mouse Y position
+   * @param {number} mouseY - Mouse Y coordinate
+   * @returns {HTrigger} Created trigger
+   */
+  addHTriggerAtMouse(mouseY) {
+    const { gy, gh } = this.getGraphRect();
+    const clampedY = clamp(mouseY, gy, gy + gh);
+    const trigger = new HTrigger(this, (clampedY - gy) / gh);
+    this.hTriggers.push(trigger);
+
+    this.emit('htrigger-added', {
+      node: this,
+      trigger: trigger,
+      index: this.hTriggers.length - 1
+    });
+
+    return trigger;
+  }
+
+  /**
+   * Insert an existing horizontal trigger (e.g. when undoing its deletion)
+   * @param {HTrigger} trigger - Trigger to insert
+   * @param {number} index - Position in the trigger list (defaults to the end)
+   */
+  insertHTrigger(trigger, index = this.hTriggers.length) {
+    const position = clamp(index, 0, this.hTriggers.length);
+    this.hTriggers.splice(position, 0, trigger);
+
+    this.emit('htrigger-added', {
+      node: this,
+      trigger: trigger,
+      index: position
+    });
+  }
+
+  /**
+   * Remove a horizontal trigger by index
+   * @param {number} index - Trigger index
+   */
+  removeHTrigger(index) {
+    if (index >= 0 && index < this.hTriggers.length) {
+      const trigger = this.hTriggers[index];
+      this.hTriggers.splice(index, 1);
+
+      this.emit('htrigger-removed', {
+        node: this,
+        trigger: trigger,
+        index: index
+      });
+    }
+  }
+
+  /**
+   * Get all ports owned by this node (HTrigger ports, then signal ports)
+   * @returns {Port[]} Array of Port objects
+   */
+  getAllPorts() {
+    const ports = [];
+    for (const trigger of this.hTriggers) {
+      ports.push(...trigger.getPorts());
+    }
+    ports.push(...this.getSignalPorts());
+    return ports;
+  }
+
+  /**
+   * Keep about one trace sample per pixel (newest samples are kept)
+   */
+  setSize(width, height) {
+    super.setSize(width, height);
+
+    const count = this._getSampleCount();
+    const samples = this.samples.slice(-count);
+    while (samples.length < count) {
+      samples.unshift(samples[0]);
+    }
+    this.samples = samples;
+  }
+
+  clone() {
+    const cloned = new OscilloscopeNode(this.x + 20, this.y + 20, this.label, this.w, this.h);
+    cloned.setSource(this.source);
+    return cloned;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      source: { ...this.source },
+      hTriggers: this.hTriggers.map(trigger => trigger.toJSON())
+    };
+  }
+
+  /**
+   * Restore from JSON (the trace itself is not saved)
+   */
+  static fromJSON(data) {
+    const node = new OscilloscopeNode(data.x, data.y, data.label, data.w, data.h);
+
+    node.id = data.id;
+    node.setSource(data.source);
+    node.createdAt = data.createdAt || Date.now();
+    node._restoreSignalPorts(data.signalPorts);
+
+    for (const triggerData of data.hTriggers || []) {
+      node.hTriggers.push(HTrigger.fromJSON(triggerData, node));
+    }
+
+    return node;
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * Output target utilities
+ * Value ranges and labels for the things a node can drive:
+ * CC, 14-bit CC pair, pitch bend, NRPN and RPN
+ */
+
+import {
+  CC_MAX_VALUE,
+  CC14_MAX_VALUE,
+  CC14_LSB_OFFSET,
+  PITCH_BEND_MAX_VALUE,
+  PARAMETER_MAX_VALUE,
+  OUTPUT_MODE_CC,
+  OUTPUT_MODE_CC14,
+  OUTPUT_MODE_PITCH_BEND,
+  OUTPUT_MODE_NRPN,
+  OUTPUT_MODE_RPN
+} from '../config/constants.js';
+
+export const OUTPUT_MODES = [
+  OUTPUT_MODE_CC,
+  OUTPUT_MODE_CC14,
+  OUTPUT_MODE_PITCH_BEND,
+  OUTPUT_MODE_NRPN,
+  OUTPUT_MODE_RPN
+];
+
+/**
+ * Check if an output mode addresses an NRPN/RPN parameter number
+ * @param {string} mode - Output mode
+ * @returns {boolean} True for 'nrpn' and 'rpn'
+ */
+export function isParameterMode(mode) {
+  return mode === OUTPUT_MODE_NRPN || mode === OUTPUT_MODE_RPN;
+}
+
+/**
+ * Get the raw value range of an output mode
+ * @param {string} mode - Output mode
+ * @returns {number} 127 for CC, 16383 for every 14-bit mode
+ */
+export function getOutputMaxValue(mode) {
+  switch (mode) {
+    case OUTPUT_MODE_CC14:
+      return CC14_MAX_VALUE;
+    case OUTPUT_MODE_PITCH_BEND:
+      return PITCH_BEND_MAX_VALUE;
+    case OUTPUT_MODE_NRPN:
+    case OUTPUT_MODE_RPN:
+      return PARAMETER_MAX_VALUE;
+    default:
+      return CC_MAX_VALUE;
+  }
+}
+
+/**
+ * Format an output target for labels ("CC 74", "CC 1/33", "NRPN 1234", ...)
+ * @param {string} mode - Output mode
+ * @param {number} cc - Controller number (CC modes)
+ * @param {number} parameter - Parameter number (NRPN/RPN modes)
+ * @returns {string} Label text
+ */
+export function formatOutputTarget(mode, cc, parameter = 0) {
+  switch (mode) {
+    case OUTPUT_MODE_CC14:
+      return `CC ${cc}/${cc + CC14_LSB_OFFSET}`;
+    case OUTPUT_MODE_PITCH_BEND:
+      return 'Pitch Bend';
+    case OUTPUT_MODE_NRPN:
+      return `NRPN ${parameter}`;
+    case OUTPUT_MODE_RPN:
+      return `RPN ${parameter}`;
+    default:
+      return `CC ${cc}`;
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * PlaybackScheduler - Frame-rate-independent clock for playback and MIDI output
+ * Ticks every SCHEDULER_TICK_MS from a worker timer (not throttled like
+ * requestAnimationFrame or main-thread timers in background tabs), falling back
+ * to setInterval. Each tick asks listeners to compute output up to
+ * SCHEDULER_LOOKAHEAD_MS ahead at the configured rate and send it timestamped.
+ * Pure model - no MIDI I/O, AppController does the work on 'tick'
+ */
+
+import EventEmitter from '../utils/EventEmitter.js';
+import {
+  SCHEDULER_TICK_MS,
+  SCHEDULER_LOOKAHEAD_MS,
+  SCHEDULER_DEFAULT_RATE_HZ,
+  SCHEDULER_MIN_RATE_HZ,
+  SCHEDULER_MAX_RATE_HZ
+} from '../config/constants.js';
+import { clamp } from '../utils/geometry.js';
+
+// Worker body: post a message every `period` ms (0 stops)
+const WORKER_SOURCE = `
+let timer = null;
+onmessage = (event) => {
+  clearInterval(timer);
+  timer = event.data > 0 ? setInterval(() => postMessage(0), event.data) : null;
+};
+`;
+
+export default class PlaybackScheduler extends EventEmitter {
+  constructor() {
+    super();
+
+    this.rateHz = SCHEDULER_DEFAULT_RATE_HZ;
+    this.lookaheadMs = SCHEDULER_LOOKAHEAD_MS;
+    this.running = false;
+    this.clockSource = null; // 'worker' | 'timer' while running
+
+    this._worker = null;
+    this._workerUrl = null;
+    this._timer = null;
+    this._lastTickTime = 0;
+  }
+
+  /**
+   * Start ticking
+   */
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    this._lastTickTime = 0;
+
+    if (!this._startWorkerClock()) {
+      this._timer = setInterval(() => this.tick(), SCHEDULER_TICK_MS);
+      this.clockSource = 'timer';
+    }
+    console.log(`PlaybackScheduler: ticking every ${SCHEDULER_TICK_MS}ms (${this.clockSource})`);
+  }
+
+  /**
+   * Stop ticking and release the worker
+   */
+  stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    this.clockSource = null;
+
+    if (this._worker) {
+      this._worker.terminate();
+      this._worker = null;
+      URL.revokeObjectURL(this._workerUrl);
+      this._workerUrl = null;
+    }
+    if (this._timer !== null) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Set how many output values per second are computed for each playing node
+   * @param {number} hz - Rate in Hz
+   */
+  setRate(hz) {
+    const newRate = clamp(Math.round(hz), SCHEDULER_MIN_RATE_HZ, SCHEDULER_MAX_RATE_HZ);
+    if (this.rateHz === newRate) return;
+
+    this.rateHz = newRate;
+    this.emit('rate-changed', { rateHz: this.rateHz });
+  }
+
+  /**
+   * Get the spacing between computed output values
+   * @returns {number} Interval in ms
+   */
+  getIntervalMs() {
+    return 1000 / this.rateHz;
+  }
+
+  /**
+   * Run one scheduling pass (called by the clock; callable directly in tests)
+   * @param {number} now - Current time in ms (performance.now() clock)
+   */
+  tick(now = performance.now()) {
+    const deltaTime = this._lastTickTime ? now - this._lastTickTime : 0;
+    this._lastTickTime = now;
+
+    this.emit('tick', {
+      now,
+      until: now + this.lookaheadMs,
+      intervalMs: this.getIntervalMs(),
+      deltaTime
+    });
+  }
+
+  /**
+   * Start the worker clock
+   * @returns {boolean} False if workers are unavailable (e.g. blocked by CSP)
+   * @private
+   */
+  _startWorkerClock() {
+    if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || typeof URL === 'undefined') {
+      return false;
+    }
+
+    try {
+      this._workerUrl = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+      this._worker = new Worker(this._workerUrl);
+      this._worker.onmessage = () => this.tick();
+      this._worker.postMessage(SCHEDULER_TICK_MS);
+      this.clockSource = 'worker';
+      return true;
+    } catch (error) {
+      console.warn('PlaybackScheduler: worker clock unavailable, using setInterval:', error.message);
+      if (this._workerUrl) {
+        URL.revokeObjectURL(this._workerUrl);
+        this._workerUrl = null;
+      }
+      this._worker = null;
+      return false;
+    }
+  }
+}
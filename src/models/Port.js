@@ -3,16 +3,20 @@
  * Matches monolithic script Port architecture exactly
  */
 
+import { PORT_KIND_TRIGGER } from '../config/constants.js';
+
 export default class Port {
   constructor(trigger, type, role = 'out') {
     this.trigger = trigger; // Parent trigger (VTrigger or HTrigger)
     this.type = type; // 'up', 'down', 'input', 'output'
     this.role = role; // 'in', 'out'
+    this.kind = PORT_KIND_TRIGGER; // 'trigger' (fire events) | 'signal' (values, see SignalPort)
     
     // Visual state
     this.isHovered = false;
     this.isTriggered = false;
     this.flashEndTime = 0;
+    this.learnArmed = false; // Waiting for MIDI Learn (see MidiLearn)
     
     // Port identification
     this.id = this._generateId();
@@ -98,19 +102,20 @@ export default class Port {
 
   /**
    * Fire this port (trigger it)
+   * @param {number} time - When the fire happened (performance.now() clock)
    */
-  fire() {
+  fire(time = performance.now()) {
     this.blink();
     
     // Call appropriate trigger firing method
     if (this.type === 'up' && this.trigger.fireUpPort) {
-      this.trigger.fireUpPort();
+      this.trigger.fireUpPort(undefined, time);
     } else if (this.type === 'down' && this.trigger.fireDownPort) {
-      this.trigger.fireDownPort();
+      this.trigger.fireDownPort(undefined, time);
     } else if (this.type === 'input' && this.trigger.triggerInputPort) {
-      this.trigger.triggerInputPort();
+      this.trigger.triggerInputPort(time);
     } else if (this.type === 'output' && this.trigger.fireOutputPort) {
-      this.trigger.fireOutputPort();
+      this.trigger.fireOutputPort(undefined, time);
     }
   }
 
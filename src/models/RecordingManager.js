@@ -1,11 +1,20 @@
 /**
- * RecordingManager - Manages MIDI CC recording sessions
+ * RecordingManager - Manages MIDI CC, pitch bend, NRPN/RPN and note recording sessions
  * Pure model - handles recording state, track management, and data processing
  * No rendering logic
  */
 
 import EventEmitter from '../utils/EventEmitter.js';
-import { PIXELS_PER_SECOND } from '../config/constants.js';
+import { getOutputMaxValue, formatOutputTarget } from './OutputTarget.js';
+import {
+  PIXELS_PER_SECOND,
+  CC_MAX_VALUE,
+  CC14_MAX_VALUE,
+  CC14_LSB_OFFSET,
+  OUTPUT_MODE_CC,
+  OUTPUT_MODE_CC14,
+  OUTPUT_MODE_PITCH_BEND
+} from '../config/constants.js';
 
 export default class RecordingManager extends EventEmitter {
   constructor() {
@@ -35,7 +44,7 @@ export default class RecordingManager extends EventEmitter {
       startY: Math.floor(y),
       startTime: performance.now(),
       firstEventTime: null,
-      tracks: new Map(), // key: `${sourceId}:${channel}:${cc}` -> RecordingTrack
+      tracks: new Map(), // key: `${sourceId}:${channel}:${cc|'notes'}` -> RecordingTrack | RecordingNoteLane
       trackList: [], // ordered list for rendering
       isStackingMode: true, // true while within simultaneous window
       lastUpdateTime: performance.now()
@@ -79,51 +88,58 @@ export default class RecordingManager extends EventEmitter {
     if (!this.isRecording || !this.session) return;
 
     const now = timestamp || performance.now();
-    
-    // Set first event time for simultaneous window calculation
-    if (this.session.firstEventTime === null) {
-      this.session.firstEventTime = now;
-      this.session.isStackingMode = true;
-    }
-
-    // Check if we're still in simultaneous window
-    const timeSinceFirst = now - this.session.firstEventTime;
-    if (this.session.isStackingMode && timeSinceFirst > this.simultaneousWindowMs) {
-      this.session.isStackingMode = false;
-    }
+    this._updateStackingMode(now);
 
     // Create track key
     const sourceId = source?.id || 'unknown';
     const trackKey = `${sourceId}:${channel}:${cc}`;
     
-    let track = this.session.tracks.get(trackKey);
+    // Halves of a 14-bit pair arrive through recordCC14() instead
+    if (this._isHighResolutionPart(sourceId, channel, cc)) return;
     
-    if (!track) {
-      // Create new track
-      const trackIndex = this.session.trackList.length;
-      const offsetX = this.session.isStackingMode ? 0 : this._getCurrentRecordingWidth();
-      
-      track = new RecordingTrack(
-        trackIndex,
-        this.session.startX + offsetX,
-        this.session.startY + (trackIndex * 80), // No gap - direct stacking
-        channel,
-        cc,
-        source
-      );
-      
-      this.session.tracks.set(trackKey, track);
-      this.session.trackList.push(track);
+    const track = this._getOrCreateTrack(trackKey, (index, x, y) =>
+      new RecordingTrack(index, x, y, channel, cc, source)
+    );
 
-      // If we added a horizontal track, exit stacking mode
-      if (!this.session.isStackingMode) {
-        this.session.isStackingMode = false;
-      }
+    // Record the value
+    track.recordValue(value, now);
+
+    this.emit('cc-recorded', {
+      sessionId: this.session.id,
+      trackKey,
+      channel,
+      cc,
+      value,
+      timestamp: now
+    });
+  }
+
+  /**
+   * Record a 14-bit CC pair value
+   * The pair shares one track with its MSB controller; a 7-bit track that
+   * already exists for the MSB is upgraded in place
+   * @param {number} channel - MIDI channel (1-16)
+   * @param {number} cc - MSB controller number (0-31)
+   * @param {number} value - 14-bit value (0-16383)
+   * @param {number} timestamp - Event timestamp
+   * @param {object} source - MIDI source device info
+   */
+  recordCC14(channel, cc, value, timestamp, source = null) {
+    if (!this.isRecording || !this.session) return;
+
+    const now = timestamp || performance.now();
+    this._updateStackingMode(now);
 
-      this.emit('track-created', { track, sessionId: this.session.id });
+    const sourceId = source?.id || 'unknown';
+    const trackKey = `${sourceId}:${channel}:${cc}`;
+
+    const track = this._getOrCreateTrack(trackKey, (index, x, y) =>
+      new RecordingTrack(index, x, y, channel, cc, source, OUTPUT_MODE_CC14)
+    );
+    if (track.outputMode === OUTPUT_MODE_CC) {
+      track.setHighResolution();
     }
 
-    // Record the value
     track.recordValue(value, now);
 
     this.emit('cc-recorded', {
@@ -136,6 +152,175 @@ export default class RecordingManager extends EventEmitter {
     });
   }
 
+  /**
+   * Record a pitch bend message
+   * @param {number} channel - MIDI channel (1-16)
+   * @param {number} value - 14-bit value (0-16383)
+   * @param {number} timestamp - Event timestamp
+   * @param {object} source - MIDI source device info
+   */
+  recordPitchBend(channel, value, timestamp, source = null) {
+    if (!this.isRecording || !this.session) return;
+
+    const now = timestamp || performance.now();
+    this._updateStackingMode(now);
+
+    const sourceId = source?.id || 'unknown';
+    const trackKey = `${sourceId}:${channel}:pitchbend`;
+
+    const track = this._getOrCreateTrack(trackKey, (index, x, y) =>
+      new RecordingTrack(index, x, y, channel, null, source, OUTPUT_MODE_PITCH_BEND)
+    );
+
+    track.recordValue(value, now);
+
+    this.emit('pitchbend-recorded', {
+      sessionId: this.session.id,
+      trackKey,
+      channel,
+      value,
+      timestamp: now
+    });
+  }
+
+  /**
+   * Record an NRPN/RPN value
+   * The whole CC 99/98/6/38 (or 101/100/6/38) stream becomes one track per parameter
+   * @param {number} channel - MIDI channel (1-16)
+   * @param {string} type - 'nrpn' or 'rpn'
+   * @param {number} parameter - Parameter number (0-16383)
+   * @param {number} value - 14-bit value (0-16383)
+   * @param {number} timestamp - Event timestamp
+   * @param {object} source - MIDI source device info
+   */
+  recordParameter(channel, type, parameter, value, timestamp, source = null) {
+    if (!this.isRecording || !this.session) return;
+
+    const now = timestamp || performance.now();
+    this._updateStackingMode(now);
+
+    const sourceId = source?.id || 'unknown';
+    const trackKey = `${sourceId}:${channel}:${type}:${parameter}`;
+
+    const track = this._getOrCreateTrack(trackKey, (index, x, y) =>
+      new RecordingTrack(index, x, y, channel, null, source, type, parameter)
+    );
+
+    track.recordValue(value, now);
+
+    this.emit('parameter-recorded', {
+      sessionId: this.session.id,
+      trackKey,
+      channel,
+      type,
+      parameter,
+      value,
+      timestamp: now
+    });
+  }
+
+  /**
+   * Check if a 7-bit CC is the MSB or LSB of a track already recording as 14-bit
+   * @private
+   */
+  _isHighResolutionPart(sourceId, channel, cc) {
+    if (cc >= CC14_LSB_OFFSET * 2) return false;
+
+    const msbCC = cc >= CC14_LSB_OFFSET ? cc - CC14_LSB_OFFSET : cc;
+    const track = this.session.tracks.get(`${sourceId}:${channel}:${msbCC}`);
+    return !!track && track.outputMode === OUTPUT_MODE_CC14;
+  }
+
+  /**
+   * Record a MIDI Note On/Off message
+   * All notes of one source/channel share a single note lane
+   * @param {number} channel - MIDI channel (1-16)
+   * @param {number} note - Note number (0-127)
+   * @param {number} velocity - Velocity (0-127)
+   * @param {boolean} on - True for Note On, false for Note Off
+   * @param {number} timestamp - Event timestamp
+   * @param {object} source - MIDI source device info
+   */
+  recordNote(channel, note, velocity, on, timestamp, source = null) {
+    if (!this.isRecording || !this.session) return;
+
+    const now = timestamp || performance.now();
+    const sourceId = source?.id || 'unknown';
+    const trackKey = `${sourceId}:${channel}:notes`;
+
+    // A Note Off without a lane belongs to a note held before recording started
+    if (!on && !this.session.tracks.has(trackKey)) return;
+
+    this._updateStackingMode(now);
+
+    const lane = this._getOrCreateTrack(trackKey, (index, x, y) =>
+      new RecordingNoteLane(index, x, y, channel, source)
+    );
+
+    if (on) {
+      lane.noteOn(note, velocity, now);
+    } else {
+      lane.noteOff(note, now);
+    }
+
+    this.emit('note-recorded', {
+      sessionId: this.session.id,
+      trackKey,
+      channel,
+      note,
+      velocity,
+      on,
+      timestamp: now
+    });
+  }
+
+  /**
+   * Track the simultaneous window: events arriving right after the first one
+   * stack vertically, later new tracks are placed to the right
+   * @param {number} now - Event timestamp
+   * @private
+   */
+  _updateStackingMode(now) {
+    // Set first event time for simultaneous window calculation
+    if (this.session.firstEventTime === null) {
+      this.session.firstEventTime = now;
+      this.session.isStackingMode = true;
+    }
+
+    // Check if we're still in simultaneous window
+    const timeSinceFirst = now - this.session.firstEventTime;
+    if (this.session.isStackingMode && timeSinceFirst > this.simultaneousWindowMs) {
+      this.session.isStackingMode = false;
+    }
+  }
+
+  /**
+   * Get a session track by key, creating it on first use
+   * @param {string} trackKey - Track key
+   * @param {function} createTrack - (index, x, y) => new track
+   * @returns {object} Track
+   * @private
+   */
+  _getOrCreateTrack(trackKey, createTrack) {
+    let track = this.session.tracks.get(trackKey);
+    if (track) return track;
+
+    const trackIndex = this.session.trackList.length;
+    const offsetX = this.session.isStackingMode ? 0 : this._getCurrentRecordingWidth();
+
+    track = createTrack(
+      trackIndex,
+      this.session.startX + offsetX,
+      this.session.startY + (trackIndex * 80) // No gap - direct stacking
+    );
+
+    this.session.tracks.set(trackKey, track);
+    this.session.trackList.push(track);
+
+    this.emit('track-created', { track, sessionId: this.session.id });
+    return track;
+  }
+
   /**
    * Update recording visualization (call from animation loop)
    * @param {number} deltaTime - Time since last update
@@ -263,13 +448,16 @@ export default class RecordingManager extends EventEmitter {
  * RecordingTrack - Individual track within a recording session
  */
 class RecordingTrack {
-  constructor(index, x, y, channel, cc, source = null) {
+  constructor(index, x, y, channel, cc, source = null, outputMode = OUTPUT_MODE_CC, parameter = 0) {
     this.index = index;
     this.x = x;
     this.y = y;
     this.channel = channel;
     this.cc = cc;
+    this.parameter = parameter; // NRPN/RPN number
     this.source = source;
+    this.outputMode = outputMode; // 'cc' | 'cc14' | 'pitchbend' | 'nrpn' | 'rpn'
+    this.maxValue = getOutputMaxValue(outputMode);
     
     // Track dimensions
     this.width = 120; // Initial width
@@ -287,7 +475,31 @@ class RecordingTrack {
     
     // Display info
     this.deviceName = this._getDeviceDisplayName();
-    this.label = `${this.deviceName} ▸ CC ${cc}`;
+    this.label = `${this.deviceName} ▸ ${this._getTargetLabel()}`;
+  }
+
+  /**
+   * Switch a 7-bit CC track to a 14-bit pair, rescaling what was recorded so far
+   */
+  setHighResolution() {
+    this.outputMode = OUTPUT_MODE_CC14;
+    this.maxValue = CC14_MAX_VALUE;
+    this.values = this.values.map(value => value << 7);
+    this.lastValue = this.lastValue << 7;
+    this.label = `${this.deviceName} ▸ ${this._getTargetLabel()}`;
+
+    // Live drawing continues on the new scale
+    if (this._renderState) {
+      this._renderState.lastDrawnValue = null;
+    }
+  }
+
+  /**
+   * Label of the recorded controller
+   * @private
+   */
+  _getTargetLabel() {
+    return formatOutputTarget(this.outputMode, this.cc, this.parameter);
   }
 
   /**
@@ -391,9 +603,14 @@ class RecordingTrack {
       y: this.y,
       width: nodeWidth,
       height: this.height,
-      label: `CC ${this.cc}`,
+      durationMs: safeTotalDuration, // Played back 1:1, whatever the width
+      label: this._getTargetLabel(),
       samples: samples,
       cc: this.cc,
+      outputMode: this.outputMode,
+      parameter: this.parameter,
+      channel: this.channel,
+      source: this.source,
       sourceDeviceName: this.deviceName,
       trackIndex: this.index
     };
@@ -408,45 +625,7 @@ class RecordingTrack {
    * @private
    */
   _resampleToWaveform(targetWidth, totalDuration = null, timestamps = null, values = null) {
-    const useTimestamps = timestamps || this.timestamps;
-    const useValues = values || this.values;
-    
-    // Comprehensive validation of targetWidth
-    if (typeof targetWidth !== 'number' || !isFinite(targetWidth) || isNaN(targetWidth)) {
-      console.error('ERROR: targetWidth is not a valid number:', targetWidth);
-      return [];
-    }
-    
-    // Convert to safe integer
-    const safeTargetWidth = Math.max(1, Math.min(Math.floor(Math.abs(targetWidth)), 2000));
-    
-    if (useValues.length === 0) return [];
-    
-    if (useValues.length === 1) {
-      try {
-        return new Array(safeTargetWidth).fill(useValues[0] / 127);
-      } catch (error) {
-        console.error('ERROR creating single-value array:', error, 'safeTargetWidth:', safeTargetWidth);
-        return [useValues[0] / 127]; // Fallback to single element array
-      }
-    }
-
-    let samples;
-    try {
-      samples = new Array(safeTargetWidth);
-    } catch (error) {
-      console.error('ERROR creating samples array:', error, 'safeTargetWidth:', safeTargetWidth);
-      return []; // Return empty array as fallback
-    }
-    
-    const totalTime = totalDuration !== null ? totalDuration : Math.max(...useTimestamps);
-    
-    for (let i = 0; i < safeTargetWidth; i++) {
-      const t = (i / (safeTargetWidth - 1)) * totalTime;
-      samples[i] = this._interpolateValueAt(t, useTimestamps, useValues) / 127;
-    }
-    
-    return samples;
+    return resampleToWaveform(targetWidth, totalDuration, timestamps || this.timestamps, values || this.values, this.maxValue);
   }
 
   /**
@@ -457,29 +636,7 @@ class RecordingTrack {
    * @private
    */
   _interpolateValueAt(time, timestamps = null, values = null) {
-    const useTimestamps = timestamps || this.timestamps;
-    const useValues = values || this.values;
-    
-    if (useTimestamps.length === 0) return 0;
-    if (useTimestamps.length === 1) return useValues[0];
-    
-    // Find surrounding timestamps
-    let i = 0;
-    while (i < useTimestamps.length - 1 && useTimestamps[i + 1] <= time) {
-      i++;
-    }
-    
-    if (i >= useTimestamps.length - 1) return useValues[useValues.length - 1];
-    
-    const t0 = useTimestamps[i];
-    const t1 = useTimestamps[i + 1];
-    const v0 = useValues[i];
-    const v1 = useValues[i + 1];
-    
-    if (t1 === t0) return v0;
-    
-    const factor = (time - t0) / (t1 - t0);
-    return v0 + (v1 - v0) * factor;
+    return interpolateValueAt(time, timestamps || this.timestamps, values || this.values);
   }
 
   /**
@@ -507,3 +664,188 @@ class RecordingTrack {
     return displayName || name || 'Input';
   }
 }
+
+/**
+ * RecordingNoteLane - All notes of one source/channel within a recording session
+ * Exposes the same shape as RecordingTrack for rendering; its live `values`
+ * are the highest held note (or 0 when nothing is held)
+ */
+class RecordingNoteLane extends RecordingTrack {
+  constructor(index, x, y, channel, source = null) {
+    super(index, x, y, channel, null, source);
+
+    this.notes = []; // [{ note, velocity, start, end }] in ms relative to first event
+    this.heldNotes = new Map(); // note number -> open note entry
+    this.label = `${this.deviceName} ▸ Notes Ch${channel}`;
+  }
+
+  /**
+   * Start a note
+   * @param {number} note - Note number (0-127)
+   * @param {number} velocity - Velocity (1-127)
+   * @param {number} timestamp - Absolute timestamp
+   */
+  noteOn(note, velocity, timestamp) {
+    // Re-triggering a held note closes the previous one
+    this.noteOff(note, timestamp);
+
+    const entry = { note, velocity, start: this._relativeTime(timestamp), end: null };
+    this.notes.push(entry);
+    this.heldNotes.set(note, entry);
+    this._recordHeldValue(timestamp);
+  }
+
+  /**
+   * End a note
+   * @param {number} note - Note number (0-127)
+   * @param {number} timestamp - Absolute timestamp
+   */
+  noteOff(note, timestamp) {
+    const entry = this.heldNotes.get(note);
+    if (!entry) return;
+
+    entry.end = this._relativeTime(timestamp);
+    this.heldNotes.delete(note);
+    this._recordHeldValue(timestamp);
+  }
+
+  /**
+   * @private
+   */
+  _relativeTime(timestamp) {
+    if (this.firstTimestamp === null) {
+      this.firstTimestamp = timestamp;
+    }
+    return timestamp - this.firstTimestamp;
+  }
+
+  /**
+   * Update the live display value from the held notes
+   * @private
+   */
+  _recordHeldValue(timestamp) {
+    const held = [...this.heldNotes.keys()];
+    this.recordValue(held.length ? Math.max(...held) : 0, timestamp);
+  }
+
+  /**
+   * Generate node creation data (type 'notes')
+   * Note times become 0-1 positions; notes still held end with the session
+   * @param {number} stackIndex - Index for vertical stacking
+   * @param {number} sessionDuration - Full session duration in ms (optional)
+   */
+  generateNodeData(stackIndex, sessionDuration = null) {
+    if (this.notes.length === 0) return null;
+
+    const lastEnd = Math.max(...this.notes.map(n => (n.end !== null ? n.end : n.start)));
+    const totalDuration = Math.max(
+      1,
+      sessionDuration !== null ? performance.now() - this.firstTimestamp : lastEnd,
+      lastEnd
+    );
+
+    const safeVisualWidth = Math.max(0, Math.min(this.visualWidth, 2000));
+    const nodeWidth = Math.max(120, Math.floor(safeVisualWidth));
+
+    const notes = this.notes.map(n => ({
+      note: n.note,
+      velocity: n.velocity,
+      start: n.start / totalDuration,
+      end: (n.end !== null ? n.end : totalDuration) / totalDuration
+    }));
+
+    return {
+      type: 'notes',
+      x: this.x,
+      y: this.y,
+      width: nodeWidth,
+      height: this.height,
+      durationMs: totalDuration, // Played back 1:1, whatever the width
+      label: 'Notes',
+      notes,
+      channel: this.channel,
+      source: this.source,
+      sourceDeviceName: this.deviceName,
+      trackIndex: this.index
+    };
+  }
+}
+
+/**
+ * Resample timestamped CC values (0-maxValue) into normalized waveform samples (0-1)
+ * Shared by live recording and MIDI file import
+ * @param {number} targetWidth - Target sample count
+ * @param {number} totalDuration - Total duration to resample over (optional)
+ * @param {number[]} useTimestamps - Event timestamps in ms
+ * @param {number[]} useValues - Raw values
+ * @param {number} maxValue - Raw value mapped to 1 (127 for 7-bit, 16383 for 14-bit)
+ * @returns {number[]} Waveform samples
+ */
+export function resampleToWaveform(targetWidth, totalDuration, useTimestamps, useValues, maxValue = CC_MAX_VALUE) {
+  // Comprehensive validation of targetWidth
+  if (typeof targetWidth !== 'number' || !isFinite(targetWidth) || isNaN(targetWidth)) {
+    console.error('ERROR: targetWidth is not a valid number:', targetWidth);
+    return [];
+  }
+  
+  // Convert to safe integer
+  const safeTargetWidth = Math.max(1, Math.min(Math.floor(Math.abs(targetWidth)), 2000));
+  
+  if (useValues.length === 0) return [];
+  
+  if (useValues.length === 1) {
+    try {
+      return new Array(safeTargetWidth).fill(useValues[0] / maxValue);
+    } catch (error) {
+      console.error('ERROR creating single-value array:', error, 'safeTargetWidth:', safeTargetWidth);
+      return [useValues[0] / maxValue]; // Fallback to single element array
+    }
+  }
+
+  let samples;
+  try {
+    samples = new Array(safeTargetWidth);
+  } catch (error) {
+    console.error('ERROR creating samples array:', error, 'safeTargetWidth:', safeTargetWidth);
+    return []; // Return empty array as fallback
+  }
+  
+  const totalTime = totalDuration != null ? totalDuration : Math.max(...useTimestamps);
+  
+  for (let i = 0; i < safeTargetWidth; i++) {
+    const t = (i / (safeTargetWidth - 1)) * totalTime;
+    samples[i] = interpolateValueAt(t, useTimestamps, useValues) / maxValue;
+  }
+  
+  return samples;
+}
+
+/**
+ * Linearly interpolate timestamped values at a specific time
+ * @param {number} time - Time to interpolate at
+ * @param {number[]} useTimestamps - Event timestamps
+ * @param {number[]} useValues - Event values
+ * @returns {number} Interpolated value
+ */
+export function interpolateValueAt(time, useTimestamps, useValues) {
+  if (useTimestamps.length === 0) return 0;
+  if (useTimestamps.length === 1) return useValues[0];
+  
+  // Find surrounding timestamps
+  let i = 0;
+  while (i < useTimestamps.length - 1 && useTimestamps[i + 1] <= time) {
+    i++;
+  }
+  
+  if (i >= useTimestamps.length - 1) return useValues[useValues.length - 1];
+  
+  const t0 = useTimestamps[i];
+  const t1 = useTimestamps[i + 1];
+  const v0 = useValues[i];
+  const v1 = useValues[i + 1];
+  
+  if (t1 === t0) return v0;
+  
+  const factor = (time - t0) / (t1 - t0);
+  return v0 + (v1 - v0) * factor;
+}
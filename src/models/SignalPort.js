@@ -0,0 +1,60 @@
+/**
+ * SignalPort - Diamond port carrying a continuous value stream
+ * Belongs to a node (not a trigger): signal outputs sit on the right edge,
+ * signal inputs on the left. Every scheduler tick the source node's current
+ * value flows through signal cables to the connected inputs.
+ * Signal ports only connect to signal ports (see Connection)
+ * Pure model - no rendering logic
+ */
+
+import Port from './Port.js';
+import { PORT_KIND_SIGNAL } from '../config/constants.js';
+
+export default class SignalPort extends Port {
+  /**
+   * @param {object} node - Owning node
+   * @param {string} role - 'in' | 'out'
+   */
+  constructor(node, role = 'out') {
+    super(null, role === 'in' ? 'signal-in' : 'signal-out', role);
+    this.kind = PORT_KIND_SIGNAL;
+    this.owner = node;
+    this.value = null; // Last value carried (0-1), null until a cable delivers one
+  }
+
+  /**
+   * Get the node this port belongs to
+   */
+  get node() {
+    return this.owner;
+  }
+
+  /**
+   * Get port position: middle of the left (in) or right (out) edge
+   */
+  get pos() {
+    const node = this.owner;
+    return {
+      x: this.role === 'in' ? node.x : node.x + node.w,
+      y: node.y + node.h / 2
+    };
+  }
+
+  /**
+   * Signal ports carry values, not fire events
+   */
+  fire() {}
+
+  /**
+   * Serialize to JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      role: this.role,
+      kind: this.kind,
+      nodeId: this.owner.id
+    };
+  }
+}
@@ -188,10 +188,14 @@ export default class VTrigger {
 
   /**
    * Trigger playback from this position
+   * @param {number} time - When the run starts (performance.now() clock)
    */
-  triggerPlayback() {
-    if (this.node && typeof this.node.startPlaybackFromU === 'function') {
-      this.node.startPlaybackFromU(this.u);
+  triggerPlayback(time = performance.now()) {
+    if (this.node && this.node.group) {
+      // Docked nodes play as a group, from this trigger onwards
+      this.node.emit('group-play-request', { node: this.node, u: this.u, time });
+    } else if (this.node && typeof this.node.startPlaybackFromU === 'function') {
+      this.node.startPlaybackFromU(this.u, time);
     }
   }
 
@@ -223,38 +227,42 @@ export default class VTrigger {
 
   /**
    * Trigger the input port (start playback from this position)
+   * @param {number} time - When the trigger arrived (performance.now() clock)
    */
-  triggerInputPort() {
-    this.triggerPlayback();
+  triggerInputPort(time = performance.now()) {
+    this.triggerPlayback(time);
     console.log(`VTrigger input port triggered - starting playback from u=${this.u.toFixed(3)}`);
   }
 
   /**
    * Fire the output port (called when playback reaches this trigger)
    * @param {number} flashDurationMs - Flash duration in milliseconds
+   * @param {number} time - Exact time playback crossed the trigger (performance.now() clock)
    */
-  fireOutputPort(flashDurationMs = 220) {
+  fireOutputPort(flashDurationMs = 220, time = performance.now()) {
     this.outputPortTriggered = true;
-    this.flashEndTime = performance.now() + flashDurationMs;
+    this.flashEndTime = time + flashDurationMs;
     console.log(`VTrigger output port fired at u=${this.u.toFixed(3)}`);
     
     // Emit event if node has event system
     if (this.node && typeof this.node.emit === 'function') {
       this.node.emit('vtrigger-output-fired', {
         trigger: this,
-        position: this.u
+        position: this.u,
+        time
       });
     }
     
     // Propagate trigger through connections
-    this._propagateOutputTrigger();
+    this._propagateOutputTrigger(time);
   }
 
   /**
    * Propagate trigger event through connected cables
+   * @param {number} time - Fire time passed on to the connected ports
    * @private
    */
-  _propagateOutputTrigger() {
+  _propagateOutputTrigger(time) {
     // Get the app instance to access connections
     const app = this._getAppInstance();
     if (!app || !app.connections) return;
@@ -264,11 +272,11 @@ export default class VTrigger {
       if (connection.portA === this.portOutput) {
         // This output port is connected as source - propagate to the target port
         console.log(`VTrigger output port propagating fire event through connection`);
-        connection.propagateFireEvent(this.portOutput, 'output');
+        connection.propagateFireEvent(this.portOutput, 'output', time);
       } else if (connection.portB === this.portOutput) {
         // This output port is connected as target - propagate to the other port
         console.log(`VTrigger output port propagating fire event through connection`);
-        connection.propagateFireEvent(this.portOutput, 'output');
+        connection.propagateFireEvent(this.portOutput, 'output', time);
       }
     }
   }
@@ -367,6 +375,14 @@ export default class VTrigger {
     };
   }
 
+  /**
+   * Get this trigger's ports
+   * @returns {Port[]} Input and output ports
+   */
+  getPorts() {
+    return [this.portInput, this.portOutput];
+  }
+
   /**
    * Clone this trigger for another node
    * @param {object} targetNode - Target node
@@ -383,7 +399,11 @@ export default class VTrigger {
     return {
       id: this.id,
       type: this.type,
-      u: this.u
+      u: this.u,
+      ports: {
+        input: this.portInput.id,
+        output: this.portOutput.id
+      }
     };
   }
 
@@ -396,6 +416,13 @@ export default class VTrigger {
   static fromJSON(data, node) {
     const trigger = new VTrigger(node, data.u);
     trigger.id = data.id;
+    
+    // Restore port IDs so saved connections can resolve their endpoints
+    if (data.ports) {
+      trigger.portInput.id = data.ports.input || trigger.portInput.id;
+      trigger.portOutput.id = data.ports.output || trigger.portOutput.id;
+    }
+    
     return trigger;
   }
 }
@@ -0,0 +1,212 @@
+/**
+ * VirtualMidiBackend - In-memory MIDI backend (no browser, no hardware)
+ * Provides a MIDIAccess-compatible object whose input ports can be scripted
+ * to inject messages and whose output ports capture everything sent to them.
+ * Lets recording, playback and CC output run end-to-end in Node/jsdom.
+ *
+ * Usage:
+ *   const backend = new VirtualMidiBackend();
+ *   const input = backend.access.addInput({ name: 'Virtual Knobs' });
+ *   const output = backend.access.addOutput({ name: 'Virtual Synth' });
+ *   const midi = new MidiManager({ backend });
+ *   await midi.init();
+ *   input.receive([0xB0, 1, 64]);  // → midi emits 'cc-received'
+ *   midi.sendCC(7, 100);           // → output.sent[0].data = [0xB0, 7, 100]
+ */
+
+let nextPortNumber = 1;
+
+/**
+ * Shared MIDIPort behaviour
+ */
+class VirtualMIDIPort {
+  constructor(type, { id, name, manufacturer = 'Virtual', version = '1.0' } = {}) {
+    const number = nextPortNumber++;
+    this.id = id || `virtual-${type}-${number}`;
+    this.name = name || `Virtual ${type === 'input' ? 'Input' : 'Output'} ${number}`;
+    this.manufacturer = manufacturer;
+    this.version = version;
+    this.type = type;
+    this.state = 'connected';
+    this.connection = 'closed';
+    this.onstatechange = null;
+  }
+
+  async open() {
+    this.connection = 'open';
+    return this;
+  }
+
+  async close() {
+    this.connection = 'closed';
+    return this;
+  }
+}
+
+/**
+ * Scriptable input port - call receive() to inject a message
+ */
+export class VirtualMIDIInput extends VirtualMIDIPort {
+  constructor(info) {
+    super('input', info);
+    this.onmidimessage = null;
+    this._listeners = new Set();
+  }
+
+  addEventListener(type, listener) {
+    if (type === 'midimessage') this._listeners.add(listener);
+  }
+
+  removeEventListener(type, listener) {
+    if (type === 'midimessage') this._listeners.delete(listener);
+  }
+
+  /**
+   * Inject a MIDI message as if it arrived from a device
+   * @param {number[]|Uint8Array} data - Message bytes
+   * @param {number} timeStamp - Event timestamp (defaults to performance.now())
+   */
+  receive(data, timeStamp = performance.now()) {
+    if (this.state !== 'connected') return;
+
+    const event = {
+      type: 'midimessage',
+      data: Uint8Array.from(data),
+      timeStamp,
+      target: this,
+      currentTarget: this
+    };
+
+    if (typeof this.onmidimessage === 'function') {
+      this.onmidimessage(event);
+    }
+    for (const listener of this._listeners) {
+      listener(event);
+    }
+  }
+}
+
+/**
+ * Capturing output port - every send() is stored in `sent`
+ */
+export class VirtualMIDIOutput extends VirtualMIDIPort {
+  constructor(info) {
+    super('output', info);
+    this.sent = []; // [{ data: number[], timestamp }]
+    this.onsend = null; // Optional hook: (data, timestamp) => void
+  }
+
+  /**
+   * Capture an outgoing message
+   * @param {number[]|Uint8Array} data - Message bytes
+   * @param {number} timestamp - Scheduled send time (optional)
+   */
+  send(data, timestamp = performance.now()) {
+    if (this.state !== 'connected') {
+      throw new Error(`Output "${this.name}" is disconnected`);
+    }
+
+    const bytes = Array.from(data);
+    this.sent.push({ data: bytes, timestamp });
+
+    if (typeof this.onsend === 'function') {
+      this.onsend(bytes, timestamp);
+    }
+  }
+
+  /**
+   * Forget captured messages
+   */
+  clear() {
+    this.sent = [];
+  }
+}
+
+/**
+ * In-memory MIDIAccess
+ */
+export class VirtualMIDIAccess {
+  constructor({ sysex = false } = {}) {
+    this.inputs = new Map();
+    this.outputs = new Map();
+    this.sysexEnabled = sysex;
+    this.onstatechange = null;
+  }
+
+  /**
+   * Plug in a virtual input device
+   * @param {object} info - { id, name, manufacturer }
+   * @returns {VirtualMIDIInput} Created input
+   */
+  addInput(info = {}) {
+    const input = new VirtualMIDIInput(info);
+    this.inputs.set(input.id, input);
+    this._notify(input);
+    return input;
+  }
+
+  /**
+   * Plug in a virtual output device
+   * @param {object} info - { id, name, manufacturer }
+   * @returns {VirtualMIDIOutput} Created output
+   */
+  addOutput(info = {}) {
+    const output = new VirtualMIDIOutput(info);
+    this.outputs.set(output.id, output);
+    this._notify(output);
+    return output;
+  }
+
+  /**
+   * Unplug a virtual device
+   * @param {string} id - Port ID
+   * @returns {boolean} True if a port was removed
+   */
+  removePort(id) {
+    const port = this.inputs.get(id) || this.outputs.get(id);
+    if (!port) return false;
+
+    this.inputs.delete(id);
+    this.outputs.delete(id);
+    port.state = 'disconnected';
+    port.connection = 'closed';
+    this._notify(port);
+    return true;
+  }
+
+  /**
+   * Dispatch a statechange event
+   * @private
+   */
+  _notify(port) {
+    const event = { type: 'statechange', port };
+    if (typeof port.onstatechange === 'function') {
+      port.onstatechange(event);
+    }
+    if (typeof this.onstatechange === 'function') {
+      this.onstatechange(event);
+    }
+  }
+}
+
+/**
+ * Backend wrapper - hands the same VirtualMIDIAccess to every requester
+ */
+export default class VirtualMidiBackend {
+  /**
+   * @param {VirtualMIDIAccess} access - Existing access to share (optional)
+   */
+  constructor(access = null) {
+    this.name = 'Virtual MIDI';
+    this.access = access || new VirtualMIDIAccess();
+  }
+
+  isSupported() {
+    return true;
+  }
+
+  async requestAccess(options = {}) {
+    this.access.sysexEnabled = !!options.sysex;
+    return this.access;
+  }
+}
@@ -107,6 +107,19 @@ export function generateNoise(numSamples) {
   return samples;
 }
 
+/**
+ * Named waveform presets (offered in the node palette)
+ * Each preset builds the samples of a new waveform node
+ */
+export const WAVEFORM_PRESETS = {
+  sine: { label: 'Sine', generate: (numSamples) => generateSine(numSamples) },
+  saw: { label: 'Saw', generate: (numSamples) => generateSawtooth(numSamples) },
+  triangle: { label: 'Triangle', generate: (numSamples) => generateTriangle(numSamples) },
+  square: { label: 'Square', generate: (numSamples) => generateSquare(numSamples) },
+  noise: { label: 'Noise', generate: (numSamples) => generateNoise(numSamples) },
+  random: { label: 'Random', generate: (numSamples) => generateRandomSmooth(numSamples) }
+};
+
 /**
  * Apply envelope to existing samples
  * @param {number[]} samples - Input samples
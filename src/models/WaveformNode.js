@@ -7,8 +7,44 @@
 import Node from './Node.js';
 import VTrigger from './VTrigger.js';
 import HTrigger from './HTrigger.js';
+import SignalPort from './SignalPort.js';
 import { generateSine, generateSawtooth, generateRandomSmooth } from './WaveformGenerator.js';
-import { PIXELS_PER_SECOND, CC_MAX_VALUE, DEFAULT_NODE_SAMPLES, CREATE_AREA_TOP_HEIGHT, CREATE_AREA_RIGHT_WIDTH } from '../config/constants.js';
+import { OUTPUT_MODES, isParameterMode, getOutputMaxValue, formatOutputTarget } from './OutputTarget.js';
+import {
+  BOX_H,
+  PIXELS_PER_SECOND,
+  PIXELS_PER_BEAT,
+  BEATS_PER_BAR,
+  CC14_MSB_MAX_CC,
+  PARAMETER_MAX_NUMBER,
+  OUTPUT_MODE_CC,
+  OUTPUT_MODE_CC14,
+  OUTPUT_MODE_PITCH_BEND,
+  OUTPUT_MODE_NRPN,
+  OUTPUT_MODE_RPN,
+  DEFAULT_NODE_SAMPLES,
+  PLAY_MODE_ONESHOT,
+  PLAY_MODE_LOOP,
+  PLAY_MODE_PINGPONG,
+  PLAY_MODE_REVERSE,
+  PLAY_MODE_LABELS,
+  PLAY_MODE_MAX_REPEATS,
+  NODE_LENGTH_WIDTH,
+  NODE_LENGTH_TIME,
+  NODE_LENGTH_BEATS,
+  NODE_LENGTH_LABELS,
+  NODE_MIN_LENGTH_MS,
+  NODE_MAX_LENGTH_MS,
+  NODE_MIN_LENGTH_BEATS,
+  NODE_MAX_LENGTH_BEATS,
+  NODE_MIN_SPEED,
+  NODE_MAX_SPEED,
+  PLAYBACK_MIN_RATE,
+  PLAYBACK_MAX_RATE,
+  CLOCK_OUT_DEFAULT_BPM,
+  CREATE_AREA_TOP_HEIGHT,
+  CREATE_AREA_RIGHT_WIDTH
+} from '../config/constants.js';
 import { clamp, map } from '../utils/geometry.js';
 
 export default class WaveformNode extends Node {
@@ -25,16 +61,41 @@ export default class WaveformNode extends Node {
     
     // MIDI output configuration
     this.cc = this._parseCC(label);
+    this.outputMode = OUTPUT_MODE_CC; // 'cc' | 'cc14' | 'pitchbend' | 'nrpn' | 'rpn'
+    this.parameter = 0; // NRPN/RPN number (0-16383)
+    this.outputChannel = null; // 0-15, null = global channel
+    this.outputDeviceIds = null; // Output IDs, null = global output selection
     this.sourceDeviceName = '';
     
     // Playback state
     this.playProgress = 0; // 0-1 normalized progress
     this.lastCCSent = -1;
-    this.durationMs = this._computeRunDuration();
+    this._nextOutputTime = 0; // Next output value time handed to scheduleOutput()
+    this.tempoBpm = null; // Followed clock tempo, null = free-running at PIXELS_PER_SECOND
+    this.referenceBpm = CLOCK_OUT_DEFAULT_BPM; // Tempo beat lengths use when no clock is followed
+    
+    // Pass length - from the drawn width, a fixed time or a musical length, scaled by speed
+    this.lengthMode = NODE_LENGTH_WIDTH; // 'width' | 'time' | 'beats'
+    this.lengthMs = (this.w / PIXELS_PER_SECOND) * 1000; // Pass length in time mode
+    this.lengthBeats = this.getBeatLength(); // Pass length in beats mode
+    this.speed = 1; // Node speed multiplier
+    this.playbackRate = 1; // Global playback rate (multiplies speed)
+    this.group = null; // Docked group (set by GroupManager), null when solo
+    this.groupPace = null; // Group playhead speed in px/ms while played by the group
+    this.durationMs = this._computeRunDuration(); // One pass through the waveform
+    
+    // Play mode - a run is one or more passes, each taking durationMs
+    this.playMode = PLAY_MODE_ONESHOT;
+    this.loopCount = 0; // Loop: passes, ping-pong: there-and-back cycles; 0 = forever
     
     // Playback from specific position
     this.startProgress = 0; // Where playback started (0-1)
-    this.remainingDurationMs = this.durationMs;
+    this._startDistance = 0; // Run distance at playStartTime (pass k covers k to k+1)
+    this._nextPassEnd = 1; // Next pass end whose final value scheduleOutput() still has to send
+    this._runId = 0; // Bumped on every start, so a restart during trigger firing is noticed
+    this.paused = false; // Held by pausePlayback(), continues with resumePlayback()
+    this._pausedDistance = 0; // Run distance the node was paused at
+    this._pausedAt = 0; // When it was paused (performance.now() clock)
     
     // Visual feedback
     this.playheadX = 0; // Current playhead position in pixels
@@ -46,8 +107,12 @@ export default class WaveformNode extends Node {
     this.vTriggers = []; // Vertical triggers
     this.hTriggers = []; // Horizontal triggers
     
+    // Signal output: the current waveform value, streamed every tick
+    this.signalOut = new SignalPort(this, 'out');
+    
     // Trigger state tracking
-    this._vTriggersHitThisPlayback = new Set(); // Track which V triggers have fired
+    this._triggerDistance = 0; // Run distance triggers have been checked up to
+    this._triggerStartPending = false; // Triggers exactly at _triggerDistance have not fired yet
   }
 
   /**
@@ -61,13 +126,199 @@ export default class WaveformNode extends Node {
   }
 
   /**
-   * Compute run duration based on node width and consistent speed
-   * Time-based: pixels ÷ pixels/second = seconds, then convert to ms
+   * Compute run duration: the pass length divided by node speed and global rate
    * @private
    */
   _computeRunDuration() {
-    const graphWidth = this.w; // Full width, no padding
-    return Math.max(1, (graphWidth / PIXELS_PER_SECOND) * 1000);
+    if (this.groupPace) {
+      return Math.max(1, this.w / this.groupPace);
+    }
+    return Math.max(1, this._computePassLength() / (this.speed * this.playbackRate));
+  }
+
+  /**
+   * Compute the length of one pass at normal speed
+   * Width mode - time-based: pixels ÷ pixels/second = seconds, then convert to ms;
+   * when following a clock the width is rounded to whole beats at the clock tempo
+   * @private
+   */
+  _computePassLength() {
+    switch (this.lengthMode) {
+      case NODE_LENGTH_TIME:
+        return this.lengthMs;
+      case NODE_LENGTH_BEATS:
+        return this.lengthBeats * this._getBeatMs();
+      default:
+        if (this.tempoBpm) {
+          return this.getBeatLength() * this._getBeatMs();
+        }
+        return (this.w / PIXELS_PER_SECOND) * 1000; // Full width, no padding
+    }
+  }
+
+  /**
+   * Get the length of a beat at the followed tempo, or the reference tempo
+   * @private
+   */
+  _getBeatMs() {
+    return 60000 / (this.tempoBpm || this.referenceBpm);
+  }
+
+  /**
+   * Get the musical length of one pass
+   * @returns {number} Length in quarter-note beats (the width in whole beats, at least 1, in width mode)
+   */
+  getBeatLength() {
+    if (this.lengthMode === NODE_LENGTH_BEATS) {
+      return this.lengthBeats;
+    }
+    return Math.max(1, Math.round(this.w / PIXELS_PER_BEAT));
+  }
+
+  /**
+   * Format the musical length for display ("1 bar", "3 beats", "2 bars 1 beat")
+   * @returns {string} Length label
+   */
+  getMusicalLengthLabel() {
+    const beats = this.getBeatLength();
+    const bars = Math.floor(beats / BEATS_PER_BAR);
+    const rest = +(beats - bars * BEATS_PER_BAR).toFixed(2);
+    
+    const parts = [];
+    if (bars > 0) parts.push(`${bars} bar${bars === 1 ? '' : 's'}`);
+    if (rest > 0) parts.push(`${rest} beat${rest === 1 ? '' : 's'}`);
+    return parts.join(' ');
+  }
+
+  /**
+   * Format the pass length and speed for display ('' for plain width timing)
+   * @returns {string} Label such as "2 bars", "30 s ×2" or "×0.5"
+   */
+  getLengthLabel() {
+    const parts = [];
+    if (this.lengthMode === NODE_LENGTH_TIME) {
+      parts.push(`${+(this.lengthMs / 1000).toFixed(2)} s`);
+    } else if (this.lengthMode === NODE_LENGTH_BEATS || this.tempoBpm) {
+      parts.push(this.getMusicalLengthLabel());
+    }
+    if (this.speed !== 1) {
+      parts.push(`×${+this.speed.toFixed(3)}`);
+    }
+    return parts.join(' ');
+  }
+
+  /**
+   * Get the length and speed settings
+   * @param {number} span - Share of the pass to cover (a split half covers part of it)
+   * @returns {object} { lengthMode, lengthMs, lengthBeats, speed }
+   */
+  getTiming(span = 1) {
+    return {
+      lengthMode: this.lengthMode,
+      lengthMs: this.lengthMs * span,
+      lengthBeats: this.lengthBeats * span,
+      speed: this.speed
+    };
+  }
+
+  /**
+   * Apply length and speed settings (inspector, patch file, clone or split)
+   * A playing node continues from its current position at the new speed
+   * @param {object} timing - { lengthMode, lengthMs, lengthBeats, speed }; missing entries are kept
+   */
+  setTiming({ lengthMode, lengthMs, lengthBeats, speed } = {}) {
+    if (typeof lengthMs === 'number' && lengthMs > 0) {
+      this.lengthMs = clamp(lengthMs, NODE_MIN_LENGTH_MS, NODE_MAX_LENGTH_MS);
+    }
+    if (typeof lengthBeats === 'number' && lengthBeats > 0) {
+      this.lengthBeats = clamp(lengthBeats, NODE_MIN_LENGTH_BEATS, NODE_MAX_LENGTH_BEATS);
+    }
+    if (typeof speed === 'number' && speed > 0) {
+      this.speed = clamp(speed, NODE_MIN_SPEED, NODE_MAX_SPEED);
+    }
+    if (lengthMode in NODE_LENGTH_LABELS) {
+      this.lengthMode = lengthMode;
+    }
+    this._updateDuration();
+  }
+
+  /**
+   * Choose what sets the pass length, keeping the current length
+   * (switching to seconds or beats freezes it, so the width can change freely)
+   * @param {string} mode - 'width' | 'time' | 'beats'
+   */
+  setLengthMode(mode) {
+    if (!(mode in NODE_LENGTH_LABELS) || this.lengthMode === mode) return;
+    
+    const passMs = this._computePassLength();
+    this.setTiming({
+      lengthMode: mode,
+      lengthMs: mode === NODE_LENGTH_TIME ? passMs : undefined,
+      lengthBeats: mode === NODE_LENGTH_BEATS ? Math.max(1, Math.round(passMs / this._getBeatMs())) : undefined
+    });
+  }
+
+  /**
+   * Use a fixed pass length (recordings keep their real duration this way)
+   * @param {number} ms - Pass length in ms
+   */
+  setLengthMs(ms) {
+    this.setTiming({ lengthMode: NODE_LENGTH_TIME, lengthMs: ms });
+  }
+
+  /**
+   * Set the global playback rate
+   * @param {number} rate - Multiplier (1 = normal speed)
+   */
+  setPlaybackRate(rate) {
+    const newRate = clamp(Number(rate) || 1, PLAYBACK_MIN_RATE, PLAYBACK_MAX_RATE);
+    if (this.playbackRate === newRate) return;
+    
+    this.playbackRate = newRate;
+    this._updateDuration();
+  }
+
+  /**
+   * Set the tempo beat lengths use when no clock is followed
+   * @param {number} bpm - Tempo in BPM
+   */
+  setReferenceTempo(bpm) {
+    if (!(bpm > 0) || this.referenceBpm === bpm) return;
+    
+    this.referenceBpm = bpm;
+    this._updateDuration();
+  }
+
+  /**
+   * Follow a clock tempo, or return to free-running speed
+   * A playing node continues from its current position at the new speed
+   * @param {number|null} bpm - Tempo in BPM, or null for PIXELS_PER_SECOND timing
+   */
+  setTempo(bpm) {
+    const newTempo = (bpm > 0) ? bpm : null;
+    if (this.tempoBpm === newTempo) return;
+    
+    this.tempoBpm = newTempo;
+    this._updateDuration();
+  }
+
+  /**
+   * Recompute the pass duration
+   * A playing node continues from its current position at the new speed
+   * @private
+   */
+  _updateDuration() {
+    const newDuration = this._computeRunDuration();
+    if (newDuration === this.durationMs) return;
+    
+    if (this.playing) {
+      const now = performance.now();
+      this._startDistance = this.distanceAt(now);
+      this.startProgress = this.playProgress;
+      this.playStartTime = now;
+      this._nextOutputTime = Math.max(this._nextOutputTime, this.playStartTime);
+    }
+    this.durationMs = newDuration;
   }
 
   /**
@@ -119,27 +370,185 @@ export default class WaveformNode extends Node {
     }
     
     // Update playback progress
-    const elapsed = performance.now() - this.playStartTime;
-    const segmentProgress = clamp(elapsed / this.remainingDurationMs, 0, 1);
-    this.playProgress = clamp(this.startProgress + segmentProgress * (1 - this.startProgress), 0, 1);
+    const distance = this.distanceAt(performance.now());
+    this.playProgress = this.positionAtDistance(distance);
     
     // Update visual playhead position
     const { gx, gw } = this.getGraphRect();
     this.playheadX = gx + gw * this.playProgress;
     
     // Update trigger port states and check for firing
-    this._updateTriggerPorts();
+    const runId = this._runId;
+    this._updateTriggerPorts(distance);
     
     // Update port states (flash timing, etc.)
     this._updatePortStates();
     
-    // Check if playback is complete
-    if (this.playProgress >= 1.0) {
+    // Check if the last pass is complete (unless a trigger restarted the node)
+    if (this._runId === runId && distance >= this.getPassCount()) {
       this.stopPlayback();
       this.emit('playback-complete', { node: this });
     }
   }
 
+  /**
+   * Set how the node runs through its waveform
+   * A playing node restarts from its current position in the new mode
+   * @param {string} mode - 'oneshot' | 'loop' | 'pingpong' | 'reverse'
+   */
+  setPlayMode(mode) {
+    if (!(mode in PLAY_MODE_LABELS) || this.playMode === mode) return;
+    
+    this.playMode = mode;
+    this._restartIfPlaying();
+    
+    this.emit('play-mode-changed', {
+      node: this,
+      playMode: this.playMode
+    });
+  }
+
+  /**
+   * Set the repeat count of loop and ping-pong modes
+   * @param {number} count - Loop passes / ping-pong cycles, 0 = forever
+   */
+  setLoopCount(count) {
+    const newCount = clamp(Math.round(Number(count) || 0), 0, PLAY_MODE_MAX_REPEATS);
+    if (this.loopCount === newCount) return;
+    
+    this.loopCount = newCount;
+    if (this.playMode === PLAY_MODE_LOOP || this.playMode === PLAY_MODE_PINGPONG) {
+      this._restartIfPlaying();
+    }
+  }
+
+  /**
+   * Restart a playing or paused node from where it is (after a play mode change)
+   * @private
+   */
+  _restartIfPlaying() {
+    if (this.groupPace) return; // A group run always plays one forward pass
+    
+    if (this.playing) {
+      this.startPlaybackFromU(this.playProgress);
+    } else if (this.paused) {
+      // Stay paused, holding a new run from the same position
+      const distance = this.isPassForward(0) ? this.playProgress : 1 - this.playProgress;
+      this._beginRun(distance);
+      this._triggerStartPending = false;
+      this._pausedDistance = distance;
+      this.paused = true;
+    }
+  }
+
+  /**
+   * Get the number of passes in a run
+   * @returns {number} Passes (Infinity when looping forever)
+   */
+  getPassCount() {
+    if (this.groupPace) return 1; // The group playhead crosses once
+    
+    switch (this.playMode) {
+      case PLAY_MODE_LOOP:
+        return this.loopCount > 0 ? this.loopCount : Infinity;
+      case PLAY_MODE_PINGPONG:
+        return this.loopCount > 0 ? this.loopCount * 2 : Infinity;
+      default:
+        return 1;
+    }
+  }
+
+  /**
+   * Check the direction of a pass
+   * @param {number} pass - Pass index (0 = first)
+   * @returns {boolean} True if the pass runs left to right
+   */
+  isPassForward(pass) {
+    if (this.groupPace) return true;
+    
+    switch (this.playMode) {
+      case PLAY_MODE_REVERSE:
+        return false;
+      case PLAY_MODE_PINGPONG:
+        return pass % 2 === 0;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Get a short play mode label for the node ('' for one-shot)
+   * @returns {string} Label such as "Loop ×4", "Ping-pong ∞" or "Reverse"
+   */
+  getPlayModeLabel() {
+    if (this.playMode === PLAY_MODE_ONESHOT) return '';
+    if (this.playMode === PLAY_MODE_REVERSE) return PLAY_MODE_LABELS[PLAY_MODE_REVERSE];
+    return `${PLAY_MODE_LABELS[this.playMode]} ${this.loopCount > 0 ? `×${this.loopCount}` : '∞'}`;
+  }
+
+  /**
+   * Get how far the current run has travelled at a point in time
+   * @param {number} time - Time in ms (performance.now() clock)
+   * @returns {number} Distance in passes (pass k covers k to k+1), capped at the run end
+   */
+  distanceAt(time) {
+    const elapsed = Math.max(0, time - this.playStartTime);
+    return Math.min(this._startDistance + elapsed / this.durationMs, this.getPassCount());
+  }
+
+  /**
+   * Get the time the current run reaches a distance
+   * @param {number} distance - Distance in passes
+   * @returns {number} Time in ms (performance.now() clock)
+   */
+  timeAtDistance(distance) {
+    return this.playStartTime + (distance - this._startDistance) * this.durationMs;
+  }
+
+  /**
+   * Get the playback position at a run distance
+   * A distance on a pass boundary is the start of the next pass (the end of the last one at the run end)
+   * @param {number} distance - Distance in passes
+   * @returns {number} Progress (0-1)
+   */
+  positionAtDistance(distance) {
+    const pass = clamp(Math.floor(distance), 0, this.getPassCount() - 1);
+    const f = clamp(distance - pass, 0, 1);
+    return this.isPassForward(pass) ? f : 1 - f;
+  }
+
+  /**
+   * Get the playback position at a point in time of the current run
+   * @param {number} time - Time in ms (performance.now() clock)
+   * @returns {number} Progress (0-1)
+   */
+  progressAt(time) {
+    return this.positionAtDistance(this.distanceAt(time));
+  }
+
+  /**
+   * Split a stretch of the run into pieces within single passes
+   * @param {number} fromDistance - Start of the stretch
+   * @param {number} toDistance - End of the stretch
+   * @returns {Array} [{ pass, from, to, forward }], from/to measured along the pass (0-1)
+   * @protected
+   */
+  _passPieces(fromDistance, toDistance) {
+    const pieces = [];
+    const first = Math.max(0, Math.floor(fromDistance));
+    const last = Math.min(Math.max(first, Math.ceil(toDistance) - 1), this.getPassCount() - 1);
+    
+    for (let pass = first; pass <= last; pass++) {
+      pieces.push({
+        pass,
+        from: Math.max(fromDistance - pass, 0),
+        to: Math.min(toDistance - pass, 1),
+        forward: this.isPassForward(pass)
+      });
+    }
+    return pieces;
+  }
+
   /**
    * Get current waveform value at playback position
    * @returns {number} Value between 0 and 1
@@ -148,6 +557,14 @@ export default class WaveformNode extends Node {
     return this.valueAt(this.playProgress);
   }
 
+  /**
+   * Get the value the signal output carries: the waveform at the playhead
+   * @returns {number} Value between 0 and 1
+   */
+  getSignalValue(time = performance.now()) {
+    return this.getCurrentValue();
+  }
+
   /**
    * Get waveform value at normalized position
    * @param {number} t - Normalized position (0-1)
@@ -167,35 +584,209 @@ export default class WaveformNode extends Node {
   }
 
   /**
-   * Send current MIDI CC value
+   * Send output values ahead of time, each stamped with when it should play
+   * Values are computed every intervalMs from the last scheduled time up to `until`
+   * (never earlier than `from`); the value at the end of every pass is always sent
    * @param {object} midiManager - MIDI manager instance
+   * @param {number} from - Current time in ms (performance.now() clock)
+   * @param {number} until - Schedule up to this time
+   * @param {number} intervalMs - Spacing between computed values
    */
-  sendCurrentCC(midiManager) {
+  scheduleOutput(midiManager, from, until, intervalMs) {
     if (!this.playing || !midiManager || !midiManager.ready) return;
     
-    const currentValue = this.getCurrentValue();
-    const ccValue = clamp(Math.round(currentValue * CC_MAX_VALUE), 0, CC_MAX_VALUE);
+    const passes = this.getPassCount();
+    let time = Math.max(this._nextOutputTime, from);
+    
+    // Pass ends missed during a stall are skipped (the run end never is)
+    this._nextPassEnd = Math.max(this._nextPassEnd, Math.ceil(this.distanceAt(from)));
+    
+    while (this._nextPassEnd <= passes) {
+      const passEndTime = this.timeAtDistance(this._nextPassEnd);
+      
+      while (time < passEndTime && time <= until) {
+        this._sendValueAt(midiManager, this.progressAt(time), time);
+        time += intervalMs;
+      }
+      if (passEndTime > until) break;
+      
+      // Land exactly on the end of the pass (a loop's last value, a ping-pong turn)
+      const pass = this._nextPassEnd - 1;
+      this._sendValueAt(midiManager, this.isPassForward(pass) ? 1 : 0, Math.max(passEndTime, from));
+      this._nextPassEnd++;
+    }
+    
+    if (this._nextPassEnd > passes) {
+      time = Infinity; // Run fully scheduled
+    }
+    this._nextOutputTime = time;
+  }
+
+  /**
+   * Send the output value at a playback position if it changed
+   * @param {object} midiManager - MIDI manager instance
+   * @param {number} u - Playback position (0-1)
+   * @param {number|null} timestamp - Send time, null for immediately
+   * @private
+   */
+  _sendValueAt(midiManager, u, timestamp) {
+    const currentValue = this.valueAt(u);
+    const maxValue = this.getOutputMaxValue();
+    const ccValue = clamp(Math.round(currentValue * maxValue), 0, maxValue);
     
     if (ccValue !== this.lastCCSent) {
-      midiManager.sendCC(this.cc, ccValue);
+      const channel = this.outputChannel;
+      const deviceIds = this.outputDeviceIds;
+      switch (this.outputMode) {
+        case OUTPUT_MODE_CC14:
+          midiManager.sendCC14(this.cc, ccValue, channel, deviceIds, timestamp);
+          break;
+        case OUTPUT_MODE_PITCH_BEND:
+          midiManager.sendPitchBend(ccValue, channel, deviceIds, timestamp);
+          break;
+        case OUTPUT_MODE_NRPN:
+          midiManager.sendNRPN(this.parameter, ccValue, channel, deviceIds, timestamp);
+          break;
+        case OUTPUT_MODE_RPN:
+          midiManager.sendRPN(this.parameter, ccValue, channel, deviceIds, timestamp);
+          break;
+        default:
+          midiManager.sendCC(this.cc, ccValue, channel, deviceIds, timestamp);
+          break;
+      }
       this.lastCCSent = ccValue;
       
       this.emit('cc-sent', {
         node: this,
         cc: this.cc,
+        outputMode: this.outputMode,
         value: ccValue,
-        normalizedValue: currentValue
+        normalizedValue: currentValue,
+        timestamp
+      });
+    }
+  }
+
+  /**
+   * Get the highest value the current output mode can send
+   * @returns {number} 127 for CC, 16383 for the 14-bit modes
+   */
+  getOutputMaxValue() {
+    return getOutputMaxValue(this.outputMode);
+  }
+
+  /**
+   * Set output mode
+   * 14-bit CC needs an MSB controller (CC 0-31); other CCs fall back to 7-bit
+   * @param {string} mode - 'cc', 'cc14', 'pitchbend', 'nrpn' or 'rpn'
+   */
+  setOutputMode(mode) {
+    let newMode = OUTPUT_MODES.includes(mode) ? mode : OUTPUT_MODE_CC;
+    if (newMode === OUTPUT_MODE_CC14 && this.cc > CC14_MSB_MAX_CC) {
+      console.warn(`CC ${this.cc} has no LSB partner - using 7-bit output`);
+      newMode = OUTPUT_MODE_CC;
+    }
+    
+    if (this.outputMode !== newMode) {
+      this.outputMode = newMode;
+      this.label = this._getOutputLabel();
+      this.lastCCSent = -1;
+      
+      this.emit('output-mode-changed', {
+        node: this,
+        outputMode: this.outputMode
       });
     }
   }
 
+  /**
+   * Set NRPN/RPN parameter number
+   * @param {number} parameter - Parameter number (0-16383)
+   */
+  setParameter(parameter) {
+    const newParameter = clamp(Math.round(parameter), 0, PARAMETER_MAX_NUMBER);
+    if (this.parameter !== newParameter) {
+      this.parameter = newParameter;
+      if (isParameterMode(this.outputMode)) {
+        this.label = this._getOutputLabel();
+        this.lastCCSent = -1;
+      }
+      
+      this.emit('parameter-changed', {
+        node: this,
+        parameter: this.parameter
+      });
+    }
+  }
+
+  /**
+   * Set output channel
+   * @param {number|null} channel - MIDI channel (0-15), or null to follow the global channel
+   */
+  setOutputChannel(channel) {
+    const newChannel = (channel === null || channel === undefined)
+      ? null
+      : clamp(Math.round(channel), 0, 15);
+    if (this.outputChannel !== newChannel) {
+      this.outputChannel = newChannel;
+      this.lastCCSent = -1;
+      
+      this.emit('output-channel-changed', {
+        node: this,
+        channel: this.outputChannel
+      });
+    }
+  }
+
+  /**
+   * Set output devices
+   * @param {string[]|null} deviceIds - Output IDs, or null to follow the global output selection
+   */
+  setOutputDevices(deviceIds) {
+    const newDeviceIds = Array.isArray(deviceIds) ? [...new Set(deviceIds)] : null;
+    this.outputDeviceIds = newDeviceIds;
+    this.lastCCSent = -1;
+    
+    this.emit('output-devices-changed', {
+      node: this,
+      deviceIds: this.outputDeviceIds
+    });
+  }
+
+  /**
+   * Get the output settings shown in the node inspector
+   * @returns {object} { header, outputMode, cc, parameter, channel, deviceIds, playMode, loopCount,
+   *   lengthMode, lengthMs, lengthBeats, speed }
+   */
+  getOutputSettings() {
+    return {
+      header: this.getDisplayHeader(),
+      outputMode: this.outputMode,
+      cc: this.cc,
+      parameter: this.parameter,
+      channel: this.outputChannel,
+      deviceIds: this.outputDeviceIds,
+      playMode: this.playMode,
+      loopCount: this.loopCount,
+      ...this.getTiming()
+    };
+  }
+
+  /**
+   * Build the node label from the output target
+   * @private
+   */
+  _getOutputLabel() {
+    return formatOutputTarget(this.outputMode, this.cc, this.parameter);
+  }
+
   /**
    * Set waveform samples
    * @param {number[]} newSamples - Array of values between 0 and 1
    */
   setSamples(newSamples) {
     this.samples = [...newSamples];
-    this.durationMs = this._computeRunDuration();
+    this._updateDuration();
     
     this.emit('samples-changed', {
       node: this,
@@ -211,7 +802,10 @@ export default class WaveformNode extends Node {
     const newCC = clamp(ccNumber, 0, 127);
     if (this.cc !== newCC) {
       this.cc = newCC;
-      this.label = `CC ${this.cc}`;
+      if (this.outputMode === OUTPUT_MODE_CC14 && this.cc > CC14_MSB_MAX_CC) {
+        this.outputMode = OUTPUT_MODE_CC;
+      }
+      this.label = this._getOutputLabel();
       
       this.emit('cc-changed', {
         node: this,
@@ -260,11 +854,11 @@ export default class WaveformNode extends Node {
   }
 
   /**
-   * Override size setting to update duration
+   * Override size setting to update duration (width mode only depends on it)
    */
   setSize(width, height) {
     super.setSize(width, height);
-    this.durationMs = this._computeRunDuration();
+    this._updateDuration();
   }
 
   /**
@@ -279,12 +873,59 @@ export default class WaveformNode extends Node {
       this.w
     );
     
-    cloned.cc = this.cc;
-    cloned.sourceDeviceName = this.sourceDeviceName;
+    this._copySettingsTo(cloned);
     
     return cloned;
   }
 
+  /**
+   * Get the settings carried by clones, split halves and patch files
+   * (output, routing, play mode, loop count, length and speed)
+   * @param {number} span - Share of the pass to cover (a split half covers part of it)
+   * @returns {object} Settings
+   * @protected
+   */
+  _getSettings(span = 1) {
+    return {
+      cc: this.cc,
+      outputMode: this.outputMode,
+      parameter: this.parameter,
+      outputChannel: this.outputChannel,
+      outputDeviceIds: this.outputDeviceIds,
+      sourceDeviceName: this.sourceDeviceName,
+      playMode: this.playMode,
+      loopCount: this.loopCount,
+      ...this.getTiming(span)
+    };
+  }
+
+  /**
+   * Apply settings from _getSettings() or patch data (missing entries fall back to defaults)
+   * @param {object} settings - Settings
+   * @protected
+   */
+  _applySettings(settings) {
+    this.cc = (typeof settings.cc === 'number') ? settings.cc : 1;
+    this.outputMode = settings.outputMode || OUTPUT_MODE_CC;
+    this.parameter = settings.parameter || 0;
+    this.outputChannel = (typeof settings.outputChannel === 'number') ? settings.outputChannel : null;
+    this.outputDeviceIds = Array.isArray(settings.outputDeviceIds) ? [...settings.outputDeviceIds] : null;
+    this.sourceDeviceName = settings.sourceDeviceName || '';
+    this.setPlayMode(settings.playMode);
+    this.setLoopCount(settings.loopCount);
+    this.setTiming(settings);
+  }
+
+  /**
+   * Copy this node's settings to a clone or split half
+   * @param {WaveformNode} node - Node to configure
+   * @param {number} span - Share of the pass the node covers
+   * @protected
+   */
+  _copySettingsTo(node, span = 1) {
+    node._applySettings(this._getSettings(span));
+  }
+
   /**
    * Serialize to JSON
    */
@@ -292,14 +933,16 @@ export default class WaveformNode extends Node {
     return {
       ...super.toJSON(),
       samples: this.samples,
-      cc: this.cc,
-      sourceDeviceName: this.sourceDeviceName,
-      durationMs: this.durationMs
+      ...this._getSettings(),
+      durationMs: this.durationMs,
+      vTriggers: this.vTriggers.map(trigger => trigger.toJSON()),
+      hTriggers: this.hTriggers.map(trigger => trigger.toJSON())
     };
   }
 
   /**
    * Restore from JSON
+   * Triggers are restored with their original trigger and port IDs
    */
   static fromJSON(data) {
     const node = new WaveformNode(
@@ -311,13 +954,34 @@ export default class WaveformNode extends Node {
     );
     
     node.id = data.id;
-    node.cc = data.cc || 1;
-    node.sourceDeviceName = data.sourceDeviceName || '';
+    node.h = data.h || BOX_H;
+    node._applySettings(data);
     node.createdAt = data.createdAt || Date.now();
+    node._restoreSignalPorts(data.signalPorts);
+    
+    for (const triggerData of data.vTriggers || []) {
+      node.vTriggers.push(VTrigger.fromJSON(triggerData, node));
+    }
+    for (const triggerData of data.hTriggers || []) {
+      node.hTriggers.push(HTrigger.fromJSON(triggerData, node));
+    }
     
     return node;
   }
 
+  /**
+   * Get all ports owned by this node (trigger ports, then signal ports)
+   * @returns {Port[]} Array of Port objects
+   */
+  getAllPorts() {
+    const ports = [];
+    for (const trigger of [...this.vTriggers, ...this.hTriggers]) {
+      ports.push(...trigger.getPorts());
+    }
+    ports.push(...this.getSignalPorts());
+    return ports;
+  }
+
   /**
    * Add a vertical trigger at the specified mouse X position
    * @param {number} mouseX - Mouse X coordinate
@@ -362,6 +1026,38 @@ export default class WaveformNode extends Node {
     return trigger;
   }
 
+  /**
+   * Insert an existing vertical trigger (e.g. when undoing its deletion)
+   * @param {VTrigger} trigger - Trigger to insert
+   * @param {number} index - Position in the trigger list (defaults to the end)
+   */
+  insertVTrigger(trigger, index = this.vTriggers.length) {
+    const position = clamp(index, 0, this.vTriggers.length);
+    this.vTriggers.splice(position, 0, trigger);
+    
+    this.emit('vtrigger-added', {
+      node: this,
+      trigger: trigger,
+      index: position
+    });
+  }
+
+  /**
+   * Insert an existing horizontal trigger (e.g. when undoing its deletion)
+   * @param {HTrigger} trigger - Trigger to insert
+   * @param {number} index - Position in the trigger list (defaults to the end)
+   */
+  insertHTrigger(trigger, index = this.hTriggers.length) {
+    const position = clamp(index, 0, this.hTriggers.length);
+    this.hTriggers.splice(position, 0, trigger);
+    
+    this.emit('htrigger-added', {
+      node: this,
+      trigger: trigger,
+      index: position
+    });
+  }
+
   /**
    * Remove a vertical trigger by index
    * @param {number} index - Trigger index
@@ -465,22 +1161,18 @@ export default class WaveformNode extends Node {
 
   /**
    * Reset playback state for triggers
+   * Runs from the start of the first pass (the right edge in reverse)
+   * @param {number} startTime - When the run starts (performance.now() clock)
    */
-  startPlayback() {
+  startPlayback(startTime = performance.now()) {
     if (this.playing) return;
     
-    super.startPlayback();
+    super.startPlayback(startTime);
     
-    this.playProgress = 0;
-    this.startProgress = 0;
-    this.remainingDurationMs = this.durationMs;
-    this.lastCCSent = -1;
+    this._beginRun(0);
     
-    // Reset trigger tracking
-    this._vTriggersHitThisPlayback.clear();
-    for (const hTrigger of this.hTriggers) {
-      hTrigger.resetCrossingState();
-    }
+    // Reset trigger tracking (a VTrigger at the very start fires too)
+    this._triggerStartPending = true;
     
     this.emit('waveform-playback-started', {
       node: this,
@@ -490,31 +1182,21 @@ export default class WaveformNode extends Node {
 
   /**
    * Start playback from specific position with trigger state
+   * The first pass continues from there in its direction
+   * @param {number} u - Start position (0-1)
+   * @param {number} startTime - When the run starts (performance.now() clock)
    */
-  startPlaybackFromU(u) {
+  startPlaybackFromU(u, startTime = performance.now()) {
     if (this.playing) this.stopPlayback();
     
     const normalizedU = clamp(u, 0, 1);
     
-    super.startPlayback();
+    super.startPlayback(startTime);
     
-    this.playProgress = normalizedU;
-    this.startProgress = normalizedU;
-    this.remainingDurationMs = Math.max(1, (1 - normalizedU) * this.durationMs);
-    this.lastCCSent = -1;
+    this._beginRun(this.isPassForward(0) ? normalizedU : 1 - normalizedU);
     
-    // Mark all V triggers before start position as already hit
-    this._vTriggersHitThisPlayback.clear();
-    for (let i = 0; i < this.vTriggers.length; i++) {
-      if (this.vTriggers[i].u <= normalizedU) {
-        this._vTriggersHitThisPlayback.add(i);
-      }
-    }
-    
-    // Reset H trigger crossing state
-    for (const hTrigger of this.hTriggers) {
-      hTrigger.resetCrossingState();
-    }
+    // Triggers at or before the start position don't fire
+    this._triggerStartPending = false;
     
     this.emit('waveform-playback-started', {
       node: this,
@@ -522,50 +1204,193 @@ export default class WaveformNode extends Node {
     });
   }
 
+  /**
+   * Hold playback where it is; resumePlayback() continues the same run
+   * The pass, direction, trigger tracking and HTrigger crossing state are kept
+   * @param {number} time - When to hold (performance.now() clock)
+   */
+  pausePlayback(time = performance.now()) {
+    if (!this.playing) return;
+    
+    this._pausedDistance = Math.min(this.distanceAt(time), this.getPassCount());
+    this._pausedAt = time;
+    this.playProgress = this.positionAtDistance(this._pausedDistance);
+    
+    super.stopPlayback();
+    this.paused = true;
+    
+    this.emit('playback-paused', { node: this, playProgress: this.playProgress });
+  }
+
+  /**
+   * Continue a paused run from exactly where it was held
+   * @param {number} startTime - When playback continues (performance.now() clock)
+   */
+  resumePlayback(startTime = performance.now()) {
+    if (!this.paused) return;
+    
+    // Not a new start - no 'playback-started', so a resume sends no transport Start
+    this.paused = false;
+    this.playing = true;
+    this.playStartTime = startTime;
+    
+    this._startDistance = this._pausedDistance;
+    this._nextOutputTime = this.playStartTime;
+    
+    // The minimum re-fire interval counts playing time only
+    for (const hTrigger of this.hTriggers) {
+      hTrigger.shiftFireTimes(startTime - this._pausedAt);
+    }
+    
+    this.emit('playback-resumed', { node: this, playProgress: this.playProgress });
+  }
+
+  /**
+   * Play one forward pass as part of a group run, at the group playhead speed
+   * @param {number} u - Where the group playhead enters the node (0-1)
+   * @param {number} startTime - When it enters (performance.now() clock)
+   * @param {number} pace - Group playhead speed in px/ms
+   */
+  playInGroup(u, startTime, pace) {
+    this.stopPlayback();
+    this.groupPace = pace;
+    this.durationMs = this._computeRunDuration();
+    
+    if (u <= 0) {
+      this.startPlayback(startTime);
+    } else {
+      this.startPlaybackFromU(u, startTime);
+    }
+  }
+
+  /**
+   * Change the group playhead speed of a node played by its group
+   * @param {number} pace - Group playhead speed in px/ms
+   */
+  setGroupPace(pace) {
+    if (!this.groupPace) return;
+    
+    this.groupPace = pace;
+    this._updateDuration();
+  }
+
+  /**
+   * Stop playback; a paused node is released too, and returns to its own timing
+   */
+  stopPlayback() {
+    this.paused = false;
+    super.stopPlayback();
+    
+    if (this.groupPace) {
+      this.groupPace = null;
+      this.durationMs = this._computeRunDuration();
+    }
+  }
+
+  /**
+   * Reset the run state for a run starting at a distance into the first pass
+   * @param {number} startDistance - Distance (0-1)
+   * @private
+   */
+  _beginRun(startDistance) {
+    this._runId++;
+    this.paused = false;
+    this._startDistance = startDistance;
+    this.startProgress = this.positionAtDistance(startDistance);
+    this.playProgress = this.startProgress;
+    this.lastCCSent = -1;
+    this._nextOutputTime = this.playStartTime;
+    this._nextPassEnd = Math.max(1, Math.ceil(startDistance));
+    this._triggerDistance = startDistance;
+    
+    for (const hTrigger of this.hTriggers) {
+      hTrigger.resetCrossingState();
+    }
+  }
+
   /**
    * Update trigger ports during playback
+   * Fires every VTrigger and HTrigger crossing between the last check and the
+   * current distance in playback order, pass by pass and in each pass's
+   * direction, each stamped with the time playback actually reached it
+   * @param {number} distance - Current run distance
    * @private
    */
-  _updateTriggerPorts() {
+  _updateTriggerPorts(distance) {
     if (!this.playing) return;
     
-    // Check VTrigger output port firing
-    // IMPORTANT: Allow repeated firing like monolithic script - remove the "already fired" restriction
-    for (let i = 0; i < this.vTriggers.length; i++) {
-      const trigger = this.vTriggers[i];
+    const fromDistance = this._triggerDistance;
+    const includeStart = this._triggerStartPending;
+    if (distance < fromDistance || (distance === fromDistance && !includeStart)) return;
+    this._triggerDistance = distance;
+    this._triggerStartPending = false;
+    
+    const events = this._collectTriggerEvents(fromDistance, distance, includeStart);
+    
+    // A fire can restart this node through a connection; the rest belongs to the old run
+    const runId = this._runId;
+    
+    for (const event of events) {
+      const time = this.timeAtDistance(event.distance);
       
-      // Fire every time the playhead reaches or passes this trigger position
-      // Remove the restriction: !this._vTriggersHitThisPlayback.has(i)
-      if (this.playProgress >= trigger.u) {
-        // Only fire if we haven't fired at this exact position yet (prevent multiple fires at same frame)
-        const wasAlreadyFiredThisFrame = this._vTriggersHitThisPlayback.has(i);
-        
-        if (!wasAlreadyFiredThisFrame) {
-          trigger.fireOutputPort();
-          this._vTriggersHitThisPlayback.add(i);
-          console.log(`VTrigger output fired at u=${trigger.u.toFixed(3)} during playback`);
-        }
+      // Minimum re-fire interval of the HTrigger port
+      if (event.type !== 'output' && !event.trigger.acceptFire(event.type, time)) {
+        continue;
+      }
+      
+      const u = this.positionAtDistance(event.distance);
+      if (event.type === 'output') {
+        event.trigger.fireOutputPort(undefined, time);
+        console.log(`VTrigger output fired at u=${u.toFixed(3)} during playback`);
+      } else if (event.type === 'up') {
+        event.trigger.fireUpPort(undefined, time);
+        console.log(`HTrigger up crossing fired at u=${u.toFixed(3)}`);
       } else {
-        // Reset the "fired this frame" flag when playhead is before the trigger
-        // This allows the trigger to fire again when playhead crosses it again
-        this._vTriggersHitThisPlayback.delete(i);
+        event.trigger.fireDownPort(undefined, time);
+        console.log(`HTrigger down crossing fired at u=${u.toFixed(3)}`);
+      }
+      
+      if (!this.playing || this._runId !== runId) {
+        break;
       }
     }
+  }
+
+  /**
+   * Collect the trigger events between two run distances, sorted by distance
+   * Up/down are as heard: a rising edge of the drawing is a down crossing in reverse
+   * @param {number} fromDistance - Distance already checked
+   * @param {number} toDistance - Distance reached
+   * @param {boolean} includeStart - Also fire triggers exactly at fromDistance
+   * @returns {Array} [{ distance, type: 'output'|'up'|'down', trigger }]
+   * @private
+   */
+  _collectTriggerEvents(fromDistance, toDistance, includeStart) {
+    const events = [];
+    const wraps = this.playMode === PLAY_MODE_LOOP; // Loops jump from the right edge back to the left
     
-    // Check HTrigger crossing events
-    const currentValue = this.getCurrentValue();
-    for (const trigger of this.hTriggers) {
-      const crossing = trigger.checkCrossing(currentValue);
-      if (crossing) {
-        if (crossing.type === 'up') {
-          trigger.fireUpPort();
-          console.log(`HTrigger up crossing fired at threshold=${crossing.threshold.toFixed(3)}`);
-        } else if (crossing.type === 'down') {
-          trigger.fireDownPort();
-          console.log(`HTrigger down crossing fired at threshold=${crossing.threshold.toFixed(3)}`);
+    for (const piece of this._passPieces(fromDistance, toDistance)) {
+      const atPassStart = piece.from === 0 &&
+        ((includeStart && piece.pass === fromDistance) || (wraps && piece.pass > 0));
+      
+      for (const trigger of this.vTriggers) {
+        const f = piece.forward ? trigger.u : 1 - trigger.u;
+        if ((f > piece.from || (atPassStart && f === piece.from)) && f <= piece.to) {
+          events.push({ distance: piece.pass + f, type: 'output', trigger });
+        }
+      }
+      
+      const fromU = piece.forward ? piece.from : 1 - piece.from;
+      const toU = piece.forward ? piece.to : 1 - piece.to;
+      for (const trigger of this.hTriggers) {
+        for (const crossing of trigger.crossingsBetween(fromU, toU)) {
+          const f = piece.forward ? crossing.u : 1 - crossing.u;
+          events.push({ distance: piece.pass + f, type: crossing.type, trigger });
         }
       }
     }
+    
+    return events.sort((a, b) => a.distance - b.distance);
   }
 
   /**
@@ -622,26 +1447,10 @@ export default class WaveformNode extends Node {
     const rightWidth = Math.max(2, this.w - leftWidth);
 
     // Create left node
-    const leftNode = new WaveformNode(
-      this.x,
-      this.y,
-      this.label,
-      leftSamples,
-      leftWidth
-    );
-    leftNode.cc = this.cc;
-    leftNode.sourceDeviceName = this.sourceDeviceName;
+    const leftNode = this._createSplitNode(this.x, leftSamples, leftWidth, 0, normalizedU);
 
     // Create right node (positioned adjacent to left)
-    const rightNode = new WaveformNode(
-      this.x + leftWidth,
-      this.y,
-      this.label,
-      rightSamples,
-      rightWidth
-    );
-    rightNode.cc = this.cc;
-    rightNode.sourceDeviceName = this.sourceDeviceName;
+    const rightNode = this._createSplitNode(this.x + leftWidth, rightSamples, rightWidth, normalizedU, 1);
 
     // Create port mapping for connection remapping
     const portMap = new Map();
@@ -679,10 +1488,13 @@ export default class WaveformNode extends Node {
       }
     }
 
+    // Signal cables continue from both halves (an input follows the playing one)
+    portMap.set(this.signalOut, [leftNode.signalOut, rightNode.signalOut]);
+
     // Duplicate ALL HTriggers to both nodes (full copy)
     for (const oldTrigger of this.hTriggers) {
-      const leftTrigger = new HTrigger(leftNode, oldTrigger.v);
-      const rightTrigger = new HTrigger(rightNode, oldTrigger.v);
+      const leftTrigger = oldTrigger.clone(leftNode);
+      const rightTrigger = oldTrigger.clone(rightNode);
       leftNode.hTriggers.push(leftTrigger);
       rightNode.hTriggers.push(rightTrigger);
       
@@ -703,6 +1515,22 @@ export default class WaveformNode extends Node {
     };
   }
 
+  /**
+   * Create one half of a split
+   * @param {number} x - X position of the new node
+   * @param {number[]} samples - Waveform samples for the new node
+   * @param {number} width - Width of the new node
+   * @param {number} u0 - Start of the covered range (0-1 of this node)
+   * @param {number} u1 - End of the covered range (0-1 of this node)
+   * @returns {WaveformNode} New node
+   * @protected
+   */
+  _createSplitNode(x, samples, width, u0, u1) {
+    const node = new WaveformNode(x, this.y, this.label, samples, width);
+    this._copySettingsTo(node, u1 - u0);
+    return node;
+  }
+
   /**
    * Split waveform samples at normalized position u
    * @param {number} u - Normalized position (0-1)
@@ -0,0 +1,31 @@
+/**
+ * WebMidiBackend - MIDI backend using the browser Web MIDI API
+ * A backend only has to provide requestAccess(); it resolves to a
+ * MIDIAccess-like object ({ inputs, outputs, onstatechange })
+ */
+
+export default class WebMidiBackend {
+  constructor() {
+    this.name = 'Web MIDI';
+  }
+
+  /**
+   * Check if the Web MIDI API is available in this environment
+   * @returns {boolean} True if supported
+   */
+  isSupported() {
+    return typeof navigator !== 'undefined' && 'requestMIDIAccess' in navigator;
+  }
+
+  /**
+   * Request MIDI access from the browser
+   * @param {object} options - MIDIOptions (e.g. { sysex: false })
+   * @returns {Promise<MIDIAccess>} Browser MIDIAccess
+   */
+  async requestAccess(options = {}) {
+    if (!this.isSupported()) {
+      throw new Error('Web MIDI API not supported');
+    }
+    return navigator.requestMIDIAccess(options);
+  }
+}
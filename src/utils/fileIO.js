@@ -0,0 +1,84 @@
+/**
+ * Browser file utilities for MIDI Viz
+ * Download generated files and read user-selected files
+ * No app state - thin wrappers around Blob / FileReader / <input type=file>
+ */
+
+/**
+ * Trigger a browser download for generated data
+ * @param {string} filename - Suggested file name
+ * @param {string|ArrayBuffer|Uint8Array} data - File contents
+ * @param {string} mimeType - MIME type of the contents
+ */
+export function downloadFile(filename, data, mimeType = 'application/octet-stream') {
+  const blob = new Blob([data], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Release the object URL once the download has been handed off
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Open the browser file picker
+ * @param {string} accept - Accepted file types (e.g. '.json,application/json')
+ * @returns {Promise<File|null>} Selected file, or null if nothing was chosen
+ */
+export function pickFile(accept = '') {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.style.display = 'none';
+
+    input.addEventListener('change', () => {
+      const file = input.files && input.files.length ? input.files[0] : null;
+      document.body.removeChild(input);
+      resolve(file);
+    });
+
+    // Dialog dismissed without a selection
+    input.addEventListener('cancel', () => {
+      document.body.removeChild(input);
+      resolve(null);
+    });
+
+    document.body.appendChild(input);
+    input.click();
+  });
+}
+
+/**
+ * Read a file as text
+ * @param {File|Blob} file - File to read
+ * @returns {Promise<string>} File contents
+ */
+export function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Read a file as binary data
+ * @param {File|Blob} file - File to read
+ * @returns {Promise<ArrayBuffer>} File contents
+ */
+export function readFileAsArrayBuffer(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
+  });
+}
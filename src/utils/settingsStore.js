@@ -0,0 +1,57 @@
+/**
+ * Settings storage for MIDI Viz
+ * JSON values in localStorage that survive page reloads
+ * Fails quietly (returns the fallback) where storage is unavailable or blocked
+ */
+
+/**
+ * Get the browser storage, if any
+ * @returns {Storage|null} localStorage or null
+ * @private
+ */
+function getStorage() {
+  try {
+    return (typeof localStorage !== 'undefined') ? localStorage : null;
+  } catch (error) {
+    // Accessing localStorage throws when storage is disabled
+    return null;
+  }
+}
+
+/**
+ * Load a stored setting
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned when nothing (valid) is stored
+ * @returns {*} Parsed value or fallback
+ */
+export function loadSetting(key, fallback = null) {
+  const storage = getStorage();
+  if (!storage) return fallback;
+
+  try {
+    const text = storage.getItem(key);
+    return text === null ? fallback : JSON.parse(text);
+  } catch (error) {
+    console.warn(`Ignoring unreadable setting "${key}":`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Store a setting
+ * @param {string} key - Storage key
+ * @param {*} value - JSON-serializable value
+ * @returns {boolean} True if the value was stored
+ */
+export function saveSetting(key, value) {
+  const storage = getStorage();
+  if (!storage) return false;
+
+  try {
+    storage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.warn(`Could not store setting "${key}":`, error);
+    return false;
+  }
+}
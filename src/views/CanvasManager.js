@@ -75,8 +75,8 @@ export default class CanvasManager {
    */
   
   // Shapes
-  rect(x, y, w, h) {
-    return rect(x, y, w, h);
+  rect(x, y, w, h, ...cornerRadius) {
+    return rect(x, y, w, h, ...cornerRadius);
   }
 
   circle(x, y, diameter) {
@@ -258,6 +258,28 @@ export default class CanvasManager {
     return { width: this.width, height: this.height };
   }
 
+  /**
+   * Get the underlying <canvas> DOM element
+   * @returns {HTMLCanvasElement|null} Canvas element
+   */
+  getElement() {
+    return this.canvas ? this.canvas.elt : null;
+  }
+
+  /**
+   * Convert client (page viewport) coordinates to canvas coordinates
+   * @param {number} clientX - Client X
+   * @param {number} clientY - Client Y
+   * @returns {{x: number, y: number}} Canvas position
+   */
+  clientToCanvas(clientX, clientY) {
+    const element = this.getElement();
+    if (!element) return { x: clientX, y: clientY };
+
+    const rect = element.getBoundingClientRect();
+    return { x: clientX - rect.left, y: clientY - rect.top };
+  }
+
   /**
    * Check if point is within canvas bounds
    */
@@ -4,7 +4,14 @@
  * Receives connection data and canvas context, outputs pixels
  */
 
-import { COLOR_CABLE, CABLE_DASH_PATTERN } from '../config/constants.js';
+import {
+  COLOR_CABLE,
+  CABLE_DASH_PATTERN,
+  CABLE_DRAG_PREVIEW_COLOR,
+  COLOR_SIGNAL_CABLE,
+  SIGNAL_CABLE_PREVIEW_ALPHA,
+  PORT_KIND_SIGNAL
+} from '../config/constants.js';
 
 export default class ConnectionRenderer {
   constructor(canvas) {
@@ -21,12 +28,12 @@ export default class ConnectionRenderer {
     
     const { start, cp1, cp2, end } = connection.getCurvePoints();
     
-    // Set up dashed line using canvas context
+    // Trigger cables are dashed white, signal cables solid blue
     const ctx = this.canvas.drawingContext;
-    ctx.setLineDash(CABLE_DASH_PATTERN);
+    ctx.setLineDash(connection.isSignal ? [] : CABLE_DASH_PATTERN);
     
     // Draw the bezier curve cable
-    this.canvas.stroke(...COLOR_CABLE);
+    this.canvas.stroke(...(connection.isSignal ? COLOR_SIGNAL_CABLE : COLOR_CABLE));
     this.canvas.strokeWeight(isHovered ? 2 : 1);
     this.canvas.noFill();
     
@@ -81,8 +88,12 @@ export default class ConnectionRenderer {
     // Calculate adaptive preview control points based on port direction
     const { cp1, cp2 } = this._calculateAdaptiveControlPoints(start, end, portType);
 
-    // Draw preview cable (slightly transparent)
-    this.canvas.stroke(255, 255, 0, 180); // Yellow preview
+    // Draw preview cable (slightly transparent; blue from a signal port)
+    if (startPort.kind === PORT_KIND_SIGNAL) {
+      this.canvas.stroke(...COLOR_SIGNAL_CABLE, SIGNAL_CABLE_PREVIEW_ALPHA);
+    } else {
+      this.canvas.stroke(...CABLE_DRAG_PREVIEW_COLOR); // Yellow preview
+    }
     this.canvas.strokeWeight(2);
     this.canvas.noFill();
     
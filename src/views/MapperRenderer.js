@@ -0,0 +1,190 @@
+/**
+ * Mapper Renderer - Pure rendering for mapper nodes
+ * Draws the three thirds: input reflection, transfer curve with its handles,
+ * and the output scope; ranges are marked on the input and output thirds
+ * Stateless rendering functions - no business logic
+ */
+
+import NodeRenderer from './NodeRenderer.js';
+import {
+  COLOR_SIGNAL_CABLE,
+  COLOR_MAPPER_CURVE_DIM,
+  COLOR_MAPPER_AXIS,
+  COLOR_BACKGROUND,
+  MAPPER_CURVE_POINTS,
+  MAPPER_CURVE_STEPS,
+  MAPPER_CURVE_WEIGHT,
+  MAPPER_POINT_SIZE,
+  MAPPER_HANDLE_RADIUS,
+  MAPPER_HANDLE_TEXT_SIZE,
+  MAPPER_AXIS_INSET,
+  MAPPER_RANGE_MARK_INSET,
+  MAPPER_GRAPH_PAD_X,
+  MAPPER_GRAPH_PAD_Y,
+  TRIGGER_DOT_DIAMETER
+} from '../config/constants.js';
+
+export default class MapperRenderer extends NodeRenderer {
+  /**
+   * Render a mapper node
+   * @param {object} nodeData - MapperNode to render
+   * @param {object} state - Additional state (hover, selection, etc.)
+   */
+  draw(nodeData, state = {}) {
+    const {
+      isSelected = false,
+      isDragging = false,
+      signalPorts = [] // Signal ports to show (near the mouse or cabled)
+    } = state;
+
+    this._drawNodeBox(nodeData, isSelected, isDragging);
+
+    const { inRect, mapRect, outRect } = nodeData.getRects();
+    this._drawInput(nodeData, inRect);
+    this._drawCurve(nodeData, mapRect);
+    this._drawOutput(nodeData, outRect);
+
+    this._drawNodeHeader(nodeData);
+
+    for (const port of signalPorts) {
+      this._drawSignalPort(port);
+    }
+
+    if (isSelected) {
+      this.drawSelection(nodeData);
+    }
+  }
+
+  /**
+   * Draw a horizontal range mark at a level of a region
+   * @private
+   */
+  _drawRangeMark(region, value) {
+    const y = this.canvas.map(value, 0, 1, region.y + region.h - MAPPER_GRAPH_PAD_Y, region.y + MAPPER_GRAPH_PAD_Y);
+    this.canvas.stroke(...COLOR_MAPPER_CURVE_DIM);
+    this.canvas.strokeWeight(1);
+    this.canvas.line(region.x + MAPPER_RANGE_MARK_INSET, y, region.x + MAPPER_GRAPH_PAD_X - MAPPER_RANGE_MARK_INSET, y);
+    this.canvas.line(region.x + region.w - MAPPER_GRAPH_PAD_X + MAPPER_RANGE_MARK_INSET, y, region.x + region.w - MAPPER_RANGE_MARK_INSET, y);
+  }
+
+  /**
+   * Left third: a line at the incoming value, with the input range marked
+   * @private
+   */
+  _drawInput(nodeData, region) {
+    this._drawRangeMark(region, nodeData.inMin);
+    this._drawRangeMark(region, nodeData.inMax);
+
+    if (nodeData.inputValue === null) return;
+
+    const y = this.canvas.map(nodeData.inputValue, 0, 1, region.y + region.h - MAPPER_GRAPH_PAD_Y, region.y + MAPPER_GRAPH_PAD_Y);
+    this.canvas.stroke(255);
+    this.canvas.strokeWeight(1);
+    this.canvas.line(region.x + MAPPER_GRAPH_PAD_X, y, region.x + region.w - MAPPER_GRAPH_PAD_X, y);
+  }
+
+  /**
+   * Middle third: the transfer curve and its handles, with the current input marked on it
+   * @private
+   */
+  _drawCurve(nodeData, region) {
+    const rect = nodeData.getCurveRect();
+    const toX = (u) => rect.x + u * rect.w;
+    const toY = (v) => nodeData.curveValueToY(v);
+
+    // Vertical center axis
+    const cx = rect.x + rect.w / 2;
+    this.canvas.stroke(...COLOR_MAPPER_AXIS);
+    this.canvas.strokeWeight(1);
+    this.canvas.line(cx, region.y + MAPPER_AXIS_INSET, cx, region.y + region.h - MAPPER_AXIS_INSET);
+
+    // The two quadratics the curve is built from
+    this.canvas.noFill();
+    if (nodeData.curveMode !== MAPPER_CURVE_POINTS) {
+      this.canvas.stroke(...COLOR_MAPPER_CURVE_DIM);
+      this._drawFunction(nodeData.getTopQuad(), toX, toY);
+      this._drawFunction(nodeData.getBottomQuad(), toX, toY);
+    }
+
+    // Transfer curve
+    this.canvas.stroke(255);
+    this.canvas.strokeWeight(MAPPER_CURVE_WEIGHT);
+    if (nodeData.curveMode === MAPPER_CURVE_POINTS) {
+      this.canvas.beginShape();
+      for (const p of nodeData.points) {
+        this.canvas.vertex(toX(p.x), toY(p.y));
+      }
+      this.canvas.endShape();
+    } else {
+      this._drawFunction(u => nodeData.curveAt(u), toX, toY);
+    }
+
+    // Handles: oblongs showing the midpoint values (0-127), or point squares
+    for (const handle of nodeData.getCurveHandles()) {
+      this.canvas.stroke(255);
+      this.canvas.strokeWeight(1);
+      this.canvas.fill(...COLOR_BACKGROUND);
+      if (handle.kind === 'mid') {
+        this.canvas.rect(handle.x - handle.w / 2, handle.y - handle.h / 2, handle.w, handle.h, MAPPER_HANDLE_RADIUS);
+
+        const value = handle.which === 'top' ? nodeData.midTop : nodeData.midBottom;
+        this.canvas.noStroke();
+        this.canvas.fill(255);
+        this.canvas.textAlign(this.canvas.CENTER, this.canvas.CENTER);
+        this.canvas.textSize(MAPPER_HANDLE_TEXT_SIZE);
+        this.canvas.text(Math.round(value * 127), handle.x, handle.y);
+      } else {
+        this.canvas.rect(handle.x - MAPPER_POINT_SIZE / 2, handle.y - MAPPER_POINT_SIZE / 2, MAPPER_POINT_SIZE, MAPPER_POINT_SIZE);
+      }
+    }
+
+    // Where the current input sits on the curve
+    if (nodeData.inputValue !== null) {
+      const u = nodeData.getCurveInput();
+      this.canvas.noStroke();
+      this.canvas.fill(...COLOR_SIGNAL_CABLE);
+      this.canvas.circle(toX(u), toY(nodeData.curveAt(u)), TRIGGER_DOT_DIAMETER);
+    }
+  }
+
+  /**
+   * Draw u => value over 0-1 as a polyline
+   * @private
+   */
+  _drawFunction(fn, toX, toY) {
+    this.canvas.beginShape();
+    for (let i = 0; i <= MAPPER_CURVE_STEPS; i++) {
+      const u = i / MAPPER_CURVE_STEPS;
+      this.canvas.vertex(toX(u), toY(this.canvas.constrain(fn(u), 0, 1)));
+    }
+    this.canvas.endShape();
+  }
+
+  /**
+   * Right third: output scope (oldest sample on the left), with the output range marked
+   * @private
+   */
+  _drawOutput(nodeData, region) {
+    this._drawRangeMark(region, nodeData.outMin);
+    this._drawRangeMark(region, nodeData.outMax);
+
+    const { gx, gy, gw, gh } = nodeData.getGraphRect();
+    const series = nodeData.outBuf;
+
+    this.canvas.stroke(255);
+    this.canvas.strokeWeight(1);
+    this.canvas.noFill();
+    this.canvas.beginShape();
+    for (let i = 0; i < series.length; i++) {
+      const x = this.canvas.map(i, 0, series.length - 1, gx, gx + gw);
+      const y = this.canvas.map(series[i], 0, 1, gy + gh, gy);
+      this.canvas.vertex(x, y);
+    }
+    this.canvas.endShape();
+
+    // Newest value
+    this.canvas.noStroke();
+    this.canvas.fill(...COLOR_SIGNAL_CABLE);
+    this.canvas.circle(gx + gw, this.canvas.map(nodeData.getCurrentValue(), 0, 1, gy + gh, gy), TRIGGER_DOT_DIAMETER);
+  }
+}
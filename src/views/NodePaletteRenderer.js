@@ -0,0 +1,305 @@
+/**
+ * Node Palette Renderer - DOM-based searchable menu for adding nodes
+ * Opened on empty canvas; lists the entries it is given (node types and
+ * generator presets), filters them as you type and reports the pick
+ * Pure view component - coordinates with AppController via events
+ */
+
+import {
+  NODE_PALETTE_WIDTH,
+  NODE_PALETTE_LIST_MAX_HEIGHT,
+  NODE_PALETTE_EDGE_PAD
+} from '../config/constants.js';
+
+export default class NodePaletteRenderer {
+  constructor() {
+    // DOM elements
+    this.menu = null;
+    this.searchInput = null;
+    this.list = null;
+
+    // State
+    this.entries = []; // [{ id, label, group, keywords }]
+    this.matches = []; // Entries passing the search
+    this.activeIndex = 0; // Highlighted match (Enter picks it)
+    this.position = null; // Canvas position the node is created at
+
+    // Event handlers (bound)
+    this.onSearchInput = this.onSearchInput.bind(this);
+    this.onSearchKeyDown = this.onSearchKeyDown.bind(this);
+    this.onMenuEvent = this.onMenuEvent.bind(this);
+  }
+
+  /**
+   * Create the (hidden) menu
+   */
+  init() {
+    this.menu = document.createElement('div');
+    Object.assign(this.menu.style, {
+      position: 'fixed',
+      zIndex: '2000',
+      width: `${NODE_PALETTE_WIDTH}px`,
+      background: '#111',
+      color: '#fff',
+      border: '1px solid #555',
+      borderRadius: '6px',
+      boxShadow: '0 6px 20px rgba(0,0,0,0.45)',
+      font: '13px/1.4 sans-serif',
+      padding: '6px',
+      display: 'none'
+    });
+
+    // Mouse and key events inside the menu must not reach the canvas (p5 listens on window)
+    for (const type of ['mousedown', 'mouseup', 'click', 'dblclick', 'keydown', 'contextmenu']) {
+      this.menu.addEventListener(type, this.onMenuEvent);
+    }
+
+    const title = document.createElement('div');
+    title.textContent = 'Add node';
+    Object.assign(title.style, {
+      opacity: '0.7',
+      fontWeight: 'bold',
+      margin: '4px 6px 6px'
+    });
+    this.menu.appendChild(title);
+
+    this.searchInput = document.createElement('input');
+    this.searchInput.type = 'text';
+    this.searchInput.placeholder = 'Search…';
+    Object.assign(this.searchInput.style, {
+      boxSizing: 'border-box',
+      width: '100%',
+      marginBottom: '6px',
+      padding: '4px 6px',
+      background: '#1d1d1d',
+      color: '#fff',
+      border: '1px solid #555',
+      borderRadius: '4px',
+      font: '13px/1.4 sans-serif'
+    });
+    this.searchInput.addEventListener('input', this.onSearchInput);
+    this.searchInput.addEventListener('keydown', this.onSearchKeyDown);
+    this.menu.appendChild(this.searchInput);
+
+    this.list = document.createElement('div');
+    Object.assign(this.list.style, {
+      maxHeight: `${NODE_PALETTE_LIST_MAX_HEIGHT}px`,
+      overflowY: 'auto'
+    });
+    this.menu.appendChild(this.list);
+
+    document.body.appendChild(this.menu);
+  }
+
+  /**
+   * Open the menu at a canvas position
+   * @param {number} x - X position (the new node's top-left corner)
+   * @param {number} y - Y position
+   * @param {Array} entries - [{ id, label, group, keywords }]
+   */
+  show(x, y, entries) {
+    if (!this.menu) return;
+
+    this.entries = entries;
+    this.position = { x, y };
+    this.searchInput.value = '';
+    this.updateMatches();
+
+    // Keep the whole menu inside the window
+    this.menu.style.display = 'block';
+    const rect = this.menu.getBoundingClientRect();
+    const left = Math.max(0, Math.min(x, window.innerWidth - rect.width - NODE_PALETTE_EDGE_PAD));
+    const top = Math.max(0, Math.min(y, window.innerHeight - rect.height - NODE_PALETTE_EDGE_PAD));
+    this.menu.style.left = `${left}px`;
+    this.menu.style.top = `${top}px`;
+
+    this.searchInput.focus();
+  }
+
+  /**
+   * Close the menu
+   */
+  hide() {
+    if (!this.menu || !this.isOpen()) return;
+
+    this.menu.style.display = 'none';
+    this.searchInput.blur();
+  }
+
+  /**
+   * Check whether the menu is showing
+   * @returns {boolean} True while open
+   */
+  isOpen() {
+    return !!this.menu && this.menu.style.display !== 'none';
+  }
+
+  /**
+   * Filter the entries by the search text (every word has to match label, group or keywords)
+   * @private
+   */
+  updateMatches() {
+    const terms = this.searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+
+    this.matches = this.entries.filter(entry => {
+      const text = `${entry.label} ${entry.group || ''} ${entry.keywords || ''}`.toLowerCase();
+      return terms.every(term => text.includes(term));
+    });
+    this.activeIndex = 0;
+    this.renderList();
+  }
+
+  /**
+   * Rebuild the list of matching entries
+   * @private
+   */
+  renderList() {
+    this.list.innerHTML = '';
+
+    if (this.matches.length === 0) {
+      const empty = document.createElement('div');
+      empty.textContent = 'No matches';
+      Object.assign(empty.style, {
+        padding: '6px 8px',
+        opacity: '0.6'
+      });
+      this.list.appendChild(empty);
+      return;
+    }
+
+    this.matches.forEach((entry, index) => {
+      const item = document.createElement('div');
+      Object.assign(item.style, {
+        display: 'flex',
+        justifyContent: 'space-between',
+        gap: '8px',
+        padding: '6px 8px',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        background: index === this.activeIndex ? '#1d1d1d' : 'transparent'
+      });
+
+      const label = document.createElement('span');
+      label.textContent = entry.label;
+      item.appendChild(label);
+
+      if (entry.group) {
+        const group = document.createElement('span');
+        group.textContent = entry.group;
+        group.style.opacity = '0.5';
+        item.appendChild(group);
+      }
+
+      item.addEventListener('mouseenter', () => this.setActiveIndex(index));
+      item.addEventListener('click', () => this.select(entry));
+      this.list.appendChild(item);
+    });
+  }
+
+  /**
+   * Highlight a match
+   * @param {number} index - Index into the matches
+   * @private
+   */
+  setActiveIndex(index) {
+    if (this.matches.length === 0) return;
+
+    this.activeIndex = (index + this.matches.length) % this.matches.length;
+    Array.from(this.list.children).forEach((item, i) => {
+      item.style.background = i === this.activeIndex ? '#1d1d1d' : 'transparent';
+    });
+
+    const activeItem = this.list.children[this.activeIndex];
+    if (activeItem && activeItem.scrollIntoView) {
+      activeItem.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Report a picked entry and close the menu
+   * @param {object} entry - Picked entry
+   * @private
+   */
+  select(entry) {
+    const { x, y } = this.position;
+    this.hide();
+    this.emit('create', { id: entry.id, x, y });
+  }
+
+  /**
+   * Handle search text changes
+   * @private
+   */
+  onSearchInput() {
+    this.updateMatches();
+  }
+
+  /**
+   * Handle list navigation: arrows move, Enter picks, Escape closes
+   * @private
+   */
+  onSearchKeyDown(event) {
+    switch (event.key) {
+      case 'ArrowDown':
+        this.setActiveIndex(this.activeIndex + 1);
+        event.preventDefault();
+        break;
+      case 'ArrowUp':
+        this.setActiveIndex(this.activeIndex - 1);
+        event.preventDefault();
+        break;
+      case 'Enter':
+        if (this.matches[this.activeIndex]) {
+          this.select(this.matches[this.activeIndex]);
+        }
+        event.preventDefault();
+        break;
+      case 'Escape':
+        this.hide();
+        event.preventDefault();
+        break;
+    }
+  }
+
+  /**
+   * Keep events inside the menu away from the canvas handlers
+   * @private
+   */
+  onMenuEvent(event) {
+    event.stopPropagation();
+    if (event.type === 'contextmenu') {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Emit custom event for controller communication
+   * @param {string} eventName - Event name
+   * @param {*} data - Event data
+   * @private
+   */
+  emit(eventName, data) {
+    const event = new CustomEvent(`node-palette-${eventName}`, {
+      detail: data
+    });
+    document.dispatchEvent(event);
+  }
+
+  /**
+   * Clean up DOM elements and event listeners
+   */
+  destroy() {
+    if (this.menu) {
+      for (const type of ['mousedown', 'mouseup', 'click', 'dblclick', 'keydown', 'contextmenu']) {
+        this.menu.removeEventListener(type, this.onMenuEvent);
+      }
+      this.searchInput.removeEventListener('input', this.onSearchInput);
+      this.searchInput.removeEventListener('keydown', this.onSearchKeyDown);
+      this.menu.remove();
+    }
+
+    this.menu = null;
+    this.searchInput = null;
+    this.list = null;
+  }
+}
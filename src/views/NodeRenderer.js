@@ -7,12 +7,26 @@
 import { 
   COLOR_NODE_STROKE, 
   COLOR_PLAYHEAD, 
+  COLOR_GROUP_PLAYHEAD,
+  COLOR_GROUP_OUTLINE,
+  COLOR_SIGNAL_CABLE,
+  SIGNAL_PORT_SIZE,
+  SIGNAL_PORT_CROSS_RATIO,
+  SIGNAL_PORT_CROSS_WEIGHT,
+  GROUP_PLAYHEAD_WEIGHT,
+  GROUP_OUTLINE_PAD,
   COLOR_TRIGGER_LINE,
   COLOR_TRIGGER_DOT,
   COLOR_TRIGGER_PORT,
   COLOR_TRIGGER_CONNECTOR,
+  COLOR_LEARN_ARMED,
+  COLOR_HTRIGGER_BAND,
   COLOR_BACKGROUND,
+  COLOR_NOTE_ACTIVE,
+  COLOR_NOTE_IDLE,
+  COLOR_NODE_LABEL_DIM,
   TRIGGER_LINE_WEIGHT,
+  HTRIGGER_LINE_WEIGHT_SELECTED,
   TRIGGER_PORT_WEIGHT,
   TRIGGER_PORT_DIAMETER,
   TRIGGER_DOT_DIAMETER,
@@ -45,7 +59,8 @@ export default class NodeRenderer {
       isHovered = false, 
       isSelected = false, 
       isDragging = false,
-      showCreateAreas = false 
+      showCreateAreas = false,
+      signalPorts = [] // Signal ports to show (near the mouse or cabled)
     } = state;
 
     // Draw main node box
@@ -54,21 +69,34 @@ export default class NodeRenderer {
     // Draw node label/header
     this._drawNodeHeader(nodeData);
     
-    // Draw waveform graph
-    this._drawWaveform(nodeData);
+    // Draw waveform graph (piano roll for note lanes)
+    if (nodeData.notes) {
+      this._drawNotes(nodeData);
+    } else {
+      this._drawWaveform(nodeData);
+    }
     
-    // Draw playhead if playing
-    if (nodeData.playing) {
+    // Draw playhead if playing (or held by a pause); group runs draw one shared playhead
+    if ((nodeData.playing || nodeData.paused) && !nodeData.groupPace) {
       this._drawPlayhead(nodeData);
     }
 
     // Draw triggers if they exist
     this._drawTriggers(nodeData);
 
+    // Draw signal ports (diamonds on the node edges)
+    for (const port of signalPorts) {
+      this._drawSignalPort(port);
+    }
+
     // Draw create areas if hovered
     if (showCreateAreas && (isHovered || isDragging)) {
       this._drawCreateAreas(nodeData);
     }
+    // Draw selection highlight
+    if (isSelected) {
+      this.drawSelection(nodeData);
+    }
   }
 
   /**
@@ -103,6 +131,22 @@ export default class NodeRenderer {
       nodeData.label;
     
     this.canvas.text(displayHeader, nodeData.x + 6, nodeData.y + 4);
+    
+    // Pass length (musical while following a MIDI clock) and speed
+    const lengthLabel = nodeData.getLengthLabel ? nodeData.getLengthLabel() : '';
+    if (lengthLabel) {
+      this.canvas.fill(...COLOR_NODE_LABEL_DIM);
+      this.canvas.textAlign(this.canvas.RIGHT, this.canvas.TOP);
+      this.canvas.text(lengthLabel, nodeData.x + nodeData.w - 6, nodeData.y + 4);
+    }
+    
+    // Play mode (loop / ping-pong / reverse) in the bottom right corner
+    const playModeLabel = nodeData.getPlayModeLabel ? nodeData.getPlayModeLabel() : '';
+    if (playModeLabel) {
+      this.canvas.fill(...COLOR_NODE_LABEL_DIM);
+      this.canvas.textAlign(this.canvas.RIGHT, this.canvas.BOTTOM);
+      this.canvas.text(playModeLabel, nodeData.x + nodeData.w - 6, nodeData.y + nodeData.h - 4);
+    }
   }
 
   /**
@@ -128,6 +172,29 @@ export default class NodeRenderer {
     this.canvas.endShape();
   }
 
+  /**
+   * Draw note lane as a piano roll
+   * @private
+   */
+  _drawNotes(nodeData) {
+    if (nodeData.notes.length === 0) return;
+    
+    const { gx, gy, gw, gh } = nodeData.getGraphRect();
+    const { low, high } = nodeData.getPitchRange();
+    const rowH = gh / (high - low + 1);
+    
+    this.canvas.noStroke();
+    for (const note of nodeData.notes) {
+      const x = gx + gw * note.start;
+      const w = Math.max(1, gw * (note.end - note.start));
+      const y = gy + (high - note.note) * rowH;
+      
+      // Sounding notes are drawn brighter
+      this.canvas.fill(...(nodeData.isNoteActive(note) ? COLOR_NOTE_ACTIVE : COLOR_NOTE_IDLE));
+      this.canvas.rect(x, y, w, Math.max(1, rowH - 1));
+    }
+  }
+
   /**
    * Draw playhead indicator
    * @private
@@ -186,7 +253,10 @@ export default class NodeRenderer {
     
     // Draw input port (above node) with flash effect
     const inputPortFlashing = false; // Input ports don't flash
-    const inputStrokeColor = inputPortFlashing ? PORT_FLASH_COLOR : COLOR_TRIGGER_PORT;
+    let inputStrokeColor = inputPortFlashing ? PORT_FLASH_COLOR : COLOR_TRIGGER_PORT;
+    if (trigger.portInput && trigger.portInput.learnArmed) {
+      inputStrokeColor = COLOR_LEARN_ARMED;
+    }
     this.canvas.stroke(...inputStrokeColor);
     this.canvas.strokeWeight(TRIGGER_PORT_WEIGHT);
     this.canvas.fill(...COLOR_BACKGROUND);
@@ -212,9 +282,16 @@ export default class NodeRenderer {
   _drawHTrigger(nodeData, trigger) {
     const renderData = trigger.getRenderData(nodeData);
     
-    // Draw horizontal trigger line
+    // Draw hysteresis dead band behind the line
+    if (renderData.band) {
+      this.canvas.noStroke();
+      this.canvas.fill(...COLOR_HTRIGGER_BAND);
+      this.canvas.rect(renderData.band.x, renderData.band.y, renderData.band.w, renderData.band.h);
+    }
+    
+    // Draw horizontal trigger line (heavier while selected for editing)
     this.canvas.stroke(...COLOR_TRIGGER_LINE);
-    this.canvas.strokeWeight(TRIGGER_LINE_WEIGHT);
+    this.canvas.strokeWeight(renderData.isSelected ? HTRIGGER_LINE_WEIGHT_SELECTED : TRIGGER_LINE_WEIGHT);
     this.canvas.line(nodeData.x, renderData.line.y, renderData.line.endX, renderData.line.y);
     
     // Draw crossing dots at up crossing points
@@ -343,6 +420,33 @@ export default class NodeRenderer {
     );
   }
 
+  /**
+   * Draw the outline around a group of docked nodes
+   * @param {{x: number, y: number, w: number, h: number}} bounds - Group bounding box
+   */
+  drawGroupOutline(bounds) {
+    this.canvas.stroke(...COLOR_GROUP_OUTLINE);
+    this.canvas.strokeWeight(1);
+    this.canvas.noFill();
+    this.canvas.rect(
+      bounds.x - GROUP_OUTLINE_PAD,
+      bounds.y - GROUP_OUTLINE_PAD,
+      bounds.w + GROUP_OUTLINE_PAD * 2,
+      bounds.h + GROUP_OUTLINE_PAD * 2
+    );
+  }
+
+  /**
+   * Draw a group playhead spanning the whole group
+   * @param {number} x - Playhead X position
+   * @param {{x: number, y: number, w: number, h: number}} bounds - Group bounding box
+   */
+  drawGroupPlayhead(x, bounds) {
+    this.canvas.stroke(...COLOR_GROUP_PLAYHEAD);
+    this.canvas.strokeWeight(GROUP_PLAYHEAD_WEIGHT);
+    this.canvas.line(x, bounds.y, x, bounds.y + bounds.h);
+  }
+
   /**
    * Draw deletion overlay
    */
@@ -385,6 +489,35 @@ export default class NodeRenderer {
     this.canvas.text(arrowChar, x, y);
   }
 
+  /**
+   * Draw a signal port as a diamond, with a cross on hover
+   * @param {SignalPort} port - Port to draw
+   * @private
+   */
+  _drawSignalPort(port) {
+    const { x, y } = port.pos;
+    const r = SIGNAL_PORT_SIZE / 2;
+    
+    this.canvas.stroke(...(port.isHovered ? COLOR_SIGNAL_CABLE : COLOR_TRIGGER_PORT));
+    this.canvas.strokeWeight(TRIGGER_PORT_WEIGHT);
+    this.canvas.fill(...COLOR_BACKGROUND);
+    this.canvas.beginShape();
+    this.canvas.vertex(x, y - r);
+    this.canvas.vertex(x + r, y);
+    this.canvas.vertex(x, y + r);
+    this.canvas.vertex(x - r, y);
+    this.canvas.vertex(x, y - r);
+    this.canvas.endShape();
+    
+    if (port.isHovered) {
+      const arm = r * SIGNAL_PORT_CROSS_RATIO;
+      this.canvas.stroke(...PORT_HOVER_ARROW_COLOR);
+      this.canvas.strokeWeight(SIGNAL_PORT_CROSS_WEIGHT);
+      this.canvas.line(x - arm, y, x + arm, y);
+      this.canvas.line(x, y - arm, x, y + arm);
+    }
+  }
+
   /**
    * Utility: Check if point is in rectangle
    * @private
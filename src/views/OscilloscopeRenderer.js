@@ -0,0 +1,59 @@
+/**
+ * Oscilloscope Renderer - Pure rendering for oscilloscope nodes
+ * Draws the scrolling trace with its newest value marked; box, HTriggers,
+ * create areas and ports are drawn like on waveform nodes
+ * Stateless rendering functions - no business logic
+ */
+
+import NodeRenderer from './NodeRenderer.js';
+import { COLOR_SIGNAL_CABLE, TRIGGER_DOT_DIAMETER } from '../config/constants.js';
+
+export default class OscilloscopeRenderer extends NodeRenderer {
+  /**
+   * Render an oscilloscope node
+   * @param {object} nodeData - OscilloscopeNode to render
+   * @param {object} state - Additional state (hover, selection, etc.)
+   */
+  draw(nodeData, state = {}) {
+    const {
+      isHovered = false,
+      isSelected = false,
+      isDragging = false,
+      showCreateAreas = false,
+      signalPorts = [] // Signal ports to show (near the mouse or cabled)
+    } = state;
+
+    this._drawNodeBox(nodeData, isSelected, isDragging);
+    this._drawNodeHeader(nodeData);
+
+    // Trace, oldest sample on the left
+    this._drawWaveform(nodeData);
+    this._drawTraceHead(nodeData);
+
+    this._drawTriggers(nodeData);
+
+    for (const port of signalPorts) {
+      this._drawSignalPort(port);
+    }
+
+    if (showCreateAreas && (isHovered || isDragging)) {
+      this._drawCreateAreas(nodeData);
+    }
+    if (isSelected) {
+      this.drawSelection(nodeData);
+    }
+  }
+
+  /**
+   * Mark the newest value at the right end of the trace
+   * @private
+   */
+  _drawTraceHead(nodeData) {
+    const { gx, gy, gw, gh } = nodeData.getGraphRect();
+    const y = this.canvas.map(nodeData.getCurrentValue(), 0, 1, gy + gh, gy);
+
+    this.canvas.noStroke();
+    this.canvas.fill(...COLOR_SIGNAL_CABLE);
+    this.canvas.circle(gx + gw, y, TRIGGER_DOT_DIAMETER);
+  }
+}
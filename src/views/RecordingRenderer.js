@@ -141,8 +141,9 @@ export default class RecordingRenderer {
     const state = track._renderState;
     const h = buffer.height;
     
-    // Value to Y coordinate mapper (0-127 MIDI range to buffer height)
-    const valueToY = (val) => map(val, 0, 127, h - 1, 0, true);
+    // Value to Y coordinate mapper (track's MIDI range to buffer height)
+    const maxValue = track.maxValue || 127;
+    const valueToY = (val) => map(val, 0, maxValue, h - 1, 0, true);
 
     // Get current value
     const currentValue = track.values[track.values.length - 1];
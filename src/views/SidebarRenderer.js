@@ -4,6 +4,48 @@
  * Pure view component - coordinates with MidiManager via events
  */
 
+import {
+  OUTPUT_MODE_CC,
+  OUTPUT_MODE_PITCH_BEND,
+  OUTPUT_MODE_NRPN,
+  OUTPUT_MODE_RPN,
+  OUTPUT_MODE_LABELS,
+  PLAY_MODE_ONESHOT,
+  PLAY_MODE_LOOP,
+  PLAY_MODE_PINGPONG,
+  PLAY_MODE_LABELS,
+  PLAY_MODE_MAX_REPEATS,
+  NODE_LENGTH_WIDTH,
+  NODE_LENGTH_TIME,
+  NODE_LENGTH_BEATS,
+  NODE_LENGTH_LABELS,
+  NODE_MIN_SPEED,
+  NODE_MAX_SPEED,
+  NODE_MIN_LENGTH_MS,
+  NODE_MAX_LENGTH_MS,
+  NODE_MIN_LENGTH_BEATS,
+  NODE_MAX_LENGTH_BEATS,
+  PLAYBACK_MIN_RATE,
+  PLAYBACK_MAX_RATE,
+  PARAMETER_MAX_NUMBER,
+  SMF_DEFAULT_PPQ,
+  SMF_DEFAULT_BPM,
+  SMF_PPQ_OPTIONS,
+  SMF_DEFAULT_THINNING,
+  CLOCK_MIN_BPM,
+  CLOCK_MAX_BPM,
+  CLOCK_OUT_DEFAULT_BPM,
+  SCHEDULER_DEFAULT_RATE_HZ,
+  SCHEDULER_MIN_RATE_HZ,
+  SCHEDULER_MAX_RATE_HZ,
+  HTRIGGER_MAX_HYSTERESIS,
+  HTRIGGER_MAX_REFIRE_MS,
+  OSC_SOURCE_ANY,
+  OSC_SOURCE_CC,
+  OSC_SOURCE_SIGNAL,
+  MAPPER_CURVE_LABELS
+} from '../config/constants.js';
+
 export default class SidebarRenderer {
   constructor() {
     // DOM elements
@@ -12,18 +54,76 @@ export default class SidebarRenderer {
     this.inputList = null;
     this.outputList = null;
     this.channelSelect = null;
+    this.nodeHeaderLabel = null;
+    this.nodeOutputModeSelect = null;
+    this.nodeCCInput = null;
+    this.nodeParameterInput = null;
+    this.nodeChannelSelect = null;
+    this.nodeOutputList = null;
+    this.nodePlayModeSelect = null;
+    this.nodeLoopCountInput = null;
+    this.nodeLengthModeSelect = null;
+    this.nodeLengthInput = null;
+    this.nodeSpeedInput = null;
+    this.nodeLearnButton = null;
+    this.hTriggerHeaderLabel = null;
+    this.hTriggerHysteresisInput = null;
+    this.hTriggerIntervalInput = null;
+    this.scopeHeaderLabel = null;
+    this.scopeSourceSelect = null;
+    this.mapperHeaderLabel = null;
+    this.mapperCurveSelect = null;
+    this.mapperInMinInput = null;
+    this.mapperInMaxInput = null;
+    this.mapperOutMinInput = null;
+    this.mapperOutMaxInput = null;
+    this.mapperInvertCheckbox = null;
+    this.mapperCCInput = null;
+    this.mapperChannelSelect = null;
+    this.triggerMappingList = null;
+    this.outputRateInput = null;
+    this.playbackRateInput = null;
+    this.clockFollowCheckbox = null;
+    this.clockSendCheckbox = null;
+    this.clockBpmInput = null;
+    this.clockStartOnPlayCheckbox = null;
+    this.clockStatusLabel = null;
     this.inputAllCheckbox = null;
     this.outputAllCheckbox = null;
+    this.patchSaveButton = null;
+    this.patchOpenButton = null;
+    this.midiExportPpqSelect = null;
+    this.midiExportBpmInput = null;
+    this.midiExportThinningInput = null;
+    this.midiExportButton = null;
     
     // State
     this.collapsed = false;
     this.suppressUIUpdates = false;
+    this.outputDevices = []; // Last output list, for the node inspector
+    this.scopeSources = new Map(); // Source select value -> oscilloscope source
     
     // Event handlers (bound)
     this.onToggleClick = this.onToggleClick.bind(this);
     this.onInputAllChange = this.onInputAllChange.bind(this);
     this.onOutputAllChange = this.onOutputAllChange.bind(this);
     this.onChannelChange = this.onChannelChange.bind(this);
+    this.onOutputRateChange = this.onOutputRateChange.bind(this);
+    this.onPlaybackRateChange = this.onPlaybackRateChange.bind(this);
+    this.onClockFollowChange = this.onClockFollowChange.bind(this);
+    this.onClockSendChange = this.onClockSendChange.bind(this);
+    this.onClockBpmChange = this.onClockBpmChange.bind(this);
+    this.onClockStartOnPlayChange = this.onClockStartOnPlayChange.bind(this);
+    this.onNodeOutputChange = this.onNodeOutputChange.bind(this);
+    this.onNodePlayChange = this.onNodePlayChange.bind(this);
+    this.onNodeTimingChange = this.onNodeTimingChange.bind(this);
+    this.onNodeLearnClick = this.onNodeLearnClick.bind(this);
+    this.onHTriggerChange = this.onHTriggerChange.bind(this);
+    this.onScopeSourceChange = this.onScopeSourceChange.bind(this);
+    this.onMapperChange = this.onMapperChange.bind(this);
+    this.onPatchSaveClick = this.onPatchSaveClick.bind(this);
+    this.onPatchOpenClick = this.onPatchOpenClick.bind(this);
+    this.onMidiExportClick = this.onMidiExportClick.bind(this);
   }
 
   /**
@@ -91,6 +191,15 @@ export default class SidebarRenderer {
     this.createInputSection();
     this.createOutputSection();
     this.createChannelSection();
+    this.createPlaybackSection();
+    this.createSyncSection();
+    this.createNodeSection();
+    this.createHTriggerSection();
+    this.createScopeSection();
+    this.createMapperSection();
+    this.createTriggerMappingSection();
+    this.createPatchSection();
+    this.createMidiExportSection();
 
     document.body.appendChild(this.sidebar);
   }
@@ -243,6 +352,616 @@ export default class SidebarRenderer {
     this.sidebar.appendChild(this.channelSelect);
   }
 
+  /**
+   * Create the playback section (play/pause/stop, output scheduling)
+   * @private
+   */
+  createPlaybackSection() {
+    // Header
+    const header = document.createElement('div');
+    header.textContent = 'Playback';
+    Object.assign(header.style, {
+      font: 'bold 12px/1.2 sans-serif',
+      opacity: '0.85',
+      margin: '16px 0 6px'
+    });
+    this.sidebar.appendChild(header);
+
+    // Play / pause / stop the patch
+    const controlRow = document.createElement('div');
+    Object.assign(controlRow.style, {
+      display: 'flex',
+      gap: '8px',
+      margin: '4px 0'
+    });
+    controlRow.appendChild(this.createButton('Play', () => this.emit('playback-command', 'play')));
+    controlRow.appendChild(this.createButton('Pause', () => this.emit('playback-command', 'pause')));
+    controlRow.appendChild(this.createButton('Stop', () => this.emit('playback-command', 'stop')));
+    this.sidebar.appendChild(controlRow);
+
+    this.playbackRateInput = this.createNumberInput(1, PLAYBACK_MIN_RATE, PLAYBACK_MAX_RATE, 0.05);
+    this.playbackRateInput.title = 'Global speed: multiplies the speed of every node';
+    this.playbackRateInput.addEventListener('change', this.onPlaybackRateChange);
+    this.sidebar.appendChild(this.createFieldRow('Speed (×)', this.playbackRateInput));
+
+    this.outputRateInput = this.createNumberInput(
+      SCHEDULER_DEFAULT_RATE_HZ,
+      SCHEDULER_MIN_RATE_HZ,
+      SCHEDULER_MAX_RATE_HZ,
+      10
+    );
+    this.outputRateInput.title = 'Output values computed per second for each playing node';
+    this.outputRateInput.addEventListener('change', this.onOutputRateChange);
+    this.sidebar.appendChild(this.createFieldRow('Rate (Hz)', this.outputRateInput));
+  }
+
+  /**
+   * Create the sync section (MIDI clock follow / clock output)
+   * @private
+   */
+  createSyncSection() {
+    // Header
+    const header = document.createElement('div');
+    header.textContent = 'Sync';
+    Object.assign(header.style, {
+      font: 'bold 12px/1.2 sans-serif',
+      opacity: '0.85',
+      margin: '16px 0 6px'
+    });
+    this.sidebar.appendChild(header);
+
+    this.clockFollowCheckbox = this.appendCheckboxRow(
+      'midi_clock_follow',
+      'Follow MIDI clock',
+      'Node lengths snap to beats at the incoming tempo; external Start/Stop run the patch',
+      this.onClockFollowChange
+    );
+    this.clockSendCheckbox = this.appendCheckboxRow(
+      'midi_clock_send',
+      'Send MIDI clock',
+      'Send 24-PPQN clock at the tempo below to the selected outputs',
+      this.onClockSendChange
+    );
+
+    this.clockBpmInput = this.createNumberInput(CLOCK_OUT_DEFAULT_BPM, CLOCK_MIN_BPM, CLOCK_MAX_BPM, 1);
+    this.clockBpmInput.addEventListener('change', this.onClockBpmChange);
+    this.sidebar.appendChild(this.createFieldRow('Tempo', this.clockBpmInput));
+
+    // Transport buttons
+    const transportRow = document.createElement('div');
+    Object.assign(transportRow.style, {
+      display: 'flex',
+      gap: '8px',
+      margin: '4px 0'
+    });
+    transportRow.appendChild(this.createButton('Start', () => this.emit('transport-command', 'start')));
+    transportRow.appendChild(this.createButton('Stop', () => this.emit('transport-command', 'stop')));
+    transportRow.appendChild(this.createButton('Continue', () => this.emit('transport-command', 'continue')));
+    this.sidebar.appendChild(transportRow);
+
+    this.clockStartOnPlayCheckbox = this.appendCheckboxRow(
+      'midi_clock_start_on_play',
+      'Node start sends Start',
+      'Starting a node (click or trigger input) sends Start while the transport is stopped',
+      this.onClockStartOnPlayChange
+    );
+
+    // Tempo / transport readout
+    this.clockStatusLabel = document.createElement('div');
+    Object.assign(this.clockStatusLabel.style, {
+      font: '12px/1.2 sans-serif',
+      opacity: '0.7'
+    });
+    this.sidebar.appendChild(this.clockStatusLabel);
+
+    this.updateClockStatus({ bpm: null, running: false, sending: false });
+  }
+
+  /**
+   * Append a checkbox with a label to the sidebar
+   * @param {string} id - Checkbox element ID
+   * @param {string} text - Label text
+   * @param {string} title - Tooltip
+   * @param {function} onChange - Change handler
+   * @returns {HTMLInputElement} Checkbox
+   * @private
+   */
+  appendCheckboxRow(id, text, title, onChange) {
+    const row = document.createElement('div');
+    Object.assign(row.style, {
+      display: 'flex',
+      gap: '8px',
+      alignItems: 'center',
+      marginBottom: '4px'
+    });
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = id;
+    checkbox.addEventListener('change', onChange);
+
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = text;
+    label.title = title;
+
+    row.appendChild(checkbox);
+    row.appendChild(label);
+    this.sidebar.appendChild(row);
+    return checkbox;
+  }
+
+  /**
+   * Create the node inspector section (output of the selected node)
+   * @private
+   */
+  createNodeSection() {
+    // Header
+    const header = document.createElement('div');
+    header.textContent = 'Node';
+    Object.assign(header.style, {
+      font: 'bold 12px/1.2 sans-serif',
+      opacity: '0.85',
+      margin: '16px 0 6px'
+    });
+    this.sidebar.appendChild(header);
+
+    this.nodeHeaderLabel = document.createElement('div');
+    Object.assign(this.nodeHeaderLabel.style, {
+      font: '12px/1.2 sans-serif',
+      opacity: '0.7',
+      marginBottom: '4px'
+    });
+    this.sidebar.appendChild(this.nodeHeaderLabel);
+
+    // Output mode select
+    this.nodeOutputModeSelect = document.createElement('select');
+    Object.assign(this.nodeOutputModeSelect.style, this.getFieldStyle(), { width: '110px' });
+    for (const [mode, label] of Object.entries(OUTPUT_MODE_LABELS)) {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = label;
+      this.nodeOutputModeSelect.appendChild(option);
+    }
+
+    this.nodeCCInput = this.createNumberInput(1, 0, 127, 1);
+    this.nodeParameterInput = this.createNumberInput(0, 0, PARAMETER_MAX_NUMBER, 1);
+
+    // Channel select - "Global" follows the Channel section
+    this.nodeChannelSelect = document.createElement('select');
+    Object.assign(this.nodeChannelSelect.style, this.getFieldStyle(), { width: '110px' });
+    const globalOption = document.createElement('option');
+    globalOption.value = '';
+    globalOption.textContent = 'Global';
+    this.nodeChannelSelect.appendChild(globalOption);
+    for (let i = 1; i <= 16; i++) {
+      const option = document.createElement('option');
+      option.value = String(i - 1); // Store as 0-15
+      option.textContent = `CH ${i}`;
+      this.nodeChannelSelect.appendChild(option);
+    }
+
+    // Device checkboxes, rebuilt by updateNodeInspector()
+    this.nodeOutputList = document.createElement('div');
+    Object.assign(this.nodeOutputList.style, {
+      display: 'grid',
+      gap: '4px',
+      margin: '4px 0',
+      font: '12px/1.2 sans-serif'
+    });
+
+    this.nodeOutputModeSelect.addEventListener('change', this.onNodeOutputChange);
+    this.nodeCCInput.addEventListener('change', this.onNodeOutputChange);
+    this.nodeParameterInput.addEventListener('change', this.onNodeOutputChange);
+    this.nodeChannelSelect.addEventListener('change', this.onNodeOutputChange);
+
+    this.sidebar.appendChild(this.createFieldRow('Output', this.nodeOutputModeSelect));
+    this.sidebar.appendChild(this.createFieldRow('CC', this.nodeCCInput));
+    this.sidebar.appendChild(this.createFieldRow('Param #', this.nodeParameterInput));
+    this.sidebar.appendChild(this.createFieldRow('Channel', this.nodeChannelSelect));
+    this.sidebar.appendChild(this.nodeOutputList);
+
+    // Play mode and repeats (0 = forever)
+    this.nodePlayModeSelect = document.createElement('select');
+    Object.assign(this.nodePlayModeSelect.style, this.getFieldStyle(), { width: '110px' });
+    for (const [mode, label] of Object.entries(PLAY_MODE_LABELS)) {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = label;
+      this.nodePlayModeSelect.appendChild(option);
+    }
+    this.nodeLoopCountInput = this.createNumberInput(0, 0, PLAY_MODE_MAX_REPEATS, 1);
+    this.nodeLoopCountInput.title = 'Loop: passes, ping-pong: there-and-back cycles (0 = forever)';
+
+    this.nodePlayModeSelect.addEventListener('change', this.onNodePlayChange);
+    this.nodeLoopCountInput.addEventListener('change', this.onNodePlayChange);
+
+    this.sidebar.appendChild(this.createFieldRow('Play', this.nodePlayModeSelect));
+    this.sidebar.appendChild(this.createFieldRow('Repeats', this.nodeLoopCountInput));
+
+    // Pass length (drawn width, seconds or beats) and speed
+    this.nodeLengthModeSelect = document.createElement('select');
+    Object.assign(this.nodeLengthModeSelect.style, this.getFieldStyle(), { width: '110px' });
+    for (const [mode, label] of Object.entries(NODE_LENGTH_LABELS)) {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = label;
+      this.nodeLengthModeSelect.appendChild(option);
+    }
+    this.nodeLengthModeSelect.title = 'Width: the drawn width sets the time; seconds and beats keep it whatever the width';
+    this.nodeLengthInput = this.createNumberInput('', NODE_MIN_LENGTH_MS / 1000, NODE_MAX_LENGTH_MS / 1000, NODE_MIN_LENGTH_MS / 1000);
+    this.nodeLengthInput.title = 'One pass, in seconds or quarter-note beats';
+    this.nodeSpeedInput = this.createNumberInput(1, NODE_MIN_SPEED, NODE_MAX_SPEED, 0.05);
+
+    this.nodeLengthModeSelect.addEventListener('change', this.onNodeTimingChange);
+    this.nodeLengthInput.addEventListener('change', this.onNodeTimingChange);
+    this.nodeSpeedInput.addEventListener('change', this.onNodeTimingChange);
+
+    this.sidebar.appendChild(this.createFieldRow('Length', this.nodeLengthModeSelect));
+    this.sidebar.appendChild(this.createFieldRow('Secs / beats', this.nodeLengthInput));
+    this.sidebar.appendChild(this.createFieldRow('Speed (×)', this.nodeSpeedInput));
+
+    // MIDI Learn - the next CC received sets CC, channel and device
+    this.nodeLearnButton = this.createButton('Learn', this.onNodeLearnClick);
+    this.nodeLearnButton.title = 'Move a hardware control to assign its CC, channel and device to this node';
+    this.sidebar.appendChild(this.nodeLearnButton);
+
+    this.updateNodeInspector(null);
+    this.updateNodeLearn(false);
+  }
+
+  /**
+   * Create the HTrigger inspector (chatter suppression of the selected HTrigger)
+   * @private
+   */
+  createHTriggerSection() {
+    // Header
+    const header = document.createElement('div');
+    header.textContent = 'HTrigger';
+    Object.assign(header.style, {
+      font: 'bold 12px/1.2 sans-serif',
+      opacity: '0.85',
+      margin: '16px 0 6px'
+    });
+    this.sidebar.appendChild(header);
+
+    this.hTriggerHeaderLabel = document.createElement('div');
+    Object.assign(this.hTriggerHeaderLabel.style, {
+      font: '12px/1.2 sans-serif',
+      opacity: '0.7',
+      marginBottom: '4px'
+    });
+    this.sidebar.appendChild(this.hTriggerHeaderLabel);
+
+    // Dead band width in percent of the value range
+    this.hTriggerHysteresisInput = this.createNumberInput(0, 0, HTRIGGER_MAX_HYSTERESIS * 100, 1);
+    this.hTriggerHysteresisInput.title = 'Dead band around the level: the waveform has to leave it before the opposite crossing fires';
+    this.hTriggerHysteresisInput.addEventListener('change', this.onHTriggerChange);
+    this.sidebar.appendChild(this.createFieldRow('Hysteresis (%)', this.hTriggerHysteresisInput));
+
+    this.hTriggerIntervalInput = this.createNumberInput(0, 0, HTRIGGER_MAX_REFIRE_MS, 10);
+    this.hTriggerIntervalInput.title = 'Minimum time before the same port fires again';
+    this.hTriggerIntervalInput.addEventListener('change', this.onHTriggerChange);
+    this.sidebar.appendChild(this.createFieldRow('Min interval (ms)', this.hTriggerIntervalInput));
+
+    this.updateTriggerInspector(null);
+  }
+
+  /**
+   * Create the oscilloscope inspector (input of the selected oscilloscope)
+   * @private
+   */
+  createScopeSection() {
+    // Header
+    const header = document.createElement('div');
+    header.textContent = 'Oscilloscope';
+    Object.assign(header.style, {
+      font: 'bold 12px/1.2 sans-serif',
+      opacity: '0.85',
+      margin: '16px 0 6px'
+    });
+    this.sidebar.appendChild(header);
+
+    this.scopeHeaderLabel = document.createElement('div');
+    Object.assign(this.scopeHeaderLabel.style, {
+      font: '12px/1.2 sans-serif',
+      opacity: '0.7',
+      marginBottom: '4px'
+    });
+    this.sidebar.appendChild(this.scopeHeaderLabel);
+
+    // Source select, rebuilt by updateScopeInspector()
+    this.scopeSourceSelect = document.createElement('select');
+    Object.assign(this.scopeSourceSelect.style, this.getFieldStyle(), { width: '160px' });
+    this.scopeSourceSelect.title = 'Input traced by the oscilloscope (controllers appear once they have sent a value)';
+    this.scopeSourceSelect.addEventListener('change', this.onScopeSourceChange);
+    this.sidebar.appendChild(this.createFieldRow('Source', this.scopeSourceSelect));
+
+    this.updateScopeInspector(null, []);
+  }
+
+  /**
+   * Create the mapper inspector (curve, ranges and CC output of the selected mapper)
+   * @private
+   */
+  createMapperSection() {
+    // Header
+    const header = document.createElement('div');
+    header.textContent = 'Mapper';
+    Object.assign(header.style, {
+      font: 'bold 12px/1.2 sans-serif',
+      opacity: '0.85',
+      margin: '16px 0 6px'
+    });
+    this.sidebar.appendChild(header);
+
+    this.mapperHeaderLabel = document.createElement('div');
+    Object.assign(this.mapperHeaderLabel.style, {
+      font: '12px/1.2 sans-serif',
+      opacity: '0.7',
+      marginBottom: '4px'
+    });
+    this.sidebar.appendChild(this.mapperHeaderLabel);
+
+    // Curve type
+    this.mapperCurveSelect = document.createElement('select');
+    Object.assign(this.mapperCurveSelect.style, this.getFieldStyle(), { width: '110px' });
+    for (const [mode, label] of Object.entries(MAPPER_CURVE_LABELS)) {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = label;
+      this.mapperCurveSelect.appendChild(option);
+    }
+    this.mapperCurveSelect.title = 'Points: click the curve to add a point, drag to move it, right-click to remove it';
+    this.mapperCurveSelect.addEventListener('change', this.onMapperChange);
+    this.sidebar.appendChild(this.createFieldRow('Curve', this.mapperCurveSelect));
+
+    // Ranges in MIDI values (0-127)
+    this.mapperInMinInput = this.createNumberInput(0, 0, 127, 1);
+    this.mapperInMaxInput = this.createNumberInput(127, 0, 127, 1);
+    this.mapperInMinInput.title = 'Inputs at or below this value map to the start of the curve';
+    this.mapperInMaxInput.title = 'Inputs at or above this value map to the end of the curve';
+    this.mapperOutMinInput = this.createNumberInput(0, 0, 127, 1);
+    this.mapperOutMaxInput = this.createNumberInput(127, 0, 127, 1);
+    this.mapperOutMinInput.title = 'Output at the bottom of the curve';
+    this.mapperOutMaxInput.title = 'Output at the top of the curve';
+
+    for (const input of [this.mapperInMinInput, this.mapperInMaxInput, this.mapperOutMinInput, this.mapperOutMaxInput]) {
+      input.addEventListener('change', this.onMapperChange);
+    }
+    this.sidebar.appendChild(this.createFieldRow('In min', this.mapperInMinInput));
+    this.sidebar.appendChild(this.createFieldRow('In max', this.mapperInMaxInput));
+    this.sidebar.appendChild(this.createFieldRow('Out min', this.mapperOutMinInput));
+    this.sidebar.appendChild(this.createFieldRow('Out max', this.mapperOutMaxInput));
+
+    this.mapperInvertCheckbox = this.appendCheckboxRow(
+      'mapper_invert',
+      'Invert',
+      'Flip the curve output before the output range',
+      this.onMapperChange
+    );
+
+    // CC output (blank = signal output only) and channel
+    this.mapperCCInput = this.createNumberInput('', 0, 127, 1);
+    this.mapperCCInput.placeholder = 'off';
+    this.mapperCCInput.title = 'Send the mapped value as this CC (leave blank to only feed the signal output)';
+    this.mapperCCInput.addEventListener('change', this.onMapperChange);
+
+    this.mapperChannelSelect = document.createElement('select');
+    Object.assign(this.mapperChannelSelect.style, this.getFieldStyle(), { width: '110px' });
+    const globalOption = document.createElement('option');
+    globalOption.value = '';
+    globalOption.textContent = 'Global';
+    this.mapperChannelSelect.appendChild(globalOption);
+    for (let i = 1; i <= 16; i++) {
+      const option = document.createElement('option');
+      option.value = String(i - 1); // Store as 0-15
+      option.textContent = `CH ${i}`;
+      this.mapperChannelSelect.appendChild(option);
+    }
+    this.mapperChannelSelect.addEventListener('change', this.onMapperChange);
+
+    this.sidebar.appendChild(this.createFieldRow('CC', this.mapperCCInput));
+    this.sidebar.appendChild(this.createFieldRow('Channel', this.mapperChannelSelect));
+
+    this.updateMapperInspector(null);
+  }
+
+  /**
+   * Create the MIDI trigger mapping section (messages that fire input ports)
+   * @private
+   */
+  createTriggerMappingSection() {
+    // Header
+    const header = document.createElement('div');
+    header.textContent = 'MIDI Triggers';
+    Object.assign(header.style, {
+      font: 'bold 12px/1.2 sans-serif',
+      opacity: '0.85',
+      margin: '16px 0 6px'
+    });
+    this.sidebar.appendChild(header);
+
+    // Mapping rows, rebuilt by updateTriggerMappings()
+    this.triggerMappingList = document.createElement('div');
+    Object.assign(this.triggerMappingList.style, {
+      display: 'grid',
+      gap: '4px',
+      font: '12px/1.2 sans-serif'
+    });
+    this.sidebar.appendChild(this.triggerMappingList);
+
+    this.updateTriggerMappings([]);
+  }
+
+  /**
+   * Create the patch section (save/open)
+   * @private
+   */
+  createPatchSection() {
+    // Header
+    const header = document.createElement('div');
+    header.textContent = 'Patch';
+    Object.assign(header.style, {
+      font: 'bold 12px/1.2 sans-serif',
+      opacity: '0.85',
+      margin: '16px 0 6px'
+    });
+    this.sidebar.appendChild(header);
+
+    // Button row
+    const row = document.createElement('div');
+    Object.assign(row.style, {
+      display: 'flex',
+      gap: '8px'
+    });
+
+    this.patchSaveButton = this.createButton('Save', this.onPatchSaveClick);
+    this.patchOpenButton = this.createButton('Open', this.onPatchOpenClick);
+
+    row.appendChild(this.patchSaveButton);
+    row.appendChild(this.patchOpenButton);
+    this.sidebar.appendChild(row);
+  }
+
+  /**
+   * Create the MIDI file export section (PPQ, tempo, thinning)
+   * @private
+   */
+  createMidiExportSection() {
+    // Header
+    const header = document.createElement('div');
+    header.textContent = 'MIDI File';
+    Object.assign(header.style, {
+      font: 'bold 12px/1.2 sans-serif',
+      opacity: '0.85',
+      margin: '16px 0 6px'
+    });
+    this.sidebar.appendChild(header);
+
+    // PPQ select
+    this.midiExportPpqSelect = document.createElement('select');
+    Object.assign(this.midiExportPpqSelect.style, this.getFieldStyle());
+    for (const ppq of SMF_PPQ_OPTIONS) {
+      const option = document.createElement('option');
+      option.value = String(ppq);
+      option.textContent = String(ppq);
+      this.midiExportPpqSelect.appendChild(option);
+    }
+    this.midiExportPpqSelect.value = String(SMF_DEFAULT_PPQ);
+
+    this.midiExportBpmInput = this.createNumberInput(SMF_DEFAULT_BPM, 20, 300, 1);
+    this.midiExportThinningInput = this.createNumberInput(SMF_DEFAULT_THINNING, 1, 16, 1);
+
+    this.sidebar.appendChild(this.createFieldRow('PPQ', this.midiExportPpqSelect));
+    this.sidebar.appendChild(this.createFieldRow('Tempo', this.midiExportBpmInput));
+    this.sidebar.appendChild(this.createFieldRow('Thinning', this.midiExportThinningInput));
+
+    // Export button - exports selected nodes (Shift+click), or all nodes
+    this.midiExportButton = this.createButton('Export .mid', this.onMidiExportClick);
+    this.midiExportButton.title = 'Exports selected nodes (Shift+click to select), or all nodes';
+    this.midiExportButton.style.marginTop = '6px';
+    this.sidebar.appendChild(this.midiExportButton);
+  }
+
+  /**
+   * Shared style for sidebar form fields
+   * @returns {object} CSS properties
+   * @private
+   */
+  getFieldStyle() {
+    return {
+      font: '12px sans-serif',
+      padding: '2px 4px',
+      background: '#111',
+      color: '#fff',
+      border: '1px solid #666',
+      borderRadius: '4px',
+      width: '72px'
+    };
+  }
+
+  /**
+   * Create a numeric input
+   * @param {number} value - Initial value
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
+   * @param {number} step - Step size
+   * @returns {HTMLInputElement} Input element
+   * @private
+   */
+  createNumberInput(value, min, max, step) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.value = String(value);
+    this.setNumberInputRange(input, min, max, step);
+    Object.assign(input.style, this.getFieldStyle());
+    return input;
+  }
+
+  /**
+   * Set the limits of a number input
+   * @param {HTMLInputElement} input - Number input
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
+   * @param {number} step - Step size
+   * @private
+   */
+  setNumberInputRange(input, min, max, step) {
+    input.min = String(min);
+    input.max = String(max);
+    input.step = String(step);
+  }
+
+  /**
+   * Create a labelled row for a form field
+   * @param {string} labelText - Field label
+   * @param {HTMLElement} field - Field element
+   * @returns {HTMLDivElement} Row element
+   * @private
+   */
+  createFieldRow(labelText, field) {
+    const row = document.createElement('label');
+    Object.assign(row.style, {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      gap: '8px',
+      margin: '4px 0',
+      font: '12px/1.2 sans-serif'
+    });
+
+    const label = document.createElement('span');
+    label.textContent = labelText;
+
+    row.appendChild(label);
+    row.appendChild(field);
+    return row;
+  }
+
+  /**
+   * Create a sidebar action button
+   * @param {string} text - Button label
+   * @param {function} onClick - Click handler
+   * @returns {HTMLButtonElement} Button element
+   * @private
+   */
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    Object.assign(button.style, {
+      font: '12px sans-serif',
+      padding: '4px 10px',
+      background: '#111',
+      color: '#fff',
+      border: '1px solid #666',
+      borderRadius: '4px',
+      cursor: 'pointer'
+    });
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
   /**
    * Toggle sidebar collapsed state
    * @private
@@ -269,7 +988,7 @@ export default class SidebarRenderer {
   /**
    * Update input devices list
    * @param {array} inputs - Array of MIDI input devices
-   * @param {string|array} inputMode - Current input mode ('all', 'none', or array)
+   * @param {string|array} inputMode - Current input mode ('all', 'none', or array of selection entries)
    */
   updateInputDevices(inputs, inputMode) {
     this.suppressUIUpdates = true;
@@ -282,34 +1001,7 @@ export default class SidebarRenderer {
     this.inputAllCheckbox.disabled = (inputs.length === 0);
 
     // Create individual device checkboxes
-    const selectedIndices = Array.isArray(inputMode) ? new Set(inputMode.map(String)) : new Set();
-
-    inputs.forEach((input, index) => {
-      const row = document.createElement('div');
-      Object.assign(row.style, {
-        display: 'flex',
-        gap: '8px',
-        alignItems: 'center'
-      });
-
-      const checkbox = document.createElement('input');
-      checkbox.type = 'checkbox';
-      checkbox.dataset.index = String(index);
-      checkbox.checked = (inputMode === 'all') ? true : selectedIndices.has(String(index));
-
-      const label = document.createElement('label');
-      label.textContent = input.name || `Input ${index + 1}`;
-
-      row.appendChild(checkbox);
-      row.appendChild(label);
-      this.inputList.appendChild(row);
-
-      // Add event listener
-      checkbox.addEventListener('change', (e) => {
-        if (this.suppressUIUpdates) return;
-        this.onInputDeviceChange();
-      });
-    });
+    this.appendDeviceRows(this.inputList, inputs, inputMode, 'Input', () => this.onInputDeviceChange());
 
     this.suppressUIUpdates = false;
   }
@@ -317,50 +1009,81 @@ export default class SidebarRenderer {
   /**
    * Update output devices list
    * @param {array} outputs - Array of MIDI output devices
-   * @param {string|array} outputSelection - Current output selection
+   * @param {string|array} outputSelection - Current output selection ('all' or array of selection entries)
    */
   updateOutputDevices(outputs, outputSelection) {
     this.suppressUIUpdates = true;
+    this.outputDevices = outputs;
 
     // Clear existing list
     this.outputList.innerHTML = '';
 
     // Update "All" checkbox
-    const isAll = (outputSelection === 'all');
-    this.outputAllCheckbox.checked = isAll;
+    this.outputAllCheckbox.checked = (outputSelection === 'all');
     this.outputAllCheckbox.disabled = (outputs.length === 0);
 
     // Create individual device checkboxes
-    const selectedIndices = Array.isArray(outputSelection) ? new Set(outputSelection.map(String)) : new Set();
+    this.appendDeviceRows(this.outputList, outputs, outputSelection, 'Output', () => this.onOutputDeviceChange());
+
+    this.suppressUIUpdates = false;
+  }
+
+  /**
+   * Create one checkbox row per device, plus rows for selected devices
+   * that are not connected (flagged as missing, uncheck to forget them)
+   * @param {HTMLElement} list - Container
+   * @param {array} ports - Connected devices
+   * @param {string|array} selection - 'all', 'none', or array of { id, name } entries
+   * @param {string} fallbackName - Name prefix for unnamed devices
+   * @param {function} onChange - Checkbox change handler
+   * @private
+   */
+  appendDeviceRows(list, ports, selection, fallbackName, onChange) {
+    const entries = Array.isArray(selection) ? selection : [];
+    const selectedIds = new Set(entries.map(entry => entry.id));
+
+    const rows = ports.map((port, index) => ({
+      id: port.id,
+      name: port.name || `${fallbackName} ${index + 1}`,
+      checked: selection === 'all' || selectedIds.has(port.id),
+      missing: false
+    }));
+    for (const entry of entries) {
+      if (!ports.some(port => port.id === entry.id)) {
+        rows.push({ id: entry.id, name: entry.name || entry.id, checked: true, missing: true });
+      }
+    }
 
-    outputs.forEach((output, index) => {
+    for (const rowData of rows) {
       const row = document.createElement('div');
       Object.assign(row.style, {
         display: 'flex',
         gap: '8px',
-        alignItems: 'center'
+        alignItems: 'center',
+        opacity: rowData.missing ? '0.5' : '1'
       });
 
       const checkbox = document.createElement('input');
       checkbox.type = 'checkbox';
-      checkbox.dataset.index = String(index);
-      checkbox.checked = isAll ? true : selectedIndices.has(String(index));
+      checkbox.dataset.id = rowData.id;
+      checkbox.checked = rowData.checked;
 
       const label = document.createElement('label');
-      label.textContent = output.name || `Output ${index + 1}`;
+      label.textContent = rowData.missing ? `${rowData.name} (missing)` : rowData.name;
+      if (rowData.missing) {
+        label.title = 'Not connected - restored automatically when it comes back';
+      }
 
       row.appendChild(checkbox);
       row.appendChild(label);
-      this.outputList.appendChild(row);
+      list.appendChild(row);
 
       // Add event listener
-      checkbox.addEventListener('change', (e) => {
+      checkbox.addEventListener('change', () => {
         if (this.suppressUIUpdates) return;
-        this.onOutputDeviceChange();
+        onChange();
       });
-    });
-
-    this.suppressUIUpdates = false;
+    }
   }
 
   /**
@@ -371,6 +1094,336 @@ export default class SidebarRenderer {
     this.channelSelect.value = String(channel);
   }
 
+  /**
+   * Show the output rate
+   * @param {number} hz - Rate in Hz
+   */
+  updateOutputRate(hz) {
+    if (!this.outputRateInput) return;
+    this.outputRateInput.value = String(hz);
+  }
+
+  /**
+   * Show the global playback rate
+   * @param {number} rate - Multiplier
+   */
+  updatePlaybackRate(rate) {
+    if (!this.playbackRateInput) return;
+    this.playbackRateInput.value = String(rate);
+  }
+
+  /**
+   * Show the active clock state
+   * @param {object} status - { bpm, running, sending } (sending = internal transport)
+   */
+  updateClockStatus({ bpm, running, sending = false }) {
+    if (!this.clockStatusLabel) return;
+
+    if (bpm === null) {
+      this.clockStatusLabel.textContent = 'No clock';
+      return;
+    }
+    const state = `${bpm.toFixed(1)} BPM ${running ? '▶' : '■'}`;
+    this.clockStatusLabel.textContent = sending ? `Sending ${state}` : state;
+  }
+
+  /**
+   * Show which sync modes are on (they exclude each other)
+   * @param {object} modes - { follow, send }
+   */
+  updateSyncModes({ follow, send }) {
+    if (!this.clockFollowCheckbox) return;
+
+    this.clockFollowCheckbox.checked = follow;
+    this.clockSendCheckbox.checked = send;
+  }
+
+  /**
+   * Show the internal transport tempo
+   * @param {number} bpm - Tempo in BPM
+   */
+  updateTransportBpm(bpm) {
+    if (!this.clockBpmInput) return;
+    this.clockBpmInput.value = String(bpm);
+  }
+
+  /**
+   * Show the output settings of the selected node
+   * @param {object|null} settings - { header, outputMode, cc, parameter, channel, deviceIds, playMode, loopCount,
+   *   lengthMode, lengthMs, lengthBeats, speed } or null when no single node is selected
+   */
+  updateNodeInspector(settings) {
+    if (!this.nodeHeaderLabel) return;
+
+    this.suppressUIUpdates = true;
+
+    const editable = !!settings && settings.outputMode in OUTPUT_MODE_LABELS;
+    const usesParameter = editable &&
+      (settings.outputMode === OUTPUT_MODE_NRPN || settings.outputMode === OUTPUT_MODE_RPN);
+    const usesCC = editable && !usesParameter && settings.outputMode !== OUTPUT_MODE_PITCH_BEND;
+
+    this.nodeHeaderLabel.textContent = settings ? settings.header : 'Shift+click a node to edit it';
+    this.nodeOutputModeSelect.disabled = !editable;
+    this.nodeCCInput.disabled = !usesCC;
+    this.nodeParameterInput.disabled = !usesParameter;
+    this.nodeChannelSelect.disabled = !settings;
+    this.nodeLearnButton.disabled = !settings;
+    this.nodeChannelSelect.value = (settings && settings.channel != null) ? String(settings.channel) : '';
+    this.updateNodeOutputList(settings ? settings.deviceIds : null, !settings);
+
+    const playMode = settings && settings.playMode in PLAY_MODE_LABELS ? settings.playMode : PLAY_MODE_ONESHOT;
+    const repeats = playMode === PLAY_MODE_LOOP || playMode === PLAY_MODE_PINGPONG;
+    this.nodePlayModeSelect.disabled = !settings;
+    this.nodePlayModeSelect.value = playMode;
+    this.nodeLoopCountInput.disabled = !repeats;
+    this.nodeLoopCountInput.value = repeats ? String(settings.loopCount || 0) : '';
+
+    const lengthMode = settings && settings.lengthMode in NODE_LENGTH_LABELS ? settings.lengthMode : NODE_LENGTH_WIDTH;
+    this.nodeLengthModeSelect.disabled = !settings;
+    this.nodeLengthModeSelect.value = lengthMode;
+    this.nodeLengthInput.disabled = lengthMode === NODE_LENGTH_WIDTH;
+    if (lengthMode === NODE_LENGTH_TIME) {
+      this.setNumberInputRange(this.nodeLengthInput, NODE_MIN_LENGTH_MS / 1000, NODE_MAX_LENGTH_MS / 1000, NODE_MIN_LENGTH_MS / 1000);
+      this.nodeLengthInput.value = String(+(settings.lengthMs / 1000).toFixed(3));
+    } else if (lengthMode === NODE_LENGTH_BEATS) {
+      this.setNumberInputRange(this.nodeLengthInput, NODE_MIN_LENGTH_BEATS, NODE_MAX_LENGTH_BEATS, NODE_MIN_LENGTH_BEATS);
+      this.nodeLengthInput.value = String(settings.lengthBeats);
+    } else {
+      this.nodeLengthInput.value = '';
+    }
+    this.nodeSpeedInput.disabled = !settings;
+    this.nodeSpeedInput.value = settings ? String(settings.speed || 1) : '';
+
+    if (editable) {
+      this.nodeOutputModeSelect.value = settings.outputMode;
+      this.nodeCCInput.value = String(settings.cc);
+      this.nodeParameterInput.value = String(settings.parameter || 0);
+    } else {
+      this.nodeOutputModeSelect.value = OUTPUT_MODE_CC;
+      this.nodeCCInput.value = '';
+      this.nodeParameterInput.value = '';
+    }
+
+    this.suppressUIUpdates = false;
+  }
+
+  /**
+   * Show whether MIDI Learn is waiting for the selected node
+   * @param {boolean} armed - True while listening
+   */
+  updateNodeLearn(armed) {
+    if (!this.nodeLearnButton) return;
+
+    this.nodeLearnButton.textContent = armed ? 'Listening… (Esc)' : 'Learn';
+    this.nodeLearnButton.style.borderColor = armed ? '#fc0' : '#666';
+  }
+
+  /**
+   * Show the chatter suppression settings of the selected HTrigger
+   * @param {object|null} settings - { header, hysteresis, minIntervalMs } or null when none is selected
+   */
+  updateTriggerInspector(settings) {
+    if (!this.hTriggerHeaderLabel) return;
+
+    this.suppressUIUpdates = true;
+
+    this.hTriggerHeaderLabel.textContent = settings ? settings.header : 'Click an HTrigger to edit it';
+    this.hTriggerHysteresisInput.disabled = !settings;
+    this.hTriggerIntervalInput.disabled = !settings;
+    this.hTriggerHysteresisInput.value = settings ? String(Math.round(settings.hysteresis * 1000) / 10) : '';
+    this.hTriggerIntervalInput.value = settings ? String(settings.minIntervalMs) : '';
+
+    this.suppressUIUpdates = false;
+  }
+
+  /**
+   * Show the input of the selected oscilloscope
+   * @param {object|null} settings - { header, source, key } or null when no single oscilloscope is selected
+   * @param {Array} controllers - Controllers seen so far [{ key, channel, cc, source }] (MidiManager.getSeenControllers())
+   */
+  updateScopeInspector(settings, controllers) {
+    if (!this.scopeSourceSelect) return;
+
+    this.suppressUIUpdates = true;
+
+    this.scopeSources.clear();
+    this.scopeSourceSelect.innerHTML = '';
+
+    const addOption = (value, text, source) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      this.scopeSourceSelect.appendChild(option);
+      this.scopeSources.set(value, source);
+    };
+
+    addOption(OSC_SOURCE_ANY, 'Any CC', { mode: OSC_SOURCE_ANY });
+    addOption(OSC_SOURCE_SIGNAL, 'Signal input', { mode: OSC_SOURCE_SIGNAL });
+    for (const entry of controllers) {
+      addOption(entry.key, `${entry.source.name || 'Unknown'} CH${entry.channel} CC${entry.cc}`, {
+        mode: OSC_SOURCE_CC,
+        deviceId: entry.source.id,
+        deviceName: entry.source.name,
+        channel: entry.channel,
+        cc: entry.cc
+      });
+    }
+
+    // A saved controller that has not sent anything yet stays selectable
+    if (settings && settings.key && !this.scopeSources.has(settings.key)) {
+      const { deviceName, channel, cc } = settings.source;
+      addOption(settings.key, `${deviceName || 'Unknown'} CH${channel} CC${cc} (not seen)`, settings.source);
+    }
+
+    this.scopeHeaderLabel.textContent = settings ? settings.header : 'Select an oscilloscope to choose its input';
+    this.scopeSourceSelect.disabled = !settings;
+    this.scopeSourceSelect.value = settings ? (settings.key || settings.source.mode) : OSC_SOURCE_ANY;
+
+    this.suppressUIUpdates = false;
+  }
+
+  /**
+   * Show the curve, ranges and CC output of the selected mapper
+   * @param {object|null} settings - MapperNode.getMapperSettings() or null when no single mapper is selected
+   */
+  updateMapperInspector(settings) {
+    if (!this.mapperHeaderLabel) return;
+
+    this.suppressUIUpdates = true;
+
+    const toMidi = (value) => settings ? String(Math.round(value * 127)) : '';
+
+    this.mapperHeaderLabel.textContent = settings ? settings.header : 'Select a mapper to edit it';
+    for (const field of [
+      this.mapperCurveSelect,
+      this.mapperInMinInput,
+      this.mapperInMaxInput,
+      this.mapperOutMinInput,
+      this.mapperOutMaxInput,
+      this.mapperInvertCheckbox,
+      this.mapperCCInput,
+      this.mapperChannelSelect
+    ]) {
+      field.disabled = !settings;
+    }
+
+    this.mapperCurveSelect.value = settings && settings.curveMode in MAPPER_CURVE_LABELS
+      ? settings.curveMode
+      : Object.keys(MAPPER_CURVE_LABELS)[0];
+    this.mapperInMinInput.value = toMidi(settings && settings.inMin);
+    this.mapperInMaxInput.value = toMidi(settings && settings.inMax);
+    this.mapperOutMinInput.value = toMidi(settings && settings.outMin);
+    this.mapperOutMaxInput.value = toMidi(settings && settings.outMax);
+    this.mapperInvertCheckbox.checked = !!(settings && settings.invert);
+    this.mapperCCInput.value = (settings && settings.cc != null) ? String(settings.cc) : '';
+    this.mapperChannelSelect.value = (settings && settings.channel != null) ? String(settings.channel) : '';
+
+    this.suppressUIUpdates = false;
+  }
+
+  /**
+   * List the MIDI trigger mappings
+   * CC mappings get a threshold field; every row gets a remove button
+   * @param {Array} rows - [{ portId, target, message, threshold }] (threshold null for notes/programs)
+   */
+  updateTriggerMappings(rows) {
+    if (!this.triggerMappingList) return;
+
+    this.triggerMappingList.innerHTML = '';
+
+    if (rows.length === 0) {
+      const hint = document.createElement('div');
+      hint.textContent = 'Shift+click a trigger input, then play a note, CC or program change';
+      hint.style.opacity = '0.7';
+      this.triggerMappingList.appendChild(hint);
+      return;
+    }
+
+    for (const row of rows) {
+      const item = document.createElement('div');
+      Object.assign(item.style, {
+        display: 'flex',
+        gap: '6px',
+        alignItems: 'center'
+      });
+
+      const label = document.createElement('span');
+      label.textContent = `${row.message} ▸ ${row.target}`;
+      label.style.flex = '1';
+      item.appendChild(label);
+
+      if (row.threshold !== null) {
+        const thresholdInput = this.createNumberInput(row.threshold, 1, 127, 1);
+        thresholdInput.title = 'CC level that fires the trigger';
+        thresholdInput.style.width = '48px';
+        thresholdInput.addEventListener('change', () => {
+          this.emit('trigger-mapping-change', {
+            portId: row.portId,
+            threshold: parseInt(thresholdInput.value, 10) || row.threshold
+          });
+        });
+        item.appendChild(thresholdInput);
+      }
+
+      const removeButton = this.createButton('×', () => this.emit('trigger-mapping-remove', row.portId));
+      removeButton.title = 'Remove mapping';
+      removeButton.style.padding = '2px 6px';
+      item.appendChild(removeButton);
+
+      this.triggerMappingList.appendChild(item);
+    }
+  }
+
+  /**
+   * Rebuild the node's device checkboxes
+   * Devices the node targets that are not connected are listed as missing
+   * @param {string[]|null} deviceIds - Node output IDs, or null for the global selection
+   * @param {boolean} disabled - Disable every checkbox (no node selected)
+   * @private
+   */
+  updateNodeOutputList(deviceIds, disabled) {
+    this.nodeOutputList.innerHTML = '';
+
+    const isGlobal = !Array.isArray(deviceIds);
+    const selectedIds = new Set(isGlobal ? [] : deviceIds);
+    const entries = this.outputDevices.map(output => ({ id: output.id, name: output.name || output.id }));
+    for (const id of selectedIds) {
+      if (!entries.some(entry => entry.id === id)) {
+        entries.push({ id, name: `${id} (missing)` });
+      }
+    }
+
+    const addRow = (text, checked, rowDisabled, id = null) => {
+      const row = document.createElement('label');
+      Object.assign(row.style, {
+        display: 'flex',
+        gap: '8px',
+        alignItems: 'center'
+      });
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = checked;
+      checkbox.disabled = rowDisabled;
+      if (id !== null) {
+        checkbox.dataset.id = id;
+      }
+      checkbox.addEventListener('change', this.onNodeOutputChange);
+
+      const label = document.createElement('span');
+      label.textContent = text;
+
+      row.appendChild(checkbox);
+      row.appendChild(label);
+      this.nodeOutputList.appendChild(row);
+    };
+
+    addRow('Global outputs', isGlobal, disabled);
+    for (const entry of entries) {
+      addRow(entry.name, isGlobal || selectedIds.has(entry.id), disabled || isGlobal, entry.id);
+    }
+  }
+
   /**
    * Handle input "All" checkbox change
    * @private
@@ -403,7 +1456,7 @@ export default class SidebarRenderer {
     const checkboxes = Array.from(this.inputList.querySelectorAll('input[type=checkbox]'));
     const selected = checkboxes
       .filter(cb => cb.checked)
-      .map(cb => parseInt(cb.dataset.index, 10));
+      .map(cb => cb.dataset.id);
 
     let mode;
     if (selected.length === 0) {
@@ -427,7 +1480,7 @@ export default class SidebarRenderer {
     const checkboxes = Array.from(this.outputList.querySelectorAll('input[type=checkbox]'));
     const selected = checkboxes
       .filter(cb => cb.checked)
-      .map(cb => parseInt(cb.dataset.index, 10));
+      .map(cb => cb.dataset.id);
 
     let selection;
     if (selected.length === 0) {
@@ -450,6 +1503,193 @@ export default class SidebarRenderer {
     this.emit('channel-change', channel);
   }
 
+  /**
+   * Handle output rate change
+   * @private
+   */
+  onOutputRateChange() {
+    this.emit('output-rate-change', parseFloat(this.outputRateInput.value) || SCHEDULER_DEFAULT_RATE_HZ);
+  }
+
+  /**
+   * Handle global playback rate change
+   * @private
+   */
+  onPlaybackRateChange() {
+    this.emit('playback-rate-change', parseFloat(this.playbackRateInput.value) || 1);
+  }
+
+  /**
+   * Handle clock follow checkbox change
+   * @private
+   */
+  onClockFollowChange() {
+    this.emit('clock-follow-change', this.clockFollowCheckbox.checked);
+  }
+
+  /**
+   * Handle clock output checkbox change
+   * @private
+   */
+  onClockSendChange() {
+    this.emit('clock-send-change', this.clockSendCheckbox.checked);
+  }
+
+  /**
+   * Handle transport tempo change
+   * @private
+   */
+  onClockBpmChange() {
+    this.emit('clock-bpm-change', parseFloat(this.clockBpmInput.value) || CLOCK_OUT_DEFAULT_BPM);
+  }
+
+  /**
+   * Handle "node start sends Start" checkbox change
+   * @private
+   */
+  onClockStartOnPlayChange() {
+    this.emit('clock-start-on-play-change', this.clockStartOnPlayCheckbox.checked);
+  }
+
+  /**
+   * Handle node inspector output changes
+   * @private
+   */
+  onNodeOutputChange() {
+    if (this.suppressUIUpdates) return;
+
+    const checkboxes = Array.from(this.nodeOutputList.querySelectorAll('input[type=checkbox]'));
+    const globalCheckbox = checkboxes.find(cb => !cb.dataset.id);
+    const deviceIds = (globalCheckbox && globalCheckbox.checked)
+      ? null
+      : checkboxes.filter(cb => cb.dataset.id && cb.checked).map(cb => cb.dataset.id);
+
+    this.emit('node-output-change', {
+      outputMode: this.nodeOutputModeSelect.value,
+      cc: parseInt(this.nodeCCInput.value, 10) || 0,
+      parameter: parseInt(this.nodeParameterInput.value, 10) || 0,
+      channel: this.nodeChannelSelect.value === '' ? null : parseInt(this.nodeChannelSelect.value, 10),
+      deviceIds
+    });
+  }
+
+  /**
+   * Handle node play mode / repeat changes
+   * The repeat count is left out while its input is disabled (one-shot / reverse),
+   * so the node keeps its stored count
+   * @private
+   */
+  onNodePlayChange() {
+    if (this.suppressUIUpdates) return;
+
+    const settings = { playMode: this.nodePlayModeSelect.value };
+    if (!this.nodeLoopCountInput.disabled) {
+      settings.loopCount = parseInt(this.nodeLoopCountInput.value, 10) || 0;
+    }
+    this.emit('node-play-change', settings);
+  }
+
+  /**
+   * Handle node length / speed changes
+   * @private
+   */
+  onNodeTimingChange() {
+    if (this.suppressUIUpdates) return;
+
+    this.emit('node-timing-change', {
+      lengthMode: this.nodeLengthModeSelect.value,
+      length: parseFloat(this.nodeLengthInput.value) || 0,
+      speed: parseFloat(this.nodeSpeedInput.value) || 1
+    });
+  }
+
+  /**
+   * Handle node Learn button click
+   * @private
+   */
+  onNodeLearnClick() {
+    this.emit('node-learn', null);
+  }
+
+  /**
+   * Handle HTrigger inspector changes
+   * @private
+   */
+  onHTriggerChange() {
+    if (this.suppressUIUpdates) return;
+
+    this.emit('htrigger-change', {
+      hysteresis: (parseFloat(this.hTriggerHysteresisInput.value) || 0) / 100,
+      minIntervalMs: parseInt(this.hTriggerIntervalInput.value, 10) || 0
+    });
+  }
+
+  /**
+   * Handle oscilloscope source changes
+   * @private
+   */
+  onScopeSourceChange() {
+    if (this.suppressUIUpdates) return;
+
+    const source = this.scopeSources.get(this.scopeSourceSelect.value);
+    if (source) {
+      this.emit('scope-source-change', { ...source });
+    }
+  }
+
+  /**
+   * Handle mapper inspector changes
+   * @private
+   */
+  onMapperChange() {
+    if (this.suppressUIUpdates) return;
+
+    const fromMidi = (input, fallback) => {
+      const value = parseInt(input.value, 10);
+      return isNaN(value) ? fallback : value / 127;
+    };
+    const cc = parseInt(this.mapperCCInput.value, 10);
+
+    this.emit('mapper-change', {
+      curveMode: this.mapperCurveSelect.value,
+      inMin: fromMidi(this.mapperInMinInput, 0),
+      inMax: fromMidi(this.mapperInMaxInput, 1),
+      outMin: fromMidi(this.mapperOutMinInput, 0),
+      outMax: fromMidi(this.mapperOutMaxInput, 1),
+      invert: this.mapperInvertCheckbox.checked,
+      cc: isNaN(cc) ? null : cc,
+      channel: this.mapperChannelSelect.value === '' ? null : parseInt(this.mapperChannelSelect.value, 10)
+    });
+  }
+
+  /**
+   * Handle patch save button click
+   * @private
+   */
+  onPatchSaveClick() {
+    this.emit('patch-save', null);
+  }
+
+  /**
+   * Handle patch open button click
+   * @private
+   */
+  onPatchOpenClick() {
+    this.emit('patch-open', null);
+  }
+
+  /**
+   * Handle MIDI file export button click
+   * @private
+   */
+  onMidiExportClick() {
+    this.emit('midi-export', {
+      ppq: parseInt(this.midiExportPpqSelect.value, 10) || SMF_DEFAULT_PPQ,
+      bpm: parseFloat(this.midiExportBpmInput.value) || SMF_DEFAULT_BPM,
+      thinning: parseInt(this.midiExportThinningInput.value, 10) || SMF_DEFAULT_THINNING
+    });
+  }
+
   /**
    * Emit custom event for communication with controllers
    * @param {string} eventName - Name of the event
@@ -480,7 +1720,47 @@ export default class SidebarRenderer {
     this.inputList = null;
     this.outputList = null;
     this.channelSelect = null;
+    this.nodeHeaderLabel = null;
+    this.nodeOutputModeSelect = null;
+    this.nodeCCInput = null;
+    this.nodeParameterInput = null;
+    this.nodeChannelSelect = null;
+    this.nodeOutputList = null;
+    this.nodePlayModeSelect = null;
+    this.nodeLoopCountInput = null;
+    this.nodeLengthModeSelect = null;
+    this.nodeLengthInput = null;
+    this.nodeSpeedInput = null;
+    this.nodeLearnButton = null;
+    this.hTriggerHeaderLabel = null;
+    this.hTriggerHysteresisInput = null;
+    this.hTriggerIntervalInput = null;
+    this.scopeHeaderLabel = null;
+    this.scopeSourceSelect = null;
+    this.mapperHeaderLabel = null;
+    this.mapperCurveSelect = null;
+    this.mapperInMinInput = null;
+    this.mapperInMaxInput = null;
+    this.mapperOutMinInput = null;
+    this.mapperOutMaxInput = null;
+    this.mapperInvertCheckbox = null;
+    this.mapperCCInput = null;
+    this.mapperChannelSelect = null;
+    this.triggerMappingList = null;
+    this.outputRateInput = null;
+    this.playbackRateInput = null;
+    this.clockFollowCheckbox = null;
+    this.clockSendCheckbox = null;
+    this.clockBpmInput = null;
+    this.clockStartOnPlayCheckbox = null;
+    this.clockStatusLabel = null;
     this.inputAllCheckbox = null;
     this.outputAllCheckbox = null;
+    this.patchSaveButton = null;
+    this.patchOpenButton = null;
+    this.midiExportPpqSelect = null;
+    this.midiExportBpmInput = null;
+    this.midiExportThinningInput = null;
+    this.midiExportButton = null;
   }
 }
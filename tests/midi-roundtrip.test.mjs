@@ -0,0 +1,173 @@
+/**
+ * MIDI round trip - headless recording, playback and CC output
+ * Drives MidiManager → RecordingManager → WaveformNode.scheduleOutput through
+ * VirtualMidiBackend, on a controlled performance.now() clock.
+ * Run with: node --test tests/midi-roundtrip.test.mjs
+ * (Node 20.19+, which loads the src/ modules as ES modules without a package.json)
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import MidiManager from '../src/models/MidiManager.js';
+import VirtualMidiBackend from '../src/models/VirtualMidiBackend.js';
+import RecordingManager from '../src/models/RecordingManager.js';
+import WaveformNode from '../src/models/WaveformNode.js';
+import PlaybackScheduler from '../src/models/PlaybackScheduler.js';
+import { SCHEDULER_TICK_MS } from '../src/config/constants.js';
+
+let clock = 0;
+
+/**
+ * Move the performance.now() clock
+ * @param {number} time - New time in ms
+ */
+function setNow(time) {
+  clock = time;
+}
+
+/**
+ * Plug in a device (input and output of the same name) plus an unrelated output,
+ * and wire a MidiManager to a RecordingManager like AppController does
+ */
+async function createRig() {
+  const backend = new VirtualMidiBackend();
+  const input = backend.access.addInput({ id: 'knobs-in', name: 'Knobs' });
+  const knobsOut = backend.access.addOutput({ id: 'knobs-out', name: 'Knobs' });
+  const synthOut = backend.access.addOutput({ id: 'synth-out', name: 'Synth' });
+
+  const midi = new MidiManager({ backend });
+  await midi.init();
+
+  const recording = new RecordingManager();
+  midi.on('cc-received', (data) => {
+    if (!data.parameterData) {
+      recording.recordCC(data.channel, data.cc, data.value, data.timestamp, data.source);
+    }
+  });
+  midi.on('cc14-received', (data) => {
+    recording.recordCC14(data.channel, data.cc, data.value, data.timestamp, data.source);
+  });
+
+  return { midi, recording, input, knobsOut, synthOut };
+}
+
+/**
+ * Create a node from committed node data (routing as AppController applies it)
+ */
+function createNode(midi, nodeData) {
+  const node = new WaveformNode(nodeData.x, nodeData.y, nodeData.label, nodeData.samples, nodeData.width);
+  node.setCC(nodeData.cc);
+  node.setOutputMode(nodeData.outputMode);
+  node.setOutputChannel(nodeData.channel - 1);
+  node.setOutputDevices([midi.findOutputForSource(nodeData.source).id]);
+  node.setLengthMs(nodeData.durationMs);
+  return node;
+}
+
+/**
+ * Play a node from `start` to its end with scheduler ticks
+ */
+function play(midi, node, start) {
+  const scheduler = new PlaybackScheduler();
+  scheduler.on('tick', ({ now, until, intervalMs }) => node.scheduleOutput(midi, now, until, intervalMs));
+
+  node.startPlayback(start);
+  for (let time = start; time <= start + node.durationMs; time += SCHEDULER_TICK_MS) {
+    setNow(time);
+    scheduler.tick(time);
+  }
+}
+
+const realNow = performance.now;
+const realLog = console.log;
+
+beforeEach(() => {
+  setNow(1000);
+  performance.now = () => clock;
+  console.log = () => {}; // Managers log every step
+});
+
+afterEach(() => {
+  performance.now = realNow;
+  console.log = realLog;
+});
+
+test('recorded CC stream plays back on the source device, 1:1 in time', async () => {
+  const { midi, recording, input, knobsOut, synthOut } = await createRig();
+
+  recording.startRecording(0, 0);
+  input.receive([0xB2, 74, 0]);
+  setNow(1500);
+  input.receive([0xB2, 74, 64]);
+  setNow(2000);
+  input.receive([0xB2, 74, 127]);
+  const [nodeData, ...others] = recording.commitRecording();
+
+  assert.equal(others.length, 0);
+  assert.equal(nodeData.label, 'CC 74');
+  assert.equal(nodeData.channel, 3);
+  assert.equal(nodeData.durationMs, 1000);
+
+  const node = createNode(midi, nodeData);
+  play(midi, node, 5000);
+
+  const sent = knobsOut.sent;
+  assert.equal(synthOut.sent.length, 0, 'only the device the stream came from plays it');
+  assert.ok(sent.every(m => m.data[0] === 0xB2 && m.data[1] === 74), 'CC 74 on channel 3');
+  assert.deepEqual(sent[0], { data: [0xB2, 74, 0], timestamp: 5000 });
+  assert.deepEqual(sent.find(m => m.timestamp === 5500).data, [0xB2, 74, 64]);
+  assert.deepEqual(sent.at(-1), { data: [0xB2, 74, 127], timestamp: 6000 });
+
+  for (let i = 1; i < sent.length; i++) {
+    assert.ok(sent[i].timestamp > sent[i - 1].timestamp, `timestamps rise at message ${i}`);
+    assert.ok(sent[i].data[2] > sent[i - 1].data[2], `values rise at message ${i}`);
+  }
+});
+
+test('recorded 14-bit CC pair plays back as MSB/LSB pairs', async () => {
+  const { midi, recording, input, knobsOut } = await createRig();
+
+  recording.startRecording(0, 0);
+  input.receive([0xB0, 1, 0]);
+  input.receive([0xB0, 33, 0]);
+  setNow(2000);
+  input.receive([0xB0, 1, 127]);
+  input.receive([0xB0, 33, 127]);
+  const [nodeData] = recording.commitRecording();
+
+  assert.equal(nodeData.label, 'CC 1/33');
+  const node = createNode(midi, nodeData);
+  play(midi, node, 5000);
+
+  const sent = knobsOut.sent;
+  assert.equal(sent.length % 2, 0);
+  for (let i = 0; i < sent.length; i += 2) {
+    assert.equal(sent[i].data[1], 1, 'MSB first');
+    assert.equal(sent[i + 1].data[1], 33, 'LSB second');
+    assert.equal(sent[i].timestamp, sent[i + 1].timestamp, 'pair shares one timestamp');
+  }
+  assert.deepEqual(sent.slice(0, 2), [
+    { data: [0xB0, 1, 0], timestamp: 5000 },
+    { data: [0xB0, 33, 0], timestamp: 5000 }
+  ]);
+  assert.deepEqual(sent.slice(-2), [
+    { data: [0xB0, 1, 127], timestamp: 6000 },
+    { data: [0xB0, 33, 127], timestamp: 6000 }
+  ]);
+});
+
+test('CC output goes to the selected outputs only, on the given channel', async () => {
+  const { midi, knobsOut, synthOut } = await createRig();
+
+  midi.setOutputSelection(['synth-out']);
+  setNow(1234);
+  midi.sendCC(7, 100, 2);
+  midi.sendCC(7, 200, 20, null, 1300); // Clamped, scheduled
+
+  assert.equal(knobsOut.sent.length, 0);
+  assert.deepEqual(synthOut.sent, [
+    { data: [0xB2, 7, 100], timestamp: 1234 },
+    { data: [0xBF, 7, 127], timestamp: 1300 }
+  ]);
+});